@@ -60,7 +60,7 @@ for (let month = 1; month <= 12; month++) {
 
         // Daily Log — fields nested under section name
         const didRun = chance(isWeekend ? 0.4 : 0.6);
-        const runTime = didRun ? rand(18, 50) : null;
+        const runTime = didRun ? rand(18, 50) * 60 : null; // seconds (duration field)
         const runDist = didRun ? randF(2.5, 8.0) : null;
 
         const didLift = chance(isWeekend ? 0.3 : 0.55);
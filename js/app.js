@@ -1,8 +1,9 @@
 /**
  * App Entry Point — Hash Router & View Orchestration
  */
-import { MONTHS, YEAR } from './config.js';
+import { MONTHS, DEFAULT_YEAR } from './config.js';
 import { monthNameToIndex } from './utils/date-utils.js';
+import { parseRoute } from './utils/route-utils.js';
 import { showToast } from './utils/ui-helpers.js';
 import { renderNavBar } from './components/nav-bar.js';
 import { renderSetupView } from './views/setup-view.js';
@@ -10,29 +11,43 @@ import { renderDashboardView } from './views/dashboard-view.js';
 import { renderMonthlyView } from './views/monthly-view.js';
 import { renderDailyEntryView } from './views/daily-entry-view.js';
 import { renderSchemaView } from './views/schema-view.js';
+import { renderSearchView } from './views/search-view.js';
 import { initLocalStore, getAllEntries, getAllMonthlyGoals } from './db/local-store.js';
 import { SyncEngine } from './db/sync-engine.js';
+import { createRemoteClient, createGroupClient } from './db/remote-clients.js';
+import { isRemoteConfigured } from './db/remote-adapter.js';
+import { loadDeviceKey } from './db/encryption.js';
 import { seedMockData } from './db/mock-data.js';
 import { initTestMode, isTestMode } from './db/test-mode.js';
+import { getActiveProfile, profileKey } from './db/profiles.js';
+import { pickProfile } from './components/profile-picker.js';
 
 // Global app state
 const state = {
     initialized: false,
     syncEngine: null,
-    currentView: null
+    currentView: null,
+    liveUpdate: null, // Set by the current view to apply remote changes in place
+    year: DEFAULT_YEAR
 };
 
 /**
  * Initialize the application
  */
 async function init() {
+    // Several profiles share this browser: ask whose tracker to open first,
+    // since the database and settings below all belong to one profile
+    if (!getActiveProfile()) {
+        await pickProfile(document.getElementById('app'));
+    }
+
     // Initialize IndexedDB
     await initLocalStore();
     // check if it is on offline mode
-    const offlineMode = localStorage.getItem('offlineMode') === 'true';
+    const offlineMode = localStorage.getItem(profileKey('offlineMode')) === 'true';
     // if there's no item such as "offlineMode", add it as false
     if (!offlineMode) {
-        localStorage.setItem('offlineMode', 'false');
+        localStorage.setItem(profileKey('offlineMode'), 'false');
     }
 
     // Check for test mode
@@ -41,30 +56,43 @@ async function init() {
         document.body.classList.add('test-mode-active');
     }
 
-    const isUsingMockData = localStorage.getItem('isUsingMockData') === 'true';
+    const isUsingMockData = localStorage.getItem(profileKey('isUsingMockData')) === 'true';
 
     // check if it is on setup menu by url
     const setupMode = window.location.hash === '#/setup';
 
+    // Pick up the year from the initial route so the first pull targets it
+    const initialRoute = parseRoute(window.location.hash);
+    if (initialRoute.year) state.year = initialRoute.year;
+
     // Initialize sync engine first so we can use it during seeding
-    state.syncEngine = new SyncEngine();
+    state.syncEngine = new SyncEngine(createRemoteClient, createGroupClient);
+    state.syncEngine.setEncryptionKey(await loadDeviceKey());
+    state.syncEngine.onRemoteChange(async (change) => {
+        try {
+            await state.liveUpdate?.(change);
+        } catch (err) {
+            console.error('Live update failed:', err);
+        }
+    });
 
     if (!testModeActive && !offlineMode && !setupMode && !isUsingMockData) {
         // Skip seeding and initial pull if the user just wiped data intentionally (Fresh Start)
         // or if they are explicitly using mock data.
-        const freshStart = localStorage.getItem('freshStart') === 'true';
+        const freshStart = localStorage.getItem(profileKey('freshStart')) === 'true';
 
         if (freshStart) {
             console.log('✨ Fresh start: Skipping initial pull and seeding.');
-            localStorage.removeItem('freshStart'); // Clear it for next time
+            localStorage.removeItem(profileKey('freshStart')); // Clear it for next time
         } else {
             // Seed mock data into IndexedDB if it is empty (and NOT a fresh start)
             // const wasSeeded = await seedMockData();
 
-            // Pull latest data from Firebase on startup
+            // Pull latest data on startup, then follow other devices' changes live
             if (state.syncEngine.isConfigured()) {
-                state.syncEngine.pullAll().then(() => {
+                state.syncEngine.pullAll(state.year).then(() => {
                     route();
+                    return state.syncEngine.startLive(state.year);
                 }).catch(err => console.warn('Initial pull failed:', err));
             }
         }
@@ -88,22 +116,27 @@ function route() {
     const hash = window.location.hash || '';
     const app = document.getElementById('app');
 
-    // Parse the route
-    const parts = hash.replace('#/', '').split('/');
-    const view = parts[0] || '';
-    const param = parts[1] || '';
+    // Parse the route — an optional leading year segment selects the active year
+    const { year, view, param } = parseRoute(hash);
+    if (year) state.year = year;
 
-    // Check if Firebase is configured (skip for setup page)
-    const firebaseConfig = localStorage.getItem('firebaseConfig');
-    const isOfflineMode = localStorage.getItem('offlineMode') === 'true';
+    // Live updates follow the selected year
+    const engine = state.syncEngine;
+    if (engine.liveYear !== null && engine.liveYear !== state.year) {
+        engine.startLive(state.year);
+    }
+
+    // Check if a sync backend is configured (skip for setup page)
+    const isOfflineMode = localStorage.getItem(profileKey('offlineMode')) === 'true';
 
-    if (!firebaseConfig && !isOfflineMode && view !== 'setup') {
+    if (!isRemoteConfigured() && !isOfflineMode && view !== 'setup') {
         window.location.hash = '#/setup';
         return;
     }
 
     // Update nav active state
     renderNavBar(document.getElementById('nav-bar'), state);
+    state.liveUpdate = null;
 
     // Route to view
     switch (view) {
@@ -151,14 +184,20 @@ function route() {
             renderSchemaView(app, state);
             break;
 
+        case 'search':
+            state.currentView = 'search';
+            renderSearchView(app, state, param);
+            break;
+
         case 'dashboard':
         default:
             state.currentView = 'dashboard';
             if (view !== 'dashboard' && view !== '') {
-                window.location.hash = '#/dashboard';
+                window.location.hash = `#/${state.year}/dashboard`;
                 return;
             }
-            renderDashboardView(app, state);
+            // Optional second year for comparison mode, e.g. #/2026/dashboard/2025
+            renderDashboardView(app, state, /^\d{4}$/.test(param) ? parseInt(param) : null);
             break;
     }
 }
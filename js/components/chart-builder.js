@@ -2,10 +2,12 @@
  * Chart Builder — Dynamic chart generation with polished styling
  */
 
-import { YEAR, CHART_PALETTE, COLORS, MONTHS } from '../config.js';
+import { CHART_PALETTE, COLORS, MONTHS } from '../config.js';
 import { getDaysInMonth, toDateId, getWeekNumber } from '../utils/date-utils.js';
-import { getChartGroups, countDailyGoals } from '../schema/schema-manager.js';
+import { getChartGroups, countDailyGoals, getFieldsOfType } from '../schema/schema-manager.js';
 import { getMeta, putMeta } from '../db/local-store.js';
+import { countCategories } from '../utils/stats-utils.js';
+import { getFieldType } from '../schema/field-types.js';
 
 // Track active chart instances for cleanup
 const activeCharts = new Map();
@@ -59,12 +61,12 @@ function applyChartDefaults() {
 /**
  * Build monthly charts (for a single month's view)
  */
-export function buildMonthlyCharts(container, schema, entriesMap, month) {
+export function buildMonthlyCharts(container, schema, entriesMap, year, month) {
     applyChartDefaults();
     container.innerHTML = '';
     destroyCharts('monthly');
 
-    const daysInMonth = getDaysInMonth(YEAR, month);
+    const daysInMonth = getDaysInMonth(year, month);
     const dayLabels = Array.from({ length: daysInMonth }, (_, i) => i + 1);
 
     const chartsWrapper = document.createElement('div');
@@ -74,7 +76,7 @@ export function buildMonthlyCharts(container, schema, entriesMap, month) {
     const totalGoals = countDailyGoals(schema);
     if (totalGoals > 0) {
         const completionData = dayLabels.map(d => {
-            const dateId = toDateId(YEAR, month, d);
+            const dateId = toDateId(year, month, d);
             const entry = entriesMap[dateId];
             return entry ? (entry.dailyGoalCompletion || 0) * 100 : 0;
         });
@@ -119,10 +121,10 @@ export function buildMonthlyCharts(container, schema, entriesMap, month) {
         const datasets = group.fields.map((field, idx) => {
             const color = CHART_PALETTE[idx % CHART_PALETTE.length];
             const data = dayLabels.map(d => {
-                const dateId = toDateId(YEAR, month, d);
+                const dateId = toDateId(year, month, d);
                 const entry = entriesMap[dateId];
                 const val = entry?.fields?.[field.section]?.[field.name];
-                return val !== null && val !== undefined ? parseFloat(val) : null;
+                return val !== null && val !== undefined ? chartNumber(field, val) : null;
             });
 
             return {
@@ -181,6 +183,13 @@ export function buildMonthlyCharts(container, schema, entriesMap, month) {
         chartsWrapper.appendChild(card);
     }
 
+    // ===== Category counts for select and tags fields =====
+    const monthEntries = Object.values(entriesMap).filter(e => e.year === year && e.month === month);
+    for (const field of getFieldsOfType(schema, 'select', 'tags')) {
+        const card = buildCategoryChart(field, [{ label: MONTHS[month - 1], entries: monthEntries }], 'monthly');
+        if (card) chartsWrapper.appendChild(card);
+    }
+
     container.appendChild(chartsWrapper);
 }
 
@@ -254,7 +263,7 @@ function aggregateData(dataPoints, aggregationType) {
 
     for (const point of dataPoints) {
         let key;
-        const dateStr = point.label || point.dateId;
+        const dateStr = point.bucketId || point.label || point.dateId;
         if (aggregationType === 'weekly') {
             const d = new Date(dateStr);
             const week = getWeekNumber(d);
@@ -281,10 +290,39 @@ function aggregateData(dataPoints, aggregationType) {
     }));
 }
 
+/**
+ * Plot value of a stored field value: durations chart in minutes, everything
+ * else as the number it holds
+ */
+function chartNumber(fieldDef, raw) {
+    if (fieldDef?.type === 'duration') return getFieldType('duration').toNumber(raw);
+    return parseFloat(raw);
+}
+
+/**
+ * Read one series' numeric value from an entry (null when missing)
+ */
+function getSeriesValue(series, entry, schema) {
+    if (series.type === 'completion') {
+        return entry ? (entry.dailyGoalCompletion || 0) * 100 : 0;
+    }
+    if (series.type === 'field') {
+        const rawV = entry?.fields?.[series.section]?.[series.field] ?? entry?.[series.field];
+        if (rawV !== null && rawV !== undefined && rawV !== '') {
+            const parsed = chartNumber(schema[series.section]?.[series.field], rawV);
+            return parsed === null || isNaN(parsed) ? null : parsed;
+        }
+    }
+    return null;
+}
+
 /**
  * Build Dashboard Charts with Adaptive Aggregation
+ *
+ * @param {Object} [compare] - Optional { year, entries } to overlay a second
+ *   year on every series, aligned by month/day (dashed line)
  */
-export async function buildDashboardCharts(container, schema, allEntries) {
+export async function buildDashboardCharts(container, schema, allEntries, year, compare = null) {
     applyChartDefaults();
     container.innerHTML = '';
     destroyCharts('dashboard');
@@ -293,20 +331,34 @@ export async function buildDashboardCharts(container, schema, allEntries) {
     const entriesMap = {};
     for (const e of allEntries) entriesMap[e._id] = e;
 
+    const compareMap = {};
+    if (compare) {
+        for (const e of compare.entries) compareMap[e._id] = e;
+    }
+
     // 1. Determine Date Range & Aggregation
-    // For now, we assume "Yearly" (all dates in YEAR)
-    // Future: customizable range
+    // All dates in the selected year, up to today
     const now = new Date();
     const currentYear = now.getFullYear();
     const todayId = toDateId(currentYear, now.getMonth() + 1, now.getDate());
 
+    // With a comparison year the days run over the month/day keys of both
+    // years, so Feb 29 shows up when either one is a leap year. Each day
+    // aggregates into the bucket of its primary-year date (Feb 29 of a
+    // non-leap primary year falls in with Feb 28).
     const allDates = [];
     for (let m = 1; m <= 12; m++) {
-        const dim = getDaysInMonth(YEAR, m);
-        for (let d = 1; d <= dim; d++) {
-            const dateId = toDateId(YEAR, m, d);
-            if (YEAR < currentYear || dateId <= todayId) {
-                allDates.push({ dateId });
+        const dim = getDaysInMonth(year, m);
+        const compareDim = compare ? getDaysInMonth(compare.year, m) : 0;
+        for (let d = 1; d <= Math.max(dim, compareDim); d++) {
+            const bucketId = toDateId(year, m, Math.min(d, dim));
+            if (year < currentYear || bucketId <= todayId) {
+                allDates.push({
+                    label: toDateId(year, m, d),
+                    bucketId,
+                    dateId: d <= dim ? bucketId : null,
+                    compareId: d <= compareDim ? toDateId(compare.year, m, d) : null,
+                });
             }
         }
     }
@@ -327,26 +379,23 @@ export async function buildDashboardCharts(container, schema, allEntries) {
         let labels = [];
 
         for (const [idx, series] of chartConfig.series.entries()) {
-            const rawData = allDates.map(d => {
-                const entry = entriesMap[d.dateId];
-                let val = null;
-
-                if (series.type === 'completion') {
-                    val = entry ? (entry.dailyGoalCompletion || 0) * 100 : 0;
-                } else if (series.type === 'field') {
-                    const rawV = entry?.fields?.[series.section]?.[series.field] ?? entry?.[series.field];
-                    if (rawV !== null && rawV !== undefined && rawV !== '') {
-                        const parsed = parseFloat(rawV);
-                        val = isNaN(parsed) ? null : parsed;
-                    } else {
-                        val = null;
-                    }
-                }
-                return { label: d.dateId, value: val };
-            });
+            const rawData = allDates.map(d => ({
+                label: d.label,
+                bucketId: d.bucketId,
+                value: d.dateId ? getSeriesValue(series, entriesMap[d.dateId], schema) : null
+            }));
+
+            // Days the other year doesn't have (Feb 29) plot as gaps
+            const compareData = compare
+                ? allDates.map(d => ({
+                    label: d.label,
+                    bucketId: d.bucketId,
+                    value: d.compareId ? getSeriesValue(series, compareMap[d.compareId], schema) : null
+                }))
+                : [];
 
             // Filter nulls if needed (only skip series if it has literally NO data points)
-            const hasData = rawData.some(d => d.value !== null);
+            const hasData = rawData.some(d => d.value !== null) || compareData.some(d => d.value !== null);
             if (!hasData && series.type !== 'completion') continue; // Skip empty series, keep completion
 
             // Aggregate
@@ -355,11 +404,14 @@ export async function buildDashboardCharts(container, schema, allEntries) {
             // Set labels from the first series that has data or the first series in total
             if (labels.length === 0 || idx === 0) {
                 labels = aggregated.map(d => d.label);
+                // Daily labels are full date IDs; drop the year when two years share the axis
+                if (compare && aggregation === 'daily') labels = labels.map(l => l.slice(5));
             }
 
             const color = CHART_PALETTE[idx % CHART_PALETTE.length];
+
             datasets.push({
-                label: series.label,
+                label: compare ? `${series.label} (${year})` : series.label,
                 data: aggregated.map(d => d.value),
                 borderColor: color,
                 backgroundColor: hexToRgba(color, 0.1),
@@ -374,13 +426,35 @@ export async function buildDashboardCharts(container, schema, allEntries) {
                 showLine: true,
                 spanGaps: true
             });
+
+            if (compare) {
+                datasets.push({
+                    label: `${series.label} (${compare.year})`,
+                    data: aggregateData(compareData, aggregation).map(d => d.value),
+                    borderColor: hexToRgba(color, 0.5),
+                    backgroundColor: hexToRgba(color, 0.05),
+                    borderDash: [6, 4],
+                    fill: false,
+                    tension: 0.3,
+                    pointRadius: 3,
+                    pointHoverRadius: 6,
+                    pointHitRadius: 12,
+                    pointBorderWidth: 2,
+                    pointBackgroundColor: '#fff',
+                    borderWidth: 2,
+                    showLine: true,
+                    spanGaps: true
+                });
+            }
         }
 
         if (datasets.length === 0) continue; // Skip chart if no data
 
         const card = createChartCard(
             chartConfig.title,
-            `${capitalizeFirst(aggregation)} Average`,
+            compare
+                ? `${capitalizeFirst(aggregation)} Average \u00B7 ${year} vs ${compare.year}`
+                : `${capitalizeFirst(aggregation)} Average`,
             getGroupIcon(chartConfig.title),
             'blue'
         );
@@ -412,6 +486,14 @@ export async function buildDashboardCharts(container, schema, allEntries) {
         chartsWrapper.appendChild(card);
     }
 
+    // Category counts for select and tags fields (not configurable: they are counts, not series)
+    for (const field of getFieldsOfType(schema, 'select', 'tags')) {
+        const series = [{ label: `${year}`, entries: allEntries }];
+        if (compare) series.push({ label: `${compare.year}`, entries: compare.entries });
+        const card = buildCategoryChart(field, series, 'dashboard');
+        if (card) chartsWrapper.appendChild(card);
+    }
+
     // Add "Customize Charts" card at the end
     const addCard = document.createElement('div');
     addCard.className = 'chart-card add-chart-card';
@@ -425,6 +507,46 @@ export async function buildDashboardCharts(container, schema, allEntries) {
     container.appendChild(chartsWrapper);
 }
 
+/**
+ * Bar chart of how often each option of a select field (or tag of a tags
+ * field) was picked, one dataset per series ({ label, entries }). Null when
+ * nothing was picked.
+ */
+function buildCategoryChart(field, series, group) {
+    const counted = series.map(s => countCategories(s.entries, field.section, field));
+    if (counted.every(counts => counts.every(c => c.count === 0))) return null;
+
+    // Options first, then removed values any series still has
+    const labels = [...new Set(counted.flat().map(c => c.label))];
+    const datasets = series.map((s, idx) => {
+        const color = CHART_PALETTE[idx % CHART_PALETTE.length];
+        const byLabel = new Map(counted[idx].map(c => [c.label, c.count]));
+        return {
+            label: s.label,
+            data: labels.map(label => byLabel.get(label) || 0),
+            backgroundColor: hexToRgba(color, idx === 0 ? 0.7 : 0.35),
+            borderColor: color,
+            borderWidth: 1.5,
+        };
+    });
+
+    const subtitle = field.type === 'tags' ? 'Days per tag' : 'Days per option';
+    const card = createChartCard(field.name, subtitle, '🏷️', 'amber');
+    createChart(card.querySelector('canvas'), {
+        type: 'bar',
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: datasets.length > 1 } },
+            scales: {
+                y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Days', font: { weight: 600 } } }
+            }
+        }
+    }, group);
+    return card;
+}
+
 // ============ HELPERS ============
 
 function createChartCard(title, subtitle, icon = '📊', colorClass = 'green') {
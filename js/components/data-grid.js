@@ -9,21 +9,32 @@
  *   - Calculated field display
  *   - Weekend / today column highlighting
  *   - Schedule-aware: unscheduled cells are dimmed
+ *   - Live updates: the returned handle refreshes one day's cells in place
+ *   - New days up to today are pre-filled (defaults, carried-forward values)
+ *   - Goals completed from logged data (autoFrom rules) are marked
  */
 
-import { YEAR } from '../config.js';
-import { toDateId, isWeekend as checkWeekend } from '../utils/date-utils.js';
+import { toDateId, toMonthId, isWeekend as checkWeekend } from '../utils/date-utils.js';
 import { getSections, getFields, countDailyGoals } from '../schema/schema-manager.js';
-import { getFieldType } from '../schema/field-types.js';
-import { evaluate } from '../utils/calc-engine.js';
-import { createEmptyDailyGoals, createEmptyMonthlyGoals, createEmptyFields, computeDailyCompletion, computeMonthlyCompletion } from '../components/goal-manager.js';
+import { getFieldType, formatCalculated, getValidationError, isEmptyValue } from '../schema/field-types.js';
+import { computeCalcField } from '../utils/calc-engine.js';
+import { createEmptyDailyGoals, createEmptyMonthlyGoals, createEmptyFields, computeDailyCompletion, computeMonthlyCompletion, prefillFields, clearPrefilled,
+    getDailyGoalStatus, setDailyGoal, getAutoGoalRule, describeAutoGoal } from '../components/goal-manager.js';
 import { isFieldScheduledForDate } from '../utils/schedule-utils.js';
+import { replaceContents } from '../utils/ui-helpers.js';
 
-export function renderDataGrid(container, schema, month, daysInMonth, entriesMap, monthlyGoalDoc, onEntryChange, onMonthlyGoalChange) {
+/**
+ * @param {Object|null} previousEntry - The latest entry before the month, which
+ *   the first days carry values forward from
+ * @returns {{ updateEntry: Function, updateMonthlyGoals: Function }} Handle for
+ *   refreshing cells in place when docs change elsewhere (e.g. another device)
+ */
+export function renderDataGrid(container, schema, year, month, daysInMonth, entriesMap, monthlyGoalDoc, onEntryChange, onMonthlyGoalChange, previousEntry = null) {
     container.innerHTML = '';
-
     const today = new Date();
-    const isCurrentMonth = today.getFullYear() === YEAR && (today.getMonth() + 1) === month;
+    const ctx = { schema, year, month, daysInMonth, entriesMap, monthlyGoalDoc, onEntryChange, onMonthlyGoalChange, previousEntry };
+
+    const isCurrentMonth = today.getFullYear() === year && (today.getMonth() + 1) === month;
     const todayDay = isCurrentMonth ? today.getDate() : -1;
 
     // ===== Build table =====
@@ -47,7 +58,7 @@ export function renderDataGrid(container, schema, month, daysInMonth, entriesMap
         th.className = 'day-header';
         th.textContent = d;
 
-        const dateObj = new Date(YEAR, month - 1, d);
+        const dateObj = new Date(year, month - 1, d);
         const dayOfWeek = dateObj.getDay();
         if (dayOfWeek === 0 || dayOfWeek === 6) th.classList.add('weekend');
         if (d === todayDay) th.classList.add('today');
@@ -93,21 +104,26 @@ export function renderDataGrid(container, schema, month, daysInMonth, entriesMap
             labelCell.className = 'label-col';
             labelCell.textContent = field.name;
             labelCell.title = field.name;
+            if (field.required) {
+                const mark = document.createElement('span');
+                mark.className = 'field-required';
+                mark.textContent = '*';
+                labelCell.appendChild(mark);
+                labelCell.title = `${field.name} (required)`;
+            }
             row.appendChild(labelCell);
 
             for (let d = 1; d <= daysInMonth; d++) {
                 const td = document.createElement('td');
                 td.className = 'day-cell';
 
-                const dateObj = new Date(YEAR, month - 1, d);
+                const dateObj = new Date(year, month - 1, d);
                 const dayOfWeek = dateObj.getDay();
                 if (dayOfWeek === 0 || dayOfWeek === 6) td.classList.add('weekend');
                 if (d === todayDay) td.classList.add('today');
 
-                const dateId = toDateId(YEAR, month, d);
-
                 // Check schedule — skip rendering input for unscheduled cells
-                const isScheduled = isFieldScheduledForDate(field.schedule, YEAR, month, d);
+                const isScheduled = isFieldScheduledForDate(field.schedule, year, month, d);
 
                 if (!isScheduled && !isMonthly) {
                     td.classList.add('unscheduled');
@@ -115,58 +131,10 @@ export function renderDataGrid(container, schema, month, daysInMonth, entriesMap
                     continue;
                 }
 
-                if (isMonthly) {
-                    // Monthly goals: only show for last day
-                    if (d === daysInMonth) {
-                        const value = monthlyGoalDoc?.goals?.[field.name] || false;
-                        const checkbox = document.createElement('input');
-                        checkbox.type = 'checkbox';
-                        checkbox.checked = value;
-                        checkbox.addEventListener('change', async () => {
-                            if (!monthlyGoalDoc.goals) monthlyGoalDoc.goals = {};
-                            monthlyGoalDoc.goals[field.name] = checkbox.checked;
-                            monthlyGoalDoc.completionRate = computeMonthlyCompletion(monthlyGoalDoc.goals);
-                            onMonthlyGoalChange(monthlyGoalDoc);
-                        });
-                        td.appendChild(checkbox);
-                    }
-                } else if (isDaily) {
-                    const entry = ensureEntry(entriesMap, dateId, YEAR, month, d, schema);
-                    const value = entry.dailyGoals?.[field.name] || false;
-                    const checkbox = document.createElement('input');
-                    checkbox.type = 'checkbox';
-                    checkbox.checked = value;
-                    checkbox.addEventListener('change', async () => {
-                        entry.dailyGoals[field.name] = checkbox.checked;
-                        entry.dailyGoalCompletion = computeDailyCompletion(entry.dailyGoals, schema, YEAR, month, d);
-                        onEntryChange(entry);
-                    });
-                    td.appendChild(checkbox);
-                } else {
-                    // Custom fields
-                    const entry = ensureEntry(entriesMap, dateId, YEAR, month, d, schema);
-
-                    if (field.type === 'velocity' && field.calculation) {
-                        const val = computeCalcField(field, entry, sectionName, schema);
-                        const span = document.createElement('span');
-                        span.className = 'calculated-value';
-                        span.textContent = val !== null ? val.toFixed(1) : '';
-                        td.appendChild(span);
-                    } else {
-                        const fieldType = getFieldType(field.type);
-                        const value = entry.fields?.[sectionName]?.[field.name] ?? null;
-                        const input = fieldType.createGridInput(field, value, async (newVal) => {
-                            if (!entry.fields) entry.fields = {};
-                            if (!entry.fields[sectionName]) entry.fields[sectionName] = {};
-                            entry.fields[sectionName][field.name] = newVal;
-                            onEntryChange(entry);
-                            // Recalculate velocity fields
-                            updateRowCalcFields(row.parentElement, entry, sectionName, schema);
-                        });
-                        td.appendChild(input);
-                    }
-                }
-
+                td.dataset.day = d;
+                td.dataset.section = sectionName;
+                td.dataset.field = field.name;
+                fillCell(td, ctx, sectionName, field, d);
                 row.appendChild(td);
             }
             tbody.appendChild(row);
@@ -176,52 +144,174 @@ export function renderDataGrid(container, schema, month, daysInMonth, entriesMap
     table.appendChild(tbody);
     tableWrapper.appendChild(table);
     container.appendChild(tableWrapper);
-}
 
-// ============ HELPERS ============
+    // Rebuild cells (except one being edited) after their doc changed in place
+    const refreshCells = (cells) => {
+        for (const td of cells) {
+            if (td.contains(document.activeElement)) continue;
+            const field = getFields(schema, td.dataset.section).find(f => f.name === td.dataset.field);
+            td.innerHTML = '';
+            if (field) fillCell(td, ctx, td.dataset.section, field, parseInt(td.dataset.day));
+        }
+    };
+
+    const dayCells = (day) => [...table.querySelectorAll(`td[data-day="${day}"]`)];
+    ctx.refreshDailyGoals = (day) => refreshCells(dayCells(day).filter(td => td.dataset.section === 'Daily Goals'));
+
+    return {
+        /**
+         * Show a day's latest entry (null if it was deleted)
+         */
+        updateEntry(dateId, doc) {
+            const day = parseInt(dateId.slice(8));
+            const entry = ensureEntry(ctx, day);
+            // Replace contents rather than the object: open inputs' handlers hold it
+            replaceContents(entry, doc || createEmptyEntry(dateId, year, month, day, schema));
+            refreshCells(dayCells(day).filter(td => td.dataset.section !== 'Monthly Goals'));
+        },
+
+        /**
+         * Show the month's latest monthly goals doc
+         */
+        updateMonthlyGoals(doc) {
+            if (!doc) return;
+            if (ctx.monthlyGoalDoc) replaceContents(ctx.monthlyGoalDoc, doc);
+            else ctx.monthlyGoalDoc = doc;
+            refreshCells(table.querySelectorAll('td[data-section="Monthly Goals"]'));
+        },
+    };
+}
 
-function ensureEntry(entriesMap, dateId, year, month, day, schema) {
-    if (!entriesMap[dateId]) {
-        entriesMap[dateId] = {
-            _id: dateId,
-            year: year,
-            month: month,
-            day: day,
-            weekday: new Date(year, month - 1, day).getDay(),
-            dailyGoals: createEmptyDailyGoals(schema),
-            fields: createEmptyFields(schema),
-            dailyGoalCompletion: 0,
-        };
+/**
+ * Fill one field/day cell with its input (or calculated value)
+ */
+function fillCell(td, ctx, sectionName, field, d) {
+    const { schema, year, month, daysInMonth } = ctx;
+
+    if (sectionName === 'Monthly Goals') {
+        // Monthly goals: only show for last day
+        if (d === daysInMonth) {
+            const value = ctx.monthlyGoalDoc?.goals?.[field.name] || false;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = value;
+            checkbox.addEventListener('change', async () => {
+                // A cleared (or never saved) month starts a fresh doc
+                ctx.monthlyGoalDoc ??= {
+                    _id: toMonthId(year, month),
+                    year,
+                    month,
+                    goals: createEmptyMonthlyGoals(schema),
+                    completionRate: 0,
+                };
+                const monthlyGoalDoc = ctx.monthlyGoalDoc;
+                if (!monthlyGoalDoc.goals) monthlyGoalDoc.goals = {};
+                monthlyGoalDoc.goals[field.name] = checkbox.checked;
+                monthlyGoalDoc.completionRate = computeMonthlyCompletion(monthlyGoalDoc.goals);
+                ctx.onMonthlyGoalChange(monthlyGoalDoc);
+            });
+            td.appendChild(checkbox);
+        }
+    } else if (sectionName === 'Daily Goals') {
+        const entry = ensureEntry(ctx, d);
+        const status = getDailyGoalStatus(field.name, entry, schema);
+        const rule = getAutoGoalRule(field.name, schema);
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !!status;
+        markAutoGoal(td, rule, status);
+        checkbox.addEventListener('change', async () => {
+            setDailyGoal(entry, field.name, checkbox.checked, schema);
+            entry.dailyGoalCompletion = computeDailyCompletion(entry.dailyGoals, schema, year, month, d, entry);
+            markAutoGoal(td, rule, getDailyGoalStatus(field.name, entry, schema));
+            ctx.onEntryChange(entry);
+        });
+        td.appendChild(checkbox);
+    } else {
+        // Custom fields
+        const entry = ensureEntry(ctx, d);
+
+        if (field.type === 'velocity' && field.calculation) {
+            const val = computeCalcField(field, entry, sectionName, schema);
+            const span = document.createElement('span');
+            span.className = 'calculated-value';
+            span.textContent = val !== null ? formatCalculated(val, field, 1) : '';
+            td.appendChild(span);
+        } else {
+            const fieldType = getFieldType(field.type);
+            const value = entry.fields?.[sectionName]?.[field.name] ?? null;
+            const prefilled = entry.prefilled?.[sectionName]?.[field.name];
+            td.classList.toggle('is-prefilled', !!prefilled);
+            td.title = prefilled ? (prefilled === 'carried' ? 'Carried forward' : 'Default value') : '';
+            const input = fieldType.createGridInput(field, value, async (newVal) => {
+                // Values breaking a rule are flagged and not saved; clearing a required field is
+                const error = getValidationError(newVal, field);
+                input.classList.toggle('is-invalid', !!error);
+                td.title = error || '';
+                if (error && !isEmptyValue(newVal)) return;
+
+                if (!entry.fields) entry.fields = {};
+                if (!entry.fields[sectionName]) entry.fields[sectionName] = {};
+                entry.fields[sectionName][field.name] = newVal;
+                clearPrefilled(entry, sectionName, field.name);
+                td.classList.remove('is-prefilled');
+                // autoFrom rules and counter targets complete (or uncomplete) goals
+                entry.dailyGoalCompletion = computeDailyCompletion(entry.dailyGoals, schema, year, month, d, entry);
+                ctx.refreshDailyGoals(d);
+                ctx.onEntryChange(entry);
+                // Recalculate velocity fields
+                updateRowCalcFields(td.parentElement?.parentElement, entry, sectionName, schema);
+            });
+            td.appendChild(input);
+        }
     }
-    return entriesMap[dateId];
 }
 
-function computeCalcField(field, entry, sectionName, schema) {
-    if (!field.calculation) return null;
+// ============ HELPERS ============
 
-    const sectionFields = entry?.fields?.[sectionName] || {};
-    const fieldDefs = schema[sectionName] || {};
-    const values = {};
+/**
+ * Mark a goal cell that its rule (see getAutoGoalRule) completed
+ */
+function markAutoGoal(td, rule, status) {
+    td.classList.toggle('auto-goal', status === 'auto');
+    td.title = status === 'auto' ? `Done automatically: ${describeAutoGoal(rule)}` : '';
+}
 
-    // Initialize ALL fields defined in the schema to null first
-    for (const fname of Object.keys(fieldDefs)) {
-        values[fname] = null;
+function ensureEntry(ctx, day) {
+    const { entriesMap, year, month, schema } = ctx;
+    const dateId = toDateId(year, month, day);
+    if (!entriesMap[dateId]) {
+        const entry = createEmptyEntry(dateId, year, month, day, schema);
+        // Pre-filled values stay unsaved until the day is edited
+        prefillFields(entry, schema, findPreviousEntry(ctx, day));
+        entriesMap[dateId] = entry;
     }
+    return entriesMap[dateId];
+}
 
-    // Overwrite with actual values
-    for (const [fname, fval] of Object.entries(sectionFields)) {
-        if (fval !== null && fval !== undefined && fval !== '') {
-            const fdef = fieldDefs[fname];
-            if (fdef?.type === 'time') {
-                const ft = getFieldType('time');
-                values[fname] = ft.toNumber(fval);
-            } else {
-                values[fname] = parseFloat(fval);
-            }
-        }
+/**
+ * The latest entry before a day: an earlier day of the month, else the
+ * entry before the month
+ */
+function findPreviousEntry(ctx, day) {
+    for (let d = day - 1; d >= 1; d--) {
+        const entry = ctx.entriesMap[toDateId(ctx.year, ctx.month, d)];
+        if (entry) return entry;
     }
+    return ctx.previousEntry;
+}
 
-    return evaluate(field.calculation, values);
+function createEmptyEntry(dateId, year, month, day, schema) {
+    return {
+        _id: dateId,
+        year: year,
+        month: month,
+        day: day,
+        weekday: new Date(year, month - 1, day).getDay(),
+        dailyGoals: createEmptyDailyGoals(schema),
+        fields: createEmptyFields(schema),
+        dailyGoalCompletion: 0,
+    };
 }
 
 function updateRowCalcFields(tbody, entry, sectionName, schema) {
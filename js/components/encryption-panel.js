@@ -0,0 +1,251 @@
+/**
+ * Encryption Panel — End-to-end encryption setup on the setup screen
+ *
+ * Three states:
+ *   off      - choose a passphrase; the recovery code is shown once
+ *   locked   - encryption is on (set up on another device); unlock with the
+ *              passphrase, or with the recovery code plus a new passphrase
+ *   unlocked - change the passphrase or forget the key on this device
+ */
+
+import { saveDeviceKey, clearDeviceKey } from '../db/encryption.js';
+import { showToast } from '../utils/ui-helpers.js';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+export async function renderEncryptionPanel(container, state) {
+    const engine = state.syncEngine;
+    const keyDoc = await engine.fetchKeyDoc();
+
+    container.innerHTML = `
+        <div class="card setup-card encryption-panel">
+            <div class="setup-title">End-to-End Encryption</div>
+            <p class="setup-subtitle">
+                Entries and monthly goals are encrypted on this device before they are synced.
+                Only dates stay readable to the server.
+            </p>
+            <div id="encryption-status"></div>
+            <div id="encryption-body"></div>
+        </div>
+    `;
+
+    const body = document.getElementById('encryption-body');
+    if (!keyDoc) renderOff(body, state);
+    else if (engine.encryptionKey) renderUnlocked(body, state);
+    else renderLocked(body, state);
+}
+
+// ============ STATES ============
+
+function renderOff(body, state) {
+    body.innerHTML = `
+        <div class="form-group">
+            <label class="form-label" for="encryption-passphrase">Passphrase</label>
+            <input type="password" class="form-input" id="encryption-passphrase" autocomplete="new-password">
+        </div>
+        <div class="form-group">
+            <label class="form-label" for="encryption-confirm">Confirm passphrase</label>
+            <input type="password" class="form-input" id="encryption-confirm" autocomplete="new-password">
+        </div>
+        <p class="setup-hint">
+            You will need this passphrase on every other device. Existing synced data is re-uploaded encrypted.
+        </p>
+        <button class="btn btn-primary" id="encryption-enable">Enable Encryption</button>
+    `;
+
+    document.getElementById('encryption-enable').addEventListener('click', async (e) => {
+        const passphrase = readNewPassphrase('encryption-passphrase', 'encryption-confirm');
+        if (!passphrase) return;
+
+        e.target.disabled = true;
+        setStatus('Encrypting... this can take a moment.', 'info');
+        try {
+            const { key, recoveryCode } = await state.syncEngine.enableEncryption(passphrase);
+            await saveDeviceKey(key);
+            setStatus('');
+            renderRecoveryCode(body, state, recoveryCode);
+            state.syncEngine.pushPending();
+        } catch (err) {
+            console.error('Enabling encryption failed:', err);
+            setStatus(`Could not enable encryption: ${err.message}`, 'error');
+            e.target.disabled = false;
+        }
+    });
+}
+
+/**
+ * Shown once, right after encryption is enabled
+ */
+function renderRecoveryCode(body, state, recoveryCode) {
+    body.innerHTML = `
+        <p class="setup-hint">
+            <strong>Save this recovery code somewhere safe.</strong> It unlocks your data if you forget
+            the passphrase. It is not stored anywhere and will not be shown again.
+        </p>
+        <div class="encryption-recovery-code" id="encryption-recovery-code"></div>
+        <div class="setup-actions">
+            <button class="btn btn-secondary" id="encryption-copy">Copy</button>
+            <button class="btn btn-primary" id="encryption-saved">I've saved it</button>
+        </div>
+    `;
+    document.getElementById('encryption-recovery-code').textContent = recoveryCode;
+
+    document.getElementById('encryption-copy').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(recoveryCode);
+            showToast('Recovery code copied', 'success');
+        } catch {
+            showToast('Copy failed: select the code and copy it manually', 'error');
+        }
+    });
+    document.getElementById('encryption-saved').addEventListener('click', () => {
+        renderUnlocked(body, state);
+    });
+}
+
+function renderLocked(body, state) {
+    body.innerHTML = `
+        <p class="setup-hint">Encryption was turned on from another device. Unlock this device to sync.</p>
+
+        <div data-unlock-mode="passphrase">
+            <div class="form-group">
+                <label class="form-label" for="encryption-unlock-passphrase">Passphrase</label>
+                <input type="password" class="form-input" id="encryption-unlock-passphrase" autocomplete="current-password">
+            </div>
+            <div class="setup-actions">
+                <button class="btn btn-outline" id="encryption-use-recovery">Forgot passphrase?</button>
+                <button class="btn btn-primary" id="encryption-unlock">Unlock</button>
+            </div>
+        </div>
+
+        <div data-unlock-mode="recovery" style="display:none">
+            <div class="form-group">
+                <label class="form-label" for="encryption-recovery-input">Recovery code</label>
+                <input type="text" class="form-input" id="encryption-recovery-input" autocomplete="off" placeholder="XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX-XXXX">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="encryption-new-passphrase">New passphrase</label>
+                <input type="password" class="form-input" id="encryption-new-passphrase" autocomplete="new-password">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="encryption-new-confirm">Confirm new passphrase</label>
+                <input type="password" class="form-input" id="encryption-new-confirm" autocomplete="new-password">
+            </div>
+            <p class="setup-hint">Without the passphrase or the recovery code, synced data cannot be decrypted.</p>
+            <button class="btn btn-primary" id="encryption-recover">Recover & Set Passphrase</button>
+        </div>
+    `;
+
+    document.getElementById('encryption-use-recovery').addEventListener('click', () => {
+        body.querySelectorAll('[data-unlock-mode]').forEach(el => {
+            el.style.display = el.dataset.unlockMode === 'recovery' ? '' : 'none';
+        });
+        setStatus('');
+    });
+
+    document.getElementById('encryption-unlock').addEventListener('click', async (e) => {
+        const passphrase = document.getElementById('encryption-unlock-passphrase').value;
+        if (!passphrase) return;
+        e.target.disabled = true;
+        try {
+            await unlock(state, passphrase, false);
+            renderUnlocked(body, state);
+        } catch (err) {
+            setStatus(err.message, 'error');
+            e.target.disabled = false;
+        }
+    });
+
+    document.getElementById('encryption-recover').addEventListener('click', async (e) => {
+        const code = document.getElementById('encryption-recovery-input').value;
+        const passphrase = readNewPassphrase('encryption-new-passphrase', 'encryption-new-confirm');
+        if (!code || !passphrase) return;
+        e.target.disabled = true;
+        try {
+            await unlock(state, code, true);
+            await state.syncEngine.changeEncryptionPassphrase(passphrase);
+            showToast('Passphrase changed', 'success');
+            renderUnlocked(body, state);
+        } catch (err) {
+            setStatus(err.message, 'error');
+            e.target.disabled = false;
+        }
+    });
+}
+
+function renderUnlocked(body, state) {
+    setStatus('✓ Encryption is on and this device is unlocked.', 'success');
+    body.innerHTML = `
+        <div class="form-group">
+            <label class="form-label" for="encryption-change-passphrase">New passphrase</label>
+            <input type="password" class="form-input" id="encryption-change-passphrase" autocomplete="new-password">
+        </div>
+        <div class="form-group">
+            <label class="form-label" for="encryption-change-confirm">Confirm new passphrase</label>
+            <input type="password" class="form-input" id="encryption-change-confirm" autocomplete="new-password">
+        </div>
+        <div class="setup-actions">
+            <button class="btn btn-outline" id="encryption-forget">Forget Key on This Device</button>
+            <button class="btn btn-secondary" id="encryption-change">Change Passphrase</button>
+        </div>
+    `;
+
+    document.getElementById('encryption-change').addEventListener('click', async (e) => {
+        const passphrase = readNewPassphrase('encryption-change-passphrase', 'encryption-change-confirm');
+        if (!passphrase) return;
+        e.target.disabled = true;
+        try {
+            await state.syncEngine.changeEncryptionPassphrase(passphrase);
+            showToast('Passphrase changed', 'success');
+            renderUnlocked(body, state);
+        } catch (err) {
+            setStatus(`Could not change the passphrase: ${err.message}`, 'error');
+            e.target.disabled = false;
+        }
+    });
+
+    document.getElementById('encryption-forget').addEventListener('click', () => {
+        if (!confirm('Forget the encryption key on this device? Sync stops until you unlock it again.')) return;
+        clearDeviceKey();
+        state.syncEngine.setEncryptionKey(null);
+        setStatus('');
+        renderLocked(body, state);
+    });
+}
+
+// ============ HELPERS ============
+
+async function unlock(state, secret, useRecoveryCode) {
+    const key = await state.syncEngine.unlockEncryption(secret, useRecoveryCode);
+    await saveDeviceKey(key);
+    showToast('Device unlocked', 'success');
+    state.syncEngine.fullSync(state.year);
+}
+
+/**
+ * Read and check a new passphrase + confirmation pair (null if invalid)
+ */
+function readNewPassphrase(inputId, confirmId) {
+    const passphrase = document.getElementById(inputId).value;
+    const confirmation = document.getElementById(confirmId).value;
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setStatus(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`, 'error');
+        return null;
+    }
+    if (passphrase !== confirmation) {
+        setStatus('Passphrases do not match', 'error');
+        return null;
+    }
+    return passphrase;
+}
+
+function setStatus(message, type = 'info') {
+    const el = document.getElementById('encryption-status');
+    if (!el) return;
+    el.innerHTML = '';
+    if (!message) return;
+    const status = document.createElement('div');
+    status.className = `setup-status ${type}`;
+    status.textContent = message;
+    el.appendChild(status);
+}
@@ -1,8 +1,34 @@
 /**
- * Goal Manager — Handles daily and monthly goal checkbox logic
+ * Goal Manager — Handles daily and monthly goal checkbox logic, and the
+ * blank (or pre-filled) values of new entries
+ *
+ * A daily goal may complete itself from logged data with an `autoFrom` rule:
+ *   { "autoFrom": "Daily Log.Running Distance", "op": ">=", "value": 5 }
+ * A counter field linked to the goal (`goal`, `target`) acts as the rule
+ * "Section.Counter >= target" (see getAutoGoalRule).
+ * Ticking it by hand still counts; unticking it while the rule is met records
+ * an override in `entry.goalOverrides` ('off', or null once cleared; see setDailyGoal).
  */
 
 import { isFieldScheduledForDate } from '../utils/schedule-utils.js';
+import { toDateId } from '../utils/date-utils.js';
+import { computeCalcField } from '../utils/calc-engine.js';
+import { getFieldType, isEmptyValue } from '../schema/field-types.js';
+
+const AUTO_GOAL_COMPARE = {
+    '>=': (a, b) => a >= b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '<': (a, b) => a < b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+};
+
+// goalOverrides value for a goal unticked by hand while its rule is met
+const GOAL_OFF = 'off';
+
+/** Comparison operators an `autoFrom` rule may use */
+export const AUTO_GOAL_OPERATORS = Object.keys(AUTO_GOAL_COMPARE);
 
 /**
  * Compute the daily goal completion rate (0.0 - 1.0)
@@ -12,9 +38,10 @@ import { isFieldScheduledForDate } from '../utils/schedule-utils.js';
  * @param {number} year
  * @param {number} month - 1-indexed
  * @param {number} day
+ * @param {Object} [entry] - The day's entry, for goals completed from its data
  * @returns {number} Completion rate from 0 to 1
  */
-export function computeDailyCompletion(dailyGoals, schema, year, month, day) {
+export function computeDailyCompletion(dailyGoals, schema, year, month, day, entry = null) {
     const dailyGoalsDef = schema['Daily Goals'];
     if (!dailyGoalsDef) return 0;
 
@@ -26,7 +53,7 @@ export function computeDailyCompletion(dailyGoals, schema, year, month, day) {
             continue;
         }
         totalGoals++;
-        if (dailyGoals && dailyGoals[goalName] === true) {
+        if (getDailyGoalStatus(goalName, { ...entry, dailyGoals }, schema)) {
             checked++;
         }
     }
@@ -34,6 +61,100 @@ export function computeDailyCompletion(dailyGoals, schema, year, month, day) {
     return totalGoals > 0 ? checked / totalGoals : 0;
 }
 
+/**
+ * How a daily goal is done on an entry: 'manual' (ticked), 'auto' (its
+ * autoFrom rule is met and it was not unticked by hand) or null (not done)
+ */
+export function getDailyGoalStatus(goalName, entry, schema) {
+    if (entry?.dailyGoals?.[goalName] === true) return 'manual';
+    if (entry?.goalOverrides?.[goalName] === GOAL_OFF) return null;
+    return isAutoGoalMet(getAutoGoalRule(goalName, schema), entry, schema) ? 'auto' : null;
+}
+
+/**
+ * Tick or untick a daily goal by hand. Unticking a goal whose rule is met
+ * overrides the rule for that day; ticking it again clears the override.
+ */
+export function setDailyGoal(entry, goalName, checked, schema) {
+    if (!entry.dailyGoals) entry.dailyGoals = {};
+    entry.dailyGoals[goalName] = checked;
+
+    // Overrides are cleared to null, not deleted, so the clear syncs (see field-merge.js)
+    if (!checked && isAutoGoalMet(getAutoGoalRule(goalName, schema), entry, schema)) {
+        if (!entry.goalOverrides) entry.goalOverrides = {};
+        entry.goalOverrides[goalName] = GOAL_OFF;
+    } else if (entry.goalOverrides?.[goalName]) {
+        entry.goalOverrides[goalName] = null;
+    }
+}
+
+/**
+ * The rule completing a daily goal from logged data: its own `autoFrom`
+ * rule, else the target of a counter field linked to it, or null
+ */
+export function getAutoGoalRule(goalName, schema) {
+    const goalDef = schema['Daily Goals']?.[goalName];
+    if (!goalDef) return null;
+    if (goalDef.autoFrom) return goalDef;
+
+    for (const [sectionName, section] of Object.entries(schema)) {
+        if (sectionName === 'Daily Goals' || sectionName === 'Monthly Goals') continue;
+        for (const [fieldName, fieldDef] of Object.entries(section)) {
+            if (fieldDef.type === 'counter' && fieldDef.goal === goalName && fieldDef.target) {
+                return { autoFrom: `${sectionName}.${fieldName}`, op: '>=', value: fieldDef.target };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether an entry's data meets a goal's `autoFrom` rule. Values compare in
+ * calculation units (minutes for times and durations); a string `value` is
+ * read like field input instead (e.g. "05:30", "45:00").
+ */
+export function isAutoGoalMet(goalDef, entry, schema) {
+    const compare = AUTO_GOAL_COMPARE[goalDef?.op];
+    const source = goalDef?.autoFrom ? resolveFieldPath(schema, goalDef.autoFrom) : null;
+    if (!compare || !source) return false;
+
+    const fieldType = getFieldType(source.fieldDef.type);
+    const actual = source.fieldDef.type === 'velocity'
+        ? computeCalcField(source.fieldDef, entry, source.section, schema)
+        : fieldType.toNumber(entry?.fields?.[source.section]?.[source.field] ?? null);
+    const target = typeof goalDef.value === 'number'
+        ? goalDef.value
+        : fieldType.toNumber(fieldType.parseValue(goalDef.value, source.fieldDef));
+
+    if (typeof actual !== 'number' || !isFinite(actual) || typeof target !== 'number' || !isFinite(target)) return false;
+    return compare(actual, target);
+}
+
+/**
+ * Find the data field a "Section.Field" path names (either name may itself
+ * contain dots)
+ * @returns {{ section, field, fieldDef }|null}
+ */
+export function resolveFieldPath(schema, path) {
+    if (typeof path !== 'string') return null;
+    for (let i = path.indexOf('.'); i !== -1; i = path.indexOf('.', i + 1)) {
+        const section = path.slice(0, i);
+        const field = path.slice(i + 1);
+        if (section === 'Daily Goals' || section === 'Monthly Goals') continue;
+        const fieldDef = schema[section]?.[field];
+        if (fieldDef) return { section, field, fieldDef };
+    }
+    return null;
+}
+
+/**
+ * Readable form of a goal's rule, e.g. "Daily Log.Running Distance ≥ 5"
+ */
+export function describeAutoGoal(goalDef) {
+    const symbols = { '>=': '\u2265', '<=': '\u2264', '!=': '\u2260', '==': '=' };
+    return `${goalDef.autoFrom} ${symbols[goalDef.op] || goalDef.op} ${goalDef.value}`;
+}
+
 /**
  * Compute the monthly goal completion rate (0.0 - 1.0)
  * @param {Object} goals - { "goal name": true/false, ... }
@@ -94,3 +215,54 @@ export function createEmptyFields(schema) {
     }
     return fields;
 }
+
+/**
+ * Pre-fill a new entry's fields: fields with `carryForward` take the value
+ * from the previous entry, otherwise fields with a `default` take that.
+ * Filled fields are marked in `entry.prefilled` ('carried' or 'default')
+ * until edited (see clearPrefilled). Unscheduled fields are left empty, and
+ * days after today are not pre-filled at all. The completion rate is
+ * refreshed, since carried values can meet autoFrom rules.
+ * @param {Object} entry - A new entry (from createEmptyFields)
+ * @param {Object} schema
+ * @param {Object|null} previous - The most recent earlier entry
+ * @param {Date} [today]
+ * @returns {Object} entry
+ */
+export function prefillFields(entry, schema, previous, today = new Date()) {
+    if (toDateId(entry.year, entry.month, entry.day) > toDateId(today.getFullYear(), today.getMonth() + 1, today.getDate())) {
+        return entry;
+    }
+
+    for (const [sectionName, section] of Object.entries(schema)) {
+        if (sectionName === 'Daily Goals' || sectionName === 'Monthly Goals') continue;
+        for (const [fieldName, fieldDef] of Object.entries(section)) {
+            if (fieldDef.type === 'velocity') continue;
+            if (!isFieldScheduledForDate(fieldDef.schedule, entry.year, entry.month, entry.day)) continue;
+
+            const carried = fieldDef.carryForward ? previous?.fields?.[sectionName]?.[fieldName] : null;
+            const source = !isEmptyValue(carried) ? 'carried' :
+                (fieldDef.default !== undefined && fieldDef.default !== null ? 'default' : null);
+            if (!source) continue;
+            const value = source === 'carried' ? carried : fieldDef.default;
+
+            if (!entry.fields[sectionName]) entry.fields[sectionName] = {};
+            entry.fields[sectionName][fieldName] = Array.isArray(value) ? [...value] : value;
+            if (!entry.prefilled) entry.prefilled = {};
+            if (!entry.prefilled[sectionName]) entry.prefilled[sectionName] = {};
+            entry.prefilled[sectionName][fieldName] = source;
+        }
+    }
+    entry.dailyGoalCompletion = computeDailyCompletion(entry.dailyGoals, schema, entry.year, entry.month, entry.day, entry);
+    return entry;
+}
+
+/**
+ * Forget that a field was pre-filled (it has been edited). The mark is
+ * nulled rather than deleted so the change syncs (see field-merge.js).
+ */
+export function clearPrefilled(entry, sectionName, fieldName) {
+    const section = entry.prefilled?.[sectionName];
+    if (!section?.[fieldName]) return;
+    section[fieldName] = null;
+}
@@ -0,0 +1,53 @@
+/**
+ * Group Board — Leaderboard and streak board for an accountability group
+ */
+
+import { rankLeaderboard, rankStreaks } from '../utils/group-utils.js';
+
+/**
+ * @param {HTMLElement} container
+ * @param {Array} memberStats - From computeMemberStats()
+ * @param {Object} settings - This member's group settings (their row is highlighted)
+ */
+export function renderGroupBoards(container, memberStats, settings) {
+    container.innerHTML = `
+        <div class="group-board-meta"></div>
+        <div class="group-boards">
+            <div class="group-board">
+                <div class="group-board-title">🏆 Leaderboard <span class="group-board-hint">last 7 days</span></div>
+                <table class="group-board-table" id="group-leaderboard">
+                    <thead><tr><th>#</th><th>Member</th><th>7 days</th><th>Year avg</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="group-board">
+                <div class="group-board-title">🔥 Streaks</div>
+                <table class="group-board-table" id="group-streaks">
+                    <thead><tr><th>#</th><th>Member</th><th>Current</th><th>Best</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        </div>
+    `;
+
+    container.querySelector('.group-board-meta').textContent =
+        `Group "${settings.groupId}" · ${memberStats.length} member${memberStats.length === 1 ? '' : 's'}`;
+
+    fillBoard(container.querySelector('#group-leaderboard tbody'), rankLeaderboard(memberStats), settings.memberId,
+        m => [`${Math.round(m.weekCompletion * 100)}%`, `${Math.round(m.avgCompletion * 100)}%`]);
+    fillBoard(container.querySelector('#group-streaks tbody'), rankStreaks(memberStats), settings.memberId,
+        m => [`${m.currentStreak}d`, `${m.bestStreak}d`]);
+}
+
+/**
+ * Append one row per member (names come from teammates, so text only)
+ */
+function fillBoard(tbody, ranked, memberId, values) {
+    ranked.forEach((member, i) => {
+        const row = tbody.insertRow();
+        if (member.memberId === memberId) row.className = 'is-me';
+        for (const text of [`${i + 1}`, member.displayName, ...values(member)]) {
+            row.insertCell().textContent = text;
+        }
+    });
+}
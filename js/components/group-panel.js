@@ -0,0 +1,150 @@
+/**
+ * Group Panel — Join or leave an accountability group on the setup screen
+ *
+ * Members of a group share the same group code, and either the same sync
+ * backend or a REST group server (kept on this device, see loadGroupServer).
+ * Each picks which Daily Goals to share; only their daily completion of
+ * those goals is published (see group-utils.js).
+ */
+
+import { loadSchema, getDailyGoals } from '../schema/schema-manager.js';
+import { toGroupId } from '../utils/group-utils.js';
+import { loadGroupServer, saveGroupServer } from '../db/remote-adapter.js';
+import { showToast } from '../utils/ui-helpers.js';
+
+export async function renderGroupPanel(container, state) {
+    const engine = state.syncEngine;
+    const [settings, schema] = await Promise.all([engine.fetchGroupSettings(), loadSchema()]);
+    const currentServer = loadGroupServer();
+    const goalNames = getDailyGoals(schema).map(g => g.name);
+
+    container.innerHTML = `
+        <div class="card setup-card group-panel">
+            <div class="setup-title">Accountability Group</div>
+            <p class="setup-subtitle">
+                Share how you are doing on chosen daily goals with teammates on the same backend,
+                or through a shared group server. The dashboard then shows a group leaderboard and streak board.
+            </p>
+            <div id="group-status"></div>
+            <div class="form-group">
+                <label class="form-label" for="group-server-url">Group server URL (optional)</label>
+                <input type="url" class="form-input" id="group-server-url" placeholder="https://example.com/group">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="group-server-token">Group server token (optional)</label>
+                <input type="password" class="form-input" id="group-server-token" autocomplete="off">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="group-code">Group code</label>
+                <input type="text" class="form-input" id="group-code" placeholder="e.g. morning-runners" autocomplete="off">
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="group-name">Your display name</label>
+                <input type="text" class="form-input" id="group-name" maxlength="40">
+            </div>
+            <div class="form-group">
+                <div class="form-label">Daily goals to share</div>
+                <div class="group-goal-list" id="group-goals"></div>
+            </div>
+            <p class="setup-hint">
+                Teammates see your daily completion of these goals, never your entries. Without a group
+                server, summaries go to your sync backend. Shared summaries are not end-to-end encrypted,
+                and anyone who can reach where they are stored can read or change them. The group server
+                token stays on this device.
+            </p>
+            <div class="setup-actions">
+                ${settings ? '<button class="btn btn-outline" id="group-leave">Leave Group</button>' : ''}
+                <button class="btn btn-primary" id="group-save">${settings ? 'Save' : 'Join Group'}</button>
+            </div>
+        </div>
+    `;
+
+    const serverUrlInput = document.getElementById('group-server-url');
+    const serverTokenInput = document.getElementById('group-server-token');
+    const codeInput = document.getElementById('group-code');
+    const nameInput = document.getElementById('group-name');
+    serverUrlInput.value = currentServer?.baseUrl || '';
+    serverTokenInput.value = currentServer?.token || '';
+    codeInput.value = settings?.groupId || '';
+    nameInput.value = settings?.displayName || '';
+
+    const goalList = document.getElementById('group-goals');
+    const shared = new Set(settings ? settings.goals : goalNames);
+    for (const name of goalNames) {
+        const label = document.createElement('label');
+        label.className = `series-item ${shared.has(name) ? 'selected' : ''}`;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = name;
+        checkbox.checked = shared.has(name);
+        checkbox.addEventListener('change', () => label.classList.toggle('selected', checkbox.checked));
+        label.append(checkbox, document.createTextNode(name));
+        goalList.appendChild(label);
+    }
+    if (goalNames.length === 0) goalList.textContent = 'Add Daily Goals in the schema first.';
+
+    document.getElementById('group-save').addEventListener('click', async (e) => {
+        const groupId = toGroupId(codeInput.value);
+        const displayName = nameInput.value.trim();
+        const goals = [...goalList.querySelectorAll('input:checked')].map(input => input.value);
+        const server = readServer(serverUrlInput, serverTokenInput);
+        if (server === undefined) return setStatus('Enter a valid http(s) group server URL', 'error');
+        if (!server && !engine.isConfigured()) return setStatus('Connect a sync backend or enter a group server', 'error');
+        if (!groupId) return setStatus('Enter a group code', 'error');
+        if (!displayName) return setStatus('Enter a display name', 'error');
+        if (goals.length === 0) return setStatus('Choose at least one goal to share', 'error');
+
+        e.target.disabled = true;
+        try {
+            // Rejoining under another code or server withdraws the old summaries first
+            const moved = settings && (settings.groupId !== groupId || currentServer?.baseUrl !== server?.baseUrl);
+            if (moved) await engine.leaveGroup();
+            saveGroupServer(server);
+            const memberId = settings?.memberId || crypto.randomUUID();
+            await engine.saveGroupSettings({ groupId, memberId, displayName, goals });
+            showToast(settings ? 'Group settings saved' : `Joined "${groupId}"`, 'success');
+            renderGroupPanel(container, state);
+        } catch (err) {
+            console.error('Saving group settings failed:', err);
+            setStatus(`Could not save: ${err.message}`, 'error');
+            e.target.disabled = false;
+        }
+    });
+
+    document.getElementById('group-leave')?.addEventListener('click', async (e) => {
+        if (!confirm('Leave the group? Your shared summaries are removed for everyone.')) return;
+        e.target.disabled = true;
+        try {
+            await engine.leaveGroup();
+            saveGroupServer(null);
+            showToast('Left the group', 'success');
+            renderGroupPanel(container, state);
+        } catch (err) {
+            console.error('Leaving the group failed:', err);
+            setStatus(`Could not leave the group: ${err.message}`, 'error');
+            e.target.disabled = false;
+        }
+    });
+}
+
+/**
+ * The group server typed in: null when left blank, undefined when the URL is invalid
+ */
+function readServer(urlInput, tokenInput) {
+    const baseUrl = urlInput.value.trim();
+    const token = tokenInput.value.trim();
+    if (!baseUrl) return null;
+    if (!/^https?:\/\/\S+$/i.test(baseUrl)) return undefined;
+    return token ? { baseUrl, token } : { baseUrl };
+}
+
+function setStatus(message, type = 'info') {
+    const el = document.getElementById('group-status');
+    if (!el) return;
+    el.innerHTML = '';
+    if (!message) return;
+    const status = document.createElement('div');
+    status.className = `setup-status ${type}`;
+    status.textContent = message;
+    el.appendChild(status);
+}
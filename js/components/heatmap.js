@@ -2,16 +2,41 @@
  * Heatmap Components — with color legend
  *
  * 1. Daily Consistency Heatmap (GitHub-style green, 53x7 grid)
+ *    — or the same grid coloured by the value of a scale field
  * 2. Monthly Goals Heatmap (red gradient, 12 boxes)
  */
 
-import { YEAR, MONTHS, COLORS } from '../config.js';
-import { getDaysInMonth, toDateId, getHeatmapPosition, formatDateLong } from '../utils/date-utils.js';
+import { MONTHS, COLORS } from '../config.js';
+import { getDaysInMonth, toDateId, toMonthId, getHeatmapPosition, formatDateLong } from '../utils/date-utils.js';
+import { getFieldType, scaleFraction } from '../schema/field-types.js';
 
 /**
- * Render the daily consistency heatmap (GitHub-style) with legend
+ * What a daily heatmap colours by: value(entry) gives 0–1 (null = no data),
+ * describe(entry, value) the tooltip text
  */
-export function renderDailyHeatmap(container, allEntries) {
+const COMPLETION_METRIC = {
+    colors: COLORS.greenHeatmap,
+    value: (entry) => entry ? (entry.dailyGoalCompletion ?? 0) : 0,
+    describe: (entry, value) => `${Math.round(value * 100)}%`,
+};
+
+/**
+ * Heatmap metric for a scale field ({ name, section, ...fieldDef })
+ */
+export function scaleMetric(field) {
+    const raw = (entry) => entry?.fields?.[field.section]?.[field.name] ?? null;
+    return {
+        colors: COLORS.scaleHeatmap,
+        value: (entry) => scaleFraction(getFieldType('scale').toNumber(raw(entry)), field),
+        describe: (entry) => getFieldType('scale').formatDisplay(raw(entry), field) || 'no entry',
+    };
+}
+
+/**
+ * Render the daily consistency heatmap (GitHub-style) with legend.
+ * Pass a metric (see scaleMetric) to colour by something else.
+ */
+export function renderDailyHeatmap(container, allEntries, year, metric = COMPLETION_METRIC) {
     container.innerHTML = '';
 
     // Build entries map
@@ -52,7 +77,7 @@ export function renderDailyHeatmap(container, allEntries) {
 
     let lastCol = -1;
     for (let m = 0; m < 12; m++) {
-        const pos = getHeatmapPosition(YEAR, m + 1, 1);
+        const pos = getHeatmapPosition(year, m + 1, 1);
         if (pos.col > lastCol) {
             const label = document.createElement('span');
             label.textContent = MONTHS[m];
@@ -75,17 +100,17 @@ export function renderDailyHeatmap(container, allEntries) {
 
     // Fill in actual days
     for (let m = 1; m <= 12; m++) {
-        const dim = getDaysInMonth(YEAR, m);
+        const dim = getDaysInMonth(year, m);
         for (let d = 1; d <= dim; d++) {
-            const pos = getHeatmapPosition(YEAR, m, d);
+            const pos = getHeatmapPosition(year, m, d);
             if (pos.col < 53) {
-                const dateId = toDateId(YEAR, m, d);
+                const dateId = toDateId(year, m, d);
                 const entry = entriesMap[dateId];
-                // Fallback to top-level property for legacy data structure (check for truthy value if nested is missing)
-                const completion = entry ? (entry.dailyGoalCompletion ?? 0) : 0;
+                const value = metric.value(entry);
                 cells[pos.col][pos.row] = {
-                    completion,
-                    date: formatDateLong(YEAR, m, d),
+                    value,
+                    label: metric.describe(entry, value),
+                    date: formatDateLong(year, m, d),
                     dateId
                 };
             }
@@ -107,16 +132,14 @@ export function renderDailyHeatmap(container, allEntries) {
                     cell.classList.add('is-today');
                 }
 
-                const color = interpolateColor(
-                    data.completion,
-                    COLORS.greenHeatmap.min,
-                    COLORS.greenHeatmap.mid,
-                    COLORS.greenHeatmap.max
+                const color = data.value === null ? COLORS.greenHeatmap.min : interpolateColor(
+                    data.value,
+                    metric.colors.min,
+                    metric.colors.mid,
+                    metric.colors.max
                 );
                 cell.style.backgroundColor = color;
-
-                const pct = Math.round(data.completion * 100);
-                cell.dataset.tooltip = `${data.date}: ${pct}%`;
+                cell.dataset.tooltip = `${data.date}: ${data.label}`;
             } else {
                 cell.style.backgroundColor = '#ebedf0';
                 cell.style.opacity = '0.3';
@@ -133,7 +156,7 @@ export function renderDailyHeatmap(container, allEntries) {
 /**
  * Render the monthly goals heatmap (red gradient, 12 boxes)
  */
-export function renderMonthlyHeatmap(container, monthlyGoalDocs) {
+export function renderMonthlyHeatmap(container, monthlyGoalDocs, year) {
     container.innerHTML = '';
 
     const grid = document.createElement('div');
@@ -146,7 +169,7 @@ export function renderMonthlyHeatmap(container, monthlyGoalDocs) {
     }
 
     for (let m = 1; m <= 12; m++) {
-        const monthId = `${YEAR}-${String(m).padStart(2, '0')}`;
+        const monthId = toMonthId(year, m);
         const doc = goalsMap[monthId];
         const completion = doc ? (doc.completionRate || 0) : 0;
         const pct = Math.round(completion * 100);
@@ -2,28 +2,41 @@
  * Navigation Bar Component — with SVG icons and animated active indicator
  */
 
-import { MONTHS, YEAR } from '../config.js';
+import { MONTHS } from '../config.js';
 import { isTestMode, enableTestMode, disableTestMode } from '../db/test-mode.js';
 import { clearAllData } from '../db/local-store.js';
+import { parseRoute, buildRoute, switchRouteYear } from '../utils/route-utils.js';
+import { navigateTo, showToast } from '../utils/ui-helpers.js';
+import { openSyncDiagnostics } from './sync-diagnostics.js';
+import { getProfiles, getActiveProfile, createProfile, switchProfile, profileKey } from '../db/profiles.js';
 
 const NAV_ICONS = {
     dashboard: `<svg class="nav-icon" viewBox="0 0 20 20" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="6" height="7" rx="1.5"/><rect x="11" y="3" width="6" height="4" rx="1.5"/><rect x="3" y="12" width="6" height="5" rx="1.5"/><rect x="11" y="9" width="6" height="8" rx="1.5"/></svg>`,
+    search: `<svg class="nav-icon" viewBox="0 0 20 20" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><circle cx="9" cy="9" r="5.5"/><line x1="13" y1="13" x2="17" y2="17"/></svg>`,
     monthly: `<svg class="nav-icon" viewBox="0 0 20 20" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="14" height="13" rx="2"/><line x1="3" y1="8" x2="17" y2="8"/><line x1="7" y1="4" x2="7" y2="2"/><line x1="13" y1="4" x2="13" y2="2"/></svg>`,
     entry: `<svg class="nav-icon" viewBox="0 0 20 20" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><path d="M12 3H5a2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V8"/><polyline points="9 11 12 14 17 5"/></svg>`,
     schema: `<svg class="nav-icon" viewBox="0 0 20 20" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linecap="round" stroke-linejoin="round"><circle cx="10" cy="10" r="3"/><path d="M10 3v2m0 10v2m-5-7H3m14 0h-2m-1.5-4.5 1.4-1.4m-9.8 9.8 1.4-1.4m0-7-1.4-1.4m9.8 9.8-1.4-1.4"/></svg>`,
 };
 
+const NEW_PROFILE_OPTION = '__new';
+
 export function renderNavBar(container, state) {
     const hash = window.location.hash || '#/dashboard';
-    const currentView = hash.replace('#/', '').split('/')[0];
-    const currentMonth = hash.replace('#/', '').split('/')[1] || '';
+    const { view: currentView, param: currentMonth } = parseRoute(hash);
+    const year = state.year;
     const testMode = isTestMode();
 
     container.innerHTML = `
         <div class="nav-overlay" id="nav-overlay"></div>
-        <span class="nav-brand">Habit Tracker ${YEAR}</span>
+        <span class="nav-brand">Habit Tracker</span>
+        ${currentView !== 'setup' ? `
+        <div class="nav-year-switcher" id="nav-year-switcher">
+            <button class="nav-year-btn" data-year="${year - 1}" title="Previous year" aria-label="Previous year">\u2039</button>
+            <span class="nav-year-label">${year}</span>
+            <button class="nav-year-btn" data-year="${year + 1}" title="Next year" aria-label="Next year">\u203A</button>
+        </div>` : ''}
         <div class="nav-links" id="nav-links">
-            <a href="#/dashboard" class="nav-link ${currentView === 'dashboard' ? 'active' : ''}">
+            <a href="${buildRoute(year, 'dashboard')}" class="nav-link ${currentView === 'dashboard' ? 'active' : ''}">
                 ${NAV_ICONS.dashboard}Dashboard
             </a>
             <div class="nav-dropdown" id="nav-monthly-dropdown">
@@ -32,18 +45,22 @@ export function renderNavBar(container, state) {
                 </a>
                 <div class="nav-dropdown-menu">
                     ${MONTHS.map(m =>
-        `<a href="#/month/${m.toLowerCase()}" class="nav-dropdown-item ${currentMonth === m.toLowerCase() ? 'active' : ''}">${m}</a>`
+        `<a href="${buildRoute(year, 'month', m.toLowerCase())}" class="nav-dropdown-item ${currentMonth === m.toLowerCase() ? 'active' : ''}">${m}</a>`
     ).join('')}
                 </div>
             </div>
-            <a href="#/entry" class="nav-link ${currentView === 'entry' ? 'active' : ''}">
+            <a href="${buildRoute(year, 'entry')}" class="nav-link ${currentView === 'entry' ? 'active' : ''}">
                 ${NAV_ICONS.entry}Daily Entry
             </a>
+            <a href="#/search" class="nav-link ${currentView === 'search' ? 'active' : ''}">
+                ${NAV_ICONS.search}Search
+            </a>
             <a href="#/schema" class="nav-link ${currentView === 'schema' ? 'active' : ''}">
                 ${NAV_ICONS.schema}Schema
             </a>
         </div>
         <div class="nav-controls">
+            <select class="nav-profile-select" id="nav-profile-select" title="Switch profile" aria-label="Profile"></select>
             <!--
             <button class="nav-test-toggle ${testMode ? 'active' : ''}" id="nav-test-toggle" title="${testMode ? 'Disable Test Mode' : 'Enable Test Mode'}">
                 🧪
@@ -52,7 +69,7 @@ export function renderNavBar(container, state) {
                 🗑️
             </button>
             -->
-            <div class="nav-sync-status" style="cursor:pointer" title="Click to configure connection">
+            <div class="nav-sync-status" style="cursor:pointer" title="${localStorage.getItem(profileKey('offlineMode')) === 'true' ? 'Click to configure connection' : 'Sync diagnostics'}">
                 <span class="sync-indicator ${getSyncClass(state)}"></span>
                 <span>${getSyncLabel(state)}</span>
             </div>
@@ -63,6 +80,15 @@ export function renderNavBar(container, state) {
     const navLinks = document.getElementById('nav-links');
     const navOverlay = document.getElementById('nav-overlay');
 
+    // Year switcher — keep the current view, move it to the chosen year
+    container.querySelectorAll('.nav-year-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            navigateTo(switchRouteYear(window.location.hash, parseInt(btn.dataset.year)));
+        });
+    });
+
+    renderProfileSwitcher(document.getElementById('nav-profile-select'));
+
     // Test Mode toggle event
     const testToggle = document.getElementById('nav-test-toggle');
     if (testToggle) {
@@ -80,7 +106,7 @@ export function renderNavBar(container, state) {
             try {
                 await clearAllData();
                 // Add a flag to skip initial sync/seed on reload
-                localStorage.setItem('freshStart', 'true');
+                localStorage.setItem(profileKey('freshStart'), 'true');
                 location.reload();
             } catch (err) {
                 console.error('Failed to clear data:', err);
@@ -140,16 +166,24 @@ export function renderNavBar(container, state) {
     // listener survives re-renders of the inner HTML.
     if (!container.dataset.listenerInitialized) {
         container.addEventListener('click', (e) => {
-            console.log
             if (!e.target.closest('.nav-sync-status')) return;
 
             // If we are already on the setup page, don't show the confirm dialog
             if (window.location.hash === '#/setup') return;
 
-            const isOffline = localStorage.getItem('offlineMode') === 'true';
-            const msg = isOffline ? 'Switch back to Online Mode?' : 'Configure connection settings?';
-            if (confirm(msg)) {
-                if (isOffline) localStorage.setItem('offlineMode', 'false');
+            const isOffline = localStorage.getItem(profileKey('offlineMode')) === 'true';
+            if (!isOffline) {
+                // Online: show sync activity and the pending queue (connection settings are linked from there).
+                // The log lists every merge, so the "merged" count has been seen.
+                openSyncDiagnostics(state);
+                if (state.syncEngine?.unseenConflicts > 0) {
+                    state.syncEngine.acknowledgeConflicts();
+                    renderNavBar(container, state);
+                }
+                return;
+            }
+            if (confirm('Switch back to Online Mode?')) {
+                localStorage.setItem(profileKey('offlineMode'), 'false');
                 window.location.hash = '#/setup';
             }
         });
@@ -157,10 +191,36 @@ export function renderNavBar(container, state) {
     }
 }
 
+/**
+ * Fill the profile dropdown; choosing another profile reloads into it
+ */
+function renderProfileSwitcher(select) {
+    const active = getActiveProfile();
+    for (const profile of getProfiles()) {
+        select.add(new Option(profile.name, profile.id, false, profile.id === active?.id));
+    }
+    select.add(new Option('+ New profile…', NEW_PROFILE_OPTION));
+
+    select.addEventListener('change', () => {
+        if (select.value !== NEW_PROFILE_OPTION) {
+            switchProfile(select.value);
+            return;
+        }
+        select.value = active?.id;
+        const name = prompt('Name of the new profile:');
+        if (name === null) return;
+        try {
+            switchProfile(createProfile(name).id);
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+    });
+}
+
 function getSyncClass(state) {
     if (window.location.hash === '#/setup') return 'offline';
     if (!state.syncEngine) return '';
-    const isOffline = localStorage.getItem('offlineMode') === 'true';
+    const isOffline = localStorage.getItem(profileKey('offlineMode')) === 'true';
     if (isOffline) return 'offline';
     switch (state.syncEngine.status) {
         case 'syncing': return 'syncing';
@@ -170,16 +230,24 @@ function getSyncClass(state) {
     }
 }
 
-function getSyncLabel(state) {
+/**
+ * Status text for the nav bar's sync indicator
+ */
+export function getSyncLabel(state) {
     const setupMode = window.location.hash === '#/setup';
     if (setupMode) return 'Setup';
     if (!state.syncEngine) return '';
-    const isOffline = localStorage.getItem('offlineMode') === 'true';
+    const isOffline = localStorage.getItem(profileKey('offlineMode')) === 'true';
     if (isOffline) return 'Offline';
     switch (state.syncEngine.status) {
         case 'syncing': return 'Syncing...';
         case 'error': return 'Sync Error';
         case 'offline': return 'Offline';
-        default: return state.syncEngine.isConfigured() ? 'Synced' : 'Local Only';
+        default: {
+            if (!state.syncEngine.isConfigured()) return 'Local Only';
+            // Report concurrent edits merged field by field until the user has seen them
+            const merged = state.syncEngine.unseenConflicts;
+            return merged > 0 ? `Synced · ${merged} merged` : 'Synced';
+        }
     }
 }
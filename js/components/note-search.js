@@ -0,0 +1,69 @@
+/**
+ * Note Search — Find a year's notes by text (shown on the dashboard)
+ */
+
+import { searchNotes } from '../utils/note-utils.js';
+import { parseDateId, formatDateLong } from '../utils/date-utils.js';
+import { buildRoute } from '../utils/route-utils.js';
+
+const MAX_RESULTS = 50;
+
+/**
+ * @param {HTMLElement} container
+ * @param {Object} schema
+ * @param {Function} getEntries - Returns the year's current entries
+ */
+export function renderNoteSearch(container, schema, getEntries) {
+    container.innerHTML = `
+        <input type="search" class="form-input note-search-input" placeholder="Search this year's notes…" aria-label="Search notes">
+        <div class="note-search-results"></div>
+    `;
+
+    const input = container.querySelector('.note-search-input');
+    const list = container.querySelector('.note-search-results');
+
+    input.addEventListener('input', () => {
+        list.innerHTML = '';
+        const query = input.value;
+        if (!query.trim()) return;
+
+        const results = searchNotes(getEntries(), schema, query);
+        if (results.length === 0) {
+            list.textContent = 'No notes match.';
+            return;
+        }
+
+        for (const result of results.slice(0, MAX_RESULTS)) {
+            list.appendChild(createResult(result));
+        }
+        if (results.length > MAX_RESULTS) {
+            const more = document.createElement('div');
+            more.className = 'note-search-more';
+            more.textContent = `${results.length - MAX_RESULTS} more — refine the search to see them`;
+            list.appendChild(more);
+        }
+    });
+}
+
+/**
+ * One result linking to its day (note text goes in as text nodes)
+ */
+function createResult({ dateId, field, snippet }) {
+    const { year, month, day } = parseDateId(dateId);
+    const link = document.createElement('a');
+    link.className = 'note-search-result';
+    link.href = buildRoute(null, 'entry', dateId);
+
+    const meta = document.createElement('div');
+    meta.className = 'note-search-meta';
+    meta.textContent = `${formatDateLong(year, month, day)} · ${field}`;
+
+    const text = document.createElement('div');
+    text.className = 'note-search-snippet';
+    const mark = document.createElement('mark');
+    mark.textContent = snippet.match;
+    text.append(snippet.before, mark, snippet.after);
+
+    link.append(meta, text);
+    return link;
+}
@@ -0,0 +1,58 @@
+/**
+ * Profile Picker — Startup screen for choosing whose tracker to open,
+ * shown when this browser has more than one profile
+ */
+
+import { getProfiles, createProfile, setActiveProfile } from '../db/profiles.js';
+
+/**
+ * Render the picker and wait for a choice
+ * @returns {Promise<Object>} The chosen (now active) profile
+ */
+export function pickProfile(container) {
+    container.innerHTML = `
+        <div class="setup-container">
+            <div class="card setup-card profile-picker">
+                <div class="setup-title">Who's tracking?</div>
+                <p class="setup-subtitle">Each profile keeps its own habits, schema and sync settings.</p>
+                <div class="profile-picker-list" id="profile-picker-list"></div>
+                <div class="setup-divider">or</div>
+                <div class="form-group">
+                    <label class="form-label" for="profile-picker-name">New profile</label>
+                    <input type="text" class="form-input" id="profile-picker-name" placeholder="Name" maxlength="40">
+                </div>
+                <div id="profile-picker-status"></div>
+                <button class="btn btn-secondary" style="width:100%" id="profile-picker-create">Create Profile</button>
+            </div>
+        </div>
+    `;
+
+    return new Promise(resolve => {
+        const choose = (profile) => {
+            setActiveProfile(profile.id);
+            resolve(profile);
+        };
+
+        const list = document.getElementById('profile-picker-list');
+        for (const profile of getProfiles()) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-primary profile-picker-btn';
+            btn.textContent = profile.name;
+            btn.addEventListener('click', () => choose(profile));
+            list.appendChild(btn);
+        }
+
+        document.getElementById('profile-picker-create').addEventListener('click', () => {
+            const statusEl = document.getElementById('profile-picker-status');
+            try {
+                choose(createProfile(document.getElementById('profile-picker-name').value));
+            } catch (err) {
+                statusEl.innerHTML = '';
+                const status = document.createElement('div');
+                status.className = 'setup-status error';
+                status.textContent = err.message;
+                statusEl.appendChild(status);
+            }
+        });
+    });
+}
@@ -0,0 +1,206 @@
+/**
+ * Sync Diagnostics Panel — Recent sync activity and pending queue items
+ *
+ * Opened from the nav bar's sync status. Lists the persistent sync log
+ * and every queued mutation, with per-item retry / discard actions.
+ */
+
+import { getSyncQueue, getSyncLog, clearSyncLog } from '../db/local-store.js';
+import { getQueueItemState } from '../db/push-queue.js';
+import { navigateTo, showToast } from '../utils/ui-helpers.js';
+
+const RUN_LABELS = {
+    pull: 'Pulled',
+    push: 'Pushed',
+    live: 'Received',
+};
+
+// What a run did to each doc it names (see logDoc in sync-engine.js)
+const DOC_ACTION_LABELS = {
+    pushed: 'Pushed',
+    deleted: 'Deleted',
+    pulled: 'Pulled',
+    merged: 'Merged',
+    removed: 'Removed',
+    skipped: 'Skipped',
+};
+
+const STATE_LABELS = {
+    pending: 'Pending',
+    waiting: 'Backing off',
+    parked: 'Parked',
+};
+
+export function openSyncDiagnostics(state) {
+    let modal = document.getElementById('sync-diagnostics-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'sync-diagnostics-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-card sync-diagnostics-card">
+                <div class="modal-header">
+                    <h3>Sync Diagnostics</h3>
+                    <button class="modal-close" id="sync-diagnostics-close">×</button>
+                </div>
+                <div class="modal-body" id="sync-diagnostics-body"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        document.getElementById('sync-diagnostics-close').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+    }
+
+    requestAnimationFrame(() => modal.classList.add('open'));
+    renderBody(state);
+}
+
+function closeModal() {
+    const modal = document.getElementById('sync-diagnostics-modal');
+    if (modal) {
+        modal.classList.remove('open');
+        setTimeout(() => modal.remove(), 300);
+    }
+}
+
+async function renderBody(state) {
+    const body = document.getElementById('sync-diagnostics-body');
+    if (!body) return;
+
+    const engine = state.syncEngine;
+    const [queue, log] = await Promise.all([getSyncQueue(), getSyncLog()]);
+    const now = Date.now();
+
+    body.innerHTML = `
+        <div class="sync-diag-summary">
+            <span>Status: <strong>${escapeHtml(engine.status)}</strong></span>
+            <span>${engine.isConfigured() ? 'Remote configured' : 'No remote configured'}</span>
+        </div>
+        <div class="sync-diag-actions">
+            <button class="btn btn-primary" id="sync-diag-sync" ${engine.isConfigured() ? '' : 'disabled'}>Sync now</button>
+            <button class="btn btn-secondary" id="sync-diag-setup">Connection settings</button>
+        </div>
+
+        <h4 class="sync-diag-heading">Pending changes (${queue.length})</h4>
+        ${queue.length === 0
+            ? '<p class="sync-diag-empty">Nothing waiting to be pushed.</p>'
+            : `<div class="sync-diag-list">${queue.map(item => renderQueueItem(item, now)).join('')}</div>`}
+
+        <div class="sync-diag-heading-row">
+            <h4 class="sync-diag-heading">Activity</h4>
+            ${log.length > 0 ? '<button class="btn btn-outline" id="sync-diag-clear-log">Clear log</button>' : ''}
+        </div>
+        ${log.length === 0
+            ? '<p class="sync-diag-empty">No sync activity recorded yet.</p>'
+            : `<div class="sync-diag-list">${log.map(renderLogRecord).join('')}</div>`}
+    `;
+
+    document.getElementById('sync-diag-sync').addEventListener('click', async () => {
+        await engine.fullSync(state.year);
+        renderBody(state);
+    });
+
+    document.getElementById('sync-diag-setup').addEventListener('click', () => {
+        closeModal();
+        navigateTo('#/setup');
+    });
+
+    const clearLogBtn = document.getElementById('sync-diag-clear-log');
+    if (clearLogBtn) {
+        clearLogBtn.addEventListener('click', async () => {
+            await clearSyncLog();
+            renderBody(state);
+        });
+    }
+
+    body.querySelectorAll('[data-retry-key]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            await engine.retryQueueItem(Number(btn.dataset.retryKey));
+            renderBody(state);
+        });
+    });
+
+    body.querySelectorAll('[data-discard-key]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (!confirm('Discard this change? It stays on this device but will not be synced.')) return;
+            await engine.discardQueueItem(Number(btn.dataset.discardKey));
+            showToast('Change discarded', 'info');
+            renderBody(state);
+        });
+    });
+}
+
+function renderQueueItem(item, now) {
+    const itemState = getQueueItemState(item, now);
+    const retryAt = itemState === 'waiting' ? ` · retry ${formatTime(item.nextAttemptAt)}` : '';
+    return `
+        <div class="sync-diag-item ${itemState}">
+            <div class="sync-diag-item-main">
+                <span class="sync-diag-doc">${escapeHtml(`${item.collection}/${item.docId}`)}</span>
+                <span class="sync-diag-meta">
+                    ${item.operation} · queued ${formatTime(item.createdAt)} · ${item.attempts || 0} attempt(s)
+                </span>
+                ${item.lastError ? `<span class="sync-diag-error">${escapeHtml(item.lastError)}</span>` : ''}
+            </div>
+            <span class="sync-diag-badge ${itemState}">${STATE_LABELS[itemState]}${retryAt}</span>
+            <div class="sync-diag-item-actions">
+                <button class="btn btn-outline" data-retry-key="${item.key}">Retry</button>
+                <button class="btn btn-outline" data-discard-key="${item.key}">Discard</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderLogRecord(record) {
+    const what = record.kind === 'discard'
+        ? `Discarded ${escapeHtml(record.detail || '')}`
+        : `${RUN_LABELS[record.kind] || record.kind} ${record.docs} doc(s)${record.year ? ` for ${record.year}` : ''}`;
+    const conflicts = record.conflicts > 0 ? ` · ${record.conflicts} merged` : '';
+    const errors = (record.errors || []).map(e =>
+        `<span class="sync-diag-error">${escapeHtml(e.doc ? `${e.doc}: ${e.message}` : e.message)}</span>`
+    ).join('');
+
+    return `
+        <div class="sync-diag-item ${record.status}">
+            <div class="sync-diag-item-main">
+                <span class="sync-diag-doc">${what}${conflicts}</span>
+                <span class="sync-diag-meta">${formatTime(record.startedAt)}</span>
+                ${renderTouchedDocs(record)}
+                ${errors}
+            </div>
+            <span class="sync-diag-badge ${record.status}">${record.status === 'error' ? 'Error' : 'OK'}</span>
+        </div>
+    `;
+}
+
+/**
+ * The docs a run touched, one line per action
+ */
+function renderTouchedDocs(record) {
+    const byAction = {};
+    for (const { doc, action } of record.touched || []) (byAction[action] ||= []).push(doc);
+    const lines = Object.entries(byAction).map(([action, docs]) =>
+        `<span class="sync-diag-docs">${escapeHtml(`${DOC_ACTION_LABELS[action] || action}: ${docs.join(', ')}`)}</span>`
+    );
+    if (record.moreTouched > 0) lines.push(`<span class="sync-diag-docs">…and ${record.moreTouched} more</span>`);
+    return lines.join('');
+}
+
+function formatTime(iso) {
+    if (!iso) return '—';
+    return new Date(iso).toLocaleString(undefined, {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -1,6 +1,8 @@
 // Global configuration — ported from the original Apps Script CONFIG
 
-export const YEAR = 2026;
+// Default active year — the current calendar year. The selected year is
+// carried by the route (e.g. #/2027/month/jan) and kept on app state.
+export const DEFAULT_YEAR = new Date().getFullYear();
 
 export const MONTHS = [
     'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
@@ -33,7 +35,9 @@ export const COLORS = {
 
     // Heatmaps — refined gradients
     greenHeatmap: { min: '#f0eeeb', mid: '#8ec4a0', max: '#2d7a47' },
-    redHeatmap: { min: '#faf0ee', mid: '#dfa090', max: '#993e34' }
+    redHeatmap: { min: '#faf0ee', mid: '#dfa090', max: '#993e34' },
+    // Scale fields: low values warm, high values green
+    scaleHeatmap: { min: '#d98a74', mid: '#ecd58e', max: '#3d8b5e' }
 };
 
 // Chart color palette — assigned in order to series
@@ -49,3 +53,9 @@ export const CHART_PALETTE = [
 // Database names
 export const DB_NAME = 'habitTracker';
 export const FIREBASE_CONFIG_KEY = 'firebaseConfig';
+export const REST_CONFIG_KEY = 'restConfig';
+export const REMOTE_BACKEND_KEY = 'remoteBackend'; // 'firebase' | 'rest'
+export const GROUP_SERVER_KEY = 'groupServer'; // optional REST server of an accountability group
+export const ENCRYPTION_KEY_STORAGE_KEY = 'encryptionKey'; // this device's unlocked data key
+export const PROFILES_KEY = 'profiles'; // profile list, shared by all profiles (see profiles.js)
+export const ACTIVE_PROFILE_KEY = 'activeProfile'; // sessionStorage: this tab's profile
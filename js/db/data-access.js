@@ -44,6 +44,21 @@ export async function getAllEntries(year) {
     return mod.getAllEntries(year);
 }
 
+export async function getEntriesBetween(fromId, toId) {
+    const mod = await getReadModule();
+    return mod.getEntriesBetween(fromId, toId);
+}
+
+export async function getLatestEntryBefore(dateId) {
+    const mod = await getReadModule();
+    return mod.getLatestEntryBefore(dateId);
+}
+
+export async function getEntryYears() {
+    const mod = await getReadModule();
+    return mod.getEntryYears();
+}
+
 export async function getMonthlyGoal(monthId) {
     const mod = await getReadModule();
     return mod.getMonthlyGoal(monthId);
@@ -67,3 +82,15 @@ export async function putMonthlyGoal(doc) {
     const mod = await getLocalModule();
     return mod.putMonthlyGoal(doc);
 }
+
+export async function deleteEntry(dateId) {
+    if (isTestMode()) return null;
+    const mod = await getLocalModule();
+    return mod.deleteEntry(dateId);
+}
+
+export async function deleteMonthlyGoal(monthId) {
+    if (isTestMode()) return null;
+    const mod = await getLocalModule();
+    return mod.deleteMonthlyGoal(monthId);
+}
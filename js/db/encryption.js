@@ -0,0 +1,220 @@
+/**
+ * End-to-End Encryption — Passphrase-protected encryption of synced docs
+ *
+ * Key scheme:
+ *   - Data is encrypted with one random AES-GCM data key.
+ *   - The data key is stored on the remote only in wrapped form, once under
+ *     a key derived from the passphrase (PBKDF2) and once under a key
+ *     derived from a recovery code shown at setup. Either one unlocks it on
+ *     a new device; changing the passphrase only re-wraps the data key.
+ *   - The wrapped keys live in the "encryption" meta doc (the key doc), which
+ *     holds no secrets. Unlocked devices keep the raw data key in
+ *     localStorage.
+ *
+ * Encrypted docs keep CLEAR_FIELDS readable so the backend can still filter
+ * by year and run incremental pulls; everything else (goals, fields, field
+ * stamps, ...) is replaced by { encrypted: { v, iv, data } }.
+ */
+
+import { ENCRYPTION_KEY_STORAGE_KEY } from '../config.js';
+import { profileKey } from './profiles.js';
+
+export const ENCRYPTED_COLLECTIONS = ['entries', 'monthlyGoals'];
+export const CLEAR_FIELDS = ['_id', 'year', 'month', 'updatedAt'];
+export const KEY_DOC_ID = 'encryption';
+
+const PBKDF2_ITERATIONS = 310000;
+const RECOVERY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32
+
+// ============ KEY SETUP ============
+
+/**
+ * Create a new data key wrapped under a passphrase and a fresh recovery code
+ * @returns {Promise<{ key: CryptoKey, keyDoc: Object, recoveryCode: string }>}
+ */
+export async function createKeyring(passphrase) {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const recoveryCode = generateRecoveryCode();
+    const now = new Date().toISOString();
+
+    const keyDoc = {
+        _id: KEY_DOC_ID,
+        v: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS },
+        passphrase: await wrapDataKey(key, passphrase, PBKDF2_ITERATIONS),
+        recovery: await wrapDataKey(key, normalizeRecoveryCode(recoveryCode), PBKDF2_ITERATIONS),
+        createdAt: now,
+        updatedAt: now,
+    };
+    return { key, keyDoc, recoveryCode };
+}
+
+/**
+ * Unlock the data key with the passphrase
+ * @throws {Error} 'Wrong passphrase'
+ */
+export function unlockWithPassphrase(keyDoc, passphrase) {
+    return unwrapDataKey(keyDoc.passphrase, passphrase, keyDoc.kdf.iterations, 'Wrong passphrase');
+}
+
+/**
+ * Unlock the data key with the recovery code (case, spaces and dashes are ignored)
+ * @throws {Error} 'Wrong recovery code'
+ */
+export function unlockWithRecoveryCode(keyDoc, recoveryCode) {
+    return unwrapDataKey(keyDoc.recovery, normalizeRecoveryCode(recoveryCode), keyDoc.kdf.iterations, 'Wrong recovery code');
+}
+
+/**
+ * Wrap an unlocked data key under a new passphrase (the recovery code stays valid)
+ * @returns {Promise<Object>} Updated key doc
+ */
+export async function changePassphrase(keyDoc, key, newPassphrase) {
+    return {
+        ...keyDoc,
+        passphrase: await wrapDataKey(key, newPassphrase, keyDoc.kdf.iterations),
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+// ============ DEVICE KEY ============
+
+export async function saveDeviceKey(key) {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    localStorage.setItem(profileKey(ENCRYPTION_KEY_STORAGE_KEY), toBase64(raw));
+}
+
+/**
+ * The data key this device was unlocked with, or null
+ */
+export async function loadDeviceKey() {
+    const stored = localStorage.getItem(profileKey(ENCRYPTION_KEY_STORAGE_KEY));
+    if (!stored) return null;
+    try {
+        return await importDataKey(fromBase64(stored));
+    } catch (err) {
+        console.error('Failed to load encryption key', err);
+        return null;
+    }
+}
+
+export function clearDeviceKey() {
+    localStorage.removeItem(profileKey(ENCRYPTION_KEY_STORAGE_KEY));
+}
+
+// ============ DOCS ============
+
+export function isEncrypted(doc) {
+    return !!doc?.encrypted;
+}
+
+/**
+ * Encrypt everything but CLEAR_FIELDS
+ */
+export async function encryptDoc(doc, key) {
+    const clear = {};
+    const secret = {};
+    for (const [field, value] of Object.entries(doc)) {
+        if (CLEAR_FIELDS.includes(field)) clear[field] = value;
+        else secret[field] = value;
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(secret))
+    );
+    return { ...clear, encrypted: { v: 1, iv: toBase64(iv), data: toBase64(data) } };
+}
+
+/**
+ * Decrypt a doc produced by encryptDoc (plaintext docs are returned as they are)
+ * @throws {Error} If the doc was encrypted with another key or tampered with
+ */
+export async function decryptDoc(doc, key) {
+    if (!isEncrypted(doc)) return doc;
+    const { encrypted, ...clear } = doc;
+    let plain;
+    try {
+        plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(encrypted.iv) },
+            key,
+            fromBase64(encrypted.data)
+        );
+    } catch {
+        throw new Error(`Could not decrypt ${doc._id}: wrong key or corrupted data`);
+    }
+    return { ...JSON.parse(new TextDecoder().decode(plain)), ...clear };
+}
+
+// ============ HELPERS ============
+
+async function wrapDataKey(key, secret, iterations) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await deriveWrappingKey(secret, salt, iterations);
+    const wrapped = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+    return { salt: toBase64(salt), iv: toBase64(iv), wrappedKey: toBase64(wrapped) };
+}
+
+async function unwrapDataKey(wrapped, secret, iterations, errorMessage) {
+    const wrappingKey = await deriveWrappingKey(secret, fromBase64(wrapped.salt), iterations);
+    try {
+        return await crypto.subtle.unwrapKey(
+            'raw',
+            fromBase64(wrapped.wrappedKey),
+            wrappingKey,
+            { name: 'AES-GCM', iv: fromBase64(wrapped.iv) },
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    } catch {
+        throw new Error(errorMessage);
+    }
+}
+
+async function deriveWrappingKey(secret, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']
+    );
+}
+
+function importDataKey(raw) {
+    return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * 160 random bits as 8 groups of 4 base32 characters (XXXX-XXXX-...)
+ */
+function generateRecoveryCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(20));
+    let bits = '';
+    for (const byte of bytes) bits += byte.toString(2).padStart(8, '0');
+    let code = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        code += RECOVERY_ALPHABET[parseInt(bits.slice(i, i + 5), 2)];
+    }
+    return code.match(/.{4}/g).join('-');
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+function toBase64(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
@@ -0,0 +1,152 @@
+/**
+ * Field Merge — Per-field modification stamps and field-level merging
+ *
+ * Docs keep a `fieldStamps` object that mirrors their value maps:
+ *   { dailyGoals: { "Run": iso }, fields: { "Daily Log": { "Weight": iso } }, goals: { ... } }
+ *
+ * Entries also stamp their bookkeeping maps the same way: goalOverrides
+ * (goals unticked by hand) and prefilled (per-section pre-fill marks).
+ * Values in these maps are cleared to null rather than deleted, so the
+ * clear itself carries a stamp and wins over older copies.
+ *
+ * Each stamp records when that single value last changed, so two devices
+ * editing different fields of the same day both keep their edits instead
+ * of one whole document overwriting the other.
+ */
+
+// Top-level value maps (entries use dailyGoals and goalOverrides, monthly goal docs use goals)
+const FLAT_MAPS = ['dailyGoals', 'goals', 'goalOverrides'];
+
+// Value maps split into one map per section
+const SECTION_MAPS = ['fields', 'prefilled'];
+
+/**
+ * A value that carries no information (empty input / unchecked default)
+ */
+function isBlank(value) {
+    return value === null || value === undefined || value === '' || value === false;
+}
+
+/**
+ * All value-map paths present in any of the docs, e.g. ['dailyGoals'], ['fields', 'Daily Log']
+ */
+function getValueMapPaths(...docs) {
+    const paths = [];
+    for (const key of FLAT_MAPS) {
+        if (docs.some(d => d && d[key])) paths.push([key]);
+    }
+    for (const key of SECTION_MAPS) {
+        const sections = new Set();
+        for (const d of docs) {
+            for (const section of Object.keys(d?.[key] || {})) sections.add(section);
+        }
+        for (const section of sections) paths.push([key, section]);
+    }
+    return paths;
+}
+
+function getIn(obj, path) {
+    let cur = obj;
+    for (const key of path) {
+        if (!cur) return undefined;
+        cur = cur[key];
+    }
+    return cur;
+}
+
+function ensureIn(obj, path) {
+    let cur = obj;
+    for (const key of path) {
+        if (!cur[key] || typeof cur[key] !== 'object') cur[key] = {};
+        cur = cur[key];
+    }
+    return cur;
+}
+
+/**
+ * Stamp every field whose value differs from the previous copy of the doc.
+ * Mutates and returns `doc`.
+ *
+ * @param {Object} doc - The doc about to be saved
+ * @param {Object|null} prev - The currently stored copy (null for new docs)
+ * @param {string} [now] - ISO timestamp to stamp with
+ */
+export function stampChangedFields(doc, prev, now = new Date().toISOString()) {
+    if (!doc.fieldStamps && prev?.fieldStamps) {
+        doc.fieldStamps = JSON.parse(JSON.stringify(prev.fieldStamps));
+    }
+
+    for (const path of getValueMapPaths(doc)) {
+        const values = getIn(doc, path) || {};
+        const prevValues = getIn(prev, path) || {};
+        for (const [name, value] of Object.entries(values)) {
+            const prevValue = prevValues[name];
+            // Blank defaults (null, '', false) replacing blanks are not edits
+            if (isBlank(value) && isBlank(prevValue)) continue;
+            if (JSON.stringify(value) === JSON.stringify(prevValue)) continue;
+            ensureIn(doc, ['fieldStamps', ...path])[name] = now;
+        }
+    }
+    return doc;
+}
+
+/**
+ * Effective stamp for one field: its own stamp, or the doc's updatedAt for
+ * legacy non-blank values. Unstamped blanks never win a merge.
+ */
+function fieldStamp(doc, path, name) {
+    const stamp = getIn(doc, ['fieldStamps', ...path, name]);
+    if (stamp) return stamp;
+    const value = getIn(doc, path)?.[name];
+    return isBlank(value) ? '' : (doc.updatedAt || '');
+}
+
+/**
+ * Merge two copies of the same doc field by field (newest stamp wins).
+ *
+ * @returns {{ merged: Object, changedLocal: boolean, changedRemote: boolean, conflict: boolean }}
+ *   changedLocal/changedRemote — the merged doc differs from that copy.
+ *   conflict — both copies contributed newer values, i.e. a whole-document
+ *   last-write-wins would have lost an edit.
+ */
+export function mergeDocs(local, remote) {
+    const newer = (remote.updatedAt || '') > (local.updatedAt || '') ? remote : local;
+    const merged = JSON.parse(JSON.stringify(newer));
+    merged.fieldStamps = {};
+
+    let localWins = 0;
+    let remoteWins = 0;
+
+    for (const path of getValueMapPaths(local, remote)) {
+        const localValues = getIn(local, path) || {};
+        const remoteValues = getIn(remote, path) || {};
+        const target = ensureIn(merged, path);
+        const names = new Set([...Object.keys(localValues), ...Object.keys(remoteValues)]);
+
+        for (const name of names) {
+            const localStamp = fieldStamp(local, path, name);
+            const remoteStamp = fieldStamp(remote, path, name);
+            const useRemote = remoteStamp > localStamp;
+            const source = useRemote ? remoteValues : localValues;
+
+            target[name] = name in source ? source[name] : (useRemote ? localValues : remoteValues)[name];
+            const stamp = useRemote ? remoteStamp : localStamp;
+            if (stamp) ensureIn(merged, ['fieldStamps', ...path])[name] = stamp;
+
+            if (JSON.stringify(localValues[name]) !== JSON.stringify(remoteValues[name])) {
+                if (useRemote) remoteWins++;
+                else localWins++;
+            }
+        }
+    }
+
+    const updatedAt = [local.updatedAt || '', remote.updatedAt || ''].sort().pop();
+    if (updatedAt) merged.updatedAt = updatedAt;
+
+    return {
+        merged,
+        changedLocal: remoteWins > 0,
+        changedRemote: localWins > 0,
+        conflict: localWins > 0 && remoteWins > 0,
+    };
+}
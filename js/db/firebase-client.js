@@ -2,7 +2,7 @@
  * Firebase Firestore Client
  *
  * Wrapper for Firebase SDK to handle authentication and Firestore operations.
- * Credentials stored in localStorage under 'firebaseConfig'.
+ * Credentials stored in localStorage under 'firebaseConfig' (per profile, see profiles.js).
  */
 
 import { initializeApp } from "https://www.gstatic.com/firebasejs/10.8.0/firebase-app.js";
@@ -16,9 +16,11 @@ import {
     where,
     getDocs,
     deleteDoc,
+    onSnapshot,
     enableIndexedDbPersistence
 } from "https://www.gstatic.com/firebasejs/10.8.0/firebase-firestore.js";
 import { FIREBASE_CONFIG_KEY } from '../config.js';
+import { profileKey } from './profiles.js';
 
 export class FirebaseClient {
     constructor() {
@@ -32,7 +34,7 @@ export class FirebaseClient {
      * Load Firebase config from localStorage and initialize app
      */
     loadConfig() {
-        const raw = localStorage.getItem(FIREBASE_CONFIG_KEY);
+        const raw = localStorage.getItem(profileKey(FIREBASE_CONFIG_KEY));
         if (raw) {
             try {
                 this.config = JSON.parse(raw);
@@ -124,15 +126,16 @@ export class FirebaseClient {
 
     /**
      * Set (Upsert) a document
+     * @param {Object} [options] - { replace: true } overwrites instead of merging
      */
-    async setDoc(collectionName, id, data) {
+    async setDoc(collectionName, id, data, options = {}) {
         if (!this.isConfigured()) throw new Error('Firebase not configured');
 
         const docRef = doc(this.db, collectionName, id);
         // Remove _id from data to avoid duplication in Firestore fields (optional, but cleaner)
         const { _id, ...cleanData } = data;
 
-        await setDoc(docRef, cleanData, { merge: true });
+        await setDoc(docRef, cleanData, { merge: !options.replace });
         return id;
     }
 
@@ -146,6 +149,29 @@ export class FirebaseClient {
         await deleteDoc(docRef);
     }
 
+    /**
+     * Listen for server-side changes to a query
+     * @param {Array} whereConditions - Array of [field, op, value] arrays
+     * @param {Function} onChange - Receives added/modified docs (removals are
+     *   conveyed by tombstones, and our own unacknowledged writes are skipped)
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(collectionName, whereConditions, onChange, onError) {
+        if (!this.isConfigured()) throw new Error('Firebase not configured');
+
+        let q = collection(this.db, collectionName);
+        whereConditions.forEach(cond => {
+            q = query(q, where(cond[0], cond[1], cond[2]));
+        });
+
+        return onSnapshot(q, (snapshot) => {
+            const docs = snapshot.docChanges()
+                .filter(change => change.type !== 'removed' && !change.doc.metadata.hasPendingWrites)
+                .map(change => ({ _id: change.doc.id, ...change.doc.data() }));
+            if (docs.length > 0) onChange(docs);
+        }, onError);
+    }
+
     /**
      * Test the connection by trying to read (or fail gracefully)
      */
@@ -166,13 +192,13 @@ export class FirebaseClient {
      * Save config to localStorage
      */
     static saveConfig(config) {
-        localStorage.setItem(FIREBASE_CONFIG_KEY, JSON.stringify(config));
+        localStorage.setItem(profileKey(FIREBASE_CONFIG_KEY), JSON.stringify(config));
     }
 
     /**
      * Clear config from localStorage
      */
     static clearConfig() {
-        localStorage.removeItem(FIREBASE_CONFIG_KEY);
+        localStorage.removeItem(profileKey(FIREBASE_CONFIG_KEY));
     }
 }
@@ -2,61 +2,40 @@
  * IndexedDB Local Store — Offline-first data persistence
  *
  * Object Stores:
- *   meta          - App config & schema (keyPath: _id)
- *   entries       - Daily entries (keyPath: _id, index: year+month)
- *   monthlyGoals  - Monthly goal docs (keyPath: _id)
+ *   meta          - App config & schema ("app_config"), this device's
+ *                   sync watermarks ("sync_state"), the encryption key
+ *                   doc ("encryption", see encryption.js) and accountability
+ *                   group settings ("group") (keyPath: _id)
+ *   entries       - Daily entries (keyPath: _id, indexes: year+month, year)
+ *   monthlyGoals  - Monthly goal docs (keyPath: _id, index: year)
  *   syncQueue     - Pending mutations for MongoDB sync (autoIncrement)
+ *   tombstones    - Deletion markers so sync never resurrects deleted docs
+ *                   (keyPath: _id = "<collection>:<docId>", index: year)
+ *   syncLog       - Recent sync runs for the diagnostics panel (autoIncrement)
+ *   migrations    - Applied schema migrations (keyPath: version)
+ *
+ * Stores and indexes are created by the migrations in migrations.js.
  */
 
-import { DB_NAME } from '../config.js';
 import { isTestMode } from './test-mode.js';
+import { profileDbName } from './profiles.js';
+import { openMigratedDatabase } from './migrations.js';
 
-const DB_VERSION = 1;
+const SYNC_LOG_LIMIT = 200;
 let db = null;
+const entryListeners = new Set();
 
 /**
- * Open/create the IndexedDB database
+ * Open the IndexedDB database, applying pending migrations (see migrations.js)
  */
-export function initLocalStore() {
-    return new Promise((resolve, reject) => {
-        if (db) { resolve(db); return; }
-
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-        request.onupgradeneeded = (event) => {
-            const database = event.target.result;
-
-            // Meta store (schema, app config)
-            if (!database.objectStoreNames.contains('meta')) {
-                database.createObjectStore('meta', { keyPath: '_id' });
-            }
-
-            // Entries store (daily data)
-            if (!database.objectStoreNames.contains('entries')) {
-                const entriesStore = database.createObjectStore('entries', { keyPath: '_id' });
-                entriesStore.createIndex('yearMonth', ['year', 'month'], { unique: false });
-            }
-
-            // Monthly goals store
-            if (!database.objectStoreNames.contains('monthlyGoals')) {
-                database.createObjectStore('monthlyGoals', { keyPath: '_id' });
-            }
-
-            // Sync queue (pending writes to MongoDB)
-            if (!database.objectStoreNames.contains('syncQueue')) {
-                database.createObjectStore('syncQueue', { autoIncrement: true });
-            }
-        };
-
-        request.onsuccess = (event) => {
-            db = event.target.result;
-            resolve(db);
-        };
-
-        request.onerror = (event) => {
-            reject(new Error('Failed to open IndexedDB: ' + event.target.error));
-        };
-    });
+export async function initLocalStore() {
+    if (db) return db;
+    try {
+        db = await openMigratedDatabase(profileDbName());
+    } catch (err) {
+        throw new Error('Failed to open IndexedDB: ' + err);
+    }
+    return db;
 }
 
 /**
@@ -89,6 +68,43 @@ function getAll(storeName) {
     });
 }
 
+function getAllInRange(storeName, keyRange) {
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction(storeName, 'readonly');
+        const request = tx.objectStore(storeName).getAll(keyRange);
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Distinct keys of an index, ascending (without loading the records)
+ */
+function getUniqueIndexKeys(storeName, indexName) {
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction(storeName, 'readonly');
+        const request = tx.objectStore(storeName).index(indexName).openKeyCursor(null, 'nextunique');
+        const keys = [];
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(keys);
+                return;
+            }
+            keys.push(cursor.key);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * All docs of a year via the store's year index (every doc when `year` is omitted)
+ */
+function getAllForYear(storeName, year) {
+    return year == null ? getAll(storeName) : getAllByIndex(storeName, 'year', IDBKeyRange.only(year));
+}
+
 function putOne(storeName, doc) {
     return new Promise((resolve, reject) => {
         const tx = getDb().transaction(storeName, 'readwrite');
@@ -133,6 +149,49 @@ export function putMeta(doc) {
     return putOne('meta', doc);
 }
 
+/**
+ * Get this device's sync state ({ pullCursors: { [year]: { [collection]: iso } } }).
+ * Kept apart from app_config because it is never synced.
+ */
+export function getSyncState() {
+    return getOne('meta', 'sync_state').then(doc => doc || { _id: 'sync_state', pullCursors: {} });
+}
+
+export function putSyncState(doc) {
+    if (isTestMode()) return Promise.resolve();
+    doc._id = 'sync_state';
+    return putOne('meta', doc);
+}
+
+/**
+ * Get the local copy of the encryption key doc (null if encryption is off)
+ */
+export function getEncryptionConfig() {
+    return getOne('meta', 'encryption');
+}
+
+export function putEncryptionConfig(doc) {
+    if (isTestMode()) return Promise.resolve();
+    return putOne('meta', { ...doc, _id: 'encryption' });
+}
+
+/**
+ * Get this member's accountability group settings (null when not in a group)
+ */
+export function getGroupSettings() {
+    return getOne('meta', 'group');
+}
+
+export function putGroupSettings(doc) {
+    if (isTestMode()) return Promise.resolve();
+    return putOne('meta', { ...doc, _id: 'group' });
+}
+
+export function deleteGroupSettings() {
+    if (isTestMode()) return Promise.resolve();
+    return deleteOne('meta', 'group');
+}
+
 // ============ ENTRY OPERATIONS ============
 
 /**
@@ -151,12 +210,38 @@ export function getMonthEntries(year, month) {
 }
 
 /**
- * Get all entries for the year
+ * Get all entries for the year (every year when `year` is omitted)
  */
 export function getAllEntries(year) {
-    return getAll('entries').then(entries =>
-        entries.filter(e => e.year === year)
-    );
+    return getAllForYear('entries', year);
+}
+
+/**
+ * Get the entries between two date IDs (inclusive), in date order
+ * @param {string} fromId - e.g. "2026-02-01"
+ * @param {string} toId - e.g. "2026-02-28"
+ */
+export function getEntriesBetween(fromId, toId) {
+    return getAllInRange('entries', IDBKeyRange.bound(fromId, toId));
+}
+
+/**
+ * Get the most recent entry before a date ID (null if there is none)
+ */
+export function getLatestEntryBefore(dateId) {
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction('entries', 'readonly');
+        const request = tx.objectStore('entries').openCursor(IDBKeyRange.upperBound(dateId, true), 'prev');
+        request.onsuccess = () => resolve(request.result?.value || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get the distinct years that have entries, ascending
+ */
+export function getEntryYears() {
+    return getUniqueIndexKeys('entries', 'year');
 }
 
 /**
@@ -165,15 +250,42 @@ export function getAllEntries(year) {
 export function putEntry(doc) {
     if (isTestMode()) return Promise.resolve();
     doc.updatedAt = new Date().toISOString();
-    return putOne('entries', doc);
+    return putOne('entries', doc).then(result => {
+        notifyEntryChange(doc._id, doc);
+        return result;
+    });
 }
 
 /**
- * Delete a daily entry
+ * Delete a daily entry, leaving a tombstone behind
+ * @returns {Promise<Object|null>} The tombstone written
  */
 export function deleteEntry(dateId) {
-    if (isTestMode()) return Promise.resolve();
-    return deleteOne('entries', dateId);
+    if (isTestMode()) return Promise.resolve(null);
+    return deleteWithTombstone('entries', dateId).then(tombstone => {
+        notifyEntryChange(dateId, null);
+        return tombstone;
+    });
+}
+
+/**
+ * Listen for entries written or deleted on this device, by local edits and
+ * sync alike. Called with (dateId, doc); doc is null after a delete.
+ * @returns {Function} Unsubscribe
+ */
+export function onEntryChange(listener) {
+    entryListeners.add(listener);
+    return () => entryListeners.delete(listener);
+}
+
+function notifyEntryChange(dateId, doc) {
+    for (const listener of entryListeners) {
+        try {
+            listener(dateId, doc);
+        } catch (err) {
+            console.error('Entry change listener failed:', err);
+        }
+    }
 }
 
 // ============ MONTHLY GOALS OPERATIONS ============
@@ -186,12 +298,10 @@ export function getMonthlyGoal(monthId) {
 }
 
 /**
- * Get all monthly goals for the year
+ * Get all monthly goals for the year (every year when `year` is omitted)
  */
 export function getAllMonthlyGoals(year) {
-    return getAll('monthlyGoals').then(goals =>
-        goals.filter(g => g.year === year)
-    );
+    return getAllForYear('monthlyGoals', year);
 }
 
 /**
@@ -203,23 +313,183 @@ export function putMonthlyGoal(doc) {
     return putOne('monthlyGoals', doc);
 }
 
+/**
+ * Delete a monthly goals doc, leaving a tombstone behind
+ * @returns {Promise<Object|null>} The tombstone written
+ */
+export function deleteMonthlyGoal(monthId) {
+    if (isTestMode()) return Promise.resolve(null);
+    return deleteWithTombstone('monthlyGoals', monthId);
+}
+
+// ============ TOMBSTONE OPERATIONS ============
+
+/**
+ * Tombstone key for a deleted doc (e.g., "entries:2026-02-16")
+ */
+export function tombstoneId(collection, docId) {
+    return `${collection}:${docId}`;
+}
+
+/**
+ * Delete a doc and record its tombstone in one transaction
+ */
+function deleteWithTombstone(storeName, docId) {
+    const tombstone = {
+        _id: tombstoneId(storeName, docId),
+        collection: storeName,
+        docId,
+        year: parseInt(docId), // "2026-02-16" / "2026-02" -> 2026
+        deletedAt: new Date().toISOString(),
+    };
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction([storeName, 'tombstones'], 'readwrite');
+        tx.objectStore(storeName).delete(docId);
+        tx.objectStore('tombstones').put(tombstone);
+        tx.oncomplete = () => resolve(tombstone);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Get all tombstones for a year, keyed by tombstone _id
+ */
+export function getTombstones(year) {
+    return getAllForYear('tombstones', year).then(tombstones =>
+        new Map(tombstones.map(t => [t._id, t]))
+    );
+}
+
+/**
+ * Apply a tombstone received from the remote: keep the newest tombstone and
+ * delete the local doc unless it was edited after the deletion
+ * @returns {Promise<boolean>} Whether the local doc was removed
+ */
+export function applyTombstone(tombstone) {
+    if (isTestMode()) return Promise.resolve(false);
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction([tombstone.collection, 'tombstones'], 'readwrite');
+        const docStore = tx.objectStore(tombstone.collection);
+        const tombstoneStore = tx.objectStore('tombstones');
+
+        const existingReq = tombstoneStore.get(tombstone._id);
+        existingReq.onsuccess = () => {
+            const existing = existingReq.result;
+            if (!existing || tombstone.deletedAt > existing.deletedAt) {
+                tombstoneStore.put(tombstone);
+            }
+        };
+
+        let removed = false;
+        const docReq = docStore.get(tombstone.docId);
+        docReq.onsuccess = () => {
+            const doc = docReq.result;
+            if (doc && (doc.updatedAt || '') <= tombstone.deletedAt) {
+                docStore.delete(tombstone.docId);
+                removed = true;
+            }
+        };
+
+        tx.oncomplete = () => {
+            if (removed && tombstone.collection === 'entries') notifyEntryChange(tombstone.docId, null);
+            resolve(removed);
+        };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Save a doc produced by a sync merge as-is (keeps its updatedAt and
+ * fieldStamps instead of re-stamping it as a local edit)
+ */
+export function putSyncedDoc(storeName, doc) {
+    if (isTestMode()) return Promise.resolve();
+    return putOne(storeName, doc).then(result => {
+        if (storeName === 'entries') notifyEntryChange(doc._id, doc);
+        return result;
+    });
+}
+
+/**
+ * Merge a batch of pulled docs into a store in one transaction.
+ * @param {Function} resolveDoc - (localDoc|null, remoteDoc) => doc to write, or null to skip.
+ *   Must be synchronous so the transaction stays open.
+ * @returns {Promise<Array>} The docs written
+ */
+export function putSyncedDocs(storeName, remoteDocs, resolveDoc) {
+    if (isTestMode() || remoteDocs.length === 0) return Promise.resolve([]);
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        const written = [];
+
+        for (const remoteDoc of remoteDocs) {
+            const request = store.get(remoteDoc._id);
+            request.onsuccess = () => {
+                const doc = resolveDoc(request.result || null, remoteDoc);
+                if (doc) {
+                    store.put(doc);
+                    written.push(doc);
+                }
+            };
+        }
+
+        tx.oncomplete = () => {
+            if (storeName === 'entries') written.forEach(doc => notifyEntryChange(doc._id, doc));
+            resolve(written);
+        };
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Sync batch aborted'));
+    });
+}
+
 // ============ SYNC QUEUE OPERATIONS ============
 
 /**
  * Add a mutation to the sync queue
- * @param {Object} mutation - { collection, operation, docId, data }
+ * @param {Object} mutation - { collection, operation: 'upsert'|'delete', docId, data }
+ *   For deletes, `data` is the tombstone.
  */
 export function addToSyncQueue(mutation) {
     if (isTestMode()) return Promise.resolve();
     mutation.createdAt = new Date().toISOString();
+    mutation.attempts = 0;
+    mutation.lastError = null;
     return putOne('syncQueue', mutation);
 }
 
 /**
- * Get all pending sync mutations
+ * Get all pending sync mutations in insertion order,
+ * each with its queue `key` attached
  */
 export function getSyncQueue() {
-    return getAll('syncQueue');
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction('syncQueue', 'readonly');
+        const request = tx.objectStore('syncQueue').openCursor();
+        const items = [];
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) { resolve(items); return; }
+            items.push({ ...cursor.value, key: cursor.key });
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Update a sync queue item in place (attempt count, last error, parked flag)
+ * @param {Object} item - A getSyncQueue() item, including its `key`
+ */
+export function updateSyncQueueItem(item) {
+    if (isTestMode()) return Promise.resolve();
+    const { key, ...mutation } = item;
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction('syncQueue', 'readwrite');
+        const request = tx.objectStore('syncQueue').put(mutation, key);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
 }
 
 /**
@@ -237,11 +507,11 @@ export function clearSyncQueue() {
 }
 
 /**
- * Delete ALL data from every store (entries, monthlyGoals, meta, syncQueue)
+ * Delete ALL data from every store (entries, monthlyGoals, meta, syncQueue, tombstones, syncLog)
  */
 export function clearAllData() {
     if (isTestMode()) return Promise.resolve();
-    const stores = ['entries', 'monthlyGoals', 'meta', 'syncQueue'];
+    const stores = ['entries', 'monthlyGoals', 'meta', 'syncQueue', 'tombstones', 'syncLog'];
     return new Promise((resolve, reject) => {
         const tx = getDb().transaction(stores, 'readwrite');
         let done = 0;
@@ -260,3 +530,62 @@ export function deleteSyncQueueItem(key) {
     if (isTestMode()) return Promise.resolve();
     return deleteOne('syncQueue', key);
 }
+
+// ============ SYNC LOG OPERATIONS ============
+
+/**
+ * Append a sync run record, keeping only the newest SYNC_LOG_LIMIT records
+ * @param {Object} record - { kind, startedAt, finishedAt, status, docs, conflicts, errors,
+ *   touched: [{ doc: "collection/id", action }], moreTouched }
+ */
+export function addSyncLogRecord(record) {
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction('syncLog', 'readwrite');
+        const store = tx.objectStore('syncLog');
+        store.put(record);
+
+        const countReq = store.count();
+        countReq.onsuccess = () => {
+            let excess = countReq.result - SYNC_LOG_LIMIT;
+            if (excess <= 0) return;
+            // Oldest records come first in key order
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor || excess-- <= 0) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        };
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Get the sync log, newest run first
+ */
+export function getSyncLog() {
+    return getAll('syncLog').then(records => records.reverse());
+}
+
+/**
+ * Clear the sync log
+ */
+export function clearSyncLog() {
+    return new Promise((resolve, reject) => {
+        const tx = getDb().transaction('syncLog', 'readwrite');
+        const request = tx.objectStore('syncLog').clear();
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ============ MIGRATION RECORDS ============
+
+/**
+ * Get the applied schema migrations, oldest first
+ */
+export function getAppliedMigrations() {
+    return getAll('migrations');
+}
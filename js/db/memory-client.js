@@ -0,0 +1,187 @@
+/**
+ * Memory Client — In-memory remote adapter (Firestore stand-in)
+ *
+ * Implements the remote-adapter.js contract with plain Maps so the sync
+ * engine can be exercised without a network. Writes follow Firestore's
+ * setDoc(..., { merge: true }) semantics. Outages and one-off failures can
+ * be simulated, and every call is recorded in `calls`.
+ */
+
+const OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+};
+
+export class MemoryClient {
+    constructor() {
+        this.collections = new Map(); // collection -> Map(id -> doc)
+        this.online = true;
+        this.calls = [];              // [{ method, collection, id, conditions? }]
+        this.failures = [];           // [{ method, error }] thrown by upcoming calls
+        this.subscribers = new Set(); // { collection, conditions, onChange }
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    // ============ Test Controls ============
+
+    /**
+     * Simulate losing / regaining the connection to the backend
+     */
+    setOnline(online) {
+        this.online = online;
+    }
+
+    /**
+     * Make the next call (optionally only of one method) throw `error`
+     */
+    failNext(error, method = null) {
+        this.failures.push({ method, error });
+    }
+
+    /**
+     * Put docs straight into a collection (no call recorded)
+     */
+    seed(collectionName, docs) {
+        const store = this.getStore(collectionName);
+        for (const doc of docs) store.set(doc._id, structuredClone(doc));
+    }
+
+    /**
+     * All docs of a collection, sorted by _id
+     */
+    dump(collectionName) {
+        return [...this.getStore(collectionName).values()]
+            .map(doc => structuredClone(doc))
+            .sort((a, b) => a._id.localeCompare(b._id));
+    }
+
+    // ============ CRUD Operations ============
+
+    async getDoc(collectionName, id) {
+        this.begin('getDoc', collectionName, id);
+        const doc = this.getStore(collectionName).get(id);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    /**
+     * @param {Array} whereConditions - Array of [field, op, value] arrays
+     */
+    async getCollection(collectionName, whereConditions = []) {
+        this.begin('getCollection', collectionName, null, whereConditions);
+        for (const [, op] of whereConditions) {
+            if (!OPERATORS[op]) throw new Error(`Unsupported operator: ${op}`);
+        }
+        return [...this.getStore(collectionName).values()]
+            .filter(doc => whereConditions.every(([field, op, value]) => OPERATORS[op](doc[field], value)))
+            .map(doc => structuredClone(doc));
+    }
+
+    async setDoc(collectionName, id, data, options = {}) {
+        this.begin('setDoc', collectionName, id);
+        const { _id, ...cleanData } = structuredClone(data);
+        const store = this.getStore(collectionName);
+        const existing = options.replace ? {} : store.get(id) || {};
+        store.set(id, { ...deepMerge(existing, cleanData), _id: id });
+        this.notify(collectionName, [store.get(id)]);
+        return id;
+    }
+
+    async deleteDoc(collectionName, id) {
+        this.begin('deleteDoc', collectionName, id);
+        this.getStore(collectionName).delete(id);
+    }
+
+    async testConnection() {
+        try {
+            this.begin('testConnection', null, null);
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+
+    // ============ Live Updates ============
+
+    /**
+     * Snapshot-listener stand-in: delivers the current matches, then every
+     * matching doc written by setDoc (seed() does not notify)
+     */
+    subscribe(collectionName, whereConditions, onChange, onError) {
+        try {
+            this.begin('subscribe', collectionName, null, whereConditions);
+        } catch (err) {
+            queueMicrotask(() => onError?.(err));
+            return () => {};
+        }
+
+        const subscriber = { collection: collectionName, conditions: whereConditions, onChange };
+        this.subscribers.add(subscriber);
+        this.notify(collectionName, [...this.getStore(collectionName).values()], subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    /**
+     * Hand matching docs to subscribers asynchronously, like Firestore does
+     */
+    notify(collectionName, docs, only = null) {
+        for (const subscriber of only ? [only] : this.subscribers) {
+            if (subscriber.collection !== collectionName) continue;
+            const matches = docs
+                .filter(doc => subscriber.conditions.every(([field, op, value]) => OPERATORS[op](doc[field], value)))
+                .map(doc => structuredClone(doc));
+            if (matches.length > 0) {
+                queueMicrotask(() => {
+                    if (this.subscribers.has(subscriber)) subscriber.onChange(matches);
+                });
+            }
+        }
+    }
+
+    // ============ Internals ============
+
+    getStore(collectionName) {
+        if (!this.collections.has(collectionName)) this.collections.set(collectionName, new Map());
+        return this.collections.get(collectionName);
+    }
+
+    /**
+     * Record a call and throw if the backend is offline or a failure is queued
+     */
+    begin(method, collectionName, id, conditions) {
+        this.calls.push(conditions ? { method, collection: collectionName, id, conditions } : { method, collection: collectionName, id });
+
+        if (!this.online) {
+            const err = new Error('Backend unavailable (simulated outage)');
+            err.code = 'unavailable';
+            throw err;
+        }
+
+        const index = this.failures.findIndex(f => !f.method || f.method === method);
+        if (index !== -1) {
+            const [{ error }] = this.failures.splice(index, 1);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Firestore-style merge: nested plain objects merge, everything else is replaced
+ */
+function deepMerge(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        const existing = result[key];
+        result[key] = isObject && existing && typeof existing === 'object' && !Array.isArray(existing)
+            ? deepMerge(existing, value)
+            : value;
+    }
+    return result;
+}
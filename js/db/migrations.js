@@ -0,0 +1,154 @@
+/**
+ * IndexedDB Migrations — Ordered, versioned upgrades of the local database
+ *
+ * Each migration brings the database from `version - 1` to `version`. Its
+ * upgrade({ database, tx, oldVersion }) may create stores and indexes and
+ * reshape stored docs through `tx`; return a Promise (e.g. from updateEach)
+ * when it issues requests, so the next migration only starts once they are
+ * done. Everything runs in the single versionchange transaction, so a
+ * failing migration rolls the whole upgrade back.
+ *
+ * Applied migrations are recorded in the 'migrations' store
+ * ({ version, name, appliedAt }); migrations that ran before tracking
+ * existed are recorded with appliedAt: null.
+ *
+ * To change the database: append a migration with the next version.
+ * Never edit or reorder a migration that has shipped.
+ */
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'Create core stores',
+        upgrade({ database }) {
+            database.createObjectStore('meta', { keyPath: '_id' });
+            const entriesStore = database.createObjectStore('entries', { keyPath: '_id' });
+            entriesStore.createIndex('yearMonth', ['year', 'month'], { unique: false });
+            database.createObjectStore('monthlyGoals', { keyPath: '_id' });
+            database.createObjectStore('syncQueue', { autoIncrement: true });
+        },
+    },
+    {
+        version: 2,
+        name: 'Add tombstones store',
+        upgrade({ database }) {
+            database.createObjectStore('tombstones', { keyPath: '_id' });
+        },
+    },
+    {
+        version: 3,
+        name: 'Add sync log store',
+        upgrade({ database }) {
+            database.createObjectStore('syncLog', { autoIncrement: true });
+        },
+    },
+    {
+        version: 4,
+        name: 'Track applied migrations',
+        upgrade({ database }) {
+            database.createObjectStore('migrations', { keyPath: 'version' });
+        },
+    },
+    {
+        version: 5,
+        name: 'Index entries, monthly goals and tombstones by year',
+        upgrade({ tx }) {
+            for (const storeName of ['entries', 'monthlyGoals', 'tombstones']) {
+                tx.objectStore(storeName).createIndex('year', 'year', { unique: false });
+            }
+        },
+    },
+];
+
+/**
+ * Open a database and apply any migrations it has not seen yet
+ * @param {string} name - Database name
+ * @param {Array} [migrations] - Registry to apply (tests pass their own)
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openMigratedDatabase(name, migrations = MIGRATIONS) {
+    assertOrdered(migrations);
+    const latest = migrations.at(-1).version;
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, latest);
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+            const tx = event.target.transaction;
+            const oldVersion = event.oldVersion;
+
+            runMigrations(database, tx, oldVersion, migrations).catch(err => {
+                console.error('IndexedDB migration failed:', err);
+                tx.abort();
+            });
+        };
+
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(event.target.error);
+    });
+}
+
+/**
+ * Apply the pending migrations one after another inside the versionchange
+ * transaction, then record them
+ */
+async function runMigrations(database, tx, oldVersion, migrations) {
+    const wasTracking = database.objectStoreNames.contains('migrations');
+    const applied = [];
+    for (const migration of migrations) {
+        if (migration.version <= oldVersion) continue;
+        await migration.upgrade({ database, tx, oldVersion });
+        applied.push(migration);
+    }
+
+    if (!database.objectStoreNames.contains('migrations')) return;
+    const store = tx.objectStore('migrations');
+
+    // Steps this database went through before it tracked migrations
+    if (!wasTracking) {
+        for (const migration of migrations) {
+            if (migration.version > oldVersion) break;
+            store.put({ version: migration.version, name: migration.name, appliedAt: null });
+        }
+    }
+
+    const appliedAt = new Date().toISOString();
+    for (const migration of applied) {
+        store.put({ version: migration.version, name: migration.name, appliedAt });
+    }
+}
+
+/**
+ * Rewrite every doc of a store (for use inside a migration).
+ * @param {Function} transform - doc => updated doc, or null to leave it as is
+ * @returns {Promise<number>} Number of docs updated
+ */
+export function updateEach(store, transform) {
+    return new Promise((resolve, reject) => {
+        let updated = 0;
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(updated);
+                return;
+            }
+            const doc = transform(cursor.value);
+            if (doc) {
+                cursor.update(doc);
+                updated++;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function assertOrdered(migrations) {
+    migrations.forEach((migration, i) => {
+        if (migration.version !== i + 1) {
+            throw new Error(`Migration "${migration.name}" should be version ${i + 1}, not ${migration.version}`);
+        }
+    });
+}
@@ -3,7 +3,7 @@
  * Only seeds if no entries currently exist.
  */
 
-import { YEAR } from '../config.js';
+import { DEFAULT_YEAR } from '../config.js';
 import { putEntry, putMonthlyGoal, getAllEntries } from './local-store.js';
 import { getDaysInMonth, toDateId } from '../utils/date-utils.js';
 
@@ -33,25 +33,25 @@ function randFloat(rng, min, max) {
 }
 
 /**
- * Seed the database with mock entries if empty
+ * Seed the database with mock entries for a year if it has none
  */
-export async function seedMockData() {
+export async function seedMockData(year = DEFAULT_YEAR) {
     // Check if data already exists
-    const existing = await getAllEntries(YEAR);
+    const existing = await getAllEntries(year);
     if (existing.length > 0) return false;
 
     const rng = seededRandom(2026);
 
     // Generate entries for Jan 1 – Feb 15
     const months = [
-        { month: 1, days: getDaysInMonth(YEAR, 1) },   // Jan: 31 days
+        { month: 1, days: getDaysInMonth(year, 1) },   // Jan: 31 days
         { month: 2, days: 15 },                          // Feb: 15 days
     ];
 
     for (const { month, days } of months) {
         for (let day = 1; day <= days; day++) {
-            const dateId = toDateId(YEAR, month, day);
-            const dayOfWeek = new Date(YEAR, month - 1, day).getDay();
+            const dateId = toDateId(year, month, day);
+            const dayOfWeek = new Date(year, month - 1, day).getDay();
             const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
 
             // Daily goals — slightly more likely to complete on weekdays
@@ -64,7 +64,7 @@ export async function seedMockData() {
                 'No junk food': rng() < (goalChance - 0.1),
             };
 
-            const runningTime = rng() < 0.6 ? randInt(rng, 20, 45) : '';
+            const runningTime = rng() < 0.6 ? randInt(rng, 20, 45) * 60 : ''; // seconds
             const runningDistance = runningTime ? randFloat(rng, 3, 7) : '';
 
             const dailyLogFields = {
@@ -91,7 +91,7 @@ export async function seedMockData() {
 
             const entry = {
                 _id: dateId,
-                year: YEAR,
+                year: year,
                 month: month,
                 day: day,
                 weekday: dayOfWeek,
@@ -109,8 +109,8 @@ export async function seedMockData() {
 
     // Monthly goals — Jan is partially complete, Feb less so
     await putMonthlyGoal({
-        _id: `${YEAR}-01`,
-        year: YEAR,
+        _id: `${year}-01`,
+        year: year,
         month: 1,
         'Complete online course': true,
         'Read 2 books': true,
@@ -120,8 +120,8 @@ export async function seedMockData() {
     });
 
     await putMonthlyGoal({
-        _id: `${YEAR}-02`,
-        year: YEAR,
+        _id: `${year}-02`,
+        year: year,
         month: 2,
         'Complete online course': false,
         'Read 2 books': false,
@@ -0,0 +1,104 @@
+/**
+ * Profiles — Several people tracking habits in one browser
+ *
+ * Every profile gets its own IndexedDB database (and with it its own schema,
+ * entries and sync state) plus its own copy of each per-person setting in
+ * web storage: sync backend and config, offline mode, encryption key, test
+ * mode. Code reads and writes those settings under profileKey(key).
+ *
+ * The default profile keeps the original database name and un-prefixed
+ * keys, so installs from before profiles existed carry over unchanged.
+ *
+ * The profile list lives in localStorage; the chosen profile is kept per tab
+ * (sessionStorage), so a fresh start asks again once there are several.
+ */
+
+import { DB_NAME, PROFILES_KEY, ACTIVE_PROFILE_KEY } from '../config.js';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_PROFILES = [{ id: DEFAULT_PROFILE_ID, name: 'Default' }];
+
+// ============ PROFILE LIST ============
+
+/**
+ * All profiles on this device ({ id, name }), the default one first
+ */
+export function getProfiles() {
+    const raw = localStorage.getItem(PROFILES_KEY);
+    if (!raw) return DEFAULT_PROFILES;
+    try {
+        const profiles = JSON.parse(raw);
+        return Array.isArray(profiles) && profiles.length > 0 ? profiles : DEFAULT_PROFILES;
+    } catch (e) {
+        console.error('Failed to parse profiles', e);
+        return DEFAULT_PROFILES;
+    }
+}
+
+/**
+ * Add a profile
+ * @returns {Object} The new profile
+ * @throws {Error} If the name is empty or already taken
+ */
+export function createProfile(name) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error('Profile name is required');
+
+    const profiles = getProfiles();
+    if (profiles.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`A profile named "${trimmed}" already exists`);
+    }
+
+    const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    let id = slug;
+    for (let n = 2; id === DEFAULT_PROFILE_ID || profiles.some(p => p.id === id); n++) {
+        id = `${slug}-${n}`;
+    }
+
+    const profile = { id, name: trimmed };
+    localStorage.setItem(PROFILES_KEY, JSON.stringify([...profiles, profile]));
+    return profile;
+}
+
+// ============ ACTIVE PROFILE ============
+
+/**
+ * The profile chosen in this tab, or null while one still has to be picked.
+ * With a single profile there is nothing to pick.
+ */
+export function getActiveProfile() {
+    const profiles = getProfiles();
+    const id = sessionStorage.getItem(ACTIVE_PROFILE_KEY);
+    return profiles.find(p => p.id === id) || (profiles.length === 1 ? profiles[0] : null);
+}
+
+export function setActiveProfile(id) {
+    if (!getProfiles().some(p => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+    sessionStorage.setItem(ACTIVE_PROFILE_KEY, id);
+}
+
+/**
+ * Switch profiles — reloads the page so every store reopens for the new one
+ */
+export function switchProfile(id) {
+    setActiveProfile(id);
+    window.location.hash = '#/dashboard';
+    location.reload();
+}
+
+// ============ NAMESPACING ============
+
+/**
+ * The web storage key for a per-profile setting
+ */
+export function profileKey(key, profileId = getActiveProfile()?.id ?? DEFAULT_PROFILE_ID) {
+    return profileId === DEFAULT_PROFILE_ID ? key : `profile:${profileId}:${key}`;
+}
+
+/**
+ * The IndexedDB database name of a profile
+ */
+export function profileDbName(profileId = getActiveProfile()?.id ?? DEFAULT_PROFILE_ID) {
+    return profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}:${profileId}`;
+}
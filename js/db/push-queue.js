@@ -0,0 +1,107 @@
+/**
+ * Push Queue — Retry policy for pending syncQueue mutations
+ *
+ * Each queue item tracks its own failures:
+ *   attempts      - failed push attempts so far
+ *   lastError     - message of the most recent failure
+ *   nextAttemptAt - ISO time before which the item is not retried
+ *   parked        - true once the item is a poison record (no automatic retries)
+ */
+
+export const MAX_PUSH_ATTEMPTS = 6;
+export const BASE_RETRY_DELAY = 2000;     // 2 seconds
+export const MAX_RETRY_DELAY = 5 * 60000; // 5 minutes
+
+// Firestore error codes that mean "try again later", not "this doc is bad"
+const TRANSIENT_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted'];
+
+/**
+ * Exponential backoff with jitter: 2s, 4s, 8s... capped at 5 minutes,
+ * then scaled by a random factor in [0.5, 1) so devices don't retry in lockstep
+ * @param {number} attempts - Failed attempts so far (>= 1)
+ * @param {Function} [random] - Random source, injectable for tests
+ */
+export function getBackoffDelay(attempts, random = Math.random) {
+    const exponential = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+    return Math.round(exponential * (0.5 + random() / 2));
+}
+
+/**
+ * Check if a push error is a connectivity problem rather than a bad doc
+ */
+export function isTransientError(err) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    return TRANSIENT_ERROR_CODES.includes(err?.code);
+}
+
+/**
+ * Record a failed attempt on a queue item (returns an updated copy).
+ * Items are parked after MAX_PUSH_ATTEMPTS non-transient failures.
+ */
+export function recordFailure(item, err, now = Date.now(), random = Math.random) {
+    const attempts = (item.attempts || 0) + 1;
+    const updated = {
+        ...item,
+        attempts,
+        lastError: err?.message || String(err),
+        lastAttemptAt: new Date(now).toISOString(),
+    };
+
+    if (attempts >= MAX_PUSH_ATTEMPTS && !isTransientError(err)) {
+        updated.parked = true;
+        delete updated.nextAttemptAt;
+    } else {
+        updated.nextAttemptAt = new Date(now + getBackoffDelay(attempts, random)).toISOString();
+    }
+    return updated;
+}
+
+/**
+ * Whether an item should be pushed now
+ */
+export function isDue(item, now = Date.now()) {
+    if (item.parked) return false;
+    return !item.nextAttemptAt || Date.parse(item.nextAttemptAt) <= now;
+}
+
+/**
+ * Group queue items by doc. Only the latest mutation per doc is pushed;
+ * earlier ones (including parked records) are superseded by it.
+ * @param {Array} queue - Items in insertion order, each with its queue `key`
+ * @returns {Array<{ latest: Object, supersededKeys: Array }>}
+ */
+export function groupQueue(queue) {
+    const groups = new Map();
+    for (const item of queue) {
+        const id = `${item.collection}:${item.docId}`;
+        const group = groups.get(id);
+        if (group) {
+            group.supersededKeys.push(group.latest.key);
+            group.latest = item;
+        } else {
+            groups.set(id, { latest: item, supersededKeys: [] });
+        }
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Earliest time (ms) a non-parked item becomes due, or null if none is waiting
+ */
+export function getNextRetryTime(queue) {
+    let next = null;
+    for (const item of queue) {
+        if (item.parked || !item.nextAttemptAt) continue;
+        const t = Date.parse(item.nextAttemptAt);
+        if (next === null || t < next) next = t;
+    }
+    return next;
+}
+
+/**
+ * Human-facing state of a queue item: 'parked', 'waiting' (backing off) or 'pending'
+ */
+export function getQueueItemState(item, now = Date.now()) {
+    if (item.parked) return 'parked';
+    return isDue(item, now) ? 'pending' : 'waiting';
+}
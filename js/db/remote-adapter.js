@@ -0,0 +1,94 @@
+/**
+ * Remote Adapter — The contract every sync backend implements
+ *
+ * SyncEngine only talks to its remote through these methods:
+ *   isConfigured()                        -> boolean
+ *   getDoc(collection, id)                -> Promise<Object|null>  (doc includes _id)
+ *   getCollection(collection, conditions) -> Promise<Array>        (conditions: [[field, '==', value], ...])
+ *   setDoc(collection, id, data, options) -> Promise<string>       (upsert, resolves to id; nested
+ *                                                                  objects merge unless options.replace)
+ *   deleteDoc(collection, id)             -> Promise<void>         (missing docs are not an error)
+ *   testConnection()                      -> Promise<{ success: boolean, error?: string }>
+ *
+ * Optional, for backends that can push changes:
+ *   subscribe(collection, conditions, onChange, onError) -> unsubscribe function
+ *     onChange(docs) receives docs added or modified on the server (the
+ *     first call may deliver every current match). SyncEngine polls
+ *     instead when an adapter has no subscribe().
+ *
+ * Collections used: meta, entries, monthlyGoals, tombstones, groupSummaries
+ * (the last one may live on a group's own REST server instead, see
+ * loadGroupServer).
+ * Errors should carry a Firestore-style `code` ('unavailable',
+ * 'permission-denied', ...) so the push queue can tell outages from bad docs.
+ */
+
+import { FIREBASE_CONFIG_KEY, REST_CONFIG_KEY, REMOTE_BACKEND_KEY, GROUP_SERVER_KEY } from '../config.js';
+import { profileKey } from './profiles.js';
+
+export const REMOTE_METHODS = ['isConfigured', 'getDoc', 'getCollection', 'setDoc', 'deleteDoc', 'testConnection'];
+
+// Available backends, keyed by the value stored under REMOTE_BACKEND_KEY
+export const BACKENDS = {
+    firebase: { label: 'Firebase', configKey: FIREBASE_CONFIG_KEY },
+    rest: { label: 'REST API', configKey: REST_CONFIG_KEY },
+};
+
+/**
+ * Throw if an object does not implement the remote adapter contract
+ * @returns {Object} The adapter, for chaining
+ */
+export function assertRemoteAdapter(adapter) {
+    const missing = REMOTE_METHODS.filter(m => typeof adapter?.[m] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Remote adapter is missing: ${missing.join(', ')}`);
+    }
+    return adapter;
+}
+
+/**
+ * The backend chosen in setup (defaults to Firebase for existing installs)
+ */
+export function getBackendType() {
+    const type = localStorage.getItem(profileKey(REMOTE_BACKEND_KEY));
+    return BACKENDS[type] ? type : 'firebase';
+}
+
+export function setBackendType(type) {
+    if (!BACKENDS[type]) throw new Error(`Unknown backend: ${type}`);
+    localStorage.setItem(profileKey(REMOTE_BACKEND_KEY), type);
+}
+
+/**
+ * Check if the chosen backend has a saved config
+ */
+export function isRemoteConfigured() {
+    return !!localStorage.getItem(profileKey(BACKENDS[getBackendType()].configKey));
+}
+
+/**
+ * The REST server an accountability group shares ({ baseUrl, token? }), or
+ * null when its summaries go through the configured backend. Like backend
+ * credentials it stays on this device, outside synced data.
+ */
+export function loadGroupServer() {
+    const raw = localStorage.getItem(profileKey(GROUP_SERVER_KEY));
+    if (!raw) return null;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        console.error('Failed to parse group server config', e);
+        return null;
+    }
+}
+
+/**
+ * Save the group server, or forget it when null
+ */
+export function saveGroupServer(server) {
+    if (server) {
+        localStorage.setItem(profileKey(GROUP_SERVER_KEY), JSON.stringify(server));
+    } else {
+        localStorage.removeItem(profileKey(GROUP_SERVER_KEY));
+    }
+}
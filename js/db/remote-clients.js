@@ -0,0 +1,26 @@
+/**
+ * Remote Clients — Builds the sync backend chosen in setup, and the optional
+ * REST server of an accountability group
+ */
+
+import { FirebaseClient } from './firebase-client.js';
+import { RestClient } from './rest-client.js';
+import { assertRemoteAdapter, getBackendType, loadGroupServer } from './remote-adapter.js';
+
+/**
+ * Create a client for the configured backend (see remote-adapter.js)
+ * @param {string} [type] - 'firebase' or 'rest'
+ */
+export function createRemoteClient(type = getBackendType()) {
+    const client = type === 'rest' ? new RestClient() : new FirebaseClient();
+    return assertRemoteAdapter(client);
+}
+
+/**
+ * Create a client for a group's summaries: the group's REST server when one
+ * is set (see loadGroupServer), else the configured backend
+ * @param {Object|null} [server] - { baseUrl, token? }
+ */
+export function createGroupClient(server = loadGroupServer()) {
+    return server ? assertRemoteAdapter(new RestClient(server)) : createRemoteClient();
+}
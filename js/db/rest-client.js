@@ -0,0 +1,162 @@
+/**
+ * REST/JSON Client — Remote adapter for a plain HTTP backend
+ *
+ * Config { baseUrl, token? } is stored in localStorage under 'restConfig' (per profile, see profiles.js).
+ * The server exposes one resource per collection:
+ *
+ *   GET    {baseUrl}/{collection}/{id}        -> 200 doc | 404
+ *   GET    {baseUrl}/{collection}?field=value -> 200 [docs] (all filters must match;
+ *          range filters use field[gt|gte|lt|lte]=value, e.g. updatedAt[gt]=2026-03-01T00:00:00Z)
+ *   PATCH  {baseUrl}/{collection}/{id}        -> 2xx (upsert, body = doc JSON; nested objects
+ *          merge into the stored doc, everything else is replaced)
+ *   PUT    {baseUrl}/{collection}/{id}        -> 2xx (upsert, body replaces the stored doc)
+ *   DELETE {baseUrl}/{collection}/{id}        -> 2xx | 404
+ *
+ * A token, when set, is sent as "Authorization: Bearer <token>".
+ * See server/rest-stand-in.cjs for a reference implementation.
+ */
+
+import { REST_CONFIG_KEY } from '../config.js';
+import { profileKey } from './profiles.js';
+
+// Query-string suffixes for range filters
+const RANGE_OPERATORS = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+export class RestClient {
+    /**
+     * @param {Object|null} [config] - { baseUrl, token }; read from localStorage when omitted
+     */
+    constructor(config = RestClient.loadConfig()) {
+        this.config = config && config.baseUrl
+            ? { ...config, baseUrl: config.baseUrl.replace(/\/+$/, '') }
+            : null;
+    }
+
+    /**
+     * Load the REST config from localStorage
+     */
+    static loadConfig() {
+        const raw = localStorage.getItem(profileKey(REST_CONFIG_KEY));
+        if (!raw) return null;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            console.error('Failed to parse REST config', e);
+            return null;
+        }
+    }
+
+    /**
+     * Save config to localStorage
+     */
+    static saveConfig(config) {
+        localStorage.setItem(profileKey(REST_CONFIG_KEY), JSON.stringify(config));
+    }
+
+    /**
+     * Clear config from localStorage
+     */
+    static clearConfig() {
+        localStorage.removeItem(profileKey(REST_CONFIG_KEY));
+    }
+
+    isConfigured() {
+        return !!this.config;
+    }
+
+    // ============ CRUD Operations ============
+
+    async getDoc(collectionName, id) {
+        const res = await this.request('GET', docPath(collectionName, id));
+        if (res.status === 404) return null;
+        return { ...(await res.json()), _id: id };
+    }
+
+    /**
+     * @param {Array} whereConditions - Array of [field, op, value] arrays
+     *   (op: '==', '>', '>=', '<', '<=')
+     */
+    async getCollection(collectionName, whereConditions = []) {
+        const params = new URLSearchParams();
+        for (const [field, op, value] of whereConditions) {
+            if (!(op in RANGE_OPERATORS) && op !== '==') {
+                throw new Error(`REST backend does not support '${op}' filters`);
+            }
+            params.append(op === '==' ? field : `${field}[${RANGE_OPERATORS[op]}]`, value);
+        }
+        const query = params.toString();
+        const res = await this.request('GET', `/${encodeURIComponent(collectionName)}${query ? `?${query}` : ''}`);
+        return res.json();
+    }
+
+    /**
+     * Upsert a doc: PATCH merges into the stored doc, PUT (options.replace) replaces it
+     */
+    async setDoc(collectionName, id, data, options = {}) {
+        const { _id, ...cleanData } = data;
+        await this.request(options.replace ? 'PUT' : 'PATCH', docPath(collectionName, id), cleanData);
+        return id;
+    }
+
+    async deleteDoc(collectionName, id) {
+        await this.request('DELETE', docPath(collectionName, id));
+    }
+
+    /**
+     * Test the connection by reading the app config doc (404 still means reachable)
+     */
+    async testConnection() {
+        if (!this.isConfigured()) return { success: false, error: 'Not configured' };
+        try {
+            await this.request('GET', docPath('meta', 'app_config'));
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }
+
+    /**
+     * Send a request; 404 is returned to the caller, other failures throw
+     * an Error with a Firestore-style `code`
+     */
+    async request(method, path, body) {
+        if (!this.isConfigured()) throw new Error('REST backend not configured');
+
+        const headers = { 'Accept': 'application/json' };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (this.config.token) headers['Authorization'] = `Bearer ${this.config.token}`;
+
+        let res;
+        try {
+            res = await fetch(this.config.baseUrl + path, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+            });
+        } catch (err) {
+            throw withCode(new Error(`Cannot reach ${this.config.baseUrl}: ${err.message}`), 'unavailable');
+        }
+
+        if (res.ok || res.status === 404) return res;
+        throw withCode(new Error(`${method} ${path} failed: HTTP ${res.status}`), statusToCode(res.status));
+    }
+}
+
+function docPath(collectionName, id) {
+    return `/${encodeURIComponent(collectionName)}/${encodeURIComponent(id)}`;
+}
+
+function withCode(err, code) {
+    err.code = code;
+    return err;
+}
+
+/**
+ * Map HTTP statuses onto the error codes the push queue understands
+ */
+function statusToCode(status) {
+    if (status === 401 || status === 403) return 'permission-denied';
+    if (status === 429) return 'resource-exhausted';
+    if (status >= 500) return 'unavailable';
+    return 'invalid-argument';
+}
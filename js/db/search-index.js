@@ -0,0 +1,57 @@
+/**
+ * Search Index — The app-wide full-text index over all entries
+ *
+ * Built on first use from every year's entries, then kept current from
+ * local-store's entry change notifications, so edits and synced docs are
+ * searchable without a rebuild. A new schema (different searchable fields)
+ * triggers a full rebuild.
+ */
+
+import { getAllEntries, getEntryYears } from './data-access.js';
+import { onEntryChange } from './local-store.js';
+import { createSearchIndex, indexEntry, removeEntryFromIndex } from '../utils/search-utils.js';
+
+let indexedSchema = null;
+let building = null;
+let unsubscribe = null;
+
+/**
+ * Get the index for a schema, building it if needed
+ * @returns {Promise<Object>}
+ */
+export function getSearchIndex(schema) {
+    if (indexedSchema === schema && building) return building;
+
+    indexedSchema = schema;
+    building = buildIndex(schema).catch(err => {
+        building = null;
+        throw err;
+    });
+    return building;
+}
+
+async function buildIndex(schema) {
+    // Subscribe before reading so writes made mid-build are not missed
+    unsubscribe?.();
+    const pending = [];
+    let ready = null;
+    unsubscribe = onEntryChange((dateId, doc) => {
+        if (ready) applyChange(ready, schema, dateId, doc);
+        else pending.push([dateId, doc]);
+    });
+
+    const fresh = createSearchIndex();
+    const years = await getEntryYears();
+    for (const year of years) {
+        for (const entry of await getAllEntries(year)) indexEntry(fresh, entry, schema);
+    }
+
+    pending.forEach(([dateId, doc]) => applyChange(fresh, schema, dateId, doc));
+    ready = fresh;
+    return fresh;
+}
+
+function applyChange(target, schema, dateId, doc) {
+    if (doc) indexEntry(target, doc, schema);
+    else removeEntryFromIndex(target, dateId);
+}
@@ -1,35 +1,104 @@
 /**
- * Sync Engine — Bidirectional sync between IndexedDB and Firestore
+ * Sync Engine — Bidirectional sync between IndexedDB and a remote backend
+ * (Firestore or REST; any object implementing remote-adapter.js)
  *
  * Strategy:
  * - All writes go to IndexedDB first (instant)
  * - Debounced push to MongoDB after 2 seconds of inactivity
- * - Pull from MongoDB on page load or manual refresh
- * - Last-write-wins conflict resolution using updatedAt timestamps
+ * - Failed pushes retry per doc with exponential backoff and jitter;
+ *   docs that keep failing are parked as poison records
+ * - Pull from MongoDB on page load or manual refresh, incrementally via
+ *   per-year updatedAt cursors
+ * - Entries and monthly goals merge field by field: every value carries its
+ *   own modification stamp (see field-merge.js), so concurrent edits to
+ *   different fields of the same doc are all kept. Meta stays last-write-wins.
+ * - Live mode: while a year is open, remote changes stream in through the
+ *   adapter's subscribe() (Firestore snapshot listeners) or, for backends
+ *   without push, a periodic incremental pull. onRemoteChange() listeners
+ *   hear about every local doc a pull or live update changed.
+ * - Optional end-to-end encryption (see encryption.js): once a key doc
+ *   exists, entries and monthly goals are encrypted before they are queued
+ *   or pushed and decrypted as they are pulled. A device without the key is
+ *   "locked": it skips encrypted docs and pushes nothing until unlocked.
+ * - Accountability groups (see group-utils.js): members publish a plaintext
+ *   summary of chosen daily goals to the 'groupSummaries' collection of the
+ *   backend (or of a REST server the group shares) and read their teammates'
+ *   summaries from it
+ * - Every pull/push run is recorded in the syncLog store for diagnostics
+ * - Deletions leave tombstones (local store + remote 'tombstones' collection)
+ *   so a deleted doc is never resurrected by an older copy
  */
 
-import { FirebaseClient } from './firebase-client.js';
 import {
-    getEntry, putEntry, getAllEntries,
-    getMonthlyGoal, putMonthlyGoal, getAllMonthlyGoals,
-    getMeta, putMeta,
-    addToSyncQueue, getSyncQueue, clearSyncQueue
+    getEntry, putEntry, getAllEntries, deleteEntry,
+    getMonthlyGoal, putMonthlyGoal, getAllMonthlyGoals, deleteMonthlyGoal,
+    getMeta, putMeta, getSyncState, putSyncState, putSyncedDoc, putSyncedDocs,
+    getEncryptionConfig, putEncryptionConfig, getGroupSettings, putGroupSettings, deleteGroupSettings,
+    addToSyncQueue, getSyncQueue, updateSyncQueueItem, deleteSyncQueueItem,
+    addSyncLogRecord,
+    tombstoneId, getTombstones, applyTombstone
 } from './local-store.js';
-import { YEAR } from '../config.js';
+import { stampChangedFields, mergeDocs } from './field-merge.js';
+import { groupQueue, isDue, recordFailure, getNextRetryTime } from './push-queue.js';
+import { loadGroupServer } from './remote-adapter.js';
+import {
+    ENCRYPTED_COLLECTIONS, KEY_DOC_ID, createKeyring, unlockWithPassphrase, unlockWithRecoveryCode,
+    changePassphrase, encryptDoc, decryptDoc, isEncrypted
+} from './encryption.js';
+import { computeDailyCompletion, computeMonthlyCompletion } from '../components/goal-manager.js';
+import { GROUP_COLLECTION } from '../utils/group-utils.js';
+import { haveGoalRulesChanged, recomputeDailyCompletions, clearSchemaCache } from '../schema/schema-manager.js';
+
+// Collections merged field by field (everything else is last-write-wins)
+const MERGED_COLLECTIONS = ['entries', 'monthlyGoals'];
+
+// Pull cursors are rewound by this much so docs stamped by a device whose
+// clock runs slightly behind ours are not skipped (re-merging is harmless)
+const CURSOR_OVERLAP_MS = 5 * 60000;
+
+// Live mode polls this often when the backend cannot push changes
+export const LIVE_POLL_INTERVAL = 30000;
+
+// Collections a live subscription listens to, and the field each one is stamped with
+const LIVE_COLLECTIONS = { tombstones: 'deletedAt', entries: 'updatedAt', monthlyGoals: 'updatedAt' };
+
+const LOCKED_MESSAGE = 'Sync is encrypted: unlock this device in Setup';
+
+// Docs named per sync log record; beyond that only a count is kept
+const LOGGED_DOCS_LIMIT = 50;
 
 export class SyncEngine {
-    constructor() {
-        this.client = new FirebaseClient();
+    /**
+     * @param {Function} createClient - Factory returning a remote adapter
+     *   (see remote-clients.js); called again on reloadConfig()
+     * @param {Function|null} [createGroupClient] - (server config) => remote adapter
+     *   for a group's own REST server; without it groups use the backend
+     */
+    constructor(createClient, createGroupClient = null) {
+        this.createClient = createClient;
+        this.client = createClient();
+        this.createGroupClient = createGroupClient;
+        this.groupClient = null;    // Client for the group server in groupServerKey
+        this.groupServerKey = null;
         this.pushTimer = null;
+        this.retryTimer = null;
         this.pushing = false;
         this.pulling = false;
         this.status = 'idle'; // 'idle', 'syncing', 'error', 'offline'
+        this.lastConflicts = 0; // Docs whose concurrent edits the last sync merged
+        this.unseenConflicts = 0; // Merged docs not yet reported to the user (see acknowledgeConflicts)
         this.listeners = [];
+        this.changeListeners = [];
+        this.liveYear = null;       // Year live mode is following (null when stopped)
+        this.liveUnsubscribes = [];
+        this.liveTimer = null;
+        this.liveGeneration = 0;    // Bumped on every start/stop so stale setups bail out
+        this.encryptionKey = null;  // Unlocked data key (see setEncryptionKey)
 
         // Listen for online/offline
         window.addEventListener('online', () => {
             this.setStatus('idle');
-            this.pushPending();
+            this.pushPending(true);
         });
 
         window.addEventListener('offline', () => {
@@ -56,6 +125,35 @@ export class SyncEngine {
         this.listeners.forEach(cb => cb(status));
     }
 
+    /**
+     * Count one doc whose concurrent edits a sync merged
+     */
+    countConflict() {
+        this.lastConflicts++;
+        this.unseenConflicts++;
+    }
+
+    /**
+     * Mark merged docs as seen by the user (e.g. after opening the sync diagnostics).
+     * Until then they stay reported, however many syncs run in between.
+     */
+    acknowledgeConflicts() {
+        this.unseenConflicts = 0;
+    }
+
+    /**
+     * Register a listener for docs changed locally by a pull or live update
+     * @param {Function} callback - ({ collection, ids }) => void
+     */
+    onRemoteChange(callback) {
+        this.changeListeners.push(callback);
+    }
+
+    emitRemoteChange(collection, ids) {
+        if (ids.length === 0) return;
+        this.changeListeners.forEach(cb => cb({ collection, ids }));
+    }
+
     /**
      * Check if MongoDB is configured
      */
@@ -64,10 +162,13 @@ export class SyncEngine {
     }
 
     /**
-     * Reload the MongoDB client config (after setup)
+     * Rebuild the remote client (after setup)
      */
     reloadConfig() {
-        this.client = new FirebaseClient();
+        const liveYear = this.liveYear;
+        this.stopLive();
+        this.client = this.createClient();
+        if (liveYear !== null) this.startLive(liveYear);
     }
 
     // ============ WRITE + SYNC ============
@@ -76,16 +177,18 @@ export class SyncEngine {
      * Save an entry locally and schedule a push to MongoDB
      */
     async saveEntry(doc) {
+        stampChangedFields(doc, await getEntry(doc._id));
         await putEntry(doc);
-        this.schedulePush('entries', doc._id, doc);
+        await this.schedulePush('entries', doc._id, doc);
     }
 
     /**
      * Save monthly goals locally and schedule a push
      */
     async saveMonthlyGoal(doc) {
+        stampChangedFields(doc, await getMonthlyGoal(doc._id));
         await putMonthlyGoal(doc);
-        this.schedulePush('monthlyGoals', doc._id, doc);
+        await this.schedulePush('monthlyGoals', doc._id, doc);
     }
 
     /**
@@ -93,17 +196,45 @@ export class SyncEngine {
      */
     async saveMeta(doc) {
         await putMeta(doc);
-        this.schedulePush('meta', doc._id, doc);
+        await this.schedulePush('meta', doc._id, doc);
+    }
+
+    /**
+     * Delete an entry locally and schedule the deletion push
+     */
+    async removeEntry(dateId) {
+        const tombstone = await deleteEntry(dateId);
+        if (tombstone) await this.schedulePush('entries', dateId, tombstone, 'delete');
+    }
+
+    /**
+     * Delete a monthly goals doc locally and schedule the deletion push
+     */
+    async removeMonthlyGoal(monthId) {
+        const tombstone = await deleteMonthlyGoal(monthId);
+        if (tombstone) await this.schedulePush('monthlyGoals', monthId, tombstone, 'delete');
     }
 
     /**
-     * Schedule a debounced push to MongoDB
+     * Queue a mutation and schedule a debounced push to MongoDB.
+     * Resolves once the mutation is persisted in the sync queue.
+     * @param {string} operation - 'upsert' (data = doc) or 'delete' (data = tombstone)
      */
-    schedulePush(collection, docId, data) {
+    async schedulePush(collection, docId, data, operation = 'upsert') {
         if (!this.isConfigured()) return;
 
         // Add to sync queue for reliability
-        addToSyncQueue({ collection, operation: 'upsert', docId, data }).catch(console.error);
+        try {
+            if (operation === 'upsert' && ENCRYPTED_COLLECTIONS.includes(collection)) {
+                // A locked device queues the doc without its contents; it is
+                // sealed from the local copy once the key is back (sealQueuedDocs)
+                if (this.encryptionKey) data = await encryptDoc(data, this.encryptionKey);
+                else if (await this.isLocked()) data = null;
+            }
+            await addToSyncQueue({ collection, operation, docId, data });
+        } catch (err) {
+            console.error(err);
+        }
 
         // Debounce: push after 2 seconds of inactivity
         if (this.pushTimer) clearTimeout(this.pushTimer);
@@ -112,56 +243,141 @@ export class SyncEngine {
 
     /**
      * Push all pending mutations to MongoDB
+     *
+     * Each doc is pushed independently: a failure is recorded on its queue
+     * item and retried with exponential backoff, so one bad doc never
+     * blocks the others. Items that keep failing are parked (see push-queue.js).
+     * @param {boolean} [retryNow] - Ignore backoff delays (e.g. back online)
      */
-    async pushPending() {
+    async pushPending(retryNow = false) {
         if (this.pushing || !this.isConfigured() || !navigator.onLine) return;
 
         this.pushing = true;
+        this.lastConflicts = 0;
         this.setStatus('syncing');
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+
+        const run = startRun('push');
 
         try {
-            const queue = await getSyncQueue();
-            if (queue.length === 0) {
-                this.setStatus('idle');
-                this.pushing = false;
+            if (await this.isLocked()) {
+                // Nothing may leave this device unencrypted; the queue waits for the key
+                run.errors.push({ message: LOCKED_MESSAGE });
+                this.setStatus('error');
                 return;
             }
+            await this.sealQueuedDocs();
+
+            const now = Date.now();
+            let failed = false;
+
+            for (const { latest, supersededKeys } of groupQueue(await getSyncQueue())) {
+                // Older mutations of the same doc are replaced by the latest one
+                // (a delete after an upsert wins, and vice versa)
+                for (const key of supersededKeys) await deleteSyncQueueItem(key);
+                if (latest.parked) {
+                    failed = true;
+                    logDoc(run, latest.collection, latest.docId, 'skipped');
+                    continue;
+                }
+                if (!retryNow && !isDue(latest, now)) continue;
 
-            // Deduplicate: keep only the latest mutation per docId+collection
-            const latest = new Map();
-            for (const item of queue) {
-                const key = `${item.collection}:${item.docId}`;
-                latest.set(key, item);
-            }
-
-            // Push each mutation
-            for (const [, mutation] of latest) {
                 try {
-                    await this.client.setDoc(
-                        mutation.collection,
-                        mutation.docId,
-                        mutation.data
-                    );
+                    await this.pushMutation(latest, run);
+                    await deleteSyncQueueItem(latest.key);
+                    run.docs++;
+                    logDoc(run, latest.collection, latest.docId, latest.operation === 'delete' ? 'deleted' : 'pushed');
                 } catch (err) {
-                    console.error(`Sync push failed for ${mutation.collection}/${mutation.docId}:`, err);
-                    this.setStatus('error');
-                    this.pushing = false;
-                    return; // Stop pushing, will retry later
+                    console.error(`Sync push failed for ${latest.collection}/${latest.docId}:`, err);
+                    failed = true;
+                    run.errors.push({ doc: `${latest.collection}/${latest.docId}`, message: err.message || String(err) });
+                    await updateSyncQueueItem(recordFailure(latest, err));
                 }
             }
 
-            // All pushed successfully — clear the queue
-            await clearSyncQueue();
-            this.setStatus('idle');
+            this.scheduleRetry(await getSyncQueue());
+            this.setStatus(failed ? 'error' : 'idle');
 
         } catch (err) {
             console.error('Sync push error:', err);
+            run.errors.push({ message: err.message || String(err) });
             this.setStatus('error');
         } finally {
             this.pushing = false;
+            run.conflicts = this.lastConflicts;
+            // Timer wake-ups with nothing due are not worth a log line
+            if (run.docs > 0 || run.errors.length > 0) this.finishRun(run);
         }
     }
 
+    /**
+     * Push a single queued mutation
+     * @param {Object} [run] - Sync run that merged docs are logged on
+     */
+    async pushMutation(mutation, run = null) {
+        if (mutation.operation === 'delete') {
+            // Publish the tombstone first so other devices drop their copies
+            await this.client.setDoc('tombstones', mutation.data._id, mutation.data);
+            await this.client.deleteDoc(mutation.collection, mutation.docId);
+            return;
+        }
+
+        const data = MERGED_COLLECTIONS.includes(mutation.collection)
+            ? await this.mergeBeforePush(mutation, run)
+            : mutation.data;
+        const sealed = await this.sealDoc(mutation.collection, data);
+        // An encrypted doc replaces the remote copy so no plaintext fields linger
+        await this.client.setDoc(mutation.collection, mutation.docId, sealed, { replace: isEncrypted(sealed) });
+    }
+
+    // ============ DIAGNOSTICS ============
+
+    /**
+     * Clear a queue item's failures (including a parked one) and push it now
+     */
+    async retryQueueItem(key) {
+        const item = (await getSyncQueue()).find(i => i.key === key);
+        if (!item) return;
+        const { parked, nextAttemptAt, ...rest } = item;
+        await updateSyncQueueItem({ ...rest, attempts: 0, lastError: null });
+        await this.pushPending(true);
+    }
+
+    /**
+     * Drop a queue item without pushing it (the local copy is kept)
+     */
+    async discardQueueItem(key) {
+        const item = (await getSyncQueue()).find(i => i.key === key);
+        if (!item) return;
+        await deleteSyncQueueItem(key);
+        const run = startRun('discard');
+        run.docs = 1;
+        run.detail = `${item.collection}/${item.docId}`;
+        await this.finishRun(run);
+    }
+
+    /**
+     * Close a sync run and append it to the persistent log
+     */
+    finishRun(run) {
+        run.finishedAt = new Date().toISOString();
+        run.status = run.errors.length > 0 ? 'error' : 'ok';
+        return addSyncLogRecord(run).catch(err => console.error('Failed to write sync log:', err));
+    }
+
+    /**
+     * Wake up when the next backed-off item becomes due
+     */
+    scheduleRetry(queue) {
+        const next = getNextRetryTime(queue);
+        if (next === null) return;
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.pushPending(), Math.max(0, next - Date.now()));
+    }
+
     /**
      * Push schema to Firebase
      */
@@ -171,7 +387,6 @@ export class SyncEngine {
         try {
             await this.client.setDoc('meta', 'app_config', {
                 schema,
-                year: YEAR,
                 updatedAt: new Date().toISOString()
             });
             this.setStatus('idle');
@@ -182,16 +397,102 @@ export class SyncEngine {
         }
     }
 
+    /**
+     * Merge a queued doc with the remote copy so the push never overwrites
+     * fields another device changed more recently
+     */
+    async mergeBeforePush(mutation, run = null) {
+        const localDoc = (await this.getLocalDoc(mutation.collection, mutation.docId))
+            || await this.openDoc(mutation.data);
+        const remoteDoc = await this.openDoc(await this.client.getDoc(mutation.collection, mutation.docId));
+        if (!remoteDoc) return localDoc;
+
+        const { merged, changedLocal, conflict } = mergeDocs(localDoc, remoteDoc);
+        if (conflict) {
+            this.countConflict();
+            logDoc(run, mutation.collection, mutation.docId, 'merged');
+        }
+        if (changedLocal) {
+            const meta = await getMeta();
+            recomputeCompletion(mutation.collection, merged, meta?.schema);
+            await putSyncedDoc(mutation.collection, merged);
+        }
+        return merged;
+    }
+
+    // ============ MERGE HELPERS ============
+
+    getLocalDoc(collection, docId) {
+        return collection === 'entries' ? getEntry(docId) : getMonthlyGoal(docId);
+    }
+
+    /**
+     * Merge a batch of pulled docs into their local copies field by field,
+     * in one IndexedDB transaction. Merged docs the remote copy is missing
+     * local edits from are re-queued for push.
+     * @param {Object} [run] - Sync run the changed docs are logged on
+     * @returns {Promise<number>} Number of local docs changed
+     */
+    async mergeRemoteBatch(collection, remoteDocs, schema, run = null) {
+        const toPush = [];
+        const written = await putSyncedDocs(collection, remoteDocs, (localDoc, remoteDoc) => {
+            if (!localDoc) {
+                logDoc(run, collection, remoteDoc._id, 'pulled');
+                return remoteDoc;
+            }
+
+            const { merged, changedLocal, changedRemote, conflict } = mergeDocs(localDoc, remoteDoc);
+            if (conflict) this.countConflict();
+            if (conflict || changedLocal) logDoc(run, collection, remoteDoc._id, conflict ? 'merged' : 'pulled');
+            if (changedLocal) recomputeCompletion(collection, merged, schema);
+            if (changedRemote) toPush.push(merged);
+            return changedLocal ? merged : null;
+        });
+
+        for (const doc of toPush) {
+            await this.schedulePush(collection, doc._id, doc);
+        }
+        this.emitRemoteChange(collection, written.map(doc => doc._id));
+        return written.length;
+    }
+
+    /**
+     * Apply remote tombstones and report the local docs they removed
+     * @param {Object} [run] - Sync run the removed docs are logged on
+     */
+    async applyRemoteTombstones(tombstones, run = null) {
+        const removed = {};
+        for (const tombstone of tombstones) {
+            if (await applyTombstone(tombstone)) {
+                (removed[tombstone.collection] ||= []).push(tombstone.docId);
+                logDoc(run, tombstone.collection, tombstone.docId, 'removed');
+            }
+        }
+        for (const [collection, ids] of Object.entries(removed)) {
+            this.emitRemoteChange(collection, ids);
+        }
+    }
+
     // ============ PULL ============
 
     /**
-     * Pull all data from MongoDB and merge into IndexedDB
+     * Pull a year's changes from the remote and merge them into IndexedDB.
+     *
+     * Incremental: only docs whose updatedAt (deletedAt for tombstones) is
+     * newer than this device's per-year cursor are requested. Cursors live
+     * in the meta store's "sync_state" doc and only advance after a
+     * successful pull.
+     * @param {number} year - The year whose entries and goals to pull
+     * @param {boolean} [full] - Ignore the cursors and pull everything
      */
-    async pullAll() {
+    async pullAll(year, full = false) {
         if (this.pulling || !this.isConfigured() || !navigator.onLine) return;
 
         this.pulling = true;
+        this.lastConflicts = 0;
         this.setStatus('syncing');
+        const run = startRun('pull');
+        run.year = year;
 
         try {
             // Pull meta
@@ -200,42 +501,473 @@ export class SyncEngine {
                 const localMeta = await getMeta();
                 if (!localMeta || remoteMeta.updatedAt > (localMeta.updatedAt || '')) {
                     await putMeta(remoteMeta);
+                    clearSchemaCache();
+                    run.docs++;
+                    logDoc(run, 'meta', 'app_config', 'pulled');
+                    // Goal rules edited on another device change stored completion rates here too
+                    if (remoteMeta.schema && haveGoalRulesChanged(localMeta?.schema, remoteMeta.schema)) {
+                        await recomputeDailyCompletions(remoteMeta.schema);
+                    }
                 }
             }
 
-            // Pull entries for current year
-            const remoteEntries = await this.client.getCollection('entries', [['year', '==', YEAR]]);
-            for (const remoteEntry of remoteEntries) {
-                const localEntry = await getEntry(remoteEntry._id);
-                if (!localEntry || remoteEntry.updatedAt > (localEntry.updatedAt || '')) {
-                    await putEntry(remoteEntry);
+            // Pick up encryption turned on by another device
+            const remoteKeyDoc = await this.client.getDoc('meta', KEY_DOC_ID);
+            if (remoteKeyDoc) {
+                const localKeyDoc = await getEncryptionConfig();
+                if (!localKeyDoc || remoteKeyDoc.updatedAt > localKeyDoc.updatedAt) {
+                    await putEncryptionConfig(remoteKeyDoc);
                 }
             }
 
-            // Pull monthly goals
-            const remoteGoals = await this.client.getCollection('monthlyGoals', [['year', '==', YEAR]]);
-            for (const remoteGoal of remoteGoals) {
-                const localGoal = await getMonthlyGoal(remoteGoal._id);
-                if (!localGoal || remoteGoal.updatedAt > (localGoal.updatedAt || '')) {
-                    await putMonthlyGoal(remoteGoal);
-                }
+            const syncState = await getSyncState();
+            const cursors = full ? {} : (syncState.pullCursors[year] || {});
+            const since = (collection, field) => cursors[collection]
+                ? [['year', '==', year], [field, '>', rewindCursor(cursors[collection])]]
+                : [['year', '==', year]];
+
+            // Pull tombstones first so the docs below are not resurrected
+            const remoteTombstones = await this.client.getCollection('tombstones', since('tombstones', 'deletedAt'));
+            await this.applyRemoteTombstones(remoteTombstones, run);
+            const tombstones = await getTombstones(year);
+
+            const nextCursors = {
+                tombstones: latestStamp(remoteTombstones, 'deletedAt', cursors.tombstones),
+            };
+
+            // Pull changed entries and monthly goals for the requested year
+            const schema = (await getMeta())?.schema;
+            for (const collection of MERGED_COLLECTIONS) {
+                const remoteDocs = await this.client.getCollection(collection, since(collection, 'updatedAt'));
+                const { docs, skipped } = await this.openDocs(collection, remoteDocs, run);
+                const live = withoutTombstoned(tombstones, collection, docs, run);
+                run.docs += await this.mergeRemoteBatch(collection, live, schema, run);
+                // Docs that could not be decrypted are fetched again next time
+                nextCursors[collection] = skipped > 0
+                    ? cursors[collection] || null
+                    : latestStamp(remoteDocs, 'updatedAt', cursors[collection]);
             }
 
-            this.setStatus('idle');
+            syncState.pullCursors[year] = nextCursors;
+            await putSyncState(syncState);
+
+            this.setStatus(run.errors.length > 0 ? 'error' : 'idle');
 
         } catch (err) {
             console.error('Sync pull error:', err);
+            run.errors.push({ message: err.message || String(err) });
             this.setStatus('error');
         } finally {
             this.pulling = false;
+            run.conflicts = this.lastConflicts;
+            this.finishRun(run);
         }
     }
 
     /**
      * Full sync: pull first, then push pending
      */
-    async fullSync() {
-        await this.pullAll();
+    async fullSync(year) {
+        await this.pullAll(year);
         await this.pushPending();
     }
+
+    // ============ LIVE UPDATES ============
+
+    /**
+     * Follow remote changes to a year until stopLive(). Subscriptions start
+     * from the year's pull cursors, so call this after an initial pullAll().
+     * Falls back to polling if the adapter has no subscribe() or a
+     * subscription fails.
+     */
+    async startLive(year) {
+        this.stopLive();
+        if (!this.isConfigured()) return;
+
+        const generation = this.liveGeneration;
+        this.liveYear = year;
+
+        if (typeof this.client.subscribe !== 'function') {
+            this.startPolling(year);
+            return;
+        }
+
+        const cursors = (await getSyncState()).pullCursors[year] || {};
+        if (generation !== this.liveGeneration) return;
+
+        for (const [collection, field] of Object.entries(LIVE_COLLECTIONS)) {
+            const conditions = cursors[collection]
+                ? [['year', '==', year], [field, '>', rewindCursor(cursors[collection])]]
+                : [['year', '==', year]];
+            const unsubscribe = this.client.subscribe(
+                collection,
+                conditions,
+                (docs) => this.applyLiveChanges(year, collection, docs),
+                (err) => {
+                    console.error(`Live subscription to ${collection} failed:`, err);
+                    if (generation === this.liveGeneration) this.startPolling(year);
+                }
+            );
+            this.liveUnsubscribes.push(unsubscribe);
+        }
+    }
+
+    /**
+     * Stop following remote changes
+     */
+    stopLive() {
+        this.liveGeneration++;
+        this.liveUnsubscribes.forEach(unsubscribe => unsubscribe());
+        this.liveUnsubscribes = [];
+        if (this.liveTimer) {
+            clearInterval(this.liveTimer);
+            this.liveTimer = null;
+        }
+        this.liveYear = null;
+    }
+
+    startPolling(year) {
+        if (this.liveTimer) return;
+        this.liveTimer = setInterval(() => this.pullAll(year), LIVE_POLL_INTERVAL);
+    }
+
+    /**
+     * Merge docs delivered by a live subscription and advance the pull
+     * cursor past them
+     */
+    async applyLiveChanges(year, collection, docs) {
+        if (docs.length === 0) return;
+        const run = startRun('live');
+        run.year = year;
+        this.lastConflicts = 0;
+        let skipped = 0;
+
+        try {
+            if (collection === 'tombstones') {
+                await this.applyRemoteTombstones(docs, run);
+                run.docs = docs.length;
+            } else {
+                const tombstones = await getTombstones(year);
+                const opened = await this.openDocs(collection, docs, run);
+                skipped = opened.skipped;
+                const live = withoutTombstoned(tombstones, collection, opened.docs, run);
+                run.docs = await this.mergeRemoteBatch(collection, live, (await getMeta())?.schema, run);
+            }
+
+            // Only move cursors a completed pull has already set
+            const syncState = await getSyncState();
+            const cursors = syncState.pullCursors[year];
+            if (cursors && skipped === 0) {
+                cursors[collection] = latestStamp(docs, LIVE_COLLECTIONS[collection], cursors[collection]);
+                await putSyncState(syncState);
+            }
+        } catch (err) {
+            console.error('Live update error:', err);
+            run.errors.push({ message: err.message || String(err) });
+        } finally {
+            run.conflicts = this.lastConflicts;
+            if (run.docs > 0 || run.errors.length > 0) this.finishRun(run);
+        }
+    }
+
+    // ============ ENCRYPTION ============
+
+    /**
+     * Use an unlocked data key (null to forget it)
+     */
+    setEncryptionKey(key) {
+        this.encryptionKey = key;
+    }
+
+    /**
+     * Encrypt the docs queued while this device was locked, from their
+     * current local copy (dropping those deleted since)
+     */
+    async sealQueuedDocs() {
+        if (!this.encryptionKey) return;
+        for (const item of await getSyncQueue()) {
+            if (item.operation !== 'upsert' || item.data) continue;
+            const doc = await this.getLocalDoc(item.collection, item.docId);
+            if (doc) await updateSyncQueueItem({ ...item, data: await encryptDoc(doc, this.encryptionKey) });
+            else await deleteSyncQueueItem(item.key);
+        }
+    }
+
+    /**
+     * Whether encryption is on but this device has no key
+     */
+    async isLocked() {
+        return !this.encryptionKey && !!(await getEncryptionConfig());
+    }
+
+    /**
+     * Turn on encryption for every device: publish a new key doc and
+     * re-upload all entries and goals (local and remote) encrypted.
+     * @returns {Promise<{ key: CryptoKey, recoveryCode: string }>}
+     */
+    async enableEncryption(passphrase) {
+        if (await getEncryptionConfig() || await this.client.getDoc('meta', KEY_DOC_ID)) {
+            throw new Error('Encryption is already set up');
+        }
+        const { key, keyDoc, recoveryCode } = await createKeyring(passphrase);
+        await this.client.setDoc('meta', KEY_DOC_ID, keyDoc);
+        await putEncryptionConfig(keyDoc);
+        this.encryptionKey = key;
+
+        for (const collection of ENCRYPTED_COLLECTIONS) {
+            const local = collection === 'entries' ? await getAllEntries() : await getAllMonthlyGoals();
+            const localIds = new Set(local.map(doc => doc._id));
+            // Remote-only docs (years never pulled here) are re-uploaded as they are
+            const remoteOnly = (await this.client.getCollection(collection)).filter(doc => !localIds.has(doc._id));
+            for (const doc of [...local, ...remoteOnly]) {
+                await this.schedulePush(collection, doc._id, doc);
+            }
+        }
+        return { key, recoveryCode };
+    }
+
+    /**
+     * The current key doc: the remote copy when reachable (kept locally),
+     * otherwise the local one. Null when encryption was never set up.
+     */
+    async fetchKeyDoc() {
+        if (navigator.onLine && this.isConfigured()) {
+            try {
+                const remoteKeyDoc = await this.client.getDoc('meta', KEY_DOC_ID);
+                if (remoteKeyDoc) {
+                    await putEncryptionConfig(remoteKeyDoc);
+                    return remoteKeyDoc;
+                }
+            } catch (err) {
+                console.warn('Could not fetch the encryption key doc:', err);
+            }
+        }
+        return getEncryptionConfig();
+    }
+
+    /**
+     * Unlock this device with the passphrase (or the recovery code)
+     * @returns {Promise<CryptoKey>} The data key, for the caller to keep
+     */
+    async unlockEncryption(secret, useRecoveryCode = false) {
+        const keyDoc = await this.fetchKeyDoc();
+        if (!keyDoc) throw new Error('Encryption is not set up');
+
+        const key = useRecoveryCode
+            ? await unlockWithRecoveryCode(keyDoc, secret)
+            : await unlockWithPassphrase(keyDoc, secret);
+        this.encryptionKey = key;
+        await this.sealQueuedDocs();
+
+        // Docs skipped while locked are behind the cursors: pull everything again
+        const syncState = await getSyncState();
+        syncState.pullCursors = {};
+        await putSyncState(syncState);
+        return key;
+    }
+
+    /**
+     * Re-wrap the data key under a new passphrase (needs an unlocked device)
+     */
+    async changeEncryptionPassphrase(newPassphrase) {
+        if (!this.encryptionKey) throw new Error(LOCKED_MESSAGE);
+        const keyDoc = await changePassphrase(await getEncryptionConfig(), this.encryptionKey, newPassphrase);
+        await this.client.setDoc('meta', KEY_DOC_ID, keyDoc);
+        await putEncryptionConfig(keyDoc);
+    }
+
+    /**
+     * Encrypt a doc on its way to the remote when encryption is on
+     */
+    async sealDoc(collection, doc) {
+        if (!ENCRYPTED_COLLECTIONS.includes(collection) || isEncrypted(doc)) return doc;
+        if (!(await getEncryptionConfig())) return doc;
+        if (!this.encryptionKey) throw new Error(LOCKED_MESSAGE);
+        return encryptDoc(doc, this.encryptionKey);
+    }
+
+    /**
+     * Decrypt a doc from the remote or the queue (null and plaintext pass through)
+     */
+    async openDoc(doc) {
+        if (!isEncrypted(doc)) return doc;
+        if (!this.encryptionKey) throw new Error(LOCKED_MESSAGE);
+        return decryptDoc(doc, this.encryptionKey);
+    }
+
+    /**
+     * Decrypt pulled docs, skipping (and reporting) those this device cannot read
+     * @returns {Promise<{ docs: Array, skipped: number }>}
+     */
+    async openDocs(collection, docs, run) {
+        const opened = [];
+        let skipped = 0;
+        for (const doc of docs) {
+            try {
+                opened.push(await this.openDoc(doc));
+            } catch (err) {
+                skipped++;
+                if (skipped === 1) run.errors.push({ doc: doc._id, message: err.message });
+                logDoc(run, collection, doc._id, 'skipped');
+            }
+        }
+        return { docs: opened, skipped };
+    }
+
+    // ============ GROUPS ============
+
+    /**
+     * This member's group settings ({ groupId, memberId, displayName, goals }),
+     * or null. With a backend they are kept there too: like the key doc, the
+     * remote copy wins (and is kept locally) so all of a member's devices
+     * publish under the same memberId.
+     */
+    async fetchGroupSettings() {
+        if (navigator.onLine && this.isConfigured()) {
+            try {
+                const remoteSettings = await this.client.getDoc('meta', 'group');
+                if (remoteSettings) {
+                    await putGroupSettings(remoteSettings);
+                    return remoteSettings;
+                }
+            } catch (err) {
+                console.warn('Could not fetch group settings:', err);
+            }
+        }
+        return getGroupSettings();
+    }
+
+    async saveGroupSettings(settings) {
+        const doc = { ...settings, updatedAt: new Date().toISOString() };
+        if (this.isConfigured()) await this.client.setDoc('meta', 'group', doc, { replace: true });
+        await putGroupSettings(doc);
+    }
+
+    /**
+     * The client group summaries go through: the group's REST server when
+     * one is set on this device (see loadGroupServer), else this member's
+     * backend. Null when neither is configured.
+     */
+    getGroupClient() {
+        const server = loadGroupServer();
+        if (!server || !this.createGroupClient) {
+            return this.isConfigured() ? this.client : null;
+        }
+        const key = JSON.stringify(server);
+        if (this.groupServerKey !== key) {
+            this.groupClient = this.createGroupClient(server);
+            this.groupServerKey = key;
+        }
+        return this.groupClient;
+    }
+
+    /**
+     * Leave the group: withdraw every summary this member published
+     */
+    async leaveGroup() {
+        const settings = await getGroupSettings();
+        if (!settings) return;
+        const groupClient = this.getGroupClient();
+        if (groupClient) {
+            const published = await groupClient.getCollection(GROUP_COLLECTION, [
+                ['groupId', '==', settings.groupId],
+                ['memberId', '==', settings.memberId],
+            ]);
+            for (const summary of published) {
+                await groupClient.deleteDoc(GROUP_COLLECTION, summary._id);
+            }
+        }
+        if (this.isConfigured()) await this.client.deleteDoc('meta', 'group');
+        await deleteGroupSettings();
+    }
+
+    /**
+     * Publish this member's summary (see buildGroupSummary), replacing the previous one
+     */
+    async publishGroupSummary(summary) {
+        const groupClient = this.getGroupClient();
+        if (!groupClient) return;
+        await groupClient.setDoc(GROUP_COLLECTION, summary._id, summary, { replace: true });
+    }
+
+    /**
+     * Every member's summary for a group and year
+     */
+    async fetchGroupSummaries(groupId, year) {
+        const groupClient = this.getGroupClient();
+        if (!groupClient) return [];
+        return groupClient.getCollection(GROUP_COLLECTION, [
+            ['groupId', '==', groupId],
+            ['year', '==', year],
+        ]);
+    }
+}
+
+/**
+ * Refresh the derived completion rate after a merge changed goal values
+ */
+function recomputeCompletion(collection, doc, schema) {
+    if (collection === 'entries') {
+        if (!schema) return;
+        doc.dailyGoalCompletion = computeDailyCompletion(doc.dailyGoals, schema, doc.year, doc.month, doc.day, doc);
+    } else if (collection === 'monthlyGoals') {
+        doc.completionRate = computeMonthlyCompletion(doc.goals);
+    }
+}
+
+/**
+ * Whether a pulled doc is covered by a newer local tombstone
+ * @param {Map} tombstones - From getTombstones()
+ */
+function isTombstoned(tombstones, collection, doc) {
+    const tombstone = tombstones.get(tombstoneId(collection, doc._id));
+    return !!tombstone && (doc.updatedAt || '') <= tombstone.deletedAt;
+}
+
+/**
+ * Drop pulled docs covered by a newer local tombstone, logging them as skipped
+ */
+function withoutTombstoned(tombstones, collection, docs, run) {
+    return docs.filter(doc => {
+        if (!isTombstoned(tombstones, collection, doc)) return true;
+        logDoc(run, collection, doc._id, 'skipped');
+        return false;
+    });
+}
+
+/**
+ * Start a sync run record for the activity log
+ * @param {string} kind - 'pull', 'push', 'live' or 'discard'
+ */
+function startRun(kind) {
+    return { kind, startedAt: new Date().toISOString(), docs: 0, conflicts: 0, errors: [], touched: [], moreTouched: 0 };
+}
+
+/**
+ * Note what a sync run did to a doc ('pushed', 'deleted', 'pulled', 'merged',
+ * 'removed' or 'skipped'). Past LOGGED_DOCS_LIMIT docs only the count grows.
+ * @param {Object|null} run - Nothing is logged without one
+ */
+function logDoc(run, collection, docId, action) {
+    if (!run) return;
+    if (run.touched.length < LOGGED_DOCS_LIMIT) {
+        run.touched.push({ doc: `${collection}/${docId}`, action });
+    } else {
+        run.moreTouched++;
+    }
+}
+
+/**
+ * Newest timestamp among docs (or the previous cursor if none is newer)
+ */
+function latestStamp(docs, field, previous = null) {
+    let latest = previous;
+    for (const doc of docs) {
+        if (doc[field] && (!latest || doc[field] > latest)) latest = doc[field];
+    }
+    return latest;
+}
+
+function rewindCursor(cursor) {
+    return new Date(Date.parse(cursor) - CURSOR_OVERLAP_MS).toISOString();
 }
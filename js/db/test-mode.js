@@ -5,6 +5,8 @@
  * Data is read-only — saves are silently no-ops.
  */
 
+import { profileKey } from './profiles.js';
+
 let testData = null;
 let entryMap = null;
 
@@ -14,15 +16,15 @@ const STORAGE_KEY = 'testMode';
  * Check if test mode is currently active
  */
 export function isTestMode() {
-    return sessionStorage.getItem(STORAGE_KEY) === 'true';
+    return sessionStorage.getItem(profileKey(STORAGE_KEY)) === 'true';
 }
 
 /**
  * Enable test mode — loads mock data and reloads the page
  */
 export function enableTestMode() {
-    sessionStorage.setItem(STORAGE_KEY, 'true');
-    localStorage.removeItem('skipSeed'); // User explicitly wants data
+    sessionStorage.setItem(profileKey(STORAGE_KEY), 'true');
+    localStorage.removeItem(profileKey('skipSeed')); // User explicitly wants data
     location.reload();
 }
 
@@ -30,7 +32,7 @@ export function enableTestMode() {
  * Disable test mode — clears mock data and reloads the page
  */
 export function disableTestMode() {
-    sessionStorage.removeItem(STORAGE_KEY);
+    sessionStorage.removeItem(profileKey(STORAGE_KEY));
     testData = null;
     entryMap = null;
     location.reload();
@@ -83,11 +85,39 @@ export async function getMonthEntries(year, month) {
 }
 
 /**
- * Get all entries for the year
+ * Get all entries for the year (every year when `year` is omitted)
  */
 export async function getAllEntries(year) {
     await loadTestData();
-    return testData.entries.filter(e => e.year === year);
+    return year == null ? testData.entries : testData.entries.filter(e => e.year === year);
+}
+
+/**
+ * Get the entries between two date IDs (inclusive), in date order
+ */
+export async function getEntriesBetween(fromId, toId) {
+    await loadTestData();
+    return testData.entries
+        .filter(e => e._id >= fromId && e._id <= toId)
+        .sort((a, b) => a._id.localeCompare(b._id));
+}
+
+/**
+ * Get the most recent entry before a date ID (null if there is none)
+ */
+export async function getLatestEntryBefore(dateId) {
+    await loadTestData();
+    return testData.entries
+        .filter(e => e._id < dateId)
+        .reduce((latest, e) => (!latest || e._id > latest._id ? e : latest), null);
+}
+
+/**
+ * Get the distinct years that have entries, ascending
+ */
+export async function getEntryYears() {
+    await loadTestData();
+    return [...new Set(testData.entries.map(e => e.year))].sort((a, b) => a - b);
 }
 
 /**
@@ -99,11 +129,11 @@ export async function getMonthlyGoal(monthId) {
 }
 
 /**
- * Get all monthly goals for the year
+ * Get all monthly goals for the year (every year when `year` is omitted)
  */
 export async function getAllMonthlyGoals(year) {
     await loadTestData();
-    return testData.monthlyGoals.filter(g => g.year === year);
+    return year == null ? testData.monthlyGoals : testData.monthlyGoals.filter(g => g.year === year);
 }
 
 // ============ NO-OP WRITE OPERATIONS ============
@@ -111,3 +141,5 @@ export async function getAllMonthlyGoals(year) {
 
 export async function putEntry(_doc) { return; }
 export async function putMonthlyGoal(_doc) { return; }
+export async function deleteEntry(_dateId) { return null; }
+export async function deleteMonthlyGoal(_monthId) { return null; }
@@ -4,9 +4,21 @@
  * Each type defines how to create inputs, parse values,
  * validate data, and format for display.
  *
- * Supported types: time, number, checkbox, velocity, text
+ * Supported types: time, number, checkbox, velocity, text, select, tags, scale,
+ * duration, counter, note
+ *
+ * toNumber gives times and durations in minutes, so calculations mixing
+ * them with distances read naturally (e.g. a pace in min/km).
+ *
+ * Types with `hasOptions` pick from the field's `options` list.
+ *
+ * validate() only checks a value's basic shape; getValidationError() adds the
+ * field's own constraints (`required`, `min`/`max`, `pattern`).
  */
 
+import { openPopover } from '../utils/ui-helpers.js';
+import { renderMarkdown, markdownToText } from '../utils/markdown.js';
+
 export const FIELD_TYPES = {
     time: {
         label: 'Time',
@@ -54,6 +66,7 @@ export const FIELD_TYPES = {
             input.step = 'any';
             input.value = value ?? '';
             input.placeholder = fieldDef.unit || '';
+            setRangeAttributes(input, fieldDef);
             input.addEventListener('change', () => {
                 const v = input.value === '' ? null : parseFloat(input.value);
                 onChange(v);
@@ -65,6 +78,7 @@ export const FIELD_TYPES = {
             input.type = 'number';
             input.step = 'any';
             input.value = value ?? '';
+            setRangeAttributes(input, fieldDef);
             input.addEventListener('change', () => {
                 const v = input.value === '' ? null : parseFloat(input.value);
                 onChange(v);
@@ -130,7 +144,7 @@ export const FIELD_TYPES = {
             const span = document.createElement('span');
             span.className = 'field-calculated';
             span.textContent = value !== null && value !== undefined ?
-                `${typeof value === 'number' ? value.toFixed(2) : value} ${fieldDef.unit || ''}` :
+                `${formatCalculated(value, fieldDef)} ${fieldDef.unit || ''}` :
                 '--';
             return span;
         },
@@ -138,7 +152,7 @@ export const FIELD_TYPES = {
             const span = document.createElement('span');
             span.className = 'calculated-value';
             span.textContent = value !== null && value !== undefined ?
-                (typeof value === 'number' ? value.toFixed(1) : value) : '';
+                formatCalculated(value, fieldDef, 1) : '';
             return span;
         },
         parseValue(raw) {
@@ -151,7 +165,7 @@ export const FIELD_TYPES = {
         },
         formatDisplay(value, fieldDef) {
             if (value === null || value === undefined) return '';
-            const formatted = typeof value === 'number' ? value.toFixed(2) : value.toString();
+            const formatted = formatCalculated(value, fieldDef);
             return fieldDef.unit ? `${formatted} ${fieldDef.unit}` : formatted;
         },
         toNumber(value) {
@@ -189,9 +203,541 @@ export const FIELD_TYPES = {
         toNumber() {
             return null; // text cannot be converted to number
         }
+    },
+
+    select: {
+        label: 'Select',
+        hasOptions: true,
+        createInput(fieldDef, value, onChange) {
+            return createOptionSelect(fieldDef, value, onChange);
+        },
+        createGridInput(fieldDef, value, onChange) {
+            return createOptionSelect(fieldDef, value, onChange);
+        },
+        parseValue(raw, fieldDef) {
+            if (raw === null || raw === undefined || raw === '') return null;
+            const value = String(raw).trim();
+            return getOptions(fieldDef).includes(value) ? value : null;
+        },
+        validate(value, fieldDef) {
+            if (value === null || value === '') return true;
+            return getOptions(fieldDef).includes(value);
+        },
+        formatDisplay(value) {
+            return value || '';
+        },
+        toNumber() {
+            return null; // categories are counted, not summed (see countCategories)
+        }
+    },
+
+    tags: {
+        label: 'Tags',
+        hasOptions: true,
+        createInput(fieldDef, value, onChange) {
+            return createTagPicker(fieldDef, value, onChange);
+        },
+        createGridInput(fieldDef, value, onChange) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'tag-cell';
+            let current = value;
+            const show = () => {
+                button.textContent = FIELD_TYPES.tags.formatDisplay(current) || '+';
+                button.title = button.textContent;
+            };
+            show();
+            button.addEventListener('click', () => {
+                openPopover(button, createTagPicker(fieldDef, current, (tags) => {
+                    current = tags;
+                    show();
+                    onChange(tags);
+                }));
+            });
+            return button;
+        },
+        parseValue(raw, fieldDef) {
+            if (raw === null || raw === undefined || raw === '') return null;
+            const picked = (Array.isArray(raw) ? raw : String(raw).split(','))
+                .map(tag => String(tag).trim());
+            // Vocabulary order, so the same tags always store the same array
+            const tags = getOptions(fieldDef).filter(option => picked.includes(option));
+            return tags.length > 0 ? tags : null;
+        },
+        validate(value, fieldDef) {
+            if (value === null) return true;
+            if (!Array.isArray(value)) return false;
+            const options = getOptions(fieldDef);
+            return new Set(value).size === value.length && value.every(tag => options.includes(tag));
+        },
+        formatDisplay(value) {
+            return Array.isArray(value) ? value.join(', ') : '';
+        },
+        toNumber() {
+            return null; // tags are counted, not summed (see countCategories)
+        }
+    },
+
+    scale: {
+        label: 'Scale',
+        createInput(fieldDef, value, onChange) {
+            const picker = document.createElement('div');
+            picker.className = 'scale-picker';
+            const levels = getScaleLevels(fieldDef);
+            for (const level of levels) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'scale-level';
+                button.textContent = level.label ?? level.value;
+                button.title = level.label ? `${level.label} (${level.value})` : `${level.value}`;
+                button.classList.toggle('active', level.value === value);
+                button.addEventListener('click', () => {
+                    // Tapping the chosen level again clears it
+                    value = button.classList.contains('active') ? null : level.value;
+                    picker.querySelectorAll('.scale-level').forEach((b, i) =>
+                        b.classList.toggle('active', levels[i].value === value));
+                    onChange(value);
+                });
+                picker.appendChild(button);
+            }
+            return picker;
+        },
+        createGridInput(fieldDef, value, onChange) {
+            const select = document.createElement('select');
+            select.add(new Option('', ''));
+            for (const level of getScaleLevels(fieldDef)) {
+                select.add(new Option(level.label ?? level.value, level.value));
+            }
+            select.value = value ?? '';
+            select.addEventListener('change', () => onChange(select.value === '' ? null : parseFloat(select.value)));
+            return select;
+        },
+        parseValue(raw, fieldDef) {
+            if (raw === null || raw === undefined || raw === '') return null;
+            const levels = getScaleLevels(fieldDef);
+            const byLabel = levels.find(level => level.label !== undefined && level.label === String(raw).trim());
+            if (byLabel) return byLabel.value;
+            const n = parseFloat(raw);
+            return levels.some(level => level.value === n) ? n : null;
+        },
+        validate(value, fieldDef) {
+            if (value === null) return true;
+            return getScaleLevels(fieldDef).some(level => level.value === value);
+        },
+        formatDisplay(value, fieldDef) {
+            if (value === null || value === undefined) return '';
+            const level = getScaleLevels(fieldDef).find(l => l.value === value);
+            return level?.label ?? String(value);
+        },
+        toNumber(value) {
+            if (value === null || value === undefined) return null;
+            const n = parseFloat(value);
+            return isFinite(n) ? n : null;
+        }
+    },
+
+    duration: {
+        label: 'Duration',
+        createInput(fieldDef, value, onChange) {
+            return createDurationInput(fieldDef, value, onChange);
+        },
+        createGridInput(fieldDef, value, onChange) {
+            return createDurationInput(fieldDef, value, onChange);
+        },
+        parseValue(raw) {
+            return parseDuration(raw);
+        },
+        validate(value) {
+            if (value === null) return true;
+            return Number.isInteger(value) && value >= 0;
+        },
+        formatDisplay(value, fieldDef) {
+            if (value === null || value === undefined) return '';
+            return formatDuration(value, fieldDef?.format);
+        },
+        toNumber(value) {
+            // Stored in seconds, calculated with in minutes
+            if (value === null || value === undefined || value === '') return null;
+            const n = parseFloat(value);
+            return isFinite(n) ? n / 60 : null;
+        }
+    },
+
+    counter: {
+        label: 'Counter',
+        createInput(fieldDef, value, onChange) {
+            return createCounter(fieldDef, value, onChange);
+        },
+        createGridInput(fieldDef, value, onChange) {
+            const counter = createCounter(fieldDef, value, onChange);
+            counter.classList.add('compact');
+            return counter;
+        },
+        parseValue(raw) {
+            if (raw === null || raw === undefined || raw === '') return null;
+            const n = Math.round(parseFloat(raw));
+            return isFinite(n) && n >= 0 ? n : null;
+        },
+        validate(value) {
+            if (value === null) return true;
+            return Number.isInteger(value) && value >= 0;
+        },
+        formatDisplay(value, fieldDef) {
+            if (value === null || value === undefined) return '';
+            const formatted = fieldDef?.target ? `${value}/${fieldDef.target}` : `${value}`;
+            return fieldDef?.unit ? `${formatted} ${fieldDef.unit}` : formatted;
+        },
+        toNumber(value) {
+            if (value === null || value === undefined) return null;
+            const n = parseFloat(value);
+            return isFinite(n) ? n : null;
+        }
+    },
+
+    note: {
+        label: 'Note',
+        createInput(fieldDef, value, onChange) {
+            return createNoteEditor(value, onChange);
+        },
+        createGridInput(fieldDef, value, onChange) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'note-cell';
+            let current = value;
+            const show = () => {
+                const preview = current ? markdownToText(current) : '';
+                button.textContent = preview.length > NOTE_PREVIEW_LENGTH ?
+                    `${preview.slice(0, NOTE_PREVIEW_LENGTH)}\u2026` : (preview || '+');
+                button.title = preview;
+            };
+            show();
+            button.addEventListener('click', () => {
+                openPopover(button, createNoteEditor(current, (note) => {
+                    current = note;
+                    show();
+                    onChange(note);
+                }, { preview: !!current }));
+            });
+            return button;
+        },
+        parseValue(raw) {
+            if (raw === null || raw === undefined) return null;
+            const note = String(raw).trim();
+            return note === '' ? null : note;
+        },
+        validate(value) {
+            return value === null || typeof value === 'string';
+        },
+        formatDisplay(value) {
+            return value ? markdownToText(value) : '';
+        },
+        toNumber() {
+            return null;
+        }
     }
 };
 
+const NOTE_PREVIEW_LENGTH = 24;
+
+const DURATION_FORMATS = ['mm:ss', 'hh:mm:ss'];
+
+/**
+ * Parse "mm:ss" or "hh:mm:ss" into whole seconds. A bare number is taken as
+ * minutes ("25.5" → 25:30). Null when empty or malformed.
+ */
+export function parseDuration(raw) {
+    if (raw === null || raw === undefined) return null;
+    if (typeof raw === 'number') return isFinite(raw) && raw >= 0 ? Math.round(raw * 60) : null;
+    const str = String(raw).trim();
+    if (str === '') return null;
+
+    if (/^\d+(\.\d+)?$/.test(str)) return Math.round(parseFloat(str) * 60);
+
+    const match = str.match(/^(?:(\d+):)?(\d+):(\d{2})$/);
+    if (!match) return null;
+    const [, hours, minutes, seconds] = match;
+    if (Number(seconds) >= 60 || (hours !== undefined && Number(minutes) >= 60)) return null;
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Format seconds as "m:ss", or "h:mm:ss" from an hour up (always with
+ * format "hh:mm:ss")
+ */
+export function formatDuration(totalSeconds, format = 'mm:ss') {
+    const seconds = Math.round(totalSeconds);
+    const hours = Math.floor(seconds / 3600);
+    const ss = String(seconds % 60).padStart(2, '0');
+    if (hours > 0 || format === 'hh:mm:ss') {
+        const mm = String(Math.floor(seconds / 60) % 60).padStart(2, '0');
+        return `${hours}:${mm}:${ss}`;
+    }
+    return `${Math.floor(seconds / 60)}:${ss}`;
+}
+
+/**
+ * Format a calculated value. Results in minutes (e.g. a pace) read as
+ * m:ss when the field's format is "mm:ss" or "hh:mm:ss".
+ */
+export function formatCalculated(value, fieldDef, digits = 2) {
+    if (typeof value !== 'number') return String(value);
+    if (DURATION_FORMATS.includes(fieldDef?.format) && value >= 0) {
+        return formatDuration(value * 60, fieldDef.format);
+    }
+    return value.toFixed(digits);
+}
+
+/**
+ * Text input for a duration. Input that does not parse is flagged and
+ * left unsaved rather than stored as something else.
+ */
+function createDurationInput(fieldDef, value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = fieldDef.format || 'mm:ss';
+    input.value = value !== null && value !== undefined ? formatDuration(value, fieldDef.format) : '';
+    input.addEventListener('change', () => {
+        const seconds = parseDuration(input.value);
+        const invalid = seconds === null && input.value.trim() !== '';
+        input.classList.toggle('is-invalid', invalid);
+        if (invalid) return;
+        if (seconds !== null) input.value = formatDuration(seconds, fieldDef.format);
+        onChange(seconds);
+    });
+    return input;
+}
+
+/**
+ * −/+ counter. With a `target` the count shows "n / target" and is marked
+ * once reached.
+ */
+function createCounter(fieldDef, value, onChange) {
+    const counter = document.createElement('div');
+    counter.className = 'counter-input';
+    let count = value ?? 0;
+
+    const minus = document.createElement('button');
+    minus.type = 'button';
+    minus.className = 'counter-btn';
+    minus.textContent = '\u2212';
+    minus.setAttribute('aria-label', 'Decrease');
+
+    const display = document.createElement('span');
+    display.className = 'counter-value';
+
+    const plus = document.createElement('button');
+    plus.type = 'button';
+    plus.className = 'counter-btn';
+    plus.textContent = '+';
+    plus.setAttribute('aria-label', 'Increase');
+
+    const show = () => {
+        display.textContent = fieldDef.target ? `${count} / ${fieldDef.target}` : `${count}`;
+        minus.disabled = count <= 0;
+        counter.classList.toggle('reached', !!fieldDef.target && count >= fieldDef.target);
+    };
+    const change = (delta) => {
+        count = Math.max(0, count + delta);
+        show();
+        onChange(count);
+    };
+    minus.addEventListener('click', () => change(-1));
+    plus.addEventListener('click', () => change(1));
+
+    counter.append(minus, display, plus);
+    show();
+    return counter;
+}
+
+/**
+ * Multi-line note editor with a Write / Preview toggle. The preview is
+ * rendered by renderMarkdown (DOM nodes only, no innerHTML).
+ */
+function createNoteEditor(value, onChange, { preview = false } = {}) {
+    const editor = document.createElement('div');
+    editor.className = 'note-editor';
+
+    const tabs = document.createElement('div');
+    tabs.className = 'note-tabs';
+    const writeTab = document.createElement('button');
+    writeTab.type = 'button';
+    writeTab.textContent = 'Write';
+    const previewTab = document.createElement('button');
+    previewTab.type = 'button';
+    previewTab.textContent = 'Preview';
+    tabs.append(writeTab, previewTab);
+
+    const textarea = document.createElement('textarea');
+    textarea.rows = 5;
+    textarea.placeholder = 'Write in markdown: **bold**, *italic*, - lists, # headings';
+    textarea.value = value || '';
+    textarea.addEventListener('change', () => onChange(FIELD_TYPES.note.parseValue(textarea.value)));
+
+    const rendered = document.createElement('div');
+    rendered.className = 'note-preview';
+
+    const setMode = (showPreview) => {
+        if (showPreview) {
+            rendered.replaceChildren(renderMarkdown(textarea.value));
+            if (!textarea.value.trim()) rendered.textContent = 'Nothing to preview';
+        }
+        textarea.hidden = showPreview;
+        rendered.hidden = !showPreview;
+        writeTab.classList.toggle('active', !showPreview);
+        previewTab.classList.toggle('active', showPreview);
+    };
+    writeTab.addEventListener('click', () => {
+        setMode(false);
+        textarea.focus();
+    });
+    previewTab.addEventListener('click', () => setMode(true));
+
+    editor.append(tabs, textarea, rendered);
+    setMode(preview);
+    return editor;
+}
+
+/** Types whose values `min` / `max` bound (a scale's are also its range) */
+export const RANGE_TYPES = ['number', 'scale'];
+
+/** Types whose values may have to match a `pattern` */
+export const PATTERN_TYPES = ['text'];
+
+/**
+ * Check a value against its type and the field's constraints. An empty
+ * value only fails when the field is `required`; a `pattern` must match
+ * the whole value.
+ * @returns {string|null} Error message, or null when valid
+ */
+export function getValidationError(value, fieldDef) {
+    if (isEmptyValue(value)) return fieldDef.required ? 'Required' : null;
+
+    const fieldType = getFieldType(fieldDef.type);
+    if (!fieldType.validate(value, fieldDef)) return `Not a valid ${fieldType.label.toLowerCase()}`;
+
+    if (RANGE_TYPES.includes(fieldDef.type)) {
+        if (typeof fieldDef.min === 'number' && value < fieldDef.min) return `Must be at least ${fieldDef.min}`;
+        if (typeof fieldDef.max === 'number' && value > fieldDef.max) return `Must be at most ${fieldDef.max}`;
+    }
+    if (PATTERN_TYPES.includes(fieldDef.type) && fieldDef.pattern && !compilePattern(fieldDef.pattern).test(value)) {
+        return `Must match ${fieldDef.pattern}`;
+    }
+    return null;
+}
+
+/**
+ * Whole-value regex for a `pattern` (throws a SyntaxError if malformed)
+ */
+export function compilePattern(pattern) {
+    return new RegExp(`^(?:${pattern})$`, 'u');
+}
+
+/**
+ * Nothing entered: null, blank text, an unchecked box or no tags
+ */
+export function isEmptyValue(value) {
+    return value === null || value === undefined || value === false ||
+        (typeof value === 'string' && value.trim() === '') ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function setRangeAttributes(input, fieldDef) {
+    if (typeof fieldDef.min === 'number') input.min = fieldDef.min;
+    if (typeof fieldDef.max === 'number') input.max = fieldDef.max;
+}
+
+/** Most levels a scale field may have (see validateSchema) */
+export const MAX_SCALE_LEVELS = 20;
+
+/**
+ * Levels of a scale field as [{ value, label? }], from `min` to `max` in
+ * steps of `step` (default 1–5). `labels`, when set, names each level in order.
+ */
+export function getScaleLevels(fieldDef) {
+    const min = fieldDef?.min ?? 1;
+    const max = fieldDef?.max ?? 5;
+    const step = fieldDef?.step ?? 1;
+    const levels = [];
+    if (!(step > 0) || !(max >= min)) return levels;
+    for (let i = 0; levels.length < MAX_SCALE_LEVELS; i++) {
+        // Rounded so decimal steps (0.5, 0.1) land on exact values
+        const value = Math.round((min + i * step) * 1e6) / 1e6;
+        if (value > max) break;
+        const label = fieldDef.labels?.[i];
+        levels.push(label ? { value, label } : { value });
+    }
+    return levels;
+}
+
+/**
+ * Position of a scale value between `min` (0) and `max` (1), for colouring
+ */
+export function scaleFraction(value, fieldDef) {
+    if (value === null || value === undefined) return null;
+    const min = fieldDef?.min ?? 1;
+    const max = fieldDef?.max ?? 5;
+    if (max <= min) return null;
+    return Math.max(0, Math.min(1, (value - min) / (max - min)));
+}
+
+/**
+ * Options of a select field, or the vocabulary of a tags field
+ */
+export function getOptions(fieldDef) {
+    return Array.isArray(fieldDef?.options) ? fieldDef.options : [];
+}
+
+/**
+ * Dropdown for a select field. A stored value that is no longer an option
+ * stays selectable (marked as removed) so opening the entry never drops it.
+ */
+function createOptionSelect(fieldDef, value, onChange) {
+    const select = document.createElement('select');
+    select.add(new Option('\u2014', ''));
+    for (const option of getOptions(fieldDef)) {
+        select.add(new Option(option, option));
+    }
+    if (value && !getOptions(fieldDef).includes(value)) {
+        select.add(new Option(`${value} (removed)`, value));
+    }
+    select.value = value || '';
+    select.addEventListener('change', () => onChange(select.value || null));
+    return select;
+}
+
+/**
+ * Chip toggles for a tags field. Like createOptionSelect, stored tags that
+ * left the vocabulary are still shown so they can be switched off.
+ */
+function createTagPicker(fieldDef, value, onChange) {
+    const selected = new Set(Array.isArray(value) ? value : []);
+    const options = getOptions(fieldDef);
+    const picker = document.createElement('div');
+    picker.className = 'tag-picker';
+
+    for (const tag of [...options, ...[...selected].filter(t => !options.includes(t))]) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'tag-chip';
+        chip.textContent = options.includes(tag) ? tag : `${tag} (removed)`;
+        chip.classList.toggle('active', selected.has(tag));
+        chip.addEventListener('click', () => {
+            if (selected.has(tag)) selected.delete(tag);
+            else selected.add(tag);
+            chip.classList.toggle('active', selected.has(tag));
+            // Keep vocabulary order; removed tags stay last
+            const tags = [...options, ...[...selected].filter(t => !options.includes(t))]
+                .filter(t => selected.has(t));
+            onChange(tags.length > 0 ? tags : null);
+        });
+        picker.appendChild(chip);
+    }
+    if (options.length === 0 && selected.size === 0) {
+        picker.textContent = 'No tags defined';
+    }
+    return picker;
+}
+
 /**
  * Get the field type definition for a given type string
  */
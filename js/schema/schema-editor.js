@@ -2,10 +2,15 @@
  * Schema Editor — UI logic for the visual schema configuration editor
  *
  * Provides add/remove/edit functionality for sections and fields,
- * including per-field schedule configuration.
+ * including per-field schedule configuration, the options of select and
+ * tags fields, the levels of scale fields, the target of counter fields, and
+ * the validation rules (required, min/max, pattern) and pre-fill (default,
+ * carry forward) of data fields, and the autoFrom rules of daily goals.
  */
 
-import { getAvailableTypes } from './field-types.js';
+import { getAvailableTypes, getFieldType, isEmptyValue, RANGE_TYPES, PATTERN_TYPES } from './field-types.js';
+import { getNumericFields } from './schema-manager.js';
+import { AUTO_GOAL_OPERATORS } from '../components/goal-manager.js';
 import { describeSchedule } from '../utils/schedule-utils.js';
 
 /**
@@ -164,6 +169,26 @@ export function renderSchemaEditor(container, schema, onSave) {
                 }
                 typeSelect.addEventListener('change', () => {
                     fieldDef.type = typeSelect.value;
+                    if (getFieldType(fieldDef.type).hasOptions) fieldDef.options = fieldDef.options || [];
+                    else delete fieldDef.options;
+                    if (fieldDef.type === 'scale') {
+                        fieldDef.min = fieldDef.min ?? 1;
+                        fieldDef.max = fieldDef.max ?? 5;
+                    } else {
+                        const dropped = RANGE_TYPES.includes(fieldDef.type) ? ['step', 'labels'] : ['min', 'max', 'step', 'labels'];
+                        for (const key of dropped) delete fieldDef[key];
+                    }
+                    if (!PATTERN_TYPES.includes(fieldDef.type)) delete fieldDef.pattern;
+                    // A default of the old type would not fit the new one
+                    delete fieldDef.default;
+                    if (fieldDef.type === 'velocity') {
+                        delete fieldDef.required;
+                        delete fieldDef.carryForward;
+                    }
+                    if (fieldDef.type !== 'counter') {
+                        delete fieldDef.target;
+                        delete fieldDef.goal;
+                    }
                     render(); // Re-render to update the Calc/Group placeholder/logic
                 });
                 typeGroup.appendChild(typeSelect);
@@ -238,6 +263,23 @@ export function renderSchemaEditor(container, schema, onSave) {
 
                 body.appendChild(fieldRow);
 
+                if (getFieldType(fieldDef.type).hasOptions) {
+                    body.appendChild(createOptionsRow(fieldDef));
+                }
+                if (fieldDef.type === 'scale') {
+                    body.appendChild(createScaleRow(fieldDef));
+                }
+                if (fieldDef.type === 'counter') {
+                    body.appendChild(createCounterRow(fieldDef, Object.keys(workingSchema['Daily Goals'] || {})));
+                }
+                if (sectionName === 'Daily Goals') {
+                    body.appendChild(createAutoGoalRow(fieldDef, getNumericFields(workingSchema)));
+                }
+                if (!isSystemSection && fieldDef.type !== 'velocity') {
+                    body.appendChild(createRulesRow(fieldDef));
+                    body.appendChild(createPrefillRow(fieldDef));
+                }
+
                 // Schedule configuration row
                 const scheduleRow = createScheduleRow(fieldDef);
                 body.appendChild(scheduleRow);
@@ -288,6 +330,323 @@ export function getEditedSchema() {
     throw new Error('Schema editor not initialized');
 }
 
+/**
+ * Create the options row of a select field (or the vocabulary of a tags
+ * field): one removable chip per option plus an input to add more
+ */
+function createOptionsRow(fieldDef) {
+    const container = document.createElement('div');
+    container.className = 'schema-options-row';
+    if (!Array.isArray(fieldDef.options)) fieldDef.options = [];
+
+    const label = document.createElement('span');
+    label.className = 'schedule-label';
+    label.textContent = fieldDef.type === 'tags' ? 'Vocabulary:' : 'Options:';
+    container.appendChild(label);
+
+    const chips = document.createElement('div');
+    chips.className = 'schema-option-chips';
+    container.appendChild(chips);
+
+    function renderChips() {
+        chips.innerHTML = '';
+        fieldDef.options.forEach((option, idx) => {
+            const chip = document.createElement('span');
+            chip.className = 'schema-option-chip';
+            chip.textContent = option;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.textContent = '\u00D7';
+            removeBtn.title = `Remove "${option}"`;
+            removeBtn.addEventListener('click', () => {
+                fieldDef.options.splice(idx, 1);
+                renderChips();
+            });
+            chip.appendChild(removeBtn);
+            chips.appendChild(chip);
+        });
+    }
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = fieldDef.type === 'tags' ? 'Add tag…' : 'Add option…';
+    const addOption = () => {
+        const option = input.value.trim();
+        if (option && !fieldDef.options.includes(option)) {
+            fieldDef.options.push(option);
+            renderChips();
+        }
+        input.value = '';
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addOption();
+        }
+    });
+    input.addEventListener('change', addOption);
+    container.appendChild(input);
+
+    renderChips();
+    return container;
+}
+
+/**
+ * Create the levels row of a scale field: min, max, step and optional
+ * comma-separated labels (one per level, e.g. emoji)
+ */
+function createScaleRow(fieldDef) {
+    const container = document.createElement('div');
+    container.className = 'schema-options-row schema-scale-row';
+
+    const label = document.createElement('span');
+    label.className = 'schedule-label';
+    label.textContent = 'Levels:';
+    container.appendChild(label);
+
+    for (const [key, fallback] of [['min', 1], ['max', 5], ['step', 1]]) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.value = fieldDef[key] ?? fallback;
+        input.title = key;
+        input.addEventListener('change', () => {
+            const n = parseFloat(input.value);
+            fieldDef[key] = isFinite(n) ? n : fallback;
+            input.value = fieldDef[key];
+            if (key === 'step' && fieldDef.step === 1) delete fieldDef.step;
+        });
+        const wrapper = document.createElement('label');
+        wrapper.append(`${key} `, input);
+        container.appendChild(wrapper);
+    }
+
+    const labelsInput = document.createElement('input');
+    labelsInput.type = 'text';
+    labelsInput.className = 'schema-scale-labels';
+    labelsInput.placeholder = 'Labels, e.g. 😞,😕,😐,🙂,😄';
+    labelsInput.value = (fieldDef.labels || []).join(',');
+    labelsInput.addEventListener('change', () => {
+        const labels = labelsInput.value.split(',').map(l => l.trim()).filter(Boolean);
+        if (labels.length > 0) fieldDef.labels = labels;
+        else delete fieldDef.labels;
+    });
+    container.appendChild(labelsInput);
+
+    return container;
+}
+
+/**
+ * Create the target row of a counter field: an optional daily target and the
+ * Daily Goal it completes once reached
+ */
+function createCounterRow(fieldDef, goalNames) {
+    const container = document.createElement('div');
+    container.className = 'schema-options-row schema-counter-row';
+
+    const label = document.createElement('span');
+    label.className = 'schedule-label';
+    label.textContent = 'Target:';
+    container.appendChild(label);
+
+    const targetInput = document.createElement('input');
+    targetInput.type = 'number';
+    targetInput.min = '1';
+    targetInput.step = '1';
+    targetInput.placeholder = 'none';
+    targetInput.value = fieldDef.target ?? '';
+    container.appendChild(targetInput);
+
+    const goalLabel = document.createElement('span');
+    goalLabel.textContent = 'completes';
+    container.appendChild(goalLabel);
+
+    const goalSelect = document.createElement('select');
+    goalSelect.add(new Option('no goal', ''));
+    for (const name of goalNames) goalSelect.add(new Option(name, name));
+    // Keep a link to a goal that has since been removed visible (validation flags it)
+    if (fieldDef.goal && !goalNames.includes(fieldDef.goal)) goalSelect.add(new Option(fieldDef.goal, fieldDef.goal));
+    goalSelect.value = fieldDef.goal || '';
+    container.appendChild(goalSelect);
+
+    const sync = () => {
+        goalSelect.disabled = !fieldDef.target;
+        if (!fieldDef.target) delete fieldDef.goal;
+    };
+
+    targetInput.addEventListener('change', () => {
+        const n = parseInt(targetInput.value, 10);
+        if (n > 0) fieldDef.target = n;
+        else delete fieldDef.target;
+        targetInput.value = fieldDef.target ?? '';
+        sync();
+        if (!fieldDef.goal) goalSelect.value = '';
+    });
+    goalSelect.addEventListener('change', () => {
+        if (goalSelect.value) fieldDef.goal = goalSelect.value;
+        else delete fieldDef.goal;
+    });
+
+    sync();
+    return container;
+}
+
+/**
+ * Create the autoFrom row of a daily goal: the numeric field, comparison and
+ * value that complete it from logged data
+ */
+function createAutoGoalRow(goalDef, numericFields) {
+    const container = document.createElement('div');
+    container.className = 'schema-options-row schema-auto-goal-row';
+
+    const label = document.createElement('span');
+    label.className = 'schedule-label';
+    label.textContent = 'Auto-complete:';
+    container.appendChild(label);
+
+    const sourceSelect = document.createElement('select');
+    sourceSelect.add(new Option('by hand only', ''));
+    const paths = numericFields.map(f => `${f.section}.${f.name}`);
+    for (const path of paths) sourceSelect.add(new Option(path, path));
+    // Keep a rule on a field that has since been removed (validation flags it)
+    if (goalDef.autoFrom && !paths.includes(goalDef.autoFrom)) sourceSelect.add(new Option(goalDef.autoFrom, goalDef.autoFrom));
+    sourceSelect.value = goalDef.autoFrom || '';
+    container.appendChild(sourceSelect);
+
+    const opSelect = document.createElement('select');
+    for (const op of AUTO_GOAL_OPERATORS) opSelect.add(new Option(op, op));
+    opSelect.value = goalDef.op || '>=';
+    container.appendChild(opSelect);
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.placeholder = 'value';
+    valueInput.value = goalDef.value ?? '';
+    container.appendChild(valueInput);
+
+    const sync = () => {
+        opSelect.disabled = valueInput.disabled = !goalDef.autoFrom;
+    };
+
+    sourceSelect.addEventListener('change', () => {
+        if (sourceSelect.value) {
+            goalDef.autoFrom = sourceSelect.value;
+            goalDef.op = opSelect.value;
+        } else {
+            for (const key of ['autoFrom', 'op', 'value']) delete goalDef[key];
+            valueInput.value = '';
+        }
+        sync();
+    });
+    opSelect.addEventListener('change', () => {
+        goalDef.op = opSelect.value;
+    });
+    valueInput.addEventListener('change', () => {
+        // Numbers stay numbers; anything else (e.g. "05:30") is read like field input
+        const raw = valueInput.value.trim();
+        if (raw === '') delete goalDef.value;
+        else goalDef.value = isFinite(Number(raw)) ? Number(raw) : raw;
+    });
+
+    sync();
+    return container;
+}
+
+/**
+ * Create the validation rules row of a data field: required, plus min/max
+ * for numbers (a scale's range is its levels) and a pattern for text
+ */
+function createRulesRow(fieldDef) {
+    const container = document.createElement('div');
+    container.className = 'schema-options-row schema-rules-row';
+
+    const label = document.createElement('span');
+    label.className = 'schedule-label';
+    label.textContent = 'Rules:';
+    container.appendChild(label);
+
+    const requiredInput = document.createElement('input');
+    requiredInput.type = 'checkbox';
+    requiredInput.checked = !!fieldDef.required;
+    requiredInput.addEventListener('change', () => {
+        if (requiredInput.checked) fieldDef.required = true;
+        else delete fieldDef.required;
+    });
+    const requiredLabel = document.createElement('label');
+    requiredLabel.append(requiredInput, ' required');
+    container.appendChild(requiredLabel);
+
+    if (fieldDef.type === 'number') {
+        for (const key of ['min', 'max']) {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.placeholder = 'none';
+            input.value = fieldDef[key] ?? '';
+            input.addEventListener('change', () => {
+                const n = parseFloat(input.value);
+                if (isFinite(n)) fieldDef[key] = n;
+                else delete fieldDef[key];
+                input.value = fieldDef[key] ?? '';
+            });
+            const wrapper = document.createElement('label');
+            wrapper.append(`${key} `, input);
+            container.appendChild(wrapper);
+        }
+    }
+
+    if (PATTERN_TYPES.includes(fieldDef.type)) {
+        const patternInput = document.createElement('input');
+        patternInput.type = 'text';
+        patternInput.className = 'schema-rules-pattern';
+        patternInput.placeholder = 'Pattern (regex), e.g. [A-Z]{3}-\\d+';
+        patternInput.value = fieldDef.pattern || '';
+        patternInput.addEventListener('change', () => {
+            if (patternInput.value) fieldDef.pattern = patternInput.value;
+            else delete fieldDef.pattern;
+        });
+        container.appendChild(patternInput);
+    }
+
+    return container;
+}
+
+/**
+ * Create the pre-fill row of a data field: a default value (entered with the
+ * field's own grid input) and whether to carry the previous entry's value
+ */
+function createPrefillRow(fieldDef) {
+    const container = document.createElement('div');
+    container.className = 'schema-options-row schema-prefill-row';
+
+    const label = document.createElement('span');
+    label.className = 'schedule-label';
+    label.textContent = 'Default:';
+    container.appendChild(label);
+
+    const defaultInput = getFieldType(fieldDef.type).createGridInput(fieldDef, fieldDef.default ?? null, (value) => {
+        if (isEmptyValue(value)) delete fieldDef.default;
+        else fieldDef.default = value;
+    });
+    defaultInput.classList.add('schema-prefill-default');
+    container.appendChild(defaultInput);
+
+    const carryInput = document.createElement('input');
+    carryInput.type = 'checkbox';
+    carryInput.checked = !!fieldDef.carryForward;
+    carryInput.addEventListener('change', () => {
+        if (carryInput.checked) fieldDef.carryForward = true;
+        else delete fieldDef.carryForward;
+    });
+    const carryLabel = document.createElement('label');
+    carryLabel.title = 'New entries start with the previous entry\'s value';
+    carryLabel.append(carryInput, ' carry forward');
+    container.appendChild(carryLabel);
+
+    return container;
+}
+
 /**
  * Create a schedule configuration row for a field
  */
@@ -6,8 +6,9 @@
  * All other sections are custom data sections.
  */
 
-import { getMeta, putMeta, getAllEntries, putEntry, getAllMonthlyGoals, putMonthlyGoal } from '../db/local-store.js';
-import { YEAR } from '../config.js';
+import { getMeta, putMeta, getAllEntries, putEntry, putSyncedDocs, getAllMonthlyGoals, putMonthlyGoal } from '../db/local-store.js';
+import { AUTO_GOAL_OPERATORS, resolveFieldPath, computeDailyCompletion, getAutoGoalRule } from '../components/goal-manager.js';
+import { getAvailableTypes, getFieldType, getValidationError, compilePattern, MAX_SCALE_LEVELS, RANGE_TYPES, PATTERN_TYPES } from './field-types.js';
 
 
 /**
@@ -64,8 +65,8 @@ export async function cleanDataForNewSchema(conflicts) {
 
     if (!hasConflicts) return;
 
-    // 1. Clean entries (Daily data)
-    const entries = await getAllEntries(YEAR);
+    // 1. Clean entries (Daily data) — the schema applies to every year
+    const entries = await getAllEntries();
     for (const entry of entries) {
         let modified = false;
 
@@ -102,7 +103,7 @@ export async function cleanDataForNewSchema(conflicts) {
     }
 
     // 2. Clean Monthly Goals
-    const monthlyGoals = await getAllMonthlyGoals(YEAR);
+    const monthlyGoals = await getAllMonthlyGoals();
     for (const mg of monthlyGoals) {
         let modified = false;
 
@@ -133,6 +134,41 @@ export async function cleanDataForNewSchema(conflicts) {
     }
 }
 
+/**
+ * Whether a schema change can change daily goal completion: goals added,
+ * removed or rescheduled, or their rules (autoFrom or a linked counter's
+ * target, see getAutoGoalRule) or the fields those rules read changed
+ */
+export function haveGoalRulesChanged(oldSchema, newSchema) {
+    return goalRulesSignature(oldSchema) !== goalRulesSignature(newSchema);
+}
+
+function goalRulesSignature(schema) {
+    const goals = schema?.['Daily Goals'] || {};
+    return JSON.stringify(Object.entries(goals).map(([name, def]) => {
+        const rule = getAutoGoalRule(name, schema);
+        return [name, def, rule, rule ? resolveFieldPath(schema, rule.autoFrom)?.fieldDef ?? null : null];
+    }));
+}
+
+/**
+ * Recompute every entry's stored dailyGoalCompletion under a schema.
+ * Heatmaps, charts, stats and group summaries read the stored rate, so it
+ * has to follow the goal rules. The rate is derived, so entries keep their
+ * updatedAt and every device recomputes it for itself.
+ * @returns {Promise<number>} Number of entries updated
+ */
+export async function recomputeDailyCompletions(schema) {
+    const written = await putSyncedDocs('entries', await getAllEntries(), (entry) => {
+        if (!entry) return null;
+        const completion = computeDailyCompletion(entry.dailyGoals || {}, schema, entry.year, entry.month, entry.day, entry);
+        if (completion === entry.dailyGoalCompletion) return null;
+        entry.dailyGoalCompletion = completion;
+        return entry;
+    });
+    return written.length;
+}
+
 // Default schema loaded from file
 let defaultSchema = null;
 let cachedSchema = null;
@@ -178,7 +214,6 @@ export async function loadSchema() {
     // Save to IndexedDB
     await putMeta({
         _id: 'app_config',
-        year: YEAR,
         schema: schema,
         schemaVersion: 1,
     });
@@ -190,11 +225,13 @@ export async function loadSchema() {
  * Save the schema to IndexedDB
  */
 export async function saveSchema(schema) {
-    const meta = await getMeta() || { _id: 'app_config', year: YEAR, schemaVersion: 0 };
+    const meta = await getMeta() || { _id: 'app_config', schemaVersion: 0 };
+    const previous = meta.schema;
     meta.schema = schema;
     meta.schemaVersion = (meta.schemaVersion || 0) + 1;
     await putMeta(meta);
     cachedSchema = schema;
+    if (haveGoalRulesChanged(previous, schema)) await recomputeDailyCompletions(schema);
     return meta;
 }
 
@@ -256,10 +293,12 @@ export function getCustomSections(schema) {
     );
 }
 
+const NON_CHART_TYPES = ['checkbox', 'text', 'note', 'select', 'tags'];
+
 /**
  * Get chart groups — groups fields by their chartGroup property.
  * Fields without a chartGroup get their own individual group.
- * Only includes numeric/velocity fields (not checkboxes or text).
+ * Only includes numeric/velocity fields (not checkboxes, text, notes, selects or tags).
  * Returns: Map<groupName, { fields: [{name, section, ...fieldDef}], chartType }>
  */
 export function getChartGroups(schema) {
@@ -270,7 +309,7 @@ export function getChartGroups(schema) {
         if (sectionName === 'Daily Goals' || sectionName === 'Monthly Goals') continue;
 
         for (const [fieldName, fieldDef] of Object.entries(section)) {
-            if (fieldDef.type === 'checkbox' || fieldDef.type === 'text') continue;
+            if (NON_CHART_TYPES.includes(fieldDef.type)) continue;
 
             const groupKey = fieldDef.chartGroup || `_ungrouped_${ungroupedIdx++}`;
 
@@ -292,6 +331,30 @@ export function getChartGroups(schema) {
     return groups;
 }
 
+/**
+ * Get every custom-section field of the given type(s) as [{ name, section, ...fieldDef }],
+ * in schema order
+ */
+export function getFieldsOfType(schema, ...types) {
+    return getCustomSections(schema).flatMap(section =>
+        getFields(schema, section)
+            .filter(field => types.includes(field.type))
+            .map(field => ({ ...field, section }))
+    );
+}
+
+/**
+ * Get the data fields holding numbers (the ones charts plot and goal rules
+ * compare), with their section
+ */
+export function getNumericFields(schema) {
+    return getCustomSections(schema).flatMap(section =>
+        getFields(schema, section)
+            .filter(field => !NON_CHART_TYPES.includes(field.type))
+            .map(field => ({ ...field, section }))
+    );
+}
+
 /**
  * Count the total number of daily goals
  */
@@ -319,7 +382,7 @@ export function validateSchema(schema) {
         return { valid: false, errors: ['Schema must be an object'] };
     }
 
-    const validTypes = ['time', 'number', 'checkbox', 'velocity', 'text'];
+    const validTypes = getAvailableTypes();
 
     for (const [sectionName, section] of Object.entries(schema)) {
         if (typeof section !== 'object' || section === null) {
@@ -343,6 +406,35 @@ export function validateSchema(schema) {
                 errors.push(`Calculated field "${sectionName}.${fieldName}" is missing a "calculation" property`);
             }
 
+            if (validTypes.includes(fieldDef.type) && getFieldType(fieldDef.type).hasOptions) {
+                const label = getFieldType(fieldDef.type).label;
+                const options = fieldDef.options;
+                if (!Array.isArray(options) || options.length === 0) {
+                    errors.push(`${label} field "${sectionName}.${fieldName}" needs a non-empty "options" array`);
+                } else if (options.some(o => typeof o !== 'string' || o.trim() === '')) {
+                    errors.push(`${label} field "${sectionName}.${fieldName}" has empty or non-text options`);
+                } else if (new Set(options).size !== options.length) {
+                    errors.push(`${label} field "${sectionName}.${fieldName}" has duplicate options`);
+                }
+            }
+
+            if (fieldDef.type === 'scale') {
+                errors.push(...validateScale(fieldDef, `${sectionName}.${fieldName}`));
+            }
+
+            if (fieldDef.type === 'counter') {
+                errors.push(...validateCounter(fieldDef, `${sectionName}.${fieldName}`, schema));
+            }
+
+            if (fieldDef.autoFrom !== undefined) {
+                errors.push(...validateAutoGoal(fieldDef, `${sectionName}.${fieldName}`, sectionName, schema));
+            }
+
+            if (validTypes.includes(fieldDef.type)) {
+                errors.push(...validateConstraints(fieldDef, `${sectionName}.${fieldName}`));
+                errors.push(...validatePrefill(fieldDef, `${sectionName}.${fieldName}`));
+            }
+
             // Validate schedule if present
             if (fieldDef.schedule && fieldDef.schedule.type && fieldDef.schedule.type !== 'everyday') {
                 const s = fieldDef.schedule;
@@ -378,3 +470,129 @@ export function validateSchema(schema) {
 
     return { valid: errors.length === 0, errors };
 }
+
+/**
+ * Check the `required`, `min`/`max` and `pattern` constraints of a field
+ * (a scale's min/max are checked by validateScale)
+ */
+function validateConstraints(fieldDef, path) {
+    const { type, required, min, max, pattern } = fieldDef;
+    const label = getFieldType(type).label;
+    const errors = [];
+
+    if (required !== undefined && typeof required !== 'boolean') {
+        errors.push(`${label} field "${path}" needs "required" to be true or false`);
+    } else if (required && type === 'velocity') {
+        errors.push(`Calculated field "${path}" cannot be "required"`);
+    }
+
+    if (min !== undefined || max !== undefined) {
+        if (!RANGE_TYPES.includes(type)) {
+            errors.push(`${label} field "${path}" cannot have "min"/"max" (only ${RANGE_TYPES.join(' and ')} fields)`);
+        } else if (type !== 'scale') {
+            if ([min, max].some(n => n !== undefined && !(typeof n === 'number' && isFinite(n)))) {
+                errors.push(`${label} field "${path}" needs numeric "min" and "max"`);
+            } else if (min !== undefined && max !== undefined && max < min) {
+                errors.push(`${label} field "${path}" needs "max" at least "min"`);
+            }
+        }
+    }
+
+    if (pattern !== undefined) {
+        if (!PATTERN_TYPES.includes(type)) {
+            errors.push(`${label} field "${path}" cannot have a "pattern" (only ${PATTERN_TYPES.join(', ')} fields)`);
+        } else if (typeof pattern !== 'string' || pattern === '') {
+            errors.push(`${label} field "${path}" needs a non-empty "pattern"`);
+        } else {
+            try {
+                compilePattern(pattern);
+            } catch (err) {
+                errors.push(`${label} field "${path}" has an invalid "pattern": ${err.message}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check the `default` and `carryForward` of a field: a default must be a
+ * value the field itself would accept
+ */
+function validatePrefill(fieldDef, path) {
+    const { type, carryForward } = fieldDef;
+    const label = getFieldType(type).label;
+    const hasDefault = fieldDef.default !== undefined && fieldDef.default !== null;
+
+    if (type === 'velocity') {
+        return hasDefault || carryForward ? [`Calculated field "${path}" cannot have a "default" or "carryForward"`] : [];
+    }
+    const errors = [];
+    if (carryForward !== undefined && typeof carryForward !== 'boolean') {
+        errors.push(`${label} field "${path}" needs "carryForward" to be true or false`);
+    }
+    if (hasDefault) {
+        const error = getValidationError(fieldDef.default, fieldDef);
+        if (error) errors.push(`${label} field "${path}" has an invalid "default" (${error})`);
+    }
+    return errors;
+}
+
+/**
+ * Check a daily goal's `autoFrom` rule: a numeric data field, a known
+ * operator and a value to compare with
+ */
+function validateAutoGoal(goalDef, path, sectionName, schema) {
+    if (sectionName !== 'Daily Goals') return [`Field "${path}" cannot have "autoFrom" (only Daily Goals)`];
+
+    const source = resolveFieldPath(schema, goalDef.autoFrom);
+    if (!source) return [`Daily goal "${path}" completes from unknown field "${goalDef.autoFrom}"`];
+    if (NON_CHART_TYPES.includes(source.fieldDef.type)) {
+        return [`Daily goal "${path}" needs a numeric field for "autoFrom" ("${goalDef.autoFrom}" is ${source.fieldDef.type})`];
+    }
+    if (!AUTO_GOAL_OPERATORS.includes(goalDef.op)) {
+        return [`Daily goal "${path}" needs "op" to be one of ${AUTO_GOAL_OPERATORS.join(' ')}`];
+    }
+    const fieldType = getFieldType(source.fieldDef.type);
+    const comparable = typeof goalDef.value === 'number' ? isFinite(goalDef.value)
+        : typeof goalDef.value === 'string' && fieldType.toNumber(fieldType.parseValue(goalDef.value, source.fieldDef)) !== null;
+    if (!comparable) return [`Daily goal "${path}" needs a "value" to compare "${goalDef.autoFrom}" with`];
+    return [];
+}
+
+/**
+ * Check the target of a counter field and the Daily Goal it completes
+ */
+function validateCounter(fieldDef, path, schema) {
+    const { target, goal } = fieldDef;
+    if (target !== undefined && !(Number.isInteger(target) && target > 0)) {
+        return [`Counter field "${path}" needs a positive whole-number "target"`];
+    }
+    if (goal !== undefined) {
+        if (target === undefined) return [`Counter field "${path}" needs a "target" to complete "${goal}"`];
+        if (!schema['Daily Goals']?.[goal]) return [`Counter field "${path}" links to unknown Daily Goal "${goal}"`];
+    }
+    return [];
+}
+
+/**
+ * Check the min/max/step/labels of a scale field
+ */
+function validateScale(fieldDef, path) {
+    const { min = 1, max = 5, step = 1, labels } = fieldDef;
+    if (![min, max, step].every(n => typeof n === 'number' && isFinite(n))) {
+        return [`Scale field "${path}" needs numeric "min", "max" and "step"`];
+    }
+    if (max <= min) return [`Scale field "${path}" needs "max" greater than "min"`];
+    if (step <= 0) return [`Scale field "${path}" needs a positive "step"`];
+
+    const levelCount = Math.floor((max - min) / step + 1e-9) + 1;
+    if (levelCount > MAX_SCALE_LEVELS) {
+        return [`Scale field "${path}" has ${levelCount} levels (at most ${MAX_SCALE_LEVELS})`];
+    }
+    if (labels !== undefined && (!Array.isArray(labels) || labels.length !== levelCount ||
+        labels.some(l => typeof l !== 'string' || l.trim() === ''))) {
+        return [`Scale field "${path}" needs one non-empty label per level (${levelCount})`];
+    }
+    return [];
+}
@@ -7,6 +7,8 @@
  * Supported: +, -, *, /, parentheses, field references, numeric literals
  */
 
+import { getFieldType } from '../schema/field-types.js';
+
 /**
  * Evaluate a calculation expression given a map of field values
  *
@@ -35,6 +37,34 @@ export function evaluate(expression, fieldValues) {
     }
 }
 
+/**
+ * Evaluate a calculated field for one entry. Each field of its section is
+ * converted with its type's toNumber, so times and durations enter the
+ * formula in minutes.
+ *
+ * @returns {number|null}
+ */
+export function computeCalcField(field, entry, sectionName, schema) {
+    if (!field.calculation) return null;
+
+    const sectionFields = entry?.fields?.[sectionName] || {};
+    const fieldDefs = schema[sectionName] || {};
+    const values = {};
+
+    // Every schema field is known to the tokenizer, even without data
+    for (const fname of Object.keys(fieldDefs)) {
+        values[fname] = null;
+    }
+
+    for (const [fname, fval] of Object.entries(sectionFields)) {
+        if (fval !== null && fval !== undefined && fval !== '') {
+            values[fname] = getFieldType(fieldDefs[fname]?.type || 'number').toNumber(fval);
+        }
+    }
+
+    return evaluate(field.calculation, values);
+}
+
 /**
  * Get the field names referenced in a calculation expression
  */
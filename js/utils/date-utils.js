@@ -1,4 +1,4 @@
-import { YEAR, MONTHS, MONTH_FULL } from '../config.js';
+import { MONTHS, MONTH_FULL } from '../config.js';
 
 /**
  * Get number of days in a given month (1-indexed month)
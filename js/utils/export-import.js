@@ -3,22 +3,21 @@
  */
 
 import { getAllEntries, getAllMonthlyGoals, putEntry, putMonthlyGoal, getMeta } from '../db/local-store.js';
-import { YEAR } from '../config.js';
 
 /**
- * Export all data as a JSON object
+ * Export all data for a year as a JSON object
  */
-export async function exportAllData() {
+export async function exportAllData(year) {
     const [entries, monthlyGoals, meta] = await Promise.all([
-        getAllEntries(YEAR),
-        getAllMonthlyGoals(YEAR),
+        getAllEntries(year),
+        getAllMonthlyGoals(year),
         getMeta(),
     ]);
 
     return {
         version: 1,
         exportDate: new Date().toISOString(),
-        year: YEAR,
+        year: year,
         schema: meta?.schema || null,
         entries: entries,
         monthlyGoals: monthlyGoals,
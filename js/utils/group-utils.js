@@ -0,0 +1,134 @@
+/**
+ * Group Utils — Accountability group summaries, leaderboard and streak board
+ *
+ * Each member publishes one summary doc per year to the 'groupSummaries'
+ * collection (see SyncEngine.getGroupClient):
+ *   { _id: "<groupId>:<memberId>:<year>", groupId, memberId, displayName,
+ *     year, goals: [shared goal names], days: { dateId: completion }, updatedAt }
+ * `days` only holds days with some completion, rounded to two decimals.
+ * Boards are computed when read, so a summary published days ago still
+ * ranks by today's date.
+ */
+
+import { computeDailyCompletion } from '../components/goal-manager.js';
+import { computeStats } from './stats-utils.js';
+import { toDateId } from './date-utils.js';
+
+export const GROUP_COLLECTION = 'groupSummaries';
+
+const WEEK_DAYS = 7;
+
+/**
+ * Normalize a group code typed by a member (teammates must end up with the same id)
+ */
+export function toGroupId(code) {
+    return String(code ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export function groupSummaryId(groupId, memberId, year) {
+    return `${groupId}:${memberId}:${year}`;
+}
+
+/**
+ * Build this member's summary for a year from their entries
+ * @param {Array} entries - Entries of that year
+ * @param {Object} schema - The member's schema
+ * @param {Object} settings - { groupId, memberId, displayName, goals }
+ */
+export function buildGroupSummary(entries, schema, settings, year) {
+    const allGoals = Object.keys(schema['Daily Goals'] || {});
+    const goals = settings.goals.filter(name => allGoals.includes(name));
+
+    // Sharing every goal: the stored per-entry completion already is the answer
+    const sharesAll = allGoals.length > 0 && goals.length === allGoals.length;
+    // Data sections stay in so goals completed from logged data (autoFrom) count
+    const sharedSchema = {
+        ...schema,
+        'Daily Goals': Object.fromEntries(goals.map(name => [name, schema['Daily Goals'][name]])),
+    };
+
+    const days = {};
+    for (const entry of entries) {
+        const completion = sharesAll
+            ? entry.dailyGoalCompletion || 0
+            : computeDailyCompletion(entry.dailyGoals, sharedSchema, entry.year, entry.month, entry.day, entry);
+        if (completion > 0) days[entry._id] = Math.round(completion * 100) / 100;
+    }
+
+    return {
+        _id: groupSummaryId(settings.groupId, settings.memberId, year),
+        groupId: settings.groupId,
+        memberId: settings.memberId,
+        displayName: settings.displayName,
+        year,
+        goals,
+        days,
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Whether a summary differs from the published copy (null when none), so
+ * unchanged summaries are not written again. updatedAt is ignored, and the
+ * order of days does not matter.
+ */
+export function hasSummaryChanged(published, summary) {
+    if (!published) return true;
+    const signature = ({ displayName, goals, days }) => JSON.stringify([
+        displayName,
+        goals || [],
+        Object.entries(days || {}).sort(([a], [b]) => a.localeCompare(b)),
+    ]);
+    return signature(published) !== signature(summary);
+}
+
+/**
+ * Per-member stats for the boards
+ * @returns {Array<{ memberId, displayName, weekCompletion, avgCompletion, totalTracked, currentStreak, bestStreak }>}
+ */
+export function computeMemberStats(summaries, today = new Date()) {
+    return summaries.map(summary => {
+        const days = summary.days || {};
+        const entries = Object.entries(days).map(([_id, dailyGoalCompletion]) => ({ _id, dailyGoalCompletion }));
+        const stats = computeStats(entries, [], today);
+
+        let week = 0;
+        const d = new Date(today);
+        for (let i = 0; i < WEEK_DAYS; i++) {
+            week += days[toDateId(d.getFullYear(), d.getMonth() + 1, d.getDate())] || 0;
+            d.setDate(d.getDate() - 1);
+        }
+
+        return {
+            memberId: summary.memberId,
+            displayName: summary.displayName,
+            weekCompletion: week / WEEK_DAYS,
+            avgCompletion: stats.avgCompletion,
+            totalTracked: stats.totalTracked,
+            currentStreak: stats.currentStreak,
+            bestStreak: stats.bestStreak,
+        };
+    });
+}
+
+/**
+ * Leaderboard: last 7 days' completion, then the year's average
+ */
+export function rankLeaderboard(memberStats) {
+    return [...memberStats].sort((a, b) =>
+        b.weekCompletion - a.weekCompletion
+        || b.avgCompletion - a.avgCompletion
+        || a.displayName.localeCompare(b.displayName)
+    );
+}
+
+/**
+ * Streak board: current streak, then best streak
+ */
+export function rankStreaks(memberStats) {
+    return [...memberStats].sort((a, b) =>
+        b.currentStreak - a.currentStreak
+        || b.bestStreak - a.bestStreak
+        || a.displayName.localeCompare(b.displayName)
+    );
+}
@@ -0,0 +1,209 @@
+/**
+ * Markdown — Small, safe markdown for note fields
+ *
+ * parseMarkdown() turns text into blocks of inline nodes; renderMarkdown()
+ * builds DOM from them with createElement/textContent only, so note text
+ * never reaches innerHTML.
+ *
+ * Blocks: # headings (1–3), paragraphs, - / 1. lists, > quotes, ``` code.
+ * Inline: **bold**, *italic*, `code`, [links](https://…). Single newlines
+ * inside a paragraph are kept as line breaks.
+ */
+
+// Earliest match wins; later alternatives only apply where earlier ones don't
+const INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b|\[([^\]]+)\]\(([^)\s]+)\)/;
+
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+/**
+ * Parse markdown text into blocks:
+ *   { type: 'heading', level, children } | { type: 'paragraph', children }
+ *   { type: 'list', ordered, items: [children] } | { type: 'quote', children }
+ *   { type: 'code', text }
+ */
+export function parseMarkdown(text) {
+    const blocks = [];
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = null;
+    let list = null;
+    let quote = null;
+
+    const close = () => {
+        paragraph = null;
+        list = null;
+        quote = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (/^```/.test(line.trim())) {
+            close();
+            const code = [];
+            while (++i < lines.length && !/^```/.test(lines[i].trim())) code.push(lines[i]);
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+
+        if (line.trim() === '') {
+            close();
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            close();
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2].trim()) });
+            continue;
+        }
+
+        const quoted = line.match(/^>\s?(.*)$/);
+        if (quoted) {
+            if (!quote) {
+                close();
+                quote = { type: 'quote', children: [] };
+                blocks.push(quote);
+            } else {
+                quote.children.push({ type: 'break' });
+            }
+            quote.children.push(...parseInline(quoted[1]));
+            continue;
+        }
+
+        const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+        if (item) {
+            const ordered = !item[1];
+            if (!list || list.ordered !== ordered) {
+                close();
+                list = { type: 'list', ordered, items: [] };
+                blocks.push(list);
+            }
+            list.items.push(parseInline(item[2]));
+            continue;
+        }
+
+        if (!paragraph) {
+            close();
+            paragraph = { type: 'paragraph', children: [] };
+            blocks.push(paragraph);
+        } else {
+            paragraph.children.push({ type: 'break' });
+        }
+        paragraph.children.push(...parseInline(line.trim()));
+    }
+
+    return blocks;
+}
+
+/**
+ * Parse inline markup into nodes:
+ *   { type: 'text', text } | { type: 'code', text } | { type: 'break' }
+ *   { type: 'strong' | 'em', children } | { type: 'link', href, children }
+ */
+export function parseInline(text) {
+    const nodes = [];
+    let rest = text;
+
+    while (rest) {
+        const match = rest.match(INLINE_PATTERN);
+        if (!match) {
+            nodes.push({ type: 'text', text: rest });
+            break;
+        }
+        if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+
+        const [whole, code, strong, strongAlt, em, emAlt, linkText, href] = match;
+        if (code !== undefined) {
+            nodes.push({ type: 'code', text: code });
+        } else if (strong !== undefined || strongAlt !== undefined) {
+            nodes.push({ type: 'strong', children: parseInline(strong ?? strongAlt) });
+        } else if (em !== undefined || emAlt !== undefined) {
+            nodes.push({ type: 'em', children: parseInline(em ?? emAlt) });
+        } else if (SAFE_LINK.test(href)) {
+            nodes.push({ type: 'link', href, children: parseInline(linkText) });
+        } else {
+            // Unsafe targets (javascript:, data:, relative) stay as plain text
+            nodes.push({ type: 'text', text: whole });
+        }
+        rest = rest.slice(match.index + whole.length);
+    }
+
+    return nodes;
+}
+
+/**
+ * Render markdown text as a DocumentFragment
+ */
+export function renderMarkdown(text, doc = document) {
+    const fragment = doc.createDocumentFragment();
+
+    for (const block of parseMarkdown(text)) {
+        let el;
+        if (block.type === 'heading') {
+            el = doc.createElement(`h${block.level + 2}`); // h3–h5: notes sit inside cards
+            appendInline(el, block.children, doc);
+        } else if (block.type === 'list') {
+            el = doc.createElement(block.ordered ? 'ol' : 'ul');
+            for (const item of block.items) {
+                const li = doc.createElement('li');
+                appendInline(li, item, doc);
+                el.appendChild(li);
+            }
+        } else if (block.type === 'quote') {
+            el = doc.createElement('blockquote');
+            appendInline(el, block.children, doc);
+        } else if (block.type === 'code') {
+            el = doc.createElement('pre');
+            const code = doc.createElement('code');
+            code.textContent = block.text;
+            el.appendChild(code);
+        } else {
+            el = doc.createElement('p');
+            appendInline(el, block.children, doc);
+        }
+        fragment.appendChild(el);
+    }
+
+    return fragment;
+}
+
+/**
+ * Plain text of markdown (markup dropped), e.g. for previews and search
+ */
+export function markdownToText(text) {
+    const inlineText = (nodes) => nodes.map(node => {
+        if (node.type === 'break') return ' ';
+        return node.children ? inlineText(node.children) : node.text;
+    }).join('');
+
+    return parseMarkdown(text).map(block => {
+        if (block.type === 'code') return block.text;
+        if (block.type === 'list') return block.items.map(inlineText).join(' · ');
+        return inlineText(block.children);
+    }).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function appendInline(parent, nodes, doc) {
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            parent.appendChild(doc.createTextNode(node.text));
+        } else if (node.type === 'break') {
+            parent.appendChild(doc.createElement('br'));
+        } else if (node.type === 'code') {
+            const code = doc.createElement('code');
+            code.textContent = node.text;
+            parent.appendChild(code);
+        } else if (node.type === 'link') {
+            const a = doc.createElement('a');
+            a.href = node.href;
+            a.target = '_blank';
+            a.rel = 'noopener noreferrer';
+            appendInline(a, node.children, doc);
+            parent.appendChild(a);
+        } else {
+            const el = doc.createElement(node.type);
+            appendInline(el, node.children, doc);
+            parent.appendChild(el);
+        }
+    }
+}
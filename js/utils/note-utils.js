@@ -0,0 +1,54 @@
+/**
+ * Note Utils — Search note fields across a year's entries
+ */
+
+import { getFieldsOfType } from '../schema/schema-manager.js';
+import { markdownToText } from './markdown.js';
+
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Find notes containing a query (case-insensitive, markup ignored)
+ * @param {Array} entries
+ * @param {Object} schema
+ * @param {string} query
+ * @returns {Array<{ dateId, section, field, snippet: { before, match, after } }>}
+ *   Newest day first
+ */
+export function searchNotes(entries, schema, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    const fields = getFieldsOfType(schema, 'note');
+    const results = [];
+    for (const entry of entries) {
+        for (const field of fields) {
+            const note = entry.fields?.[field.section]?.[field.name];
+            if (typeof note !== 'string') continue;
+            const text = markdownToText(note);
+            const index = text.toLowerCase().indexOf(needle);
+            if (index === -1) continue;
+            results.push({
+                dateId: entry._id,
+                section: field.section,
+                field: field.name,
+                snippet: buildSnippet(text, index, needle.length),
+            });
+        }
+    }
+
+    return results.sort((a, b) => b.dateId.localeCompare(a.dateId));
+}
+
+/**
+ * The match with some context either side, trimmed with ellipses
+ */
+export function buildSnippet(text, index, length) {
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+    return {
+        before: `${start > 0 ? '…' : ''}${text.slice(start, index)}`,
+        match: text.slice(index, index + length),
+        after: `${text.slice(index + length, end)}${end < text.length ? '…' : ''}`,
+    };
+}
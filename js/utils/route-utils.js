@@ -0,0 +1,71 @@
+/**
+ * Route Utils — Build and parse year-scoped hash routes
+ *
+ * Routes may carry the active year as their first segment:
+ *   #/2027/dashboard, #/2027/month/jan, #/2027/entry
+ * Routes without a year segment (e.g. #/month/jan) use the currently
+ * selected year. Entry routes with a date (#/entry/2027-01-05) take
+ * their year from the date itself.
+ */
+
+import { getDaysInMonth, toDateId } from './date-utils.js';
+
+/**
+ * Check if a value is a usable 4-digit year
+ */
+export function isValidYear(year) {
+    return Number.isInteger(year) && year >= 1970 && year <= 9999;
+}
+
+/**
+ * Parse a hash into { year, view, param }
+ * `year` is null when the route does not carry one.
+ */
+export function parseRoute(hash) {
+    const parts = (hash || '').replace(/^#\/?/, '').split('/');
+    let year = null;
+
+    if (/^\d{4}$/.test(parts[0])) {
+        year = parseInt(parts.shift());
+    }
+
+    const view = parts[0] || '';
+    const param = parts[1] || '';
+
+    // Date-carrying params override the year segment
+    const dateMatch = param.match(/^(\d{4})-\d{2}/);
+    if ((view === 'entry' || view === 'month') && dateMatch) {
+        year = parseInt(dateMatch[1]);
+    }
+
+    return { year: isValidYear(year) ? year : null, view, param };
+}
+
+/**
+ * Build a hash route, e.g. buildRoute(2027, 'month', 'jan') -> "#/2027/month/jan"
+ */
+export function buildRoute(year, view, param = '') {
+    const path = param ? `${view}/${param}` : view;
+    return year ? `#/${year}/${path}` : `#/${path}`;
+}
+
+/**
+ * Rewrite a hash so it points at the same view in another year.
+ * Dated entry routes keep their month/day (clamped, e.g. Feb 29 -> Feb 28).
+ */
+export function switchRouteYear(hash, year) {
+    const { view, param } = parseRoute(hash);
+    const targetView = view || 'dashboard';
+
+    if (targetView === 'entry' && /^\d{4}-\d{2}-\d{2}$/.test(param)) {
+        const [, m, d] = param.split('-').map(p => parseInt(p));
+        const day = Math.min(d, getDaysInMonth(year, m));
+        return buildRoute(null, 'entry', toDateId(year, m, day));
+    }
+
+    if (targetView === 'month' && /^\d{4}-\d{2}$/.test(param)) {
+        return buildRoute(year, 'month', `${year}-${param.split('-')[1]}`);
+    }
+
+    return buildRoute(year, targetView, param);
+}
@@ -0,0 +1,125 @@
+/**
+ * Search Utils — Inverted index over text and note fields
+ *
+ * Each filled text/note field of an entry is one document, indexed by the
+ * words of its value plus its section and field names. Queries match
+ * documents containing every query word (as a word prefix), ignoring case
+ * and accents.
+ */
+
+import { getFieldsOfType } from '../schema/schema-manager.js';
+import { markdownToText } from './markdown.js';
+import { buildSnippet } from './note-utils.js';
+
+const SEARCHABLE_TYPES = ['text', 'note'];
+const PREVIEW_LENGTH = 80;
+
+/**
+ * Split text into lowercase, accent-free words
+ */
+export function tokenize(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Create an empty index
+ */
+export function createSearchIndex() {
+    return {
+        docs: new Map(),       // key -> { dateId, section, field, text, terms }
+        terms: new Map(),      // term -> Set of keys
+        keysByDate: new Map(), // dateId -> Set of keys
+    };
+}
+
+/**
+ * Add (or replace) an entry's searchable fields in the index
+ */
+export function indexEntry(index, entry, schema) {
+    removeEntryFromIndex(index, entry._id);
+
+    const keys = new Set();
+    for (const field of getFieldsOfType(schema, ...SEARCHABLE_TYPES)) {
+        const value = entry.fields?.[field.section]?.[field.name];
+        if (typeof value !== 'string' || !value.trim()) continue;
+
+        const text = field.type === 'note' ? markdownToText(value) : value.trim();
+        const key = `${entry._id}|${field.section}|${field.name}`;
+        const terms = new Set([...tokenize(text), ...tokenize(field.section), ...tokenize(field.name)]);
+
+        index.docs.set(key, { dateId: entry._id, section: field.section, field: field.name, text, terms });
+        for (const term of terms) {
+            if (!index.terms.has(term)) index.terms.set(term, new Set());
+            index.terms.get(term).add(key);
+        }
+        keys.add(key);
+    }
+
+    if (keys.size > 0) index.keysByDate.set(entry._id, keys);
+}
+
+/**
+ * Drop all of a day's documents from the index
+ */
+export function removeEntryFromIndex(index, dateId) {
+    const keys = index.keysByDate.get(dateId);
+    if (!keys) return;
+
+    for (const key of keys) {
+        for (const term of index.docs.get(key).terms) {
+            const postings = index.terms.get(term);
+            postings.delete(key);
+            if (postings.size === 0) index.terms.delete(term);
+        }
+        index.docs.delete(key);
+    }
+    index.keysByDate.delete(dateId);
+}
+
+/**
+ * Find documents matching every word of a query
+ * @returns {Array<{ dateId, section, field, snippet: { before, match, after } }>}
+ *   Newest day first
+ */
+export function searchIndex(index, query) {
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+
+    let matches = null;
+    for (const word of words) {
+        const keys = new Set();
+        for (const [term, postings] of index.terms) {
+            if (term.startsWith(word)) postings.forEach(key => keys.add(key));
+        }
+        matches = matches ? new Set([...matches].filter(key => keys.has(key))) : keys;
+        if (matches.size === 0) return [];
+    }
+
+    return [...matches]
+        .map(key => {
+            const { dateId, section, field, text } = index.docs.get(key);
+            return { dateId, section, field, snippet: snippetFor(text, words) };
+        })
+        .sort((a, b) => b.dateId.localeCompare(a.dateId) || a.section.localeCompare(b.section) || a.field.localeCompare(b.field));
+}
+
+/**
+ * Snippet around the first query word found in the text; the start of the
+ * text when the words only matched field names (or only match unaccented)
+ */
+function snippetFor(text, words) {
+    const lower = text.toLowerCase();
+    for (const word of words) {
+        const index = lower.indexOf(word);
+        if (index !== -1) return buildSnippet(text, index, word.length);
+    }
+    return {
+        before: text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text,
+        match: '',
+        after: '',
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * Stats Utils — Yearly dashboard statistics, year-over-year deltas and
+ * category counts for select fields
+ */
+
+import { toDateId } from './date-utils.js';
+
+/**
+ * Compute dashboard statistics from entries
+ * @param {Array} allEntries - Entries for one year
+ * @param {Array} monthlyGoals - Monthly goal docs for the same year
+ * @param {Date} [today] - Reference date for "today" and the current streak
+ */
+export function computeStats(allEntries, monthlyGoals, today = new Date()) {
+    const todayId = toDateId(today.getFullYear(), today.getMonth() + 1, today.getDate());
+
+    let totalTracked = 0;
+    let totalCompletion = 0;
+    let currentStreak = 0;
+    let todayCompletion = 0;
+
+    // Sort entries by date
+    const sorted = [...allEntries].sort((a, b) => a._id.localeCompare(b._id));
+
+    for (const entry of sorted) {
+        if (entry.dailyGoalCompletion > 0) {
+            totalTracked++;
+            totalCompletion += entry.dailyGoalCompletion;
+        }
+        if (entry._id === todayId) {
+            todayCompletion = entry.dailyGoalCompletion || 0;
+        }
+    }
+
+    // Calculate current streak (consecutive days from today going backward)
+    const dateSet = new Set(sorted.filter(e => e.dailyGoalCompletion >= 0.5).map(e => e._id));
+    const d = new Date(today);
+    while (true) {
+        const id = toDateId(d.getFullYear(), d.getMonth() + 1, d.getDate());
+        if (dateSet.has(id)) {
+            currentStreak++;
+            d.setDate(d.getDate() - 1);
+        } else {
+            break;
+        }
+    }
+
+    const bestStreak = computeBestStreak(dateSet);
+
+    // Monthly completion average
+    let monthlyAvg = 0;
+    if (monthlyGoals.length > 0) {
+        monthlyAvg = monthlyGoals.reduce((sum, g) => sum + (g.completionRate || 0), 0) / monthlyGoals.length;
+    }
+
+    const avgCompletion = totalTracked > 0 ? totalCompletion / totalTracked : 0;
+
+    return { totalTracked, avgCompletion, currentStreak, bestStreak, todayCompletion, monthlyAvg };
+}
+
+/**
+ * Longest run of consecutive calendar days in a set of date IDs
+ */
+function computeBestStreak(dateSet) {
+    let best = 0;
+    for (const id of dateSet) {
+        const [y, m, day] = id.split('-').map(p => parseInt(p));
+        const prev = new Date(y, m - 1, day - 1);
+        // Only start counting at the first day of a run
+        if (dateSet.has(toDateId(prev.getFullYear(), prev.getMonth() + 1, prev.getDate()))) continue;
+
+        let length = 0;
+        const d = new Date(y, m - 1, day);
+        while (dateSet.has(toDateId(d.getFullYear(), d.getMonth() + 1, d.getDate()))) {
+            length++;
+            d.setDate(d.getDate() + 1);
+        }
+        if (length > best) best = length;
+    }
+    return best;
+}
+
+/**
+ * Year-over-year deltas between two computeStats() results
+ * @returns {{ avgCompletion: number, totalTracked: number, bestStreak: number }}
+ *   Positive values mean `stats` is ahead of `baseline`.
+ */
+export function computeStatDeltas(stats, baseline) {
+    return {
+        avgCompletion: stats.avgCompletion - baseline.avgCompletion,
+        totalTracked: stats.totalTracked - baseline.totalTracked,
+        bestStreak: stats.bestStreak - baseline.bestStreak,
+    };
+}
+
+/**
+ * Count how often each option of a select field was chosen. For a tags
+ * field every tag of a day counts once.
+ * @param {Array} entries
+ * @param {string} section - Section holding the field
+ * @param {Object} field - Field definition with its name and options
+ * @returns {Array<{ label: string, count: number }>} Every option in schema
+ *   order (zero counts included), then values that are no longer options
+ */
+export function countCategories(entries, section, field) {
+    const counts = new Map((field.options || []).map(option => [option, 0]));
+    const removed = new Map();
+    for (const entry of entries) {
+        const value = entry.fields?.[section]?.[field.name];
+        if (value === null || value === undefined || value === '') continue;
+        for (const item of Array.isArray(value) ? value : [value]) {
+            const bucket = counts.has(item) ? counts : removed;
+            bucket.set(item, (bucket.get(item) || 0) + 1);
+        }
+    }
+    const sortedRemoved = [...removed].sort(([a], [b]) => a.localeCompare(b));
+    return [...counts, ...sortedRemoved].map(([label, count]) => ({ label, count }));
+}
@@ -1,5 +1,5 @@
 /**
- * UI Helpers — Toast notifications and navigation
+ * UI Helpers — Toast notifications, popovers, navigation and in-place doc updates
  *
  * Separated from app.js to avoid circular imports.
  */
@@ -24,9 +24,57 @@ export function showToast(message, type = 'info', duration = 3000) {
     }, duration);
 }
 
+let closeActivePopover = null;
+
+/**
+ * Show content in a popover below an anchor element. Only one popover is
+ * open at a time; it closes on Escape, on a click outside, or via the
+ * returned function.
+ * @returns {Function} close
+ */
+export function openPopover(anchor, content) {
+    closeActivePopover?.();
+
+    const popover = document.createElement('div');
+    popover.className = 'popover';
+    popover.appendChild(content);
+    document.body.appendChild(popover);
+
+    const rect = anchor.getBoundingClientRect();
+    popover.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    popover.style.left = `${Math.max(8, Math.min(rect.left + window.scrollX, window.innerWidth - popover.offsetWidth - 8))}px`;
+
+    const onPointerDown = (e) => {
+        if (!popover.contains(e.target) && !anchor.contains(e.target)) close();
+    };
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    const close = () => {
+        popover.remove();
+        document.removeEventListener('pointerdown', onPointerDown, true);
+        document.removeEventListener('keydown', onKeyDown);
+        if (closeActivePopover === close) closeActivePopover = null;
+    };
+
+    document.addEventListener('pointerdown', onPointerDown, true);
+    document.addEventListener('keydown', onKeyDown);
+    closeActivePopover = close;
+    return close;
+}
+
 /**
  * Navigate to a hash route
  */
 export function navigateTo(hash) {
     window.location.hash = hash;
 }
+
+/**
+ * Swap an object's contents for another's, keeping the same reference
+ * (views hold on to the doc their inputs edit)
+ */
+export function replaceContents(target, source) {
+    for (const key of Object.keys(target)) delete target[key];
+    Object.assign(target, source);
+}
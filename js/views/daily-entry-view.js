@@ -2,48 +2,52 @@
  * Daily Entry View — Single-day form with progress bar and polished inputs
  */
 
-import { YEAR, MONTHS } from '../config.js';
+import { MONTHS } from '../config.js';
 import { toDateId, getDaysInMonth, formatDateLong, getDayName, toMonthId } from '../utils/date-utils.js';
 import { loadSchema, getSections, getFields, getCustomSections } from '../schema/schema-manager.js';
-import { getEntry, getMonthlyGoal, putMonthlyGoal } from '../db/data-access.js';
-import { getFieldType } from '../schema/field-types.js';
-import { evaluate } from '../utils/calc-engine.js';
-import { createEmptyDailyGoals, createEmptyFields, createEmptyMonthlyGoals, computeDailyCompletion } from '../components/goal-manager.js';
+import { getEntry, getLatestEntryBefore, getMonthlyGoal, putMonthlyGoal, deleteEntry } from '../db/data-access.js';
+import { getFieldType, formatCalculated, getValidationError, isEmptyValue } from '../schema/field-types.js';
+import { computeCalcField } from '../utils/calc-engine.js';
+import { createEmptyDailyGoals, createEmptyFields, createEmptyMonthlyGoals, computeDailyCompletion, prefillFields, clearPrefilled,
+    getDailyGoalStatus, setDailyGoal, getAutoGoalRule, describeAutoGoal } from '../components/goal-manager.js';
 import { isFieldScheduledForDate } from '../utils/schedule-utils.js';
-import { navigateTo, showToast } from '../utils/ui-helpers.js';
+import { navigateTo, showToast, replaceContents } from '../utils/ui-helpers.js';
 
 export async function renderDailyEntryView(container, state, dateStr) {
-    // Parse date or default to today
-    let year = YEAR, month, day;
+    // Parse date or default to today's month/day in the selected year
+    let year = state.year, month, day;
     if (dateStr) {
         const parts = dateStr.split('-');
-        year = parseInt(parts[0]) || YEAR;
+        year = parseInt(parts[0]) || state.year;
         month = parseInt(parts[1]);
         day = parseInt(parts[2]);
     }
     if (!month || !day) {
         const now = new Date();
         month = now.getMonth() + 1;
-        day = now.getDate();
+        day = Math.min(now.getDate(), getDaysInMonth(year, month));
     }
 
     const dateId = toDateId(year, month, day);
     const daysInMonth = getDaysInMonth(year, month);
 
     const schema = await loadSchema();
+    const createBlankEntry = () => ({
+        _id: dateId,
+        year: year,
+        month: month,
+        day: day,
+        weekday: new Date(year, month - 1, day).getDay(),
+        dailyGoals: createEmptyDailyGoals(schema),
+        fields: createEmptyFields(schema),
+        dailyGoalCompletion: 0,
+    });
     let entry = await getEntry(dateId);
+    const entryExists = !!entry;
 
     if (!entry) {
-        entry = {
-            _id: dateId,
-            year: year,
-            month: month,
-            day: day,
-            weekday: new Date(year, month - 1, day).getDay(),
-            dailyGoals: createEmptyDailyGoals(schema),
-            fields: createEmptyFields(schema),
-            dailyGoalCompletion: 0,
-        };
+        // Defaults and carried-forward values; saved with the first edit
+        entry = prefillFields(createBlankEntry(), schema, await getLatestEntryBefore(dateId));
     }
 
     // Monthly goals
@@ -94,6 +98,10 @@ export async function renderDailyEntryView(container, state, dateStr) {
             </div>
 
             <div id="daily-entry-form"></div>
+
+            <div class="daily-entry-actions">
+                <button class="btn btn-outline" id="entry-clear" ${entryExists ? '' : 'disabled'}>🗑️ Clear this day</button>
+            </div>
         </div>
     `;
 
@@ -105,6 +113,18 @@ export async function renderDailyEntryView(container, state, dateStr) {
         navigateTo(`#/entry/${nextId}`);
     });
 
+    // Clear day — deletes the entry (and syncs the deletion)
+    document.getElementById('entry-clear').addEventListener('click', async () => {
+        if (!confirm(`Clear all data for ${formatDateLong(year, month, day)}?`)) return;
+        if (state.syncEngine) {
+            await state.syncEngine.removeEntry(dateId);
+        } else {
+            await deleteEntry(dateId);
+        }
+        showToast('Day cleared', 'info');
+        renderDailyEntryView(container, state, dateId);
+    });
+
     const formContainer = document.getElementById('daily-entry-form');
 
     // Update progress bar
@@ -121,7 +141,7 @@ export async function renderDailyEntryView(container, state, dateStr) {
 
     // Save helper
     const saveEntry = async () => {
-        entry.dailyGoalCompletion = computeDailyCompletion(entry.dailyGoals, schema, year, month, day);
+        entry.dailyGoalCompletion = computeDailyCompletion(entry.dailyGoals, schema, year, month, day, entry);
         updateProgressBar();
         if (state.syncEngine) {
             await state.syncEngine.saveEntry(entry);
@@ -142,21 +162,40 @@ export async function renderDailyEntryView(container, state, dateStr) {
     // Clear form
     formContainer.innerHTML = '';
 
+    // Rows whose input is rebuilt when another device changes the doc
+    const entryRows = [];
+    const goalRows = [];
+    const monthlyGoalRows = [];
+
     // ===== DAILY GOALS SECTION =====
     const dailyGoals = getFields(schema, 'Daily Goals');
     if (dailyGoals.length > 0) {
         const section = createSection('Daily Goals', 'daily-goals', '🎯');
         for (const field of dailyGoals) {
             if (!isFieldScheduledForDate(field.schedule, year, month, day)) continue;
-            const value = entry.dailyGoals?.[field.name] || false;
-            const row = createFieldRow(field.name, null, () => {
-                const checkbox = getFieldType('checkbox').createInput(field, value, async (newVal) => {
-                    if (!entry.dailyGoals) entry.dailyGoals = {};
-                    entry.dailyGoals[field.name] = newVal;
+            const createInput = () => {
+                const status = getDailyGoalStatus(field.name, entry, schema);
+                const checkbox = getFieldType('checkbox').createInput(field, !!status, async (newVal) => {
+                    setDailyGoal(entry, field.name, newVal, schema);
+                    // A hand-set goal is no longer shown as automatic
+                    if (status === 'auto') row.replaceChild(createInput(), row.lastChild);
                     await saveEntry();
                 });
-                return checkbox;
-            });
+                if (status !== 'auto') return checkbox;
+
+                // Completed from logged data; unticking overrides the rule
+                const auto = document.createElement('label');
+                auto.className = 'auto-goal';
+                auto.title = `Done automatically: ${describeAutoGoal(getAutoGoalRule(field.name, schema))}`;
+                const badge = document.createElement('span');
+                badge.className = 'auto-goal-badge';
+                badge.textContent = 'auto';
+                auto.append(badge, checkbox);
+                return auto;
+            };
+            const row = createFieldRow(field.name, null, createInput);
+            entryRows.push({ row, createInput });
+            goalRows.push({ row, createInput });
             section.appendChild(row);
         }
         formContainer.appendChild(section);
@@ -171,7 +210,6 @@ export async function renderDailyEntryView(container, state, dateStr) {
 
         for (const field of fields) {
             if (!isFieldScheduledForDate(field.schedule, year, month, day)) continue;
-            const value = entry.fields?.[sectionName]?.[field.name] ?? null;
 
             if (field.type === 'velocity' && field.calculation) {
                 const computedVal = computeCalcField(field, entry, sectionName, schema);
@@ -179,24 +217,41 @@ export async function renderDailyEntryView(container, state, dateStr) {
                     const span = document.createElement('span');
                     span.className = 'field-calculated';
                     span.id = `calc-${sectionName}-${field.name}`.replace(/\s+/g, '-');
-                    span.textContent = computedVal !== null ? `${computedVal.toFixed(2)} ${field.unit || ''}` : '--';
+                    span.textContent = computedVal !== null ? `${formatCalculated(computedVal, field)} ${field.unit || ''}` : '--';
                     return span;
                 });
                 section.appendChild(row);
             } else {
-                const row = createFieldRow(field.name, field.unit, () => {
+                const createInput = () => {
+                    const value = entry.fields?.[sectionName]?.[field.name] ?? null;
                     const fieldType = getFieldType(field.type);
                     const input = fieldType.createInput(field, value, async (newVal) => {
+                        const error = getValidationError(newVal, field);
+                        showFieldError(input, error);
+                        // Values breaking a rule are not saved; clearing a required field is
+                        if (error && !isEmptyValue(newVal)) return;
+
+                        const goalWasDone = field.goal && getDailyGoalStatus(field.goal, entry, schema);
                         if (!entry.fields) entry.fields = {};
                         if (!entry.fields[sectionName]) entry.fields[sectionName] = {};
                         entry.fields[sectionName][field.name] = newVal;
+                        clearPrefilled(entry, sectionName, field.name);
+                        markPrefilled(input, null);
 
                         updateCalcFieldsInForm(entry, sectionName, schema);
+                        if (field.goal && !goalWasDone && getDailyGoalStatus(field.goal, entry, schema)) {
+                            showToast(`🎯 "${field.goal}" completed`, 'success');
+                        }
+                        // Counters and autoFrom rules may have completed goals
+                        refreshRows(goalRows);
                         await saveEntry();
                     });
-                    input.className = 'field-input';
+                    input.classList.add('field-input');
+                    markPrefilled(input, entry.prefilled?.[sectionName]?.[field.name]);
                     return input;
-                });
+                };
+                const row = createFieldRow(field.name, field.unit, createInput, field.required);
+                entryRows.push({ row, createInput });
                 section.appendChild(row);
             }
         }
@@ -210,8 +265,8 @@ export async function renderDailyEntryView(container, state, dateStr) {
         if (monthlyGoals.length > 0) {
             const section = createSection('Monthly Goals', 'monthly-goals', '🏆');
             for (const field of monthlyGoals) {
-                const value = monthlyGoalDoc.goals?.[field.name] || false;
-                const row = createFieldRow(field.name, null, () => {
+                const createInput = () => {
+                    const value = monthlyGoalDoc.goals?.[field.name] || false;
                     const checkbox = getFieldType('checkbox').createInput(field, value, async (newVal) => {
                         if (!monthlyGoalDoc.goals) monthlyGoalDoc.goals = {};
                         monthlyGoalDoc.goals[field.name] = newVal;
@@ -222,12 +277,45 @@ export async function renderDailyEntryView(container, state, dateStr) {
                         await saveMonthlyGoals();
                     });
                     return checkbox;
-                });
+                };
+                const row = createFieldRow(field.name, null, createInput);
+                monthlyGoalRows.push({ row, createInput });
                 section.appendChild(row);
             }
             formContainer.appendChild(section);
         }
     }
+
+    // Changes pulled from other devices update the form in place. The doc
+    // objects are refreshed rather than replaced so pending edits save
+    // against the merged values.
+    if (formContainer.isConnected) state.liveUpdate = async ({ collection, ids }) => {
+        if (collection === 'entries' && ids.includes(dateId)) {
+            const fresh = await getEntry(dateId);
+            replaceContents(entry, fresh || createBlankEntry());
+            refreshRows(entryRows);
+            for (const sectionName of customSections) updateCalcFieldsInForm(entry, sectionName, schema);
+            updateProgressBar();
+            const clearBtn = document.getElementById('entry-clear');
+            if (clearBtn) clearBtn.disabled = !fresh;
+        } else if (collection === 'monthlyGoals' && isLastDay && ids.includes(monthId)) {
+            const fresh = await getMonthlyGoal(monthId);
+            if (!fresh) return;
+            replaceContents(monthlyGoalDoc, fresh);
+            refreshRows(monthlyGoalRows);
+        }
+    };
+}
+
+/**
+ * Swap each row's input for a fresh one, leaving the one being edited alone
+ */
+function refreshRows(rows) {
+    for (const { row, createInput } of rows) {
+        if (row.contains(document.activeElement)) continue;
+        row.querySelector('.field-error')?.remove();
+        row.replaceChild(createInput(), row.lastChild);
+    }
 }
 
 function createSection(title, className, emoji = '') {
@@ -237,7 +325,7 @@ function createSection(title, className, emoji = '') {
     return div;
 }
 
-function createFieldRow(label, unit, createInput) {
+function createFieldRow(label, unit, createInput, required = false) {
     const row = document.createElement('div');
     row.className = 'daily-entry-field';
 
@@ -250,6 +338,13 @@ function createFieldRow(label, unit, createInput) {
         unitSpan.textContent = unit;
         labelSpan.appendChild(unitSpan);
     }
+    if (required) {
+        const mark = document.createElement('span');
+        mark.className = 'field-required';
+        mark.textContent = '*';
+        mark.title = 'Required';
+        labelSpan.appendChild(mark);
+    }
     row.appendChild(labelSpan);
 
     const input = createInput();
@@ -258,39 +353,43 @@ function createFieldRow(label, unit, createInput) {
     return row;
 }
 
-function getProgressClass(pct) {
-    if (pct < 0.33) return 'low';
-    if (pct < 0.66) return 'medium';
-    return 'high';
+/**
+ * Style a value that was pre-filled rather than entered ('carried' or
+ * 'default'; null once edited)
+ */
+function markPrefilled(input, source) {
+    if (source) {
+        input.classList.add('is-prefilled');
+        input.title = source === 'carried' ? 'Carried forward from the previous entry' : 'Default value';
+    } else if (input.classList.contains('is-prefilled')) {
+        input.classList.remove('is-prefilled');
+        input.removeAttribute('title');
+    }
 }
 
-function computeCalcField(field, entry, sectionName, schema) {
-    if (!field.calculation) return null;
-
-    const sectionFields = entry?.fields?.[sectionName] || {};
-    const fieldDefs = schema[sectionName] || {};
-    const values = {};
-
-    // Initialize ALL fields defined in the schema to null first
-    // This allows the tokenizer to "see" them even if no data is present
-    for (const fname of Object.keys(fieldDefs)) {
-        values[fname] = null;
+/**
+ * Show (or clear) an inline error next to a field's input
+ */
+function showFieldError(input, message) {
+    const row = input.closest('.daily-entry-field');
+    let error = row.querySelector('.field-error');
+    input.classList.toggle('is-invalid', !!message);
+    if (!message) {
+        error?.remove();
+        return;
     }
-
-    // Overwrite with actual values
-    for (const [fname, fval] of Object.entries(sectionFields)) {
-        if (fval !== null && fval !== undefined && fval !== '') {
-            const fdef = fieldDefs[fname];
-            if (fdef?.type === 'time') {
-                const ft = getFieldType('time');
-                values[fname] = ft.toNumber(fval);
-            } else {
-                values[fname] = parseFloat(fval);
-            }
-        }
+    if (!error) {
+        error = document.createElement('span');
+        error.className = 'field-error';
+        row.insertBefore(error, input);
     }
+    error.textContent = message;
+}
 
-    return evaluate(field.calculation, values);
+function getProgressClass(pct) {
+    if (pct < 0.33) return 'low';
+    if (pct < 0.66) return 'medium';
+    return 'high';
 }
 
 function updateCalcFieldsInForm(entry, sectionName, schema) {
@@ -305,6 +404,6 @@ function updateCalcFieldsInForm(entry, sectionName, schema) {
         if (!span) continue;
 
         const val = computeCalcField(fieldDef, entry, sectionName, schema);
-        span.textContent = val !== null ? `${val.toFixed(2)} ${fieldDef.unit || ''}` : '--';
+        span.textContent = val !== null ? `${formatCalculated(val, fieldDef)} ${fieldDef.unit || ''}` : '--';
     }
 }
@@ -1,67 +1,48 @@
 /**
  * Dashboard View — Stat Cards + Heatmaps + Yearly Charts
+ *
+ * Comparison mode (#/2026/dashboard/2025) puts a second year alongside the
+ * selected one: per-year stat cards with deltas, both heatmaps, and every
+ * dashboard chart series overlaid for the two years.
+ *
+ * Members of an accountability group also get a leaderboard and streak board.
+ * Each scale field (mood, energy, ...) gets a daily heatmap coloured by value,
+ * and note fields get a search box over the year's notes.
  */
 
-import { YEAR } from '../config.js';
-import { loadSchema } from '../schema/schema-manager.js';
-import { getAllEntries, getAllMonthlyGoals } from '../db/data-access.js';
-import { renderDailyHeatmap, renderMonthlyHeatmap } from '../components/heatmap.js';
+import { loadSchema, getFieldsOfType } from '../schema/schema-manager.js';
+import { getEntriesBetween, getAllMonthlyGoals, getEntryYears } from '../db/data-access.js';
+import { renderDailyHeatmap, renderMonthlyHeatmap, scaleMetric } from '../components/heatmap.js';
 import { buildDashboardCharts } from '../components/chart-builder.js?v=2';
 import { renderChartConfigModal } from '../components/chart-config-modal.js';
+import { renderGroupBoards } from '../components/group-board.js';
+import { renderNoteSearch } from '../components/note-search.js';
+import { buildGroupSummary, hasSummaryChanged, computeMemberStats } from '../utils/group-utils.js';
+import { computeStats, computeStatDeltas } from '../utils/stats-utils.js';
+import { buildRoute } from '../utils/route-utils.js';
 import { toDateId } from '../utils/date-utils.js';
+import { navigateTo } from '../utils/ui-helpers.js';
 
 /**
- * Compute dashboard statistics from entries
+ * Load entries and monthly goals for one year
  */
-function computeStats(allEntries, monthlyGoals) {
-    const today = new Date();
-    const todayId = toDateId(today.getFullYear(), today.getMonth() + 1, today.getDate());
-
-    let totalTracked = 0;
-    let totalCompletion = 0;
-    let currentStreak = 0;
-    let todayCompletion = 0;
-
-    // Sort entries by date
-    const sorted = [...allEntries].sort((a, b) => a._id.localeCompare(b._id));
-
-    for (const entry of sorted) {
-        if (entry.dailyGoalCompletion > 0) {
-            totalTracked++;
-            totalCompletion += entry.dailyGoalCompletion;
-        }
-        if (entry._id === todayId) {
-            todayCompletion = entry.dailyGoalCompletion || 0;
-        }
-    }
-
-    // Calculate current streak (consecutive days from today going backward)
-    const dateSet = new Set(sorted.filter(e => e.dailyGoalCompletion >= 0.5).map(e => e._id));
-    const d = new Date(today);
-    while (true) {
-        const id = toDateId(d.getFullYear(), d.getMonth() + 1, d.getDate());
-        if (dateSet.has(id)) {
-            currentStreak++;
-            d.setDate(d.getDate() - 1);
-        } else {
-            break;
-        }
-    }
-
-    // Monthly completion average
-    let monthlyAvg = 0;
-    if (monthlyGoals.length > 0) {
-        monthlyAvg = monthlyGoals.reduce((sum, g) => sum + (g.completionRate || 0), 0) / monthlyGoals.length;
-    }
-
-    const avgCompletion = totalTracked > 0 ? totalCompletion / totalTracked : 0;
-
-    return { totalTracked, avgCompletion, currentStreak, todayCompletion, monthlyAvg };
+async function loadYearData(year) {
+    const [entries, goals] = await Promise.all([
+        getEntriesBetween(toDateId(year, 1, 1), toDateId(year, 12, 31)),
+        getAllMonthlyGoals(year),
+    ]);
+    return { year, entries, goals };
 }
 
-export async function renderDashboardView(container, state) {
+export async function renderDashboardView(container, state, compareYear = null) {
+    const year = state.year;
+    if (compareYear === year) compareYear = null;
+
     container.innerHTML = `
-        <h1 class="page-title">${YEAR} <span class="title-accent">Dashboard</span></h1>
+        <div class="dashboard-title-bar">
+            <h1 class="page-title">${year} <span class="title-accent">Dashboard</span></h1>
+            <div id="compare-control"></div>
+        </div>
 
         <div class="dashboard-hero">
             <div class="hero-stats" id="stat-cards">
@@ -105,10 +86,36 @@ export async function renderDashboardView(container, state) {
             </div>
         </div>
 
+        ${compareYear ? `
+        <div class="dashboard-section">
+            <div class="section-title"><span class="section-icon">⚖️</span> ${year} vs ${compareYear}</div>
+            <div id="yoy-container" class="yoy-columns"></div>
+        </div>` : ''}
+
         <div class="dashboard-section">
             <div class="section-title"><span class="section-icon">📊</span> Goals Progress</div>
+            ${compareYear ? `<div class="yoy-heatmap-label">${year}</div>` : ''}
             <div id="monthly-heatmap-container" class="loading"><div class="spinner"></div> Loading...</div>
             <div id="daily-heatmap-container" class="loading"><div class="spinner"></div> Loading...</div>
+            ${compareYear ? `
+            <div class="yoy-heatmap-label">${compareYear}</div>
+            <div id="compare-monthly-heatmap-container" class="loading"><div class="spinner"></div> Loading...</div>
+            <div id="compare-daily-heatmap-container" class="loading"><div class="spinner"></div> Loading...</div>` : ''}
+        </div>
+
+        <div class="dashboard-section" id="scale-section" style="display:none">
+            <div class="section-title"><span class="section-icon">🎚️</span> Scales</div>
+            <div id="scale-heatmaps-container"></div>
+        </div>
+
+        <div class="dashboard-section" id="note-section" style="display:none">
+            <div class="section-title"><span class="section-icon">📝</span> Notes</div>
+            <div id="note-search-container" class="note-search"></div>
+        </div>
+
+        <div class="dashboard-section" id="group-section" style="display:none">
+            <div class="section-title"><span class="section-icon">🤝</span> Group</div>
+            <div id="group-container"></div>
         </div>
 
         <div class="dashboard-section">
@@ -118,30 +125,58 @@ export async function renderDashboardView(container, state) {
     `;
 
     // Load data
-    const [schema, allEntries, monthlyGoals] = await Promise.all([
+    const [schema, primary, compare, years] = await Promise.all([
         loadSchema(),
-        getAllEntries(YEAR),
-        getAllMonthlyGoals(YEAR),
+        loadYearData(year),
+        compareYear ? loadYearData(compareYear) : null,
+        getEntryYears(),
     ]);
 
-    // Compute & render stats
-    const stats = computeStats(allEntries, monthlyGoals);
-    document.getElementById('stat-streak').textContent = `${stats.currentStreak}d`;
-    document.getElementById('stat-today').textContent = `${Math.round(stats.todayCompletion * 100)}%`;
-    document.getElementById('stat-avg').textContent = `${Math.round(stats.avgCompletion * 100)}%`;
-    document.getElementById('stat-tracked').textContent = stats.totalTracked;
+    renderCompareControl(document.getElementById('compare-control'), year, compareYear, years);
 
-    // Render monthly heatmap
     const monthlyHeatmapContainer = document.getElementById('monthly-heatmap-container');
-    renderMonthlyHeatmap(monthlyHeatmapContainer, monthlyGoals);
-
-    // Render daily heatmap
     const dailyHeatmapContainer = document.getElementById('daily-heatmap-container');
-    renderDailyHeatmap(dailyHeatmapContainer, allEntries);
-
-    // Render yearly charts (now Dashboard Charts with aggregation)
     const yearlyChartsContainer = document.getElementById('yearly-charts-container');
-    buildDashboardCharts(yearlyChartsContainer, schema, allEntries);
+    let chartEntries = primary.entries;
+    let chartCompare = compare;
+
+    // Stat cards and heatmaps (cheap enough to refresh on every live update)
+    const renderSummary = (primaryData, compareData) => {
+        // Compute & render stats
+        const stats = computeStats(primaryData.entries, primaryData.goals);
+        document.getElementById('stat-streak').textContent = `${stats.currentStreak}d`;
+        document.getElementById('stat-today').textContent = `${Math.round(stats.todayCompletion * 100)}%`;
+        document.getElementById('stat-avg').textContent = `${Math.round(stats.avgCompletion * 100)}%`;
+        document.getElementById('stat-tracked').textContent = stats.totalTracked;
+
+        // Heatmaps
+        renderMonthlyHeatmap(monthlyHeatmapContainer, primaryData.goals, year);
+        renderDailyHeatmap(dailyHeatmapContainer, primaryData.entries, year);
+        renderScaleHeatmaps(document.getElementById('scale-heatmaps-container'), schema, primaryData.entries, year);
+
+        if (compareData) {
+            const compareStats = computeStats(compareData.entries, compareData.goals);
+            renderYearComparison(document.getElementById('yoy-container'), year, stats, compareYear, compareStats);
+            renderMonthlyHeatmap(document.getElementById('compare-monthly-heatmap-container'), compareData.goals, compareYear);
+            renderDailyHeatmap(document.getElementById('compare-daily-heatmap-container'), compareData.entries, compareYear);
+        }
+    };
+
+    const renderAll = (primaryData, compareData) => {
+        renderSummary(primaryData, compareData);
+
+        // Render yearly charts (now Dashboard Charts with aggregation)
+        chartEntries = primaryData.entries;
+        chartCompare = compareData;
+        buildDashboardCharts(yearlyChartsContainer, schema, chartEntries, year, chartCompare);
+    };
+
+    renderAll(primary, compare);
+
+    if (getFieldsOfType(schema, 'note').length > 0) {
+        renderNoteSearch(document.getElementById('note-search-container'), schema, () => chartEntries);
+        document.getElementById('note-section').style.display = '';
+    }
 
     // Event Listeners for Custom Charts
     document.removeEventListener('open-chart-config', handleOpenConfig); // Prevent duplicates
@@ -161,66 +196,191 @@ export async function renderDashboardView(container, state) {
             container.innerHTML = '<div class="spinner"></div> Loading...';
             // Re-fetch schema in case it changed (unlikely for charts, but good practice)
             // For charts we just need to re-read config from meta, which buildDashboardCharts does.
-            buildDashboardCharts(container, schema, allEntries);
+            buildDashboardCharts(container, schema, chartEntries, year, chartCompare);
         }
     }
 
     // Render time progression
-    renderTimeProgression();
+    renderTimeProgression(year);
+
+    // Changes pulled from other devices refresh the stats and heatmaps in
+    // place; charts keep their state until the next full render
+    if (dailyHeatmapContainer.isConnected) state.liveUpdate = async ({ collection }) => {
+        if (collection !== 'entries' && collection !== 'monthlyGoals') return;
+        const fresh = await loadYearData(year);
+        if (!dailyHeatmapContainer.isConnected) return;
+        chartEntries = fresh.entries;
+        renderSummary(fresh, chartCompare);
+    };
 
     // Background sync
     if (state.syncEngine && state.syncEngine.isConfigured()) {
         try {
-            await state.syncEngine.pullAll();
+            await state.syncEngine.pullAll(year);
+            if (compareYear) await state.syncEngine.pullAll(compareYear);
 
-            const [freshEntries, freshGoals] = await Promise.all([
-                getAllEntries(YEAR),
-                getAllMonthlyGoals(YEAR),
+            const [freshPrimary, freshCompare] = await Promise.all([
+                loadYearData(year),
+                compareYear ? loadYearData(compareYear) : null,
             ]);
-
-            const freshStats = computeStats(freshEntries, freshGoals);
-            document.getElementById('stat-streak').textContent = `${freshStats.currentStreak}d`;
-            document.getElementById('stat-today').textContent = `${Math.round(freshStats.todayCompletion * 100)}%`;
-            document.getElementById('stat-avg').textContent = `${Math.round(freshStats.avgCompletion * 100)}%`;
-            document.getElementById('stat-tracked').textContent = freshStats.totalTracked;
-
-            renderMonthlyHeatmap(monthlyHeatmapContainer, freshGoals);
-            renderDailyHeatmap(dailyHeatmapContainer, freshEntries);
-            renderMonthlyHeatmap(monthlyHeatmapContainer, freshGoals);
-            renderDailyHeatmap(dailyHeatmapContainer, freshEntries);
-            buildDashboardCharts(yearlyChartsContainer, schema, freshEntries);
+            renderAll(freshPrimary, freshCompare);
         } catch (err) {
             console.error('Dashboard sync error:', err);
         }
     }
+
+    if (state.syncEngine) {
+        try {
+            await renderGroupSection(state.syncEngine, schema, await loadYearData(year));
+        } catch (err) {
+            console.error('Group boards failed:', err);
+        }
+    }
+}
+
+/**
+ * One heatmap per scale field, coloured by the day's value
+ * (the section stays hidden without scale fields)
+ */
+function renderScaleHeatmaps(container, schema, entries, year) {
+    const fields = getFieldsOfType(schema, 'scale');
+    container.innerHTML = '';
+    document.getElementById('scale-section').style.display = fields.length > 0 ? '' : 'none';
+
+    for (const field of fields) {
+        const label = document.createElement('div');
+        label.className = 'yoy-heatmap-label';
+        label.textContent = field.name;
+        const heatmap = document.createElement('div');
+        heatmap.className = 'scale-heatmap';
+        container.append(label, heatmap);
+        renderDailyHeatmap(heatmap, entries, year, scaleMetric(field));
+    }
+}
+
+/**
+ * Show the group's boards for the year, publishing this member's summary
+ * first when it differs from the published one (the section stays hidden
+ * outside a group)
+ */
+async function renderGroupSection(engine, schema, yearData) {
+    const settings = await engine.fetchGroupSettings();
+    const container = document.getElementById('group-container');
+    if (!settings || !container) return;
+
+    const summary = buildGroupSummary(yearData.entries, schema, settings, yearData.year);
+    let summaries = await engine.fetchGroupSummaries(settings.groupId, yearData.year);
+    if (hasSummaryChanged(summaries.find(s => s._id === summary._id), summary)) {
+        await engine.publishGroupSummary(summary);
+        summaries = [...summaries.filter(s => s._id !== summary._id), summary];
+    }
+    if (!container.isConnected) return;
+
+    renderGroupBoards(container, computeMemberStats(summaries), settings);
+    document.getElementById('group-section').style.display = '';
+}
+
+/**
+ * Render the "Compare with" year picker (only once entries span several years)
+ */
+function renderCompareControl(container, year, compareYear, years) {
+    const otherYears = years.filter(y => y !== year);
+    if (otherYears.length === 0 && !compareYear) return;
+
+    container.innerHTML = `
+        <label class="compare-control">
+            <span>Compare with</span>
+            <select class="form-input" id="compare-year-select">
+                <option value="">—</option>
+                ${otherYears.map(y => `<option value="${y}" ${y === compareYear ? 'selected' : ''}>${y}</option>`).join('')}
+            </select>
+        </label>
+    `;
+
+    document.getElementById('compare-year-select').addEventListener('change', (e) => {
+        const value = e.target.value;
+        navigateTo(buildRoute(year, 'dashboard', value));
+    });
 }
 
 /**
- * Render year and month progression circles
+ * Render per-year stat cards side by side, with deltas on the selected year
  */
-function renderTimeProgression() {
+function renderYearComparison(container, year, stats, compareYear, compareStats) {
+    const deltas = computeStatDeltas(stats, compareStats);
+
+    const metrics = [
+        { key: 'avgCompletion', label: 'Avg Completion', icon: '📊', color: 'amber', format: v => `${Math.round(v * 100)}%`, unit: '%', scale: 100 },
+        { key: 'totalTracked', label: 'Days Tracked', icon: '📅', color: 'red', format: v => `${v}`, unit: '', scale: 1 },
+        { key: 'bestStreak', label: 'Best Streak', icon: '🔥', color: 'green', format: v => `${v}d`, unit: 'd', scale: 1 },
+    ];
+
+    const column = (colYear, colStats, showDelta) => `
+        <div class="yoy-year">
+            <div class="yoy-year-label">${colYear}</div>
+            <div class="stat-cards-row">
+                ${metrics.map(m => `
+                    <div class="stat-card ${m.color}">
+                        <div class="stat-card-header">
+                            <div class="stat-card-icon">${m.icon}</div>
+                            <div class="stat-card-label">${m.label}</div>
+                        </div>
+                        <div class="stat-card-value">${m.format(colStats[m.key])}</div>
+                        ${showDelta ? renderDelta(deltas[m.key] * m.scale, m.unit, compareYear) : ''}
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+
+    container.innerHTML = column(year, stats, true) + column(compareYear, compareStats, false);
+}
+
+/**
+ * Render a delta chip (e.g. "▲ +12% vs 2025")
+ */
+function renderDelta(delta, unit, compareYear) {
+    const rounded = Math.round(delta);
+    const direction = rounded > 0 ? 'up' : rounded < 0 ? 'down' : '';
+    const arrow = rounded > 0 ? '▲' : rounded < 0 ? '▼' : '●';
+    const sign = rounded > 0 ? '+' : '';
+    return `<div class="stat-card-trend ${direction}">${arrow} ${sign}${rounded}${unit} vs ${compareYear}</div>`;
+}
+
+/**
+ * Render year and month progression circles for the selected year
+ */
+function renderTimeProgression(year) {
     const now = new Date();
-    const isLeap = (YEAR % 4 === 0 && YEAR % 100 !== 0) || (YEAR % 400 === 0);
+    const isLeap = (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
     const daysInYear = isLeap ? 366 : 365;
 
     // Year Progress
-    const startOfYear = new Date(YEAR, 0, 1);
+    const startOfYear = new Date(year, 0, 1);
     const dayOfYear = Math.floor((now - startOfYear) / (1000 * 60 * 60 * 24));
     const yearCompletion = Math.min(1, Math.max(0, dayOfYear / daysInYear));
     const yearPct = Math.round(yearCompletion * 100);
 
-    // Month Progress
-    const currentMonthIdx = now.getMonth();
+    // Month Progress — only the current year has a month in progress; past
+    // years read as complete and future years as not started
+    const yearOffset = now.getFullYear() - year;
     const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const daysInMonth = new Date(YEAR, currentMonthIdx + 1, 0).getDate();
-    const dayOfMonth = now.getDate();
-    const monthCompletion = Math.min(1, Math.max(0, dayOfMonth / daysInMonth));
+    let monthCompletion;
+    let monthLabel;
+    if (yearOffset === 0) {
+        const daysInMonth = new Date(year, now.getMonth() + 1, 0).getDate();
+        monthCompletion = Math.min(1, Math.max(0, now.getDate() / daysInMonth));
+        monthLabel = monthNames[now.getMonth()];
+    } else {
+        monthCompletion = yearOffset > 0 ? 1 : 0;
+        monthLabel = yearOffset > 0 ? 'Complete' : 'Not started';
+    }
     const monthPct = Math.round(monthCompletion * 100);
 
     renderDualProgressRings(
         document.getElementById('dual-progress-container'),
-        monthCompletion, monthPct, monthNames[currentMonthIdx],
-        yearCompletion, yearPct, YEAR
+        monthCompletion, monthPct, monthLabel,
+        yearCompletion, yearPct, year
     );
 }
 
@@ -2,13 +2,14 @@
  * Monthly View — Data grid + Charts + Stat bar
  */
 
-import { YEAR, MONTHS, MONTH_FULL } from '../config.js';
+import { MONTHS, MONTH_FULL } from '../config.js';
 import { loadSchema, countDailyGoals } from '../schema/schema-manager.js';
-import { getMonthEntries, getAllMonthlyGoals, putMonthlyGoal, getMonthlyGoal } from '../db/data-access.js';
+import { getEntry, getEntriesBetween, getLatestEntryBefore, getAllMonthlyGoals, putMonthlyGoal, getMonthlyGoal, deleteMonthlyGoal } from '../db/data-access.js';
 import { renderDataGrid } from '../components/data-grid.js';
 import { buildMonthlyCharts } from '../components/chart-builder.js';
 import { getDaysInMonth, toDateId, toMonthId } from '../utils/date-utils.js';
 import { navigateTo, showToast } from '../utils/ui-helpers.js';
+import { buildRoute } from '../utils/route-utils.js';
 
 /**
  * Compute monthly view statistics
@@ -20,7 +21,6 @@ function computeMonthStats(entriesMap, daysInMonth, schema) {
     let tempStreak = 0;
 
     for (let d = 1; d <= daysInMonth; d++) {
-        const dateId = toDateId(YEAR, 0, d);
         const dayId = Object.keys(entriesMap).find(id => id.endsWith(`-${String(d).padStart(2, '0')}`));
         const entry = dayId ? entriesMap[dayId] : null;
         if (entry && entry.dailyGoalCompletion > 0) {
@@ -42,47 +42,69 @@ export async function renderMonthlyView(container, state, monthIndex) {
         return;
     }
 
+    const year = state.year;
     const month = monthIndex + 1;
-    const daysInMonth = getDaysInMonth(YEAR, month);
+    const daysInMonth = getDaysInMonth(year, month);
     const prevMonth = monthIndex === 0 ? 11 : monthIndex - 1;
     const nextMonth = monthIndex === 11 ? 0 : monthIndex + 1;
+    // Navigating past Jan/Dec crosses into the neighbouring year
+    const prevYear = monthIndex === 0 ? year - 1 : year;
+    const nextYear = monthIndex === 11 ? year + 1 : year;
 
     container.innerHTML = `
         <div class="month-title-bar">
             <button class="month-nav-btn" id="prev-month">\u2190 ${MONTHS[prevMonth]}</button>
-            <h1 class="page-title" style="margin-bottom:0">${MONTH_FULL[monthIndex]} <span class="title-accent">${YEAR}</span></h1>
+            <h1 class="page-title" style="margin-bottom:0">${MONTH_FULL[monthIndex]} <span class="title-accent">${year}</span></h1>
             <button class="month-nav-btn" id="next-month">${MONTHS[nextMonth]} \u2192</button>
         </div>
 
         <div id="month-stats-bar" class="month-stats-bar" style="display:none;"></div>
 
         <div id="data-grid-container" class="loading"><div class="spinner"></div> Loading data grid...</div>
+        <div class="month-actions">
+            <button class="btn btn-outline" id="month-goals-clear" disabled>🗑️ Clear monthly goals</button>
+        </div>
         <div id="monthly-charts-container" class="loading"><div class="spinner"></div> Loading charts...</div>
     `;
 
     document.getElementById('prev-month').addEventListener('click', () => {
-        navigateTo(`#/month/${MONTHS[prevMonth].toLowerCase()}`);
+        navigateTo(buildRoute(prevYear, 'month', MONTHS[prevMonth].toLowerCase()));
     });
     document.getElementById('next-month').addEventListener('click', () => {
-        navigateTo(`#/month/${MONTHS[nextMonth].toLowerCase()}`);
+        navigateTo(buildRoute(nextYear, 'month', MONTHS[nextMonth].toLowerCase()));
     });
 
     const schema = await loadSchema();
-    let entries = await getMonthEntries(YEAR, month);
-    const monthId = toMonthId(YEAR, month);
+    let entries = await getEntriesBetween(toDateId(year, month, 1), toDateId(year, month, daysInMonth));
+    const monthId = toMonthId(year, month);
     let monthlyGoalDoc = await getMonthlyGoal(monthId);
+    // Carry-forward fields start the month from the last entry before it
+    const previousEntry = await getLatestEntryBefore(toDateId(year, month, 1));
 
     // Build entries map
-    const entriesMap = {};
-    for (const e of entries) {
-        entriesMap[e._id] = e;
-    }
+    const entriesMap = toEntriesMap(entries);
+
+    // Clear monthly goals — deletes the month's doc (and syncs the deletion)
+    const clearGoalsBtn = document.getElementById('month-goals-clear');
+    clearGoalsBtn.disabled = !monthlyGoalDoc;
+    clearGoalsBtn.addEventListener('click', async () => {
+        if (!confirm(`Clear the monthly goals for ${MONTH_FULL[monthIndex]} ${year}?`)) return;
+        if (state.syncEngine) {
+            await state.syncEngine.removeMonthlyGoal(monthId);
+        } else {
+            await deleteMonthlyGoal(monthId);
+        }
+        showToast('Monthly goals cleared', 'info');
+        renderMonthlyView(container, state, monthIndex);
+    });
 
     // Render stat bar
     const totalGoals = countDailyGoals(schema);
-    if (totalGoals > 0) {
-        const stats = computeMonthStats(entriesMap, daysInMonth, schema);
+    const renderStatsBar = (map) => {
+        if (totalGoals === 0) return;
+        const stats = computeMonthStats(map, daysInMonth, schema);
         const statsBar = document.getElementById('month-stats-bar');
+        if (!statsBar) return;
         statsBar.style.display = 'flex';
         statsBar.innerHTML = `
             <div class="month-stat">
@@ -101,63 +123,80 @@ export async function renderMonthlyView(container, state, monthIndex) {
                 <span>Best Streak</span>
             </div>
         `;
-    }
+    };
+    // Stats only count saved entries, not the days the grid creates or pre-fills
+    let savedMap = toEntriesMap(entries);
+    renderStatsBar(savedMap);
+
+    const saveGridEntry = async (entry) => {
+        if (state.syncEngine) {
+            await state.syncEngine.saveEntry(entry);
+        } else {
+            const { putEntry } = await import('../db/data-access.js');
+            await putEntry(entry);
+        }
+        savedMap[entry._id] = entry;
+    };
+    const saveGridGoals = async (goalDoc) => {
+        if (state.syncEngine) {
+            await state.syncEngine.saveMonthlyGoal(goalDoc);
+        } else {
+            await putMonthlyGoal(goalDoc);
+        }
+        clearGoalsBtn.disabled = false;
+    };
 
     // Render data grid
     const gridContainer = document.getElementById('data-grid-container');
-    renderDataGrid(gridContainer, schema, month, daysInMonth, entriesMap, monthlyGoalDoc,
-        async (entry) => {
-            // On entry change
-            if (state.syncEngine) {
-                await state.syncEngine.saveEntry(entry);
-            } else {
-                const { putEntry } = await import('../db/data-access.js');
-                await putEntry(entry);
-            }
-        },
-        async (goalDoc) => {
-            // On monthly goal change
-            if (state.syncEngine) {
-                await state.syncEngine.saveMonthlyGoal(goalDoc);
-            } else {
-                await putMonthlyGoal(goalDoc);
-            }
-        }
-    );
+    let grid = renderDataGrid(gridContainer, schema, year, month, daysInMonth, entriesMap, monthlyGoalDoc,
+        saveGridEntry, saveGridGoals, previousEntry);
 
-    // Render charts
+    // Render charts (from saved entries only, not the grid's pre-filled days)
     const chartsContainer = document.getElementById('monthly-charts-container');
-    buildMonthlyCharts(chartsContainer, schema, entriesMap, month);
+    buildMonthlyCharts(chartsContainer, schema, toEntriesMap(entries), year, month);
+
+    // Changes pulled from other devices update the grid cells in place
+    // (unless the user already navigated away while this view was loading)
+    if (gridContainer.isConnected) state.liveUpdate = async ({ collection, ids }) => {
+        if (collection === 'entries') {
+            const monthIds = ids.filter(id => id.startsWith(`${monthId}-`));
+            if (monthIds.length === 0) return;
+            for (const id of monthIds) {
+                const saved = await getEntry(id);
+                grid.updateEntry(id, saved);
+                if (saved) savedMap[id] = saved;
+                else delete savedMap[id];
+            }
+            renderStatsBar(savedMap);
+        } else if (collection === 'monthlyGoals' && ids.includes(monthId)) {
+            const doc = await getMonthlyGoal(monthId);
+            grid.updateMonthlyGoals(doc);
+            if (doc) clearGoalsBtn.disabled = false;
+        }
+    };
 
     // Background sync
     if (state.syncEngine && state.syncEngine.isConfigured()) {
         try {
-            await state.syncEngine.pullAll();
-            entries = await getMonthEntries(YEAR, month);
-            const freshMap = {};
-            for (const e of entries) freshMap[e._id] = e;
+            await state.syncEngine.pullAll(year);
+            entries = await getEntriesBetween(toDateId(year, month, 1), toDateId(year, month, daysInMonth));
+            const freshMap = toEntriesMap(entries);
 
             monthlyGoalDoc = await getMonthlyGoal(monthId);
-            renderDataGrid(gridContainer, schema, month, daysInMonth, freshMap, monthlyGoalDoc,
-                async (entry) => {
-                    if (state.syncEngine) {
-                        await state.syncEngine.saveEntry(entry);
-                    } else {
-                        const { putEntry } = await import('../db/data-access.js');
-                        await putEntry(entry);
-                    }
-                },
-                async (goalDoc) => {
-                    if (state.syncEngine) {
-                        await state.syncEngine.saveMonthlyGoal(goalDoc);
-                    } else {
-                        await putMonthlyGoal(goalDoc);
-                    }
-                }
-            );
-            buildMonthlyCharts(chartsContainer, schema, freshMap, month);
+            clearGoalsBtn.disabled = !monthlyGoalDoc;
+            savedMap = toEntriesMap(entries);
+            renderStatsBar(savedMap);
+            grid = renderDataGrid(gridContainer, schema, year, month, daysInMonth, freshMap, monthlyGoalDoc,
+                saveGridEntry, saveGridGoals, previousEntry);
+            buildMonthlyCharts(chartsContainer, schema, toEntriesMap(entries), year, month);
         } catch (err) {
             console.error('Monthly sync error:', err);
         }
     }
 }
+
+function toEntriesMap(entries) {
+    const map = {};
+    for (const e of entries) map[e._id] = e;
+    return map;
+}
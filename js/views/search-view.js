@@ -0,0 +1,124 @@
+/**
+ * Search View — Full-text search over every entry's text and note fields
+ *
+ * The query lives in the route (#/search/<query>) so results can be
+ * bookmarked and survive a trip to an entry and back.
+ */
+
+import { loadSchema, getFieldsOfType } from '../schema/schema-manager.js';
+import { getSearchIndex } from '../db/search-index.js';
+import { searchIndex } from '../utils/search-utils.js';
+import { parseDateId, formatDateLong } from '../utils/date-utils.js';
+import { buildRoute } from '../utils/route-utils.js';
+
+const MAX_RESULTS = 100;
+
+export async function renderSearchView(container, state, param) {
+    container.innerHTML = `
+        <div class="search-view">
+            <h1 class="page-title">Search <span class="title-accent">Entries</span></h1>
+            <input type="search" class="form-input search-view-input" id="search-input"
+                placeholder="Search text and notes, e.g. knee pain" aria-label="Search entries">
+            <div class="search-view-status" id="search-status"></div>
+            <div class="search-view-results" id="search-results"></div>
+        </div>
+    `;
+
+    const input = document.getElementById('search-input');
+    const status = document.getElementById('search-status');
+    const list = document.getElementById('search-results');
+    input.value = decodeQuery(param);
+    input.focus();
+
+    const schema = await loadSchema();
+    if (getFieldsOfType(schema, 'text', 'note').length === 0) {
+        input.disabled = true;
+        status.textContent = 'Add a text or note field in the Schema Editor to search your entries.';
+        return;
+    }
+
+    status.textContent = 'Building search index…';
+    let index;
+    try {
+        index = await getSearchIndex(schema);
+    } catch (err) {
+        console.error('Search index failed:', err);
+        status.textContent = 'Could not load entries for search.';
+        return;
+    }
+
+    const update = () => {
+        const query = input.value;
+        history.replaceState(null, '', buildRoute(null, 'search', encodeURIComponent(query.trim())));
+        renderResults(list, status, query.trim() ? searchIndex(index, query) : null);
+    };
+
+    input.addEventListener('input', update);
+    update();
+}
+
+function decodeQuery(param) {
+    try {
+        return decodeURIComponent(param || '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Show results, or a hint when there is no query (results === null)
+ */
+function renderResults(list, status, results) {
+    list.innerHTML = '';
+    if (!results) {
+        status.textContent = 'Matches every word, e.g. "rain run" finds days mentioning both.';
+        return;
+    }
+    if (results.length === 0) {
+        status.textContent = 'No entries match.';
+        return;
+    }
+
+    const days = new Set(results.map(r => r.dateId)).size;
+    status.textContent = `${results.length} ${results.length === 1 ? 'match' : 'matches'} on ${days} ${days === 1 ? 'day' : 'days'}`;
+
+    for (const result of results.slice(0, MAX_RESULTS)) {
+        list.appendChild(createResult(result));
+    }
+    if (results.length > MAX_RESULTS) {
+        const more = document.createElement('div');
+        more.className = 'search-view-more';
+        more.textContent = `${results.length - MAX_RESULTS} more — refine the search to see them`;
+        list.appendChild(more);
+    }
+}
+
+/**
+ * One result linking to its day (entry text goes in as text nodes)
+ */
+function createResult({ dateId, section, field, snippet }) {
+    const { year, month, day } = parseDateId(dateId);
+    const link = document.createElement('a');
+    link.className = 'search-result';
+    link.href = buildRoute(null, 'entry', dateId);
+
+    const date = document.createElement('div');
+    date.className = 'search-result-date';
+    date.textContent = formatDateLong(year, month, day);
+
+    const context = document.createElement('div');
+    context.className = 'search-result-context';
+    context.textContent = `${section} · ${field}`;
+
+    const text = document.createElement('div');
+    text.className = 'search-result-snippet';
+    text.append(snippet.before);
+    if (snippet.match) {
+        const mark = document.createElement('mark');
+        mark.textContent = snippet.match;
+        text.append(mark, snippet.after);
+    }
+
+    link.append(date, context, text);
+    return link;
+}
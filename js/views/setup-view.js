@@ -1,8 +1,15 @@
 /**
- * Setup View — Firebase Firestore connection form
+ * Setup View — Sync backend selection and connection form (Firebase or REST),
+ * plus end-to-end encryption once a backend is connected, and accountability groups
  */
 
+import { FIREBASE_CONFIG_KEY } from '../config.js';
 import { showToast, navigateTo } from '../utils/ui-helpers.js';
+import { BACKENDS, getBackendType, setBackendType } from '../db/remote-adapter.js';
+import { RestClient } from '../db/rest-client.js';
+import { renderEncryptionPanel } from '../components/encryption-panel.js';
+import { renderGroupPanel } from '../components/group-panel.js';
+import { profileKey } from '../db/profiles.js';
 import { initializeApp } from "https://www.gstatic.com/firebasejs/10.8.0/firebase-app.js";
 import { getFirestore, doc, getDoc, enableIndexedDbPersistence } from "https://www.gstatic.com/firebasejs/10.8.0/firebase-firestore.js";
 
@@ -10,17 +17,39 @@ export async function renderSetupView(container, state) {
     container.innerHTML = `
         <div class="setup-container">
             <div class="card setup-card">
-                <div class="setup-title">Connect to Firebase</div>
+                <div class="setup-title">Connect a Sync Backend</div>
                 <p class="setup-subtitle">
-                    Paste your firebaseConfig object below to sync your habit data across devices.
+                    Choose where your habit data syncs across devices.
                 </p>
 
+                <div class="setup-backend-toggle">
+                    ${Object.entries(BACKENDS).map(([type, backend]) => `
+                        <button class="setup-backend-btn" data-backend="${type}">${backend.label}</button>
+                    `).join('')}
+                </div>
+
                 <div id="setup-status"></div>
 
-                <div class="form-group">
+                <div class="form-group" data-backend-panel="firebase">
+                    <p class="setup-hint">Paste your firebaseConfig object below.</p>
                     <textarea class="form-input" id="setup-config" style="height: 200px; font-family: monospace; font-size: 12px;" placeholder="// Paste your config here...\nconst firebaseConfig = {\n  apiKey: '...',\n  authDomain: '...',\n  projectId: '...',\n  storageBucket: '...',\n  messagingSenderId: '...',\n  appId: '...'\n};"></textarea>
                 </div>
 
+                <div data-backend-panel="rest">
+                    <div class="form-group">
+                        <label class="form-label" for="setup-rest-url">Server URL</label>
+                        <input type="url" class="form-input" id="setup-rest-url" placeholder="https://example.com/habits">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="setup-rest-token">Access token (optional)</label>
+                        <input type="password" class="form-input" id="setup-rest-token" autocomplete="off">
+                    </div>
+                    <p class="setup-hint">
+                        Any server implementing the REST contract in <code>js/db/rest-client.js</code>.
+                        For a local test server run <code>node server/rest-stand-in.cjs</code>.
+                    </p>
+                </div>
+
                 <div class="setup-actions">
                     <button class="btn btn-secondary" id="setup-test">Test Connection</button>
                     <button class="btn btn-primary" id="setup-save">Save & Continue</button>
@@ -32,14 +61,51 @@ export async function renderSetupView(container, state) {
                     Use Offline Only
                 </button>
             </div>
+            <div class="encryption-panel-slot" id="setup-encryption"></div>
+            <div class="group-panel-slot" id="setup-group"></div>
         </div>
     `;
 
+    if (state.syncEngine?.isConfigured()) {
+        renderEncryptionPanel(document.getElementById('setup-encryption'), state)
+            .catch(err => console.error('Encryption panel failed:', err));
+    }
+    if (state.syncEngine) {
+        renderGroupPanel(document.getElementById('setup-group'), state)
+            .catch(err => console.error('Group panel failed:', err));
+    }
+
     const statusEl = document.getElementById('setup-status');
     const textarea = document.getElementById('setup-config');
+    const restUrlInput = document.getElementById('setup-rest-url');
+    const restTokenInput = document.getElementById('setup-rest-token');
+
+    // Backend toggle — show only the chosen backend's form
+    let backend = getBackendType();
+    const selectBackend = (type) => {
+        backend = type;
+        container.querySelectorAll('.setup-backend-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.backend === type);
+        });
+        container.querySelectorAll('[data-backend-panel]').forEach(panel => {
+            panel.style.display = panel.dataset.backendPanel === type ? '' : 'none';
+        });
+        statusEl.innerHTML = '';
+    };
+    container.querySelectorAll('.setup-backend-btn').forEach(btn => {
+        btn.addEventListener('click', () => selectBackend(btn.dataset.backend));
+    });
+    selectBackend(backend);
+
+    // Load existing REST config
+    const restConfig = RestClient.loadConfig();
+    if (restConfig) {
+        restUrlInput.value = restConfig.baseUrl || '';
+        restTokenInput.value = restConfig.token || '';
+    }
 
     // Load existing config
-    const existing = localStorage.getItem('firebaseConfig');
+    const existing = localStorage.getItem(profileKey(FIREBASE_CONFIG_KEY));
     if (existing) {
         // Pretty print JSON
         try {
@@ -51,6 +117,11 @@ export async function renderSetupView(container, state) {
 
     // Test connection
     document.getElementById('setup-test').addEventListener('click', async () => {
+        if (backend === 'rest') {
+            await testRestConnection(readRestConfig(), statusEl);
+            return;
+        }
+
         const configStr = textarea.value.trim();
         const config = parseConfig(configStr);
 
@@ -112,17 +183,28 @@ export async function renderSetupView(container, state) {
 
     // Save config
     document.getElementById('setup-save').addEventListener('click', async () => {
-        const configStr = textarea.value.trim();
-        const config = parseConfig(configStr);
+        if (backend === 'rest') {
+            const config = readRestConfig();
+            if (!config) {
+                statusEl.innerHTML = '<div class="setup-status error">Enter a valid http(s) server URL</div>';
+                return;
+            }
+            RestClient.saveConfig(config);
+        } else {
+            const configStr = textarea.value.trim();
+            const config = parseConfig(configStr);
 
-        if (!config) {
-            statusEl.innerHTML = '<div class="setup-status error">Invalid configuration format</div>';
-            return;
+            if (!config) {
+                statusEl.innerHTML = '<div class="setup-status error">Invalid configuration format</div>';
+                return;
+            }
+
+            // Minify and save
+            localStorage.setItem(profileKey(FIREBASE_CONFIG_KEY), JSON.stringify(config));
         }
 
-        // Minify and save
-        localStorage.setItem('firebaseConfig', JSON.stringify(config));
-        localStorage.removeItem('offlineMode');
+        setBackendType(backend);
+        localStorage.removeItem(profileKey('offlineMode'));
         showToast('Configuration saved!', 'success');
 
         // Reload to initialize everything properly
@@ -134,12 +216,45 @@ export async function renderSetupView(container, state) {
 
     // Offline mode
     document.getElementById('setup-offline').addEventListener('click', () => {
-        localStorage.setItem('offlineMode', 'true');
+        localStorage.setItem(profileKey('offlineMode'), 'true');
         showToast('Running in offline mode', 'info');
         navigateTo('#/dashboard');
     });
 }
 
+/**
+ * Read the REST form; null unless the URL is http(s)
+ */
+function readRestConfig() {
+    const baseUrl = document.getElementById('setup-rest-url').value.trim();
+    const token = document.getElementById('setup-rest-token').value.trim();
+    if (!/^https?:\/\/\S+$/i.test(baseUrl)) return null;
+    return token ? { baseUrl, token } : { baseUrl };
+}
+
+async function testRestConnection(config, statusEl) {
+    if (!config) {
+        statusEl.innerHTML = '<div class="setup-status error">Enter a valid http(s) server URL</div>';
+        return;
+    }
+    if (!navigator.onLine) {
+        statusEl.innerHTML = '<div class="setup-status error">Connection failed: Browser is offline.</div>';
+        return;
+    }
+
+    statusEl.innerHTML = '<div class="setup-status" style="background:var(--color-info-bg);color:var(--color-info)">Testing connection...</div>';
+    const result = await new RestClient(config).testConnection();
+    if (result.success) {
+        statusEl.innerHTML = '<div class="setup-status success">✓ Connected successfully!</div>';
+    } else {
+        statusEl.innerHTML = '';
+        const error = document.createElement('div');
+        error.className = 'setup-status error';
+        error.textContent = `Connection failed: ${result.error}`;
+        statusEl.appendChild(error);
+    }
+}
+
 /**
  * Helper to parse loose JSON or JS object syntax
  */
@@ -0,0 +1,134 @@
+/**
+ * REST Stand-in Server — In-memory implementation of the REST backend contract
+ * (see js/db/rest-client.js). Useful for local development and tests.
+ *
+ * Run: node server/rest-stand-in.cjs [port] [token]
+ */
+const http = require('http');
+
+/**
+ * Create (but don't start) a stand-in server
+ * @param {Object} [options]
+ * @param {string} [options.token] - Require "Authorization: Bearer <token>"
+ * @returns {{ server: http.Server, collections: Map }}
+ */
+function createStandInServer(options = {}) {
+    // collection name -> Map(id -> doc)
+    const collections = new Map();
+    const getCollection = (name) => {
+        if (!collections.has(name)) collections.set(name, new Map());
+        return collections.get(name);
+    };
+
+    const server = http.createServer(async (req, res) => {
+        // Allow the app to call the stand-in from another origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        if (req.method === 'OPTIONS') return send(res, 204);
+
+        if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+            return send(res, 401, { error: 'Unauthorized' });
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const [name, id] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        if (!name) return send(res, 404, { error: 'Not found' });
+        const store = getCollection(name);
+
+        if (!id) {
+            if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+            const filters = [...url.searchParams.entries()].map(([key, value]) => {
+                const [, field, op = 'eq'] = key.match(/^(.+?)(?:\[(gt|gte|lt|lte)\])?$/);
+                return { field, op, value };
+            });
+            const docs = [...store.values()].filter(doc =>
+                filters.every(filter => matches(doc[filter.field], filter))
+            );
+            return send(res, 200, docs);
+        }
+
+        switch (req.method) {
+            case 'GET':
+                return store.has(id) ? send(res, 200, store.get(id)) : send(res, 404, { error: 'Not found' });
+            case 'PUT':
+            case 'PATCH': {
+                let body;
+                try {
+                    body = JSON.parse(await readBody(req));
+                } catch {
+                    return send(res, 400, { error: 'Invalid JSON' });
+                }
+                const existing = req.method === 'PATCH' ? store.get(id) || {} : {};
+                store.set(id, { ...deepMerge(existing, body), _id: id });
+                return send(res, 200, { _id: id });
+            }
+            case 'DELETE':
+                return store.delete(id) ? send(res, 204) : send(res, 404, { error: 'Not found' });
+            default:
+                return send(res, 405, { error: 'Method not allowed' });
+        }
+    });
+
+    return { server, collections };
+}
+
+/**
+ * Query values arrive as strings; numbers in docs are compared numerically
+ */
+function matches(actual, { op, value }) {
+    if (actual === undefined || actual === null) return false;
+    const expected = typeof actual === 'number' ? Number(value) : value;
+    const a = typeof actual === 'number' ? actual : String(actual);
+    switch (op) {
+        case 'gt': return a > expected;
+        case 'gte': return a >= expected;
+        case 'lt': return a < expected;
+        case 'lte': return a <= expected;
+        default: return a === expected;
+    }
+}
+
+/**
+ * PATCH semantics: nested plain objects merge, everything else is replaced
+ */
+function deepMerge(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        const existing = result[key];
+        result[key] = isObject && existing && typeof existing === 'object' && !Array.isArray(existing)
+            ? deepMerge(existing, value)
+            : value;
+    }
+    return result;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    if (body === undefined) {
+        res.writeHead(status);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = { createStandInServer };
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2]) || 8787;
+    const token = process.argv[3];
+    createStandInServer({ token }).server.listen(port, () => {
+        console.log(`REST stand-in listening on http://localhost:${port}${token ? ' (token required)' : ''}`);
+    });
+}
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { evaluate, getDependencies } from '../js/utils/calc-engine.js';
+import { evaluate, getDependencies, computeCalcField } from '../js/utils/calc-engine.js';
 
 describe('Calculation Engine', () => {
 
@@ -79,4 +79,33 @@ describe('Calculation Engine', () => {
             expect(deps).not.toContain('C');
         });
     });
+
+    describe('computeCalcField()', () => {
+        const schema = {
+            'Daily Log': {
+                'Running Time': { type: 'duration' },
+                'Running Distance': { type: 'number', unit: 'km' },
+                'Wake Up Time': { type: 'time' },
+                'Running Pace': { type: 'velocity', calculation: 'Running Time / Running Distance' },
+            }
+        };
+        const pace = schema['Daily Log']['Running Pace'];
+        const entryWith = (fields) => ({ fields: { 'Daily Log': fields } });
+
+        it('should calculate with durations in minutes', () => {
+            // 27:30 over 5 km -> 5.5 min/km
+            const entry = entryWith({ 'Running Time': 1650, 'Running Distance': 5 });
+            expect(computeCalcField(pace, entry, 'Daily Log', schema)).toBe(5.5);
+        });
+
+        it('should convert times of day to minutes since midnight', () => {
+            const field = { type: 'velocity', calculation: 'Wake Up Time / 60' };
+            expect(computeCalcField(field, entryWith({ 'Wake Up Time': '7:30' }), 'Daily Log', schema)).toBe(7.5);
+        });
+
+        it('should return null while a dependency is empty', () => {
+            const entry = entryWith({ 'Running Time': 1650, 'Running Distance': '' });
+            expect(computeCalcField(pace, entry, 'Daily Log', schema)).toBeNull();
+        });
+    });
 });
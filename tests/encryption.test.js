@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+    createKeyring, unlockWithPassphrase, unlockWithRecoveryCode, changePassphrase,
+    encryptDoc, decryptDoc, isEncrypted
+} from '../js/db/encryption.js';
+
+const DOC = {
+    _id: '2026-03-01', year: 2026, month: 3, day: 1,
+    updatedAt: '2026-03-01T10:00:00.000Z',
+    dailyGoals: { Run: true },
+    fields: { Health: { Weight: 71.4, Mood: 'ok' } },
+    fieldStamps: { dailyGoals: { Run: '2026-03-01T10:00:00.000Z' } },
+};
+
+describe('encryption', () => {
+    let keyring;
+
+    beforeAll(async () => {
+        keyring = await createKeyring('correct horse battery');
+    });
+
+    describe('docs', () => {
+        it('should round-trip a doc', async () => {
+            const sealed = await encryptDoc(DOC, keyring.key);
+            expect(await decryptDoc(sealed, keyring.key)).toEqual(DOC);
+        });
+
+        it('should keep only the query fields readable', async () => {
+            const sealed = await encryptDoc(DOC, keyring.key);
+            expect(isEncrypted(sealed)).toBe(true);
+            expect(Object.keys(sealed).sort()).toEqual(['_id', 'encrypted', 'month', 'updatedAt', 'year']);
+            expect(JSON.stringify(sealed)).not.toMatch(/Weight|71\.4|Run/);
+        });
+
+        it('should use a fresh IV for every encryption', async () => {
+            const a = await encryptDoc(DOC, keyring.key);
+            const b = await encryptDoc(DOC, keyring.key);
+            expect(a.encrypted.iv).not.toBe(b.encrypted.iv);
+        });
+
+        it('should pass plaintext docs through', async () => {
+            expect(await decryptDoc(DOC, keyring.key)).toBe(DOC);
+        });
+
+        it('should reject a tampered doc', async () => {
+            const sealed = await encryptDoc(DOC, keyring.key);
+            const data = sealed.encrypted.data;
+            const tampered = { ...sealed, encrypted: { ...sealed.encrypted, data: (data[0] === 'A' ? 'B' : 'A') + data.slice(1) } };
+            await expect(decryptDoc(tampered, keyring.key)).rejects.toThrow(/Could not decrypt 2026-03-01/);
+        });
+    });
+
+    describe('keys', () => {
+        it('should store no secrets in the key doc', () => {
+            const text = JSON.stringify(keyring.keyDoc);
+            expect(text).not.toContain('correct horse battery');
+            expect(text).not.toContain(keyring.recoveryCode);
+        });
+
+        it('should unlock the same key with the passphrase', async () => {
+            const key = await unlockWithPassphrase(keyring.keyDoc, 'correct horse battery');
+            const sealed = await encryptDoc(DOC, keyring.key);
+            expect(await decryptDoc(sealed, key)).toEqual(DOC);
+        });
+
+        it('should reject a wrong passphrase', async () => {
+            await expect(unlockWithPassphrase(keyring.keyDoc, 'wrong horse')).rejects.toThrow('Wrong passphrase');
+        });
+
+        it('should unlock with the recovery code, however it is typed', async () => {
+            expect(keyring.recoveryCode).toMatch(/^([0-9A-Z]{4}-){7}[0-9A-Z]{4}$/);
+            const typed = keyring.recoveryCode.toLowerCase().replace(/-/g, ' ');
+            const key = await unlockWithRecoveryCode(keyring.keyDoc, typed);
+            const sealed = await encryptDoc(DOC, key);
+            expect(await decryptDoc(sealed, keyring.key)).toEqual(DOC);
+        });
+
+        it('should keep the data key and recovery code when the passphrase changes', async () => {
+            const keyDoc = await changePassphrase(keyring.keyDoc, keyring.key, 'new passphrase');
+            await expect(unlockWithPassphrase(keyDoc, 'correct horse battery')).rejects.toThrow();
+
+            const key = await unlockWithPassphrase(keyDoc, 'new passphrase');
+            const sealed = await encryptDoc(DOC, keyring.key);
+            expect(await decryptDoc(sealed, key)).toEqual(DOC);
+            expect(keyDoc.recovery).toEqual(keyring.keyDoc.recovery);
+        });
+    });
+});
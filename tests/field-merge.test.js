@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { stampChangedFields, mergeDocs } from '../js/db/field-merge.js';
+
+const T1 = '2026-03-01T10:00:00.000Z';
+const T2 = '2026-03-01T11:00:00.000Z';
+const T3 = '2026-03-01T12:00:00.000Z';
+
+const entry = (dailyGoals, daily, extra = {}) => ({
+    _id: '2026-03-01', year: 2026, month: 3, day: 1,
+    dailyGoals,
+    fields: { 'Daily Log': daily },
+    ...extra,
+});
+
+describe('Field Merge', () => {
+
+    describe('stampChangedFields()', () => {
+        it('should stamp only the fields that changed', () => {
+            const prev = entry({ Run: false, Read: true }, { Weight: 70 });
+            const next = entry({ Run: true, Read: true }, { Weight: 70 });
+            stampChangedFields(next, prev, T1);
+            expect(next.fieldStamps).toEqual({ dailyGoals: { Run: T1 } });
+        });
+
+        it('should not stamp blank defaults on a new doc', () => {
+            const doc = entry({ Run: false }, { Weight: null, Note: '', Steps: 5000 });
+            stampChangedFields(doc, null, T1);
+            expect(doc.fieldStamps).toEqual({ fields: { 'Daily Log': { Steps: T1 } } });
+        });
+
+        it('should stamp values cleared back to blank', () => {
+            const prev = entry({ Run: true }, { Weight: 70 }, { fieldStamps: { dailyGoals: { Run: T1 } } });
+            const next = entry({ Run: false }, { Weight: null });
+            stampChangedFields(next, prev, T2);
+            expect(next.fieldStamps.dailyGoals.Run).toBe(T2);
+            expect(next.fieldStamps.fields['Daily Log'].Weight).toBe(T2);
+        });
+    });
+
+    describe('mergeDocs()', () => {
+        it('should keep edits to different fields from both copies', () => {
+            const local = entry({ Run: true, Read: false }, { Weight: null }, {
+                updatedAt: T2, fieldStamps: { dailyGoals: { Run: T2 } },
+            });
+            const remote = entry({ Run: false, Read: false }, { Weight: 71 }, {
+                updatedAt: T3, fieldStamps: { fields: { 'Daily Log': { Weight: T3 } } },
+            });
+
+            const result = mergeDocs(local, remote);
+            expect(result.merged.dailyGoals).toEqual({ Run: true, Read: false });
+            expect(result.merged.fields['Daily Log']).toEqual({ Weight: 71 });
+            expect(result.merged.updatedAt).toBe(T3);
+            expect(result.conflict).toBe(true);
+            expect(result.changedLocal).toBe(true);
+            expect(result.changedRemote).toBe(true);
+        });
+
+        it('should let the newest stamp win when both copies edit the same field', () => {
+            const local = entry({}, { Weight: 70 }, {
+                updatedAt: T3, fieldStamps: { fields: { 'Daily Log': { Weight: T1 } } },
+            });
+            const remote = entry({}, { Weight: 72 }, {
+                updatedAt: T2, fieldStamps: { fields: { 'Daily Log': { Weight: T2 } } },
+            });
+
+            const result = mergeDocs(local, remote);
+            expect(result.merged.fields['Daily Log'].Weight).toBe(72);
+            expect(result.merged.fieldStamps.fields['Daily Log'].Weight).toBe(T2);
+            expect(result.changedRemote).toBe(false);
+            expect(result.conflict).toBe(false);
+        });
+
+        it('should fall back to updatedAt for unstamped legacy values', () => {
+            const local = entry({}, { Weight: 70 }, { updatedAt: T1 });
+            const remote = entry({}, { Weight: 72 }, { updatedAt: T2 });
+            expect(mergeDocs(local, remote).merged.fields['Daily Log'].Weight).toBe(72);
+        });
+
+        it('should never let an unstamped blank overwrite a stamped value', () => {
+            const local = entry({ Run: true }, {}, { updatedAt: T1, fieldStamps: { dailyGoals: { Run: T1 } } });
+            const remote = entry({ Run: false }, {}, { updatedAt: T3 });
+            const result = mergeDocs(local, remote);
+            expect(result.merged.dailyGoals.Run).toBe(true);
+            expect(result.changedLocal).toBe(false);
+        });
+
+        it('should merge monthly goal maps and sections missing on one side', () => {
+            const local = { _id: '2026-03', goals: { Save: true }, fieldStamps: { goals: { Save: T2 } }, updatedAt: T2 };
+            const remote = { _id: '2026-03', goals: { Save: false, Trip: true }, fieldStamps: { goals: { Trip: T1 } }, updatedAt: T1 };
+            const result = mergeDocs(local, remote);
+            expect(result.merged.goals).toEqual({ Save: true, Trip: true });
+        });
+
+        it('should keep a goal override made while another device edited the day', () => {
+            // Unticking an auto-completed goal leaves dailyGoals unchanged; only the override is new
+            const prev = entry({ Run: false }, { Distance: 8 }, { updatedAt: T1 });
+            const local = entry({ Run: false }, { Distance: 8 }, { goalOverrides: { Run: 'off' } });
+            stampChangedFields(local, prev, T2);
+            local.updatedAt = T2;
+            const remote = entry({ Run: false }, { Distance: 8, Weight: 70 }, {
+                updatedAt: T3, fieldStamps: { fields: { 'Daily Log': { Weight: T3 } } },
+            });
+
+            const { merged, conflict } = mergeDocs(local, remote);
+            expect(merged.goalOverrides).toEqual({ Run: 'off' });
+            expect(merged.fields['Daily Log']).toEqual({ Distance: 8, Weight: 70 });
+            expect(conflict).toBe(true);
+
+            // Clearing the override later is an edit of its own
+            const cleared = JSON.parse(JSON.stringify(merged));
+            cleared.goalOverrides.Run = null;
+            stampChangedFields(cleared, merged, '2026-03-01T13:00:00.000Z');
+            expect(mergeDocs(merged, cleared).merged.goalOverrides).toEqual({ Run: null });
+        });
+
+        it('should merge pre-fill marks per section', () => {
+            const local = entry({}, { Weight: 71 }, {
+                prefilled: { 'Daily Log': { Weight: null } },
+                fieldStamps: { fields: { 'Daily Log': { Weight: T2 } }, prefilled: { 'Daily Log': { Weight: T2 } } },
+                updatedAt: T2,
+            });
+            const remote = entry({}, { Weight: 70 }, {
+                prefilled: { 'Daily Log': { Weight: 'carried' }, 'Body': { Mood: 'default' } },
+                fieldStamps: {
+                    fields: { 'Daily Log': { Weight: T1 } },
+                    prefilled: { 'Daily Log': { Weight: T1 }, 'Body': { Mood: T3 } },
+                },
+                updatedAt: T3,
+            });
+            const { merged } = mergeDocs(local, remote);
+            expect(merged.prefilled).toEqual({ 'Daily Log': { Weight: null }, 'Body': { Mood: 'default' } });
+            expect(merged.fields['Daily Log'].Weight).toBe(71);
+        });
+
+        it('should report no changes for identical copies', () => {
+            const doc = entry({ Run: true }, { Weight: 70 }, { updatedAt: T1 });
+            const result = mergeDocs(doc, JSON.parse(JSON.stringify(doc)));
+            expect(result.changedLocal).toBe(false);
+            expect(result.changedRemote).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getFieldType, getAvailableTypes, getOptions, getScaleLevels, scaleFraction,
+    parseDuration, formatDuration, formatCalculated, getValidationError
+} from '../js/schema/field-types.js';
+
+describe('Field Types', () => {
+    it('should fall back to text for unknown types', () => {
+        expect(getFieldType('magic')).toBe(getFieldType('text'));
+    });
+
+    describe('select', () => {
+        const select = getFieldType('select');
+        const fieldDef = { type: 'select', options: ['Home', 'Gym', 'Park'] };
+
+        it('should be an available type', () => {
+            expect(getAvailableTypes()).toContain('select');
+        });
+
+        it('should only parse values that are options', () => {
+            expect(select.parseValue(' Gym ', fieldDef)).toBe('Gym');
+            expect(select.parseValue('gym', fieldDef)).toBeNull();
+            expect(select.parseValue('', fieldDef)).toBeNull();
+        });
+
+        it('should validate against the options', () => {
+            expect(select.validate('Park', fieldDef)).toBe(true);
+            expect(select.validate(null, fieldDef)).toBe(true);
+            expect(select.validate('Beach', fieldDef)).toBe(false);
+        });
+
+        it('should not turn categories into numbers', () => {
+            expect(select.toNumber('Gym')).toBeNull();
+            expect(select.formatDisplay('Gym')).toBe('Gym');
+        });
+
+        it('should treat a missing options list as empty', () => {
+            expect(getOptions({ type: 'select' })).toEqual([]);
+        });
+    });
+
+    describe('tags', () => {
+        const tags = getFieldType('tags');
+        const fieldDef = { type: 'tags', options: ['Headache', 'Fatigue', 'Nausea'] };
+
+        it('should be an available type that picks from options', () => {
+            expect(getAvailableTypes()).toContain('tags');
+            expect(tags.hasOptions).toBe(true);
+        });
+
+        it('should parse arrays and comma lists into vocabulary order', () => {
+            expect(tags.parseValue(['Nausea', 'Headache'], fieldDef)).toEqual(['Headache', 'Nausea']);
+            expect(tags.parseValue('Fatigue, Headache, Fatigue', fieldDef)).toEqual(['Headache', 'Fatigue']);
+            expect(tags.parseValue('Fever', fieldDef)).toBeNull();
+            expect(tags.parseValue([], fieldDef)).toBeNull();
+        });
+
+        it('should validate distinct tags from the vocabulary', () => {
+            expect(tags.validate(['Fatigue'], fieldDef)).toBe(true);
+            expect(tags.validate(null, fieldDef)).toBe(true);
+            expect(tags.validate(['Fatigue', 'Fatigue'], fieldDef)).toBe(false);
+            expect(tags.validate(['Fever'], fieldDef)).toBe(false);
+            expect(tags.validate('Fatigue', fieldDef)).toBe(false);
+        });
+
+        it('should display as a list and never as a number', () => {
+            expect(tags.formatDisplay(['Headache', 'Nausea'])).toBe('Headache, Nausea');
+            expect(tags.formatDisplay(null)).toBe('');
+            expect(tags.toNumber(['Headache'])).toBeNull();
+        });
+    });
+
+    describe('scale', () => {
+        const scale = getFieldType('scale');
+        const mood = { type: 'scale', min: 1, max: 5, labels: ['😞', '😕', '😐', '🙂', '😄'] };
+
+        it('should default to levels 1–5', () => {
+            expect(getScaleLevels({ type: 'scale' }).map(l => l.value)).toEqual([1, 2, 3, 4, 5]);
+        });
+
+        it('should step through decimal levels exactly', () => {
+            const levels = getScaleLevels({ type: 'scale', min: 0, max: 1, step: 0.1 });
+            expect(levels).toHaveLength(11);
+            expect(levels[3].value).toBe(0.3);
+        });
+
+        it('should parse levels and labels, rejecting values between levels', () => {
+            expect(scale.parseValue('4', mood)).toBe(4);
+            expect(scale.parseValue('😕', mood)).toBe(2);
+            expect(scale.parseValue('3.5', mood)).toBeNull();
+            expect(scale.parseValue('9', mood)).toBeNull();
+            expect(scale.validate(5, mood)).toBe(true);
+            expect(scale.validate(0, mood)).toBe(false);
+        });
+
+        it('should display labels and convert to numbers', () => {
+            expect(scale.formatDisplay(5, mood)).toBe('😄');
+            expect(scale.formatDisplay(7, { type: 'scale', min: 1, max: 10 })).toBe('7');
+            expect(scale.toNumber(4)).toBe(4);
+            expect(scale.toNumber(null)).toBeNull();
+        });
+
+        it('should place values between min and max for colouring', () => {
+            expect(scaleFraction(1, mood)).toBe(0);
+            expect(scaleFraction(3, mood)).toBe(0.5);
+            expect(scaleFraction(10, { min: 1, max: 10 })).toBe(1);
+            expect(scaleFraction(null, mood)).toBeNull();
+        });
+    });
+
+    describe('duration', () => {
+        const duration = getFieldType('duration');
+
+        it('should parse mm:ss and hh:mm:ss into seconds', () => {
+            expect(parseDuration('27:30')).toBe(1650);
+            expect(parseDuration('1:05:00')).toBe(3900);
+            expect(parseDuration('75:00')).toBe(4500);
+        });
+
+        it('should read a bare number as minutes', () => {
+            expect(parseDuration('25')).toBe(1500);
+            expect(parseDuration('25.5')).toBe(1530);
+            expect(parseDuration(30)).toBe(1800);
+        });
+
+        it('should reject malformed durations', () => {
+            expect(parseDuration('27:75')).toBeNull();
+            expect(parseDuration('1:60:00')).toBeNull();
+            expect(parseDuration('27:3')).toBeNull();
+            expect(parseDuration('soon')).toBeNull();
+            expect(parseDuration('')).toBeNull();
+        });
+
+        it('should format seconds, switching to hours past an hour', () => {
+            expect(formatDuration(1650)).toBe('27:30');
+            expect(formatDuration(65)).toBe('1:05');
+            expect(formatDuration(3900)).toBe('1:05:00');
+            expect(formatDuration(1650, 'hh:mm:ss')).toBe('0:27:30');
+            expect(duration.formatDisplay(1650, { format: 'mm:ss' })).toBe('27:30');
+        });
+
+        it('should store whole seconds and calculate in minutes', () => {
+            expect(duration.validate(1650)).toBe(true);
+            expect(duration.validate(12.5)).toBe(false);
+            expect(duration.toNumber(1650)).toBe(27.5);
+            expect(duration.toNumber(null)).toBeNull();
+        });
+
+        it('should show calculated minutes as m:ss when formatted so', () => {
+            expect(formatCalculated(5.5, { format: 'mm:ss' })).toBe('5:30');
+            expect(formatCalculated(5.5, {})).toBe('5.50');
+            expect(formatCalculated(5.5, {}, 1)).toBe('5.5');
+        });
+    });
+
+    describe('counter', () => {
+        const counter = getFieldType('counter');
+
+        it('should parse non-negative whole counts', () => {
+            expect(counter.parseValue('4')).toBe(4);
+            expect(counter.parseValue('-1')).toBeNull();
+            expect(counter.parseValue('')).toBeNull();
+            expect(counter.validate(3)).toBe(true);
+            expect(counter.validate(2.5)).toBe(false);
+        });
+
+        it('should show progress towards the target', () => {
+            expect(counter.formatDisplay(5, { target: 8, unit: 'glasses' })).toBe('5/8 glasses');
+            expect(counter.formatDisplay(5, {})).toBe('5');
+            expect(counter.toNumber(5)).toBe(5);
+        });
+    });
+
+    describe('note', () => {
+        const note = getFieldType('note');
+
+        it('should store trimmed text, with blank notes as null', () => {
+            expect(note.parseValue('  Good day\n')).toBe('Good day');
+            expect(note.parseValue('   ')).toBeNull();
+            expect(note.validate('x')).toBe(true);
+            expect(note.validate(3)).toBe(false);
+        });
+
+        it('should display plain text and never a number', () => {
+            expect(note.formatDisplay('**Great** run')).toBe('Great run');
+            expect(note.toNumber('12')).toBeNull();
+        });
+    });
+
+    describe('getValidationError()', () => {
+        it('should only fail empty values on required fields', () => {
+            expect(getValidationError(null, { type: 'number' })).toBeNull();
+            expect(getValidationError('  ', { type: 'text', required: true })).toBe('Required');
+            expect(getValidationError([], { type: 'tags', options: ['a'], required: true })).toBe('Required');
+            expect(getValidationError(0, { type: 'number', required: true })).toBeNull();
+        });
+
+        it('should check min and max on numbers and scales', () => {
+            const pages = { type: 'number', min: 0, max: 500 };
+            expect(getValidationError(-1, pages)).toBe('Must be at least 0');
+            expect(getValidationError(501, pages)).toBe('Must be at most 500');
+            expect(getValidationError(500, pages)).toBeNull();
+            expect(getValidationError(7, { type: 'scale', min: 1, max: 5 })).toBe('Not a valid scale');
+        });
+
+        it('should match a text pattern against the whole value', () => {
+            const code = { type: 'text', pattern: '[A-Z]{3}-\\d+' };
+            expect(getValidationError('ABC-12', code)).toBeNull();
+            expect(getValidationError('xABC-12', code)).toBe('Must match [A-Z]{3}-\\d+');
+            expect(getValidationError('ABC-12 ', code)).not.toBeNull();
+        });
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createEmptyFields, prefillFields, clearPrefilled,
+    computeDailyCompletion, getDailyGoalStatus, setDailyGoal, getAutoGoalRule, isAutoGoalMet, resolveFieldPath
+} from '../js/components/goal-manager.js';
+
+describe('Goal Manager', () => {
+    describe('counter targets', () => {
+        const schema = {
+            'Daily Goals': { 'Drink 8 glasses': { type: 'checkbox' }, 'Read': { type: 'checkbox' } },
+            'Health': {
+                'Water': { type: 'counter', target: 8, goal: 'Drink 8 glasses' },
+                'Push-up Sets': { type: 'counter', target: 3 },
+            },
+        };
+        const entryWith = (water, dailyGoals = {}) => ({
+            dailyGoals: { 'Drink 8 glasses': false, 'Read': false, ...dailyGoals },
+            fields: { 'Health': { 'Water': water, 'Push-up Sets': 5 } },
+        });
+
+        it('should act as an autoFrom rule on the linked goal', () => {
+            expect(getAutoGoalRule('Drink 8 glasses', schema)).toEqual({ autoFrom: 'Health.Water', op: '>=', value: 8 });
+            expect(getAutoGoalRule('Read', schema)).toBeNull();
+        });
+
+        it('should complete the linked goal once the target is reached', () => {
+            const entry = entryWith(8);
+            expect(getDailyGoalStatus('Drink 8 glasses', entry, schema)).toBe('auto');
+            expect(getDailyGoalStatus('Drink 8 glasses', entryWith(7), schema)).toBeNull();
+            expect(computeDailyCompletion(entry.dailyGoals, schema, 2026, 3, 4, entry)).toBe(0.5);
+        });
+
+        it('should uncomplete the goal when the count drops below the target', () => {
+            const entry = entryWith(8);
+            entry.fields['Health']['Water'] = 7;
+            expect(getDailyGoalStatus('Drink 8 glasses', entry, schema)).toBeNull();
+            expect(computeDailyCompletion(entry.dailyGoals, schema, 2026, 3, 4, entry)).toBe(0);
+        });
+
+        it('should keep a goal ticked by hand below the target', () => {
+            expect(getDailyGoalStatus('Drink 8 glasses', entryWith(2, { 'Drink 8 glasses': true }), schema)).toBe('manual');
+        });
+
+        it('should prefer the goal\'s own autoFrom rule', () => {
+            const own = { autoFrom: 'Health.Push-up Sets', op: '>=', value: 3 };
+            const withRule = { ...schema, 'Daily Goals': { ...schema['Daily Goals'], 'Drink 8 glasses': { type: 'checkbox', ...own } } };
+            expect(getAutoGoalRule('Drink 8 glasses', withRule)).toMatchObject(own);
+        });
+
+        it('should ignore links to goals missing from the schema', () => {
+            const stale = { ...schema, 'Health': { 'Water': { type: 'counter', target: 1, goal: 'Gone' } } };
+            expect(getAutoGoalRule('Gone', stale)).toBeNull();
+            expect(getDailyGoalStatus('Gone', entryWith(4), stale)).toBeNull();
+        });
+    });
+
+    describe('prefillFields()', () => {
+        const schema = {
+            'Body': {
+                'Weight': { type: 'number', carryForward: true },
+                'Program Week': { type: 'number', carryForward: true, default: 1 },
+                'Supplements': { type: 'tags', options: ['D3', 'Iron'], default: ['D3'] },
+                'Note': { type: 'text' },
+                'Weekend Hike': { type: 'number', default: 5, schedule: { type: 'weekdays', days: [0, 6] } },
+            },
+        };
+        // 2026-03-04 is a Wednesday
+        const newEntry = () => ({ _id: '2026-03-04', year: 2026, month: 3, day: 4, fields: createEmptyFields(schema) });
+
+        it('should carry the previous values, falling back to defaults', () => {
+            const previous = { fields: { 'Body': { 'Weight': 71.4, 'Program Week': null, 'Note': 'sore' } } };
+            const entry = prefillFields(newEntry(), schema, previous);
+
+            expect(entry.fields['Body']).toEqual({
+                'Weight': 71.4, 'Program Week': 1, 'Supplements': ['D3'], 'Note': null, 'Weekend Hike': null,
+            });
+            expect(entry.prefilled).toEqual({ 'Body': { 'Weight': 'carried', 'Program Week': 'default', 'Supplements': 'default' } });
+        });
+
+        it('should use defaults when there is no previous entry and copy array values', () => {
+            const entry = prefillFields(newEntry(), schema, null);
+            expect(entry.fields['Body']['Weight']).toBeNull();
+            entry.fields['Body']['Supplements'].push('Iron');
+            expect(schema['Body']['Supplements'].default).toEqual(['D3']);
+        });
+
+        it('should leave days after today blank', () => {
+            const entry = prefillFields(newEntry(), schema, { fields: { 'Body': { 'Weight': 70 } } }, new Date(2026, 2, 3));
+            expect(entry.fields['Body']['Weight']).toBeNull();
+            expect(entry).not.toHaveProperty('prefilled');
+
+            const today = prefillFields(newEntry(), schema, { fields: { 'Body': { 'Weight': 70 } } }, new Date(2026, 2, 4));
+            expect(today.fields['Body']['Weight']).toBe(70);
+        });
+
+        it('should refresh completion for goals met by carried values', () => {
+            const withGoal = {
+                ...schema,
+                'Daily Goals': { 'Light': { type: 'checkbox', autoFrom: 'Body.Weight', op: '<', value: 72 } },
+            };
+            const entry = prefillFields({ ...newEntry(), dailyGoals: { 'Light': false } }, withGoal, { fields: { 'Body': { 'Weight': 71.4 } } });
+            expect(entry.dailyGoalCompletion).toBe(1);
+        });
+
+        it('should forget a pre-filled mark once the field is edited', () => {
+            const entry = prefillFields(newEntry(), schema, { fields: { 'Body': { 'Weight': 70 } } });
+            clearPrefilled(entry, 'Body', 'Weight');
+            clearPrefilled(entry, 'Body', 'Program Week');
+            clearPrefilled(entry, 'Body', 'Supplements');
+            expect(entry.prefilled).toEqual({ 'Body': { 'Weight': null, 'Program Week': null, 'Supplements': null } });
+        });
+    });
+
+    describe('autoFrom goals', () => {
+        const schema = {
+            'Daily Goals': {
+                'Run': { type: 'checkbox', autoFrom: 'Daily Log.Running Distance', op: '>=', value: 5 },
+                'Early Run': { type: 'checkbox', autoFrom: 'Daily Log.Running Time', op: '<', value: '30:00' },
+                'Read': { type: 'checkbox' },
+            },
+            'Daily Log': {
+                'Running Distance': { type: 'number', unit: 'km' },
+                'Running Time': { type: 'duration' },
+            },
+        };
+        const entryWith = (fields, dailyGoals = {}) => ({
+            year: 2026, month: 3, day: 4,
+            dailyGoals: { 'Run': false, 'Early Run': false, 'Read': false, ...dailyGoals },
+            fields: { 'Daily Log': fields },
+        });
+        const completion = (entry) =>
+            computeDailyCompletion(entry.dailyGoals, schema, entry.year, entry.month, entry.day, entry);
+
+        it('should complete goals from logged data', () => {
+            const entry = entryWith({ 'Running Distance': 5.2, 'Running Time': 28 * 60 });
+            expect(getDailyGoalStatus('Run', entry, schema)).toBe('auto');
+            expect(getDailyGoalStatus('Early Run', entry, schema)).toBe('auto');
+            expect(completion(entry)).toBeCloseTo(2 / 3);
+        });
+
+        it('should not complete goals from missing or short data', () => {
+            const entry = entryWith({ 'Running Distance': 4.9, 'Running Time': null });
+            expect(getDailyGoalStatus('Run', entry, schema)).toBeNull();
+            expect(isAutoGoalMet(schema['Daily Goals']['Early Run'], entry, schema)).toBe(false);
+            expect(completion(entry)).toBe(0);
+        });
+
+        it('should still count goals ticked by hand', () => {
+            const entry = entryWith({ 'Running Distance': 2 }, { 'Run': true });
+            expect(getDailyGoalStatus('Run', entry, schema)).toBe('manual');
+        });
+
+        it('should let a met goal be unticked by hand until ticked again', () => {
+            const entry = entryWith({ 'Running Distance': 8 });
+            setDailyGoal(entry, 'Run', false, schema);
+            expect(entry.goalOverrides).toEqual({ 'Run': 'off' });
+            expect(getDailyGoalStatus('Run', entry, schema)).toBeNull();
+            expect(completion(entry)).toBe(0);
+
+            setDailyGoal(entry, 'Run', true, schema);
+            expect(entry.goalOverrides).toEqual({ 'Run': null });
+            expect(getDailyGoalStatus('Run', entry, schema)).toBe('manual');
+        });
+
+        it('should ignore rules without an entry and resolve dotted names', () => {
+            const entry = entryWith({ 'Running Distance': 8 });
+            expect(computeDailyCompletion(entry.dailyGoals, schema, 2026, 3, 4)).toBe(0);
+            expect(resolveFieldPath({ 'A.B': { 'C.D': { type: 'number' } } }, 'A.B.C.D')).toMatchObject({ section: 'A.B', field: 'C.D' });
+            expect(resolveFieldPath(schema, 'Daily Goals.Read')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+    toGroupId, groupSummaryId, buildGroupSummary, hasSummaryChanged, computeMemberStats, rankLeaderboard, rankStreaks
+} from '../js/utils/group-utils.js';
+
+const SCHEMA = {
+    'Daily Goals': {
+        Run: { type: 'checkbox' },
+        Read: { type: 'checkbox' },
+        Gym: { type: 'checkbox', schedule: { type: 'weekdays', days: [1, 3, 5] } },
+    },
+};
+
+const SETTINGS = { groupId: 'runners', memberId: 'm1', displayName: 'Alex', goals: ['Run', 'Read'] };
+
+const entry = (dateId, dailyGoals, dailyGoalCompletion = 0) => {
+    const [year, month, day] = dateId.split('-').map(p => parseInt(p));
+    return { _id: dateId, year, month, day, dailyGoals, dailyGoalCompletion };
+};
+
+const summary = (memberId, displayName, days) => ({ groupId: 'runners', memberId, displayName, year: 2026, days });
+
+describe('group utils', () => {
+    it('should normalize group codes', () => {
+        expect(toGroupId('  Morning Runners! ')).toBe('morning-runners');
+        expect(toGroupId('')).toBe('');
+        expect(groupSummaryId('runners', 'm1', 2026)).toBe('runners:m1:2026');
+    });
+
+    it('should summarize only the shared goals', () => {
+        const result = buildGroupSummary([
+            entry('2026-05-04', { Run: true, Read: false, Gym: true }, 2 / 3),
+            entry('2026-05-05', { Run: false, Read: false, Gym: true }, 0.5),
+        ], SCHEMA, SETTINGS, 2026);
+
+        expect(result._id).toBe('runners:m1:2026');
+        expect(result.goals).toEqual(['Run', 'Read']);
+        // Gym is private, so only days with Run/Read progress show up
+        expect(result.days).toEqual({ '2026-05-04': 0.5 });
+        expect(result.dailyGoals).toBeUndefined();
+    });
+
+    it('should reuse the stored completion when every goal is shared', () => {
+        const result = buildGroupSummary(
+            [entry('2026-05-04', { Run: true, Read: false, Gym: true }, 2 / 3)],
+            SCHEMA, { ...SETTINGS, goals: ['Run', 'Read', 'Gym', 'Deleted goal'] }, 2026
+        );
+        expect(result.goals).toEqual(['Run', 'Read', 'Gym']);
+        expect(result.days).toEqual({ '2026-05-04': 0.67 });
+    });
+
+    it('should only report a changed summary when its contents differ', () => {
+        const built = buildGroupSummary(
+            [entry('2026-05-04', { Run: true }), entry('2026-05-05', { Read: true })], SCHEMA, SETTINGS, 2026
+        );
+        const published = { ...built, days: { '2026-05-05': 0.5, '2026-05-04': 0.5 }, updatedAt: '2026-05-01T00:00:00Z' };
+
+        expect(hasSummaryChanged(null, built)).toBe(true);
+        expect(hasSummaryChanged(published, built)).toBe(false);
+        expect(hasSummaryChanged({ ...published, days: { '2026-05-04': 0.5 } }, built)).toBe(true);
+        expect(hasSummaryChanged({ ...published, goals: ['Run'] }, built)).toBe(true);
+        expect(hasSummaryChanged({ ...published, displayName: 'Al' }, built)).toBe(true);
+    });
+
+    it('should rank members by the last 7 days, then the year average', () => {
+        const today = new Date(2026, 4, 10);
+        const stats = computeMemberStats([
+            summary('a', 'Ann', { '2026-05-10': 1, '2026-05-09': 1 }),
+            summary('b', 'Ben', { '2026-05-10': 1, '2026-05-09': 1, '2026-01-01': 0.5 }),
+            summary('c', 'Cy', { '2026-05-01': 1 }),
+        ], today);
+
+        expect(stats.find(m => m.memberId === 'a').weekCompletion).toBeCloseTo(2 / 7);
+        expect(rankLeaderboard(stats).map(m => m.displayName)).toEqual(['Ann', 'Ben', 'Cy']);
+    });
+
+    it('should rank streaks as of today, not as of publishing', () => {
+        const stats = computeMemberStats([
+            summary('a', 'Ann', { '2026-05-01': 1, '2026-05-02': 1, '2026-05-03': 1 }),
+            summary('b', 'Ben', { '2026-05-09': 1, '2026-05-10': 0.5 }),
+        ], new Date(2026, 4, 10));
+
+        expect(rankStreaks(stats).map(m => [m.displayName, m.currentStreak, m.bestStreak]))
+            .toEqual([['Ben', 2, 2], ['Ann', 0, 3]]);
+    });
+});
@@ -0,0 +1,111 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+
+// local-store checks test mode and the active profile through web storage
+globalThis.sessionStorage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+globalThis.localStorage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+
+const {
+    initLocalStore, clearAllData, putEntry, putMonthlyGoal, deleteEntry, deleteMonthlyGoal,
+    getEntry, getMonthlyGoal, applyTombstone, getAllEntries, getEntriesBetween, getEntryYears, getAllMonthlyGoals, getTombstones,
+    getAppliedMigrations, onEntryChange, getLatestEntryBefore
+} = await import('../js/db/local-store.js');
+const { MIGRATIONS } = await import('../js/db/migrations.js');
+
+const entry = (dateId) => {
+    const [year, month, day] = dateId.split('-').map(p => parseInt(p));
+    return { _id: dateId, year, month, day, dailyGoals: {}, fields: {} };
+};
+
+describe('local store queries', () => {
+    beforeAll(async () => {
+        await initLocalStore();
+    });
+
+    beforeEach(async () => {
+        await clearAllData();
+        for (const id of ['2025-12-31', '2026-01-01', '2026-02-14', '2026-02-28', '2026-03-01', '2027-01-01']) {
+            await putEntry(entry(id));
+        }
+    });
+
+    it('should record every migration', async () => {
+        expect((await getAppliedMigrations()).map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+    });
+
+    it('should return a date range inclusively and in date order', async () => {
+        const ids = (await getEntriesBetween('2026-02-01', '2026-03-01')).map(e => e._id);
+        expect(ids).toEqual(['2026-02-14', '2026-02-28', '2026-03-01']);
+    });
+
+    it('should return nothing for an empty range', async () => {
+        expect(await getEntriesBetween('2026-04-01', '2026-04-30')).toEqual([]);
+    });
+
+    it('should load one year through the year index', async () => {
+        const ids = (await getAllEntries(2026)).map(e => e._id);
+        expect(ids.sort()).toEqual(['2026-01-01', '2026-02-14', '2026-02-28', '2026-03-01']);
+        expect(await getAllEntries()).toHaveLength(6);
+    });
+
+    it('should list the distinct entry years', async () => {
+        expect(await getEntryYears()).toEqual([2025, 2026, 2027]);
+    });
+
+    it('should find the latest entry before a date', async () => {
+        expect((await getLatestEntryBefore('2026-02-28'))._id).toBe('2026-02-14');
+        expect((await getLatestEntryBefore('2026-01-01'))._id).toBe('2025-12-31');
+        expect(await getLatestEntryBefore('2025-12-31')).toBeNull();
+    });
+
+    it('should filter monthly goals and tombstones by year', async () => {
+        await putMonthlyGoal({ _id: '2025-12', year: 2025, month: 12, goals: {} });
+        await putMonthlyGoal({ _id: '2026-01', year: 2026, month: 1, goals: {} });
+        await deleteEntry('2026-01-01');
+
+        expect((await getAllMonthlyGoals(2026)).map(g => g._id)).toEqual(['2026-01']);
+        expect([...(await getTombstones(2026)).keys()]).toEqual(['entries:2026-01-01']);
+        expect((await getTombstones(2025)).size).toBe(0);
+    });
+
+    it('should leave a tombstone when deleting an entry or monthly goals doc', async () => {
+        await putMonthlyGoal({ _id: '2026-02', year: 2026, month: 2, goals: {} });
+
+        expect(await deleteEntry('2026-02-14')).toMatchObject({
+            _id: 'entries:2026-02-14', collection: 'entries', docId: '2026-02-14', year: 2026,
+        });
+        expect(await deleteMonthlyGoal('2026-02')).toMatchObject({
+            _id: 'monthlyGoals:2026-02', collection: 'monthlyGoals', docId: '2026-02', year: 2026,
+        });
+
+        expect(await getEntry('2026-02-14')).toBeNull();
+        expect(await getMonthlyGoal('2026-02')).toBeNull();
+        expect([...(await getTombstones(2026)).keys()].sort()).toEqual(['entries:2026-02-14', 'monthlyGoals:2026-02']);
+    });
+
+    it('should only let a remote tombstone delete docs saved before it', async () => {
+        await putMonthlyGoal({ _id: '2026-03', year: 2026, month: 3, goals: {} });
+        const tombstone = (docId, deletedAt) => ({
+            _id: `monthlyGoals:${docId}`, collection: 'monthlyGoals', docId, year: 2026, deletedAt,
+        });
+
+        await applyTombstone(tombstone('2026-03', '2000-01-01T00:00:00.000Z'));
+        expect(await getMonthlyGoal('2026-03')).not.toBeNull();
+
+        await applyTombstone(tombstone('2026-03', '2099-01-01T00:00:00.000Z'));
+        expect(await getMonthlyGoal('2026-03')).toBeNull();
+        expect((await getTombstones(2026)).get('monthlyGoals:2026-03').deletedAt).toBe('2099-01-01T00:00:00.000Z');
+    });
+
+    it('should notify entry listeners on save and delete until unsubscribed', async () => {
+        const changes = [];
+        const unsubscribe = onEntryChange((dateId, doc) => changes.push([dateId, doc?._id ?? null]));
+
+        await putEntry(entry('2026-05-01'));
+        await deleteEntry('2026-05-01');
+        unsubscribe();
+        await putEntry(entry('2026-05-02'));
+
+        expect(changes).toEqual([['2026-05-01', '2026-05-01'], ['2026-05-01', null]]);
+    });
+});
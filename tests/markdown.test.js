@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { parseMarkdown, parseInline, markdownToText } from '../js/utils/markdown.js';
+
+describe('Markdown', () => {
+    describe('parseMarkdown()', () => {
+        it('should split headings, paragraphs, lists and quotes into blocks', () => {
+            const blocks = parseMarkdown('# Today\nFelt good.\nSlept well.\n\n- run\n- read\n\n1. a\n> keep going');
+            expect(blocks.map(b => b.type)).toEqual(['heading', 'paragraph', 'list', 'list', 'quote']);
+            expect(blocks[0].level).toBe(1);
+            expect(blocks[1].children.map(n => n.type)).toEqual(['text', 'break', 'text']);
+            expect(blocks[2]).toMatchObject({ ordered: false, items: [[{ text: 'run' }], [{ text: 'read' }]] });
+            expect(blocks[3].ordered).toBe(true);
+        });
+
+        it('should keep fenced code verbatim', () => {
+            const blocks = parseMarkdown('```\n**not bold**\n<b>x</b>\n```');
+            expect(blocks).toEqual([{ type: 'code', text: '**not bold**\n<b>x</b>' }]);
+        });
+    });
+
+    describe('parseInline()', () => {
+        it('should parse bold, italic and code', () => {
+            expect(parseInline('a **b** *c* `d`')).toEqual([
+                { type: 'text', text: 'a ' },
+                { type: 'strong', children: [{ type: 'text', text: 'b' }] },
+                { type: 'text', text: ' ' },
+                { type: 'em', children: [{ type: 'text', text: 'c' }] },
+                { type: 'text', text: ' ' },
+                { type: 'code', text: 'd' },
+            ]);
+        });
+
+        it('should leave underscores inside words alone', () => {
+            expect(parseInline('snake_case_name')).toEqual([{ type: 'text', text: 'snake_case_name' }]);
+        });
+
+        it('should only link http(s) and mailto targets', () => {
+            expect(parseInline('[site](https://example.com)')[0]).toMatchObject({ type: 'link', href: 'https://example.com' });
+            expect(parseInline('[x](javascript:alert(1))')[0]).toMatchObject({ type: 'text' });
+        });
+
+        it('should keep HTML as plain text', () => {
+            expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([
+                { type: 'text', text: '<img src=x onerror=alert(1)>' },
+            ]);
+        });
+    });
+
+    describe('markdownToText()', () => {
+        it('should drop markup and collapse whitespace', () => {
+            expect(markdownToText('# Run\nFelt **great**\n\n- 5 km\n- hills')).toBe('Run Felt great 5 km · hills');
+        });
+    });
+});
@@ -0,0 +1,136 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi } from 'vitest';
+import { MIGRATIONS, openMigratedDatabase, updateEach } from '../js/db/migrations.js';
+
+let dbCounter = 0;
+const uniqueName = () => `migrations-test-${++dbCounter}`;
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function readAll(database, storeName) {
+    return request(database.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+}
+
+/**
+ * Open a database at an old version with only the first `version` migrations
+ */
+function openAt(name, version) {
+    return openMigratedDatabase(name, MIGRATIONS.slice(0, version));
+}
+
+describe('IndexedDB migrations', () => {
+    it('should create every store on a fresh database and record the migrations', async () => {
+        const database = await openMigratedDatabase(uniqueName());
+
+        expect(database.version).toBe(MIGRATIONS.length);
+        expect([...database.objectStoreNames].sort()).toEqual(
+            ['entries', 'meta', 'migrations', 'monthlyGoals', 'syncLog', 'syncQueue', 'tombstones']
+        );
+
+        const records = await readAll(database, 'migrations');
+        expect(records.map(r => r.version)).toEqual(MIGRATIONS.map(m => m.version));
+        expect(records.every(r => typeof r.appliedAt === 'string')).toBe(true);
+        database.close();
+    });
+
+    it('should upgrade an existing database and keep its data', async () => {
+        const name = uniqueName();
+        const old = await openAt(name, 1);
+        await request(old.transaction('entries', 'readwrite').objectStore('entries')
+            .put({ _id: '2026-01-01', year: 2026, month: 1 }));
+        old.close();
+
+        const database = await openMigratedDatabase(name);
+
+        expect(database.objectStoreNames.contains('tombstones')).toBe(true);
+        expect(await readAll(database, 'entries')).toEqual([{ _id: '2026-01-01', year: 2026, month: 1 }]);
+
+        // Indexes added later cover docs written before them
+        const byYear = database.transaction('entries', 'readonly').objectStore('entries').index('year');
+        expect(await request(byYear.getAllKeys(2026))).toEqual(['2026-01-01']);
+
+        // Steps taken before tracking existed are recorded without a date
+        const records = await readAll(database, 'migrations');
+        expect(records[0]).toMatchObject({ version: 1, appliedAt: null });
+        expect(records.slice(1).every(r => r.appliedAt)).toBe(true);
+        database.close();
+    });
+
+    it('should reshape stored docs and run steps in order', async () => {
+        const name = uniqueName();
+        const order = [];
+        const migrations = [
+            ...MIGRATIONS,
+            {
+                version: MIGRATIONS.length + 1,
+                name: 'Rename note to comment',
+                upgrade({ tx }) {
+                    order.push('rename');
+                    return updateEach(tx.objectStore('entries'), ({ note, ...doc }) =>
+                        note === undefined ? null : { ...doc, comment: note }
+                    );
+                },
+            },
+            {
+                version: MIGRATIONS.length + 2,
+                name: 'Upper-case comments',
+                upgrade({ tx }) {
+                    order.push('upper');
+                    return updateEach(tx.objectStore('entries'), doc =>
+                        doc.comment ? { ...doc, comment: doc.comment.toUpperCase() } : null
+                    );
+                },
+            },
+        ];
+
+        const old = await openMigratedDatabase(name);
+        const store = old.transaction('entries', 'readwrite').objectStore('entries');
+        await request(store.put({ _id: '2026-01-01', note: 'ran' }));
+        await request(store.put({ _id: '2026-01-02' }));
+        old.close();
+
+        const database = await openMigratedDatabase(name, migrations);
+
+        expect(order).toEqual(['rename', 'upper']);
+        expect(await readAll(database, 'entries')).toEqual([
+            { _id: '2026-01-01', comment: 'RAN' },
+            { _id: '2026-01-02' },
+        ]);
+        const records = await readAll(database, 'migrations');
+        expect(records.at(-1)).toMatchObject({ version: migrations.length, name: 'Upper-case comments' });
+        database.close();
+    });
+
+    it('should roll the whole upgrade back when a migration fails', async () => {
+        const name = uniqueName();
+        const old = await openMigratedDatabase(name);
+        old.close();
+
+        const failing = [...MIGRATIONS, {
+            version: MIGRATIONS.length + 1,
+            name: 'Broken',
+            upgrade({ database }) {
+                database.createObjectStore('halfDone');
+                throw new Error('boom');
+            },
+        }];
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(openMigratedDatabase(name, failing)).rejects.toBeDefined();
+        expect(consoleError).toHaveBeenCalled();
+        consoleError.mockRestore();
+
+        const database = await openMigratedDatabase(name);
+        expect(database.version).toBe(MIGRATIONS.length);
+        expect(database.objectStoreNames.contains('halfDone')).toBe(false);
+        database.close();
+    });
+
+    it('should reject a registry with gaps', () => {
+        expect(() => openMigratedDatabase(uniqueName(), [MIGRATIONS[0], MIGRATIONS[2]])).toThrow(/version 2/);
+    });
+});
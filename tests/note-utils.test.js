@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { searchNotes, buildSnippet } from '../js/utils/note-utils.js';
+
+describe('Note Utils', () => {
+    const schema = {
+        'Daily Goals': { 'Read': { type: 'checkbox' } },
+        'Journal': { 'Reflection': { type: 'note' }, 'Mood Word': { type: 'text' } },
+    };
+    const entry = (dateId, reflection, moodWord = null) => ({
+        _id: dateId,
+        fields: { 'Journal': { 'Reflection': reflection, 'Mood Word': moodWord } },
+    });
+
+    describe('searchNotes()', () => {
+        const entries = [
+            entry('2026-01-02', 'Long **run** by the river'),
+            entry('2026-03-10', 'Rest day', 'running late'),
+            entry('2026-02-05', 'Ran again. River was frozen.'),
+            entry('2026-02-06', null),
+        ];
+
+        it('should find notes case-insensitively, newest first', () => {
+            const results = searchNotes(entries, schema, 'RIVER');
+            expect(results.map(r => r.dateId)).toEqual(['2026-02-05', '2026-01-02']);
+            expect(results[0]).toMatchObject({ section: 'Journal', field: 'Reflection' });
+        });
+
+        it('should match the text without markup and only search note fields', () => {
+            expect(searchNotes(entries, schema, 'long run').map(r => r.dateId)).toEqual(['2026-01-02']);
+            expect(searchNotes(entries, schema, 'late')).toEqual([]);
+        });
+
+        it('should return nothing for a blank query', () => {
+            expect(searchNotes(entries, schema, '  ')).toEqual([]);
+        });
+    });
+
+    describe('buildSnippet()', () => {
+        it('should split around the match and trim long text', () => {
+            const text = `${'a'.repeat(60)}MATCH${'b'.repeat(60)}`;
+            const snippet = buildSnippet(text, 60, 5);
+            expect(snippet.match).toBe('MATCH');
+            expect(snippet.before).toBe(`…${'a'.repeat(40)}`);
+            expect(snippet.after).toBe(`${'b'.repeat(40)}…`);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// Web storage stand-ins, cleared before every test
+const makeStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+    };
+};
+globalThis.localStorage = makeStorage();
+globalThis.sessionStorage = makeStorage();
+
+const {
+    DEFAULT_PROFILE_ID, getProfiles, createProfile, getActiveProfile, setActiveProfile,
+    profileKey, profileDbName
+} = await import('../js/db/profiles.js');
+const { DB_NAME } = await import('../js/config.js');
+
+describe('profiles', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        sessionStorage.clear();
+    });
+
+    it('should start with only the default profile, active without picking', () => {
+        expect(getProfiles().map(p => p.id)).toEqual([DEFAULT_PROFILE_ID]);
+        expect(getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+    });
+
+    it('should keep the original storage keys and database for the default profile', () => {
+        expect(profileKey('firebaseConfig')).toBe('firebaseConfig');
+        expect(profileDbName()).toBe(DB_NAME);
+    });
+
+    it('should require a pick once there are several profiles', () => {
+        createProfile('Alex');
+        expect(getActiveProfile()).toBeNull();
+
+        setActiveProfile('alex');
+        expect(getActiveProfile().name).toBe('Alex');
+        expect(profileKey('firebaseConfig')).toBe('profile:alex:firebaseConfig');
+        expect(profileDbName()).toBe(`${DB_NAME}:alex`);
+    });
+
+    it('should namespace keys for an explicit profile', () => {
+        expect(profileKey('offlineMode', 'sam')).toBe('profile:sam:offlineMode');
+        expect(profileKey('offlineMode', DEFAULT_PROFILE_ID)).toBe('offlineMode');
+    });
+
+    it('should give profiles unique ids and reject duplicate or empty names', () => {
+        expect(createProfile('Default Person').id).toBe('default-person');
+        expect(createProfile('  Ünïcode!! ').id).toBe('n-code');
+        expect(createProfile('n code').id).toBe('n-code-2');
+        expect(() => createProfile('default person')).toThrow('already exists');
+        expect(() => createProfile('   ')).toThrow('required');
+    });
+
+    it('should not let a profile be named into the default id', () => {
+        expect(createProfile('Default!').id).toBe('default-2');
+    });
+
+    it('should reject unknown profiles', () => {
+        expect(() => setActiveProfile('nobody')).toThrow('Unknown profile');
+    });
+});
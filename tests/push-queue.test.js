@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+    MAX_PUSH_ATTEMPTS, BASE_RETRY_DELAY, MAX_RETRY_DELAY,
+    getBackoffDelay, isTransientError, recordFailure, isDue, groupQueue, getNextRetryTime,
+    getQueueItemState
+} from '../js/db/push-queue.js';
+
+const NOW = Date.parse('2026-03-01T10:00:00.000Z');
+const item = (key, docId, extra = {}) => ({ key, collection: 'entries', operation: 'upsert', docId, ...extra });
+
+describe('Push Queue', () => {
+
+    describe('getBackoffDelay()', () => {
+        it('should double the delay with each attempt', () => {
+            const noJitter = () => 1; // full delay
+            expect(getBackoffDelay(1, noJitter)).toBe(BASE_RETRY_DELAY);
+            expect(getBackoffDelay(2, noJitter)).toBe(BASE_RETRY_DELAY * 2);
+            expect(getBackoffDelay(3, noJitter)).toBe(BASE_RETRY_DELAY * 4);
+        });
+
+        it('should apply jitter between half and the full delay', () => {
+            expect(getBackoffDelay(2, () => 0)).toBe(BASE_RETRY_DELAY);
+            expect(getBackoffDelay(2, () => 0.999)).toBeLessThan(BASE_RETRY_DELAY * 2);
+        });
+
+        it('should cap the delay', () => {
+            expect(getBackoffDelay(50, () => 0.999)).toBeLessThanOrEqual(MAX_RETRY_DELAY);
+        });
+    });
+
+    describe('isTransientError()', () => {
+        it('should treat connectivity error codes as transient', () => {
+            expect(isTransientError({ code: 'unavailable' })).toBe(true);
+            expect(isTransientError({ code: 'permission-denied' })).toBe(false);
+            expect(isTransientError(new Error('bad doc'))).toBe(false);
+        });
+    });
+
+    describe('recordFailure()', () => {
+        it('should count the attempt, keep the error and back off', () => {
+            const updated = recordFailure(item(1, '2026-03-01'), new Error('boom'), NOW, () => 0);
+            expect(updated.attempts).toBe(1);
+            expect(updated.lastError).toBe('boom');
+            expect(updated.parked).toBeUndefined();
+            expect(Date.parse(updated.nextAttemptAt)).toBe(NOW + BASE_RETRY_DELAY / 2);
+        });
+
+        it('should park an item after repeated failures', () => {
+            const failing = item(1, '2026-03-01', { attempts: MAX_PUSH_ATTEMPTS - 1 });
+            const updated = recordFailure(failing, new Error('invalid data'), NOW);
+            expect(updated.parked).toBe(true);
+            expect(updated.nextAttemptAt).toBeUndefined();
+        });
+
+        it('should never park an item for transient errors', () => {
+            const failing = item(1, '2026-03-01', { attempts: MAX_PUSH_ATTEMPTS + 3 });
+            const updated = recordFailure(failing, { code: 'unavailable', message: 'offline' }, NOW);
+            expect(updated.parked).toBeUndefined();
+            expect(updated.nextAttemptAt).toBeDefined();
+        });
+    });
+
+    describe('isDue()', () => {
+        it('should skip parked items and items still backing off', () => {
+            expect(isDue(item(1, 'a'), NOW)).toBe(true);
+            expect(isDue(item(1, 'a', { parked: true }), NOW)).toBe(false);
+            expect(isDue(item(1, 'a', { nextAttemptAt: new Date(NOW + 1000).toISOString() }), NOW)).toBe(false);
+            expect(isDue(item(1, 'a', { nextAttemptAt: new Date(NOW - 1000).toISOString() }), NOW)).toBe(true);
+        });
+    });
+
+    describe('groupQueue()', () => {
+        it('should keep the latest mutation per doc and list the superseded keys', () => {
+            const groups = groupQueue([
+                item(1, '2026-03-01', { parked: true }),
+                item(2, '2026-03-02'),
+                item(3, '2026-03-01', { operation: 'delete' }),
+            ]);
+            expect(groups).toHaveLength(2);
+            expect(groups[0].latest.key).toBe(3);
+            expect(groups[0].supersededKeys).toEqual([1]);
+            expect(groups[1].supersededKeys).toEqual([]);
+        });
+
+        it('should not merge the same docId across collections', () => {
+            const groups = groupQueue([item(1, '2026-03'), { ...item(2, '2026-03'), collection: 'monthlyGoals' }]);
+            expect(groups).toHaveLength(2);
+        });
+    });
+
+    describe('getNextRetryTime()', () => {
+        it('should return the earliest pending retry, ignoring parked items', () => {
+            const queue = [
+                item(1, 'a', { nextAttemptAt: new Date(NOW + 5000).toISOString() }),
+                item(2, 'b', { nextAttemptAt: new Date(NOW + 1000).toISOString(), parked: true }),
+                item(3, 'c', { nextAttemptAt: new Date(NOW + 3000).toISOString() }),
+                item(4, 'd'),
+            ];
+            expect(getNextRetryTime(queue)).toBe(NOW + 3000);
+            expect(getNextRetryTime([item(1, 'a')])).toBeNull();
+        });
+    });
+
+    describe('getQueueItemState()', () => {
+        it('should describe parked, backing-off and pending items', () => {
+            expect(getQueueItemState(item(1, 'a', { parked: true }), NOW)).toBe('parked');
+            expect(getQueueItemState(item(1, 'a', { nextAttemptAt: new Date(NOW + 1000).toISOString() }), NOW)).toBe('waiting');
+            expect(getQueueItemState(item(1, 'a'), NOW)).toBe('pending');
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createStandInServer } from '../server/rest-stand-in.cjs';
+import { RestClient } from '../js/db/rest-client.js';
+import { assertRemoteAdapter } from '../js/db/remote-adapter.js';
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+describe('RestClient', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        ({ server } = createStandInServer({ token: 'secret' }));
+        baseUrl = `http://127.0.0.1:${await listen(server)}/`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const client = () => new RestClient({ baseUrl, token: 'secret' });
+
+    it('should implement the remote adapter contract', () => {
+        expect(() => assertRemoteAdapter(client())).not.toThrow();
+        expect(() => assertRemoteAdapter({ getDoc() {} })).toThrow(/missing/);
+    });
+
+    it('should only be configured with a base URL', () => {
+        expect(new RestClient(null).isConfigured()).toBe(false);
+        expect(client().isConfigured()).toBe(true);
+    });
+
+    it('should round-trip a doc and return null for missing docs', async () => {
+        const c = client();
+        await c.setDoc('entries', '2026-03-01', { _id: '2026-03-01', year: 2026, dailyGoals: { Run: true } });
+        expect(await c.getDoc('entries', '2026-03-01')).toEqual({ _id: '2026-03-01', year: 2026, dailyGoals: { Run: true } });
+        expect(await c.getDoc('entries', '2026-03-02')).toBeNull();
+    });
+
+    it('should merge nested objects by default and replace with options.replace', async () => {
+        const c = client();
+        await c.setDoc('entries', '2026-05-01', { year: 2026, fields: { Sleep: { Hours: 7 } }, tags: ['a'] });
+        await c.setDoc('entries', '2026-05-01', { fields: { Sleep: { Quality: 4 } }, tags: ['b'] });
+        expect(await c.getDoc('entries', '2026-05-01')).toEqual({
+            _id: '2026-05-01', year: 2026, fields: { Sleep: { Hours: 7, Quality: 4 } }, tags: ['b'],
+        });
+
+        await c.setDoc('entries', '2026-05-01', { fields: { Sleep: { Quality: 5 } } }, { replace: true });
+        expect(await c.getDoc('entries', '2026-05-01')).toEqual({ _id: '2026-05-01', fields: { Sleep: { Quality: 5 } } });
+    });
+
+    it('should filter collections with equality conditions', async () => {
+        const c = client();
+        await c.setDoc('monthlyGoals', '2025-12', { year: 2025, goals: {} });
+        await c.setDoc('monthlyGoals', '2026-01', { year: 2026, goals: {} });
+        const docs = await c.getCollection('monthlyGoals', [['year', '==', 2026]]);
+        expect(docs.map(d => d._id)).toEqual(['2026-01']);
+        await expect(c.getCollection('monthlyGoals', [['year', '!=', 2025]])).rejects.toThrow(/does not support/);
+    });
+
+    it('should filter collections with range conditions', async () => {
+        const c = client();
+        await c.setDoc('entries', '2026-04-01', { year: 2026, updatedAt: '2026-04-01T10:00:00.000Z' });
+        await c.setDoc('entries', '2026-04-02', { year: 2026, updatedAt: '2026-04-02T10:00:00.000Z' });
+        const docs = await c.getCollection('entries', [
+            ['year', '==', 2026],
+            ['updatedAt', '>', '2026-04-01T10:00:00.000Z'],
+        ]);
+        expect(docs.map(d => d._id)).toEqual(['2026-04-02']);
+        expect(await c.getCollection('entries', [['year', '>=', 2027]])).toEqual([]);
+    });
+
+    it('should delete docs, ignoring ones that are already gone', async () => {
+        const c = client();
+        await c.setDoc('tombstones', 'entries:2026-03-05', { year: 2026 });
+        await c.deleteDoc('tombstones', 'entries:2026-03-05');
+        await c.deleteDoc('tombstones', 'entries:2026-03-05');
+        expect(await c.getDoc('tombstones', 'entries:2026-03-05')).toBeNull();
+    });
+
+    it('should report connectivity', async () => {
+        expect(await client().testConnection()).toEqual({ success: true });
+        const result = await new RestClient({ baseUrl, token: 'wrong' }).testConnection();
+        expect(result.success).toBe(false);
+    });
+
+    it('should tag errors with Firestore-style codes', async () => {
+        await expect(new RestClient({ baseUrl, token: 'wrong' }).getDoc('meta', 'app_config'))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        await expect(new RestClient({ baseUrl: 'http://127.0.0.1:1' }).getDoc('meta', 'app_config'))
+            .rejects.toMatchObject({ code: 'unavailable' });
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseRoute, buildRoute, switchRouteYear, isValidYear } from '../js/utils/route-utils.js';
+
+describe('Route Utilities', () => {
+
+    describe('parseRoute()', () => {
+        it('should parse year-scoped routes', () => {
+            expect(parseRoute('#/2027/month/jan')).toEqual({ year: 2027, view: 'month', param: 'jan' });
+            expect(parseRoute('#/2027/dashboard')).toEqual({ year: 2027, view: 'dashboard', param: '' });
+        });
+
+        it('should leave the year empty for legacy routes', () => {
+            expect(parseRoute('#/month/feb')).toEqual({ year: null, view: 'month', param: 'feb' });
+            expect(parseRoute('')).toEqual({ year: null, view: '', param: '' });
+            expect(parseRoute('#/setup')).toEqual({ year: null, view: 'setup', param: '' });
+        });
+
+        it('should take the year from dated entry and month params', () => {
+            expect(parseRoute('#/entry/2025-12-31').year).toBe(2025);
+            expect(parseRoute('#/2027/entry/2025-12-31').year).toBe(2025);
+            expect(parseRoute('#/month/2024-02').year).toBe(2024);
+        });
+    });
+
+    describe('buildRoute()', () => {
+        it('should prefix the year when given', () => {
+            expect(buildRoute(2027, 'month', 'jan')).toBe('#/2027/month/jan');
+            expect(buildRoute(2027, 'dashboard')).toBe('#/2027/dashboard');
+            expect(buildRoute(null, 'entry', '2027-01-05')).toBe('#/entry/2027-01-05');
+        });
+    });
+
+    describe('switchRouteYear()', () => {
+        it('should keep the current view in the new year', () => {
+            expect(switchRouteYear('#/2026/month/mar', 2027)).toBe('#/2027/month/mar');
+            expect(switchRouteYear('#/dashboard', 2025)).toBe('#/2025/dashboard');
+            expect(switchRouteYear('', 2025)).toBe('#/2025/dashboard');
+        });
+
+        it('should move dated entries and clamp leap days', () => {
+            expect(switchRouteYear('#/entry/2026-06-15', 2027)).toBe('#/entry/2027-06-15');
+            expect(switchRouteYear('#/entry/2024-02-29', 2025)).toBe('#/entry/2025-02-28');
+        });
+    });
+
+    describe('isValidYear()', () => {
+        it('should only accept 4-digit integer years', () => {
+            expect(isValidYear(2026)).toBe(true);
+            expect(isValidYear(26)).toBe(false);
+            expect(isValidYear(NaN)).toBe(false);
+        });
+    });
+});
@@ -3,7 +3,9 @@ import {
     getSections,
     getFields,
     getChartGroups,
-    validateSchema
+    getFieldsOfType,
+    validateSchema,
+    haveGoalRulesChanged
 } from '../js/schema/schema-manager.js';
 
 describe('Schema Manager Utilities', () => {
@@ -57,6 +59,29 @@ describe('Schema Manager Utilities', () => {
             const allFieldNames = Array.from(groups.values()).flatMap(g => g.fields.map(f => f.name));
             expect(allFieldNames).not.toContain('Notes');
         });
+
+        it('should leave notes, select and tags fields out of the chart groups', () => {
+            const groups = getChartGroups({ 'Workout': {
+                'Kind': { type: 'select', options: ['Run', 'Swim'] },
+                'With': { type: 'tags', options: ['Ana', 'Ben'] },
+                'Journal': { type: 'note' },
+            } });
+            expect(groups.size).toBe(0);
+        });
+    });
+
+    describe('getFieldsOfType()', () => {
+        it('should list matching fields of custom sections with their section', () => {
+            const schema = {
+                'Daily Goals': { 'Run': { type: 'checkbox' } },
+                'Workout': { 'Kind': { type: 'select', options: ['Run'] }, 'Km': { type: 'number' } },
+                'Food': { 'Quality': { type: 'select', options: ['Good', 'Bad'] } },
+            };
+            expect(getFieldsOfType(schema, 'select').map(f => `${f.section}.${f.name}`))
+                .toEqual(['Workout.Kind', 'Food.Quality']);
+            expect(getFieldsOfType(schema, 'checkbox')).toEqual([]);
+            expect(getFieldsOfType(schema, 'number', 'select').map(f => f.name)).toEqual(['Kind', 'Km', 'Quality']);
+        });
     });
 
     describe('validateSchema()', () => {
@@ -92,6 +117,91 @@ describe('Schema Manager Utilities', () => {
             expect(result.errors[0]).toMatch(/missing a "calculation" property/);
         });
 
+        it('should require distinct, non-empty options on select fields', () => {
+            const select = (options) => validateSchema({ 'A': { 'Kind': { type: 'select', options } } });
+
+            expect(select(['Run', 'Swim']).valid).toBe(true);
+            expect(select(undefined).errors[0]).toMatch(/non-empty "options" array/);
+            expect(select([]).valid).toBe(false);
+            expect(select(['Run', ' ']).errors[0]).toMatch(/empty or non-text options/);
+            expect(select(['Run', 'Run']).errors[0]).toMatch(/duplicate options/);
+        });
+
+        it('should check the levels of scale fields', () => {
+            const scale = (def) => validateSchema({ 'A': { 'Mood': { type: 'scale', ...def } } });
+
+            expect(scale({}).valid).toBe(true);
+            expect(scale({ min: 1, max: 10 }).valid).toBe(true);
+            expect(scale({ min: 5, max: 1 }).errors[0]).toMatch(/"max" greater than "min"/);
+            expect(scale({ step: 0 }).errors[0]).toMatch(/positive "step"/);
+            expect(scale({ min: '1' }).errors[0]).toMatch(/numeric "min", "max" and "step"/);
+            expect(scale({ min: 0, max: 100 }).errors[0]).toMatch(/101 levels/);
+            expect(scale({ labels: ['😞', '😄'] }).errors[0]).toMatch(/one non-empty label per level \(5\)/);
+            expect(scale({ max: 2, labels: ['Low', 'High'] }).valid).toBe(true);
+        });
+
+        it('should check counter targets and their linked goals', () => {
+            const counter = (def) => validateSchema({
+                'Daily Goals': { 'Hydrate': { type: 'checkbox' } },
+                'Health': { 'Water': { type: 'counter', ...def } },
+            });
+
+            expect(counter({}).valid).toBe(true);
+            expect(counter({ target: 8, goal: 'Hydrate' }).valid).toBe(true);
+            expect(counter({ target: 0 }).errors[0]).toMatch(/positive whole-number "target"/);
+            expect(counter({ goal: 'Hydrate' }).errors[0]).toMatch(/needs a "target" to complete "Hydrate"/);
+            expect(counter({ target: 8, goal: 'Swim' }).errors[0]).toMatch(/unknown Daily Goal "Swim"/);
+        });
+
+        it('should check field rules', () => {
+            const field = (def) => validateSchema({ 'A': { 'F': def } });
+
+            expect(field({ type: 'number', min: 0, max: 10, required: true }).valid).toBe(true);
+            expect(field({ type: 'text', pattern: '\\d{4}' }).valid).toBe(true);
+            expect(field({ type: 'number', required: 'yes' }).errors[0]).toMatch(/"required" to be true or false/);
+            expect(field({ type: 'velocity', calculation: 'A / B', required: true }).errors[0]).toMatch(/cannot be "required"/);
+            expect(field({ type: 'number', min: '0' }).errors[0]).toMatch(/numeric "min" and "max"/);
+            expect(field({ type: 'number', min: 5, max: 1 }).errors[0]).toMatch(/"max" at least "min"/);
+            expect(field({ type: 'text', max: 3 }).errors[0]).toMatch(/^Text field "A.F" cannot have "min"\/"max"/);
+            expect(field({ type: 'number', pattern: '\\d+' }).errors[0]).toMatch(/cannot have a "pattern"/);
+            expect(field({ type: 'text', pattern: '(' }).errors[0]).toMatch(/invalid "pattern"/);
+        });
+
+        it('should check defaults and carry-forward', () => {
+            const field = (def) => validateSchema({ 'A': { 'F': def } });
+
+            expect(field({ type: 'number', default: 3, carryForward: true }).valid).toBe(true);
+            expect(field({ type: 'tags', options: ['x'], default: ['x'] }).valid).toBe(true);
+            expect(field({ type: 'number', carryForward: 'yes' }).errors[0]).toMatch(/"carryForward" to be true or false/);
+            expect(field({ type: 'number', min: 0, default: -1 }).errors[0]).toMatch(/invalid "default" \(Must be at least 0\)/);
+            expect(field({ type: 'select', options: ['a'], default: 'b' }).errors[0]).toMatch(/invalid "default"/);
+            expect(field({ type: 'velocity', calculation: 'A / B', carryForward: true }).errors[0]).toMatch(/cannot have a "default" or "carryForward"/);
+        });
+
+        it('should check daily goal autoFrom rules', () => {
+            const goal = (def) => validateSchema({
+                'Daily Goals': { 'Run': { type: 'checkbox', ...def } },
+                'Log': { 'Distance': { type: 'number' }, 'Time': { type: 'duration' }, 'Mood': { type: 'text' } },
+            });
+
+            expect(goal({ autoFrom: 'Log.Distance', op: '>=', value: 5 }).valid).toBe(true);
+            expect(goal({ autoFrom: 'Log.Time', op: '<', value: '30:00' }).valid).toBe(true);
+            expect(goal({ autoFrom: 'Log.Pace', op: '>=', value: 5 }).errors[0]).toMatch(/unknown field "Log.Pace"/);
+            expect(goal({ autoFrom: 'Log.Mood', op: '==', value: 1 }).errors[0]).toMatch(/needs a numeric field/);
+            expect(goal({ autoFrom: 'Log.Distance', op: '=>', value: 5 }).errors[0]).toMatch(/"op" to be one of/);
+            expect(goal({ autoFrom: 'Log.Distance', op: '>=', value: 'far' }).errors[0]).toMatch(/needs a "value"/);
+            expect(validateSchema({ 'Log': { 'Distance': { type: 'number', autoFrom: 'Log.Distance' } } }).errors[0])
+                .toMatch(/only Daily Goals/);
+        });
+
+        it('should require a vocabulary on tags fields', () => {
+            const tags = (options) => validateSchema({ 'A': { 'With': { type: 'tags', options } } });
+
+            expect(tags(['Ana', 'Ben']).valid).toBe(true);
+            expect(tags([]).errors[0]).toMatch(/^Tags field "A.With" needs a non-empty "options" array/);
+            expect(tags(['Ana', 'Ana']).errors[0]).toMatch(/duplicate options/);
+        });
+
         it('should catch invalid schedules', () => {
             const badWeekdays = { 'A': { 'F': { type: 'number', schedule: { type: 'weekdays', days: [8] } } } }; // 8 is not a valid day index
             const badDates = { 'A': { 'F': { type: 'number', schedule: { type: 'dates', dates: ['bad-date'] } } } };
@@ -101,4 +211,37 @@ describe('Schema Manager Utilities', () => {
         });
     });
 
+
+    describe('haveGoalRulesChanged()', () => {
+        const schema = {
+            'Daily Goals': { 'Run': { type: 'checkbox', autoFrom: 'Log.Distance', op: '>=', value: 5 } },
+            'Log': { 'Distance': { type: 'number' }, 'Note': { type: 'text' } },
+        };
+        const edit = (fn) => {
+            const copy = structuredClone(schema);
+            fn(copy);
+            return copy;
+        };
+
+        it('should ignore changes that cannot affect completion', () => {
+            expect(haveGoalRulesChanged(schema, edit(s => { s['Log']['Note'].type = 'note'; }))).toBe(false);
+        });
+
+        it('should detect changed rules, goals and source fields', () => {
+            expect(haveGoalRulesChanged(schema, edit(s => { s['Daily Goals']['Run'].value = 10; }))).toBe(true);
+            expect(haveGoalRulesChanged(schema, edit(s => { s['Daily Goals']['Read'] = { type: 'checkbox' }; }))).toBe(true);
+            expect(haveGoalRulesChanged(schema, edit(s => { s['Log']['Distance'].type = 'duration'; }))).toBe(true);
+            expect(haveGoalRulesChanged(null, schema)).toBe(true);
+        });
+
+        it('should detect changed counter targets', () => {
+            const counters = {
+                'Daily Goals': { 'Hydrate': { type: 'checkbox' } },
+                'Log': { 'Water': { type: 'counter', target: 8, goal: 'Hydrate' } },
+            };
+            const retarget = structuredClone(counters);
+            retarget['Log']['Water'].target = 6;
+            expect(haveGoalRulesChanged(counters, retarget)).toBe(true);
+        });
+    });
 });
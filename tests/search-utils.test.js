@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, createSearchIndex, indexEntry, removeEntryFromIndex, searchIndex } from '../js/utils/search-utils.js';
+
+describe('Search Utils', () => {
+    const schema = {
+        'Daily Goals': { 'Read': { type: 'checkbox' } },
+        'Journal': { 'Reflection': { type: 'note' }, 'Weather': { type: 'text' }, 'Mood': { type: 'select', options: ['rainy'] } },
+    };
+    const entry = (dateId, fields) => ({ _id: dateId, dailyGoals: { 'Read': true }, fields: { 'Journal': fields } });
+
+    const build = () => {
+        const index = createSearchIndex();
+        indexEntry(index, entry('2026-01-02', { 'Reflection': 'Knee **pain** after the run', 'Weather': 'Rain' }), schema);
+        indexEntry(index, entry('2026-03-10', { 'Reflection': 'Café with friends', 'Weather': 'sunny', 'Mood': 'rainy' }), schema);
+        indexEntry(index, entry('2026-02-05', { 'Reflection': null, 'Weather': 'Light rain, cold' }), schema);
+        return index;
+    };
+
+    describe('tokenize()', () => {
+        it('should lowercase, drop accents and split on punctuation', () => {
+            expect(tokenize('Café, RAIN-day 5k!')).toEqual(['cafe', 'rain', 'day', '5k']);
+            expect(tokenize(null)).toEqual([]);
+        });
+    });
+
+    describe('searchIndex()', () => {
+        it('should find text and note values by word prefix, newest first', () => {
+            const results = searchIndex(build(), 'rai');
+            expect(results.map(r => [r.dateId, r.field])).toEqual([['2026-02-05', 'Weather'], ['2026-01-02', 'Weather']]);
+            expect(results[0].snippet).toEqual({ before: 'Light ', match: 'rai', after: 'n, cold' });
+        });
+
+        it('should require every word and search note text without markup', () => {
+            expect(searchIndex(build(), 'knee pain').map(r => r.dateId)).toEqual(['2026-01-02']);
+            expect(searchIndex(build(), 'knee sunny')).toEqual([]);
+        });
+
+        it('should match field names and ignore accents', () => {
+            expect(searchIndex(build(), 'weather sunny')[0]).toMatchObject({ dateId: '2026-03-10', section: 'Journal' });
+            expect(searchIndex(build(), 'cafe').map(r => r.dateId)).toEqual(['2026-03-10']);
+        });
+
+        it('should return nothing for a blank query', () => {
+            expect(searchIndex(build(), ' !? ')).toEqual([]);
+        });
+    });
+
+    describe('incremental updates', () => {
+        it('should replace a day when it is indexed again', () => {
+            const index = build();
+            indexEntry(index, entry('2026-01-02', { 'Weather': 'Snow' }), schema);
+
+            expect(searchIndex(index, 'knee')).toEqual([]);
+            expect(searchIndex(index, 'snow').map(r => r.dateId)).toEqual(['2026-01-02']);
+            expect(index.terms.has('knee')).toBe(false);
+        });
+
+        it('should drop a deleted day', () => {
+            const index = build();
+            removeEntryFromIndex(index, '2026-02-05');
+            removeEntryFromIndex(index, '2026-12-31');
+
+            expect(searchIndex(index, 'rain').map(r => r.dateId)).toEqual(['2026-01-02']);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { computeStats, computeStatDeltas, countCategories } from '../js/utils/stats-utils.js';
+
+const entry = (id, completion) => ({ _id: id, dailyGoalCompletion: completion });
+
+describe('Stats Utilities', () => {
+
+    describe('computeStats()', () => {
+        const entries = [
+            entry('2025-03-01', 1),
+            entry('2025-03-02', 0.75),
+            entry('2025-03-03', 0.5),
+            entry('2025-03-04', 0.25), // below streak threshold
+            entry('2025-03-05', 1),
+            entry('2025-03-06', 1),
+        ];
+
+        it('should average completion over tracked days', () => {
+            const stats = computeStats(entries, [], new Date(2025, 2, 6));
+            expect(stats.totalTracked).toBe(6);
+            expect(stats.avgCompletion).toBeCloseTo(4.5 / 6);
+            expect(stats.todayCompletion).toBe(1);
+        });
+
+        it('should count the current streak back from today', () => {
+            expect(computeStats(entries, [], new Date(2025, 2, 6)).currentStreak).toBe(2);
+            expect(computeStats(entries, [], new Date(2025, 2, 8)).currentStreak).toBe(0);
+        });
+
+        it('should find the best streak anywhere in the year, across month ends', () => {
+            expect(computeStats(entries, [], new Date(2025, 11, 31)).bestStreak).toBe(3);
+
+            const acrossMonths = [entry('2025-01-30', 1), entry('2025-01-31', 1), entry('2025-02-01', 1)];
+            expect(computeStats(acrossMonths, []).bestStreak).toBe(3);
+        });
+
+        it('should average monthly goal completion', () => {
+            const goals = [{ completionRate: 1 }, { completionRate: 0.5 }];
+            expect(computeStats([], goals).monthlyAvg).toBe(0.75);
+        });
+    });
+
+    describe('computeStatDeltas()', () => {
+        it('should report the selected year minus the baseline', () => {
+            const deltas = computeStatDeltas(
+                { avgCompletion: 0.8, totalTracked: 200, bestStreak: 10 },
+                { avgCompletion: 0.6, totalTracked: 250, bestStreak: 10 }
+            );
+            expect(deltas.avgCompletion).toBeCloseTo(0.2);
+            expect(deltas.totalTracked).toBe(-50);
+            expect(deltas.bestStreak).toBe(0);
+        });
+    });
+
+    describe('countCategories()', () => {
+        const field = { name: 'Kind', options: ['Run', 'Swim', 'Bike'] };
+        const withKind = (kind) => ({ fields: { Workout: { Kind: kind } } });
+
+        it('should count every option in schema order, including unused ones', () => {
+            const entries = [withKind('Swim'), withKind('Run'), withKind('Swim'), withKind(null), {}];
+            expect(countCategories(entries, 'Workout', field)).toEqual([
+                { label: 'Run', count: 1 },
+                { label: 'Swim', count: 2 },
+                { label: 'Bike', count: 0 },
+            ]);
+        });
+
+        it('should keep values of removed options after the current ones', () => {
+            const counts = countCategories([withKind('Yoga'), withKind('Run'), withKind('Hike')], 'Workout', field);
+            expect(counts.map(c => c.label)).toEqual(['Run', 'Swim', 'Bike', 'Hike', 'Yoga']);
+        });
+
+        it('should count each tag of a tags field', () => {
+            const entries = [withKind(['Run', 'Bike']), withKind(['Bike']), withKind(['Yoga']), withKind(null)];
+            expect(countCategories(entries, 'Workout', field)).toEqual([
+                { label: 'Run', count: 1 },
+                { label: 'Swim', count: 0 },
+                { label: 'Bike', count: 2 },
+                { label: 'Yoga', count: 1 },
+            ]);
+        });
+    });
+});
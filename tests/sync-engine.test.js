@@ -0,0 +1,624 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+
+// Browser globals the sync engine and local store rely on
+const storage = new Map();
+globalThis.sessionStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key),
+};
+globalThis.localStorage = globalThis.sessionStorage;
+let window = globalThis.window = new EventTarget();
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+
+const { SyncEngine, LIVE_POLL_INTERVAL } = await import('../js/db/sync-engine.js');
+const { MemoryClient } = await import('../js/db/memory-client.js');
+const { assertRemoteAdapter, saveGroupServer } = await import('../js/db/remote-adapter.js');
+const { MAX_PUSH_ATTEMPTS } = await import('../js/db/push-queue.js');
+const { createKeyring, encryptDoc, decryptDoc } = await import('../js/db/encryption.js');
+const { buildGroupSummary } = await import('../js/utils/group-utils.js');
+const { getSyncLabel } = await import('../js/components/nav-bar.js');
+const {
+    initLocalStore, clearAllData, getEntry, putEntry, putMeta, getMonthlyGoal, putMonthlyGoal, getSyncQueue, getSyncLog, getSyncState
+} = await import('../js/db/local-store.js');
+
+const SCHEMA = { 'Daily Goals': { Run: { type: 'checkbox' }, Read: { type: 'checkbox' } } };
+
+const entry = (dateId, dailyGoals = {}, extra = {}) => {
+    const [year, month, day] = dateId.split('-').map(p => parseInt(p));
+    return { _id: dateId, year, month, day, dailyGoals, fields: {}, dailyGoalCompletion: 0, ...extra };
+};
+
+function setOnline(online) {
+    navigator.onLine = online;
+    window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+}
+
+describe('SyncEngine', () => {
+    let client;
+    let engine;
+
+    beforeAll(async () => {
+        await initLocalStore();
+    });
+
+    beforeEach(async () => {
+        await clearAllData();
+        navigator.onLine = true;
+        window = globalThis.window = new EventTarget(); // drop listeners of earlier engines
+        client = new MemoryClient();
+        engine = new SyncEngine(() => client);
+        // Failed pushes are logged on purpose in several tests
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        engine.stopLive();
+        clearTimeout(engine.pushTimer);
+        clearTimeout(engine.retryTimer);
+        vi.restoreAllMocks();
+    });
+
+    it('should accept the memory client as a remote adapter', () => {
+        expect(() => assertRemoteAdapter(client)).not.toThrow();
+    });
+
+    describe('push', () => {
+        it('should push only the latest mutation per doc', async () => {
+            const doc = entry('2026-03-01', { Run: true });
+            await engine.saveEntry(doc);
+            doc.dailyGoals.Read = true;
+            await engine.saveEntry(doc);
+            expect(await getSyncQueue()).toHaveLength(2);
+
+            await engine.pushPending();
+
+            const writes = client.calls.filter(c => c.method === 'setDoc' && c.collection === 'entries');
+            expect(writes).toHaveLength(1);
+            expect(client.dump('entries')[0].dailyGoals).toEqual({ Run: true, Read: true });
+            expect(await getSyncQueue()).toHaveLength(0);
+            expect(engine.status).toBe('idle');
+        });
+
+        it('should let a later delete supersede an upsert and publish the tombstone', async () => {
+            await engine.saveEntry(entry('2026-03-02', { Run: true }));
+            await engine.removeEntry('2026-03-02');
+
+            await engine.pushPending();
+
+            expect(client.dump('entries')).toEqual([]);
+            expect(client.dump('tombstones').map(t => t._id)).toEqual(['entries:2026-03-02']);
+        });
+
+        it('should push monthly goal deletions as tombstones', async () => {
+            client.seed('monthlyGoals', [{ _id: '2026-03', year: 2026, month: 3, goals: { Save: true } }]);
+            await engine.saveMonthlyGoal({ _id: '2026-03', year: 2026, month: 3, goals: { Save: true } });
+            await engine.removeMonthlyGoal('2026-03');
+
+            await engine.pushPending();
+
+            expect(client.dump('monthlyGoals')).toEqual([]);
+            expect(client.dump('tombstones')).toEqual([
+                expect.objectContaining({ _id: 'monthlyGoals:2026-03', collection: 'monthlyGoals', docId: '2026-03' }),
+            ]);
+        });
+
+        it('should merge with the remote copy instead of overwriting it', async () => {
+            client.seed('entries', [entry('2026-03-03', { Read: true }, {
+                updatedAt: '2026-03-03T08:00:00.000Z',
+                fieldStamps: { dailyGoals: { Read: '2026-03-03T08:00:00.000Z' } },
+            })]);
+
+            await engine.saveEntry(entry('2026-03-03', { Run: true, Read: false }));
+            await engine.pushPending();
+
+            expect(client.dump('entries')[0].dailyGoals).toEqual({ Run: true, Read: true });
+            expect((await getEntry('2026-03-03')).dailyGoals).toEqual({ Run: true, Read: true });
+            expect(engine.lastConflicts).toBe(1);
+        });
+    });
+
+    describe('pull', () => {
+        it('should merge remote and local edits field by field', async () => {
+            client.seed('meta', [{ _id: 'app_config', schema: SCHEMA, updatedAt: '2026-03-01T00:00:00.000Z' }]);
+            client.seed('entries', [entry('2026-03-04', { Run: false, Read: true }, {
+                updatedAt: '2099-01-01T00:00:00.000Z',
+                fieldStamps: { dailyGoals: { Read: '2099-01-01T00:00:00.000Z' } },
+            })]);
+            await engine.saveEntry(entry('2026-03-04', { Run: true, Read: false }));
+
+            await engine.pullAll(2026);
+
+            const local = await getEntry('2026-03-04');
+            expect(local.dailyGoals).toEqual({ Run: true, Read: true });
+            expect(local.dailyGoalCompletion).toBe(1);
+            expect(engine.lastConflicts).toBe(1);
+
+            // The remote copy is missing the local edit, so the merge is queued for push
+            const queued = (await getSyncQueue()).filter(i => i.docId === '2026-03-04');
+            expect(queued.at(-1).data.dailyGoals).toEqual({ Run: true, Read: true });
+        });
+
+        it('should keep reporting merged docs until the user has seen them', async () => {
+            window.location = { hash: '#/' };
+            client.seed('entries', [entry('2026-03-06', { Read: true }, {
+                updatedAt: '2099-01-01T00:00:00.000Z',
+                fieldStamps: { dailyGoals: { Read: '2099-01-01T00:00:00.000Z' } },
+            })]);
+            await engine.saveEntry(entry('2026-03-06', { Run: true }));
+
+            await engine.pullAll(2026);
+            // The merge is pushed back, which is a sync run of its own
+            await engine.pushPending();
+
+            expect(engine.lastConflicts).toBe(0);
+            expect(getSyncLabel({ syncEngine: engine })).toBe('Synced · 1 merged');
+
+            engine.acknowledgeConflicts();
+            expect(getSyncLabel({ syncEngine: engine })).toBe('Synced');
+        });
+
+        it('should recompute stored completion when pulled goal rules change', async () => {
+            const withRule = {
+                'Daily Goals': { ...SCHEMA['Daily Goals'], Run: { type: 'checkbox', autoFrom: 'Log.Distance', op: '>=', value: 5 } },
+                'Log': { Distance: { type: 'number' } },
+            };
+            await putMeta({ _id: 'app_config', schema: { ...SCHEMA, Log: withRule.Log }, updatedAt: '2026-03-01T00:00:00.000Z' });
+            await putEntry(entry('2026-03-07', { Read: true }, { fields: { Log: { Distance: 6 } }, dailyGoalCompletion: 0.5 }));
+            const { updatedAt } = await getEntry('2026-03-07');
+            client.seed('meta', [{ _id: 'app_config', schema: withRule, updatedAt: '2099-01-01T00:00:00.000Z' }]);
+
+            await engine.pullAll(2026);
+
+            const local = await getEntry('2026-03-07');
+            expect(local.dailyGoalCompletion).toBe(1);
+            expect(local.updatedAt).toBe(updatedAt);
+        });
+
+        it('should only pull the requested year', async () => {
+            client.seed('entries', [entry('2025-12-31', { Run: true }), entry('2026-01-01', { Run: true })]);
+            await engine.pullAll(2026);
+            expect(await getEntry('2026-01-01')).not.toBeNull();
+            expect(await getEntry('2025-12-31')).toBeNull();
+        });
+
+        it('should not resurrect docs deleted on another device', async () => {
+            await putEntry(entry('2026-03-05', { Run: true }));
+            client.seed('entries', [entry('2026-03-05', { Run: true }, { updatedAt: '2000-01-01T00:00:00.000Z' })]);
+            client.seed('tombstones', [{
+                _id: 'entries:2026-03-05', collection: 'entries', docId: '2026-03-05',
+                year: 2026, deletedAt: '2099-01-01T00:00:00.000Z',
+            }]);
+
+            await engine.pullAll(2026);
+
+            expect(await getEntry('2026-03-05')).toBeNull();
+        });
+
+        it('should not resurrect monthly goals deleted on another device', async () => {
+            await putMonthlyGoal({ _id: '2026-04', year: 2026, month: 4, goals: { Save: true } });
+            client.seed('monthlyGoals', [{ _id: '2026-04', year: 2026, month: 4, goals: { Save: true }, updatedAt: '2000-01-01T00:00:00.000Z' }]);
+            client.seed('tombstones', [{
+                _id: 'monthlyGoals:2026-04', collection: 'monthlyGoals', docId: '2026-04',
+                year: 2026, deletedAt: '2099-01-01T00:00:00.000Z',
+            }]);
+
+            await engine.pullAll(2026);
+
+            expect(await getMonthlyGoal('2026-04')).toBeNull();
+        });
+
+        it('should only request docs changed since the last pull', async () => {
+            client.seed('entries', [entry('2026-03-12', { Run: true }, { updatedAt: '2026-03-12T10:00:00.000Z' })]);
+            await engine.pullAll(2026);
+
+            const { pullCursors } = await getSyncState();
+            expect(pullCursors[2026].entries).toBe('2026-03-12T10:00:00.000Z');
+
+            client.seed('entries', [entry('2026-03-13', { Read: true }, { updatedAt: '2026-03-13T10:00:00.000Z' })]);
+            client.calls = [];
+            await engine.pullAll(2026);
+
+            const query = client.calls.find(c => c.method === 'getCollection' && c.collection === 'entries');
+            expect(query.conditions).toContainEqual(['updatedAt', '>', '2026-03-12T09:55:00.000Z']);
+            expect(await getEntry('2026-03-13')).not.toBeNull();
+            expect((await getSyncState()).pullCursors[2026].entries).toBe('2026-03-13T10:00:00.000Z');
+        });
+
+        it('should ignore the cursors on a full pull', async () => {
+            client.seed('entries', [entry('2026-03-14', { Run: true }, { updatedAt: '2026-03-14T10:00:00.000Z' })]);
+            await engine.pullAll(2026);
+            client.calls = [];
+            await engine.pullAll(2026, true);
+            const query = client.calls.find(c => c.method === 'getCollection' && c.collection === 'entries');
+            expect(query.conditions).toEqual([['year', '==', 2026]]);
+        });
+
+        it('should keep the cursor when a pull fails', async () => {
+            client.seed('entries', [entry('2026-03-15', { Run: true }, { updatedAt: '2026-03-15T10:00:00.000Z' })]);
+            client.failNext(new Error('boom'), 'getCollection');
+            await engine.pullAll(2026);
+            expect((await getSyncState()).pullCursors[2026]).toBeUndefined();
+            expect(engine.status).toBe('error');
+        });
+
+        it('should log each run', async () => {
+            client.seed('entries', [entry('2026-03-06', { Run: true })]);
+            await engine.pullAll(2026);
+            const [run] = await getSyncLog();
+            expect(run).toMatchObject({ kind: 'pull', status: 'ok', docs: 1, year: 2026 });
+            expect(run.touched).toEqual([{ doc: 'entries/2026-03-06', action: 'pulled' }]);
+        });
+
+        it('should log which docs each run merged, pushed or skipped', async () => {
+            client.seed('entries', [
+                entry('2026-03-08', { Read: true }, {
+                    updatedAt: '2099-01-01T00:00:00.000Z',
+                    fieldStamps: { dailyGoals: { Read: '2099-01-01T00:00:00.000Z' } },
+                }),
+                entry('2026-03-09', { Run: true }, { updatedAt: '2026-03-09T10:00:00.000Z' }),
+            ]);
+            client.seed('tombstones', [{
+                _id: 'entries:2026-03-09', collection: 'entries', docId: '2026-03-09', year: 2026,
+                deletedAt: '2026-03-10T00:00:00.000Z',
+            }]);
+            await engine.saveEntry(entry('2026-03-08', { Run: true }));
+
+            await engine.pullAll(2026);
+            await engine.pushPending();
+
+            const [push, pull] = await getSyncLog();
+            expect(pull.touched).toEqual([
+                { doc: 'entries/2026-03-09', action: 'skipped' },
+                { doc: 'entries/2026-03-08', action: 'merged' },
+            ]);
+            expect(push.touched).toEqual([{ doc: 'entries/2026-03-08', action: 'pushed' }]);
+        });
+
+        it('should cap the docs named per run', async () => {
+            // Jan 1-30 and Mar 1-30
+            client.seed('entries', Array.from({ length: 60 }, (_, i) =>
+                entry(`2026-${i < 30 ? '01' : '03'}-${String(1 + (i % 30)).padStart(2, '0')}`)));
+            await engine.pullAll(2026);
+            const [run] = await getSyncLog();
+            expect(run.touched).toHaveLength(50);
+            expect(run.moreTouched).toBe(10);
+        });
+    });
+
+    describe('live updates', () => {
+        it('should merge subscribed changes and report the changed ids', async () => {
+            const changes = [];
+            engine.onRemoteChange(change => changes.push(change));
+            await engine.pullAll(2026);
+            await engine.startLive(2026);
+
+            // Another device writes through the backend
+            await client.setDoc('entries', '2026-04-01', entry('2026-04-01', { Run: true }, { updatedAt: '2026-04-01T10:00:00.000Z' }));
+
+            await vi.waitFor(async () => expect(await getEntry('2026-04-01')).not.toBeNull());
+            expect(changes).toContainEqual({ collection: 'entries', ids: ['2026-04-01'] });
+            expect((await getSyncState()).pullCursors[2026].entries).toBe('2026-04-01T10:00:00.000Z');
+        });
+
+        it('should subscribe from the pull cursors', async () => {
+            client.seed('entries', [entry('2026-04-02', { Run: true }, { updatedAt: '2026-04-02T10:00:00.000Z' })]);
+            await engine.pullAll(2026);
+            await engine.startLive(2026);
+
+            const subscription = client.calls.find(c => c.method === 'subscribe' && c.collection === 'entries');
+            expect(subscription.conditions).toContainEqual(['updatedAt', '>', '2026-04-02T09:55:00.000Z']);
+        });
+
+        it('should apply tombstones as they arrive', async () => {
+            await putEntry(entry('2026-04-03', { Run: true }));
+            const changes = [];
+            engine.onRemoteChange(change => changes.push(change));
+            await engine.startLive(2026);
+
+            await client.setDoc('tombstones', 'entries:2026-04-03', {
+                _id: 'entries:2026-04-03', collection: 'entries', docId: '2026-04-03',
+                year: 2026, deletedAt: '2099-01-01T00:00:00.000Z',
+            });
+
+            await vi.waitFor(async () => expect(await getEntry('2026-04-03')).toBeNull());
+            expect(changes).toContainEqual({ collection: 'entries', ids: ['2026-04-03'] });
+        });
+
+        it('should stop delivering changes after stopLive', async () => {
+            await engine.startLive(2026);
+            engine.stopLive();
+            expect(engine.liveYear).toBeNull();
+
+            await client.setDoc('entries', '2026-04-04', entry('2026-04-04', { Run: true }));
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(await getEntry('2026-04-04')).toBeNull();
+        });
+
+        it('should poll when the backend cannot push changes', async () => {
+            vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+            try {
+                client.subscribe = undefined;
+                await engine.startLive(2026);
+                client.seed('entries', [entry('2026-04-05', { Run: true })]);
+
+                vi.advanceTimersByTime(LIVE_POLL_INTERVAL);
+                await vi.waitFor(async () => expect(await getEntry('2026-04-05')).not.toBeNull());
+            } finally {
+                engine.stopLive();
+                vi.useRealTimers();
+            }
+        });
+
+        it('should fall back to polling when a subscription fails', async () => {
+            client.setOnline(false);
+            await engine.startLive(2026);
+            await vi.waitFor(() => expect(engine.liveTimer).not.toBeNull());
+        });
+    });
+
+    describe('encryption', () => {
+        it('should re-upload local and remote-only docs encrypted when enabled', async () => {
+            await putEntry(entry('2026-05-01', { Run: true }));
+            client.seed('entries', [entry('2024-05-01', { Read: true })]);
+
+            const { key } = await engine.enableEncryption('correct horse battery');
+            await engine.pushPending();
+
+            const remote = client.dump('entries');
+            expect(remote.map(e => e._id)).toEqual(['2024-05-01', '2026-05-01']);
+            for (const doc of remote) {
+                expect(doc.encrypted).toBeDefined();
+                expect(doc.dailyGoals).toBeUndefined(); // replaced, not merged into
+            }
+            expect((await decryptDoc(remote[0], key)).dailyGoals).toEqual({ Read: true });
+            expect(client.dump('meta').map(d => d._id)).toContain('encryption');
+        });
+
+        it('should queue entries encrypted', async () => {
+            await engine.enableEncryption('correct horse battery');
+            await engine.saveEntry(entry('2026-05-02', { Run: true }));
+            const queued = (await getSyncQueue()).find(i => i.docId === '2026-05-02');
+            expect(queued.data.encrypted).toBeDefined();
+            expect(queued.data.dailyGoals).toBeUndefined();
+        });
+
+        it('should keep a locked device from reading or pushing until it is unlocked', async () => {
+            const { key, keyDoc } = await createKeyring('correct horse battery');
+            client.seed('meta', [keyDoc]);
+            client.seed('entries', [await encryptDoc(entry('2026-05-03', { Run: true }, { updatedAt: '2026-05-03T10:00:00.000Z' }), key)]);
+
+            await engine.pullAll(2026);
+            expect(await getEntry('2026-05-03')).toBeNull();
+            expect(engine.status).toBe('error');
+            expect(await engine.isLocked()).toBe(true);
+
+            await engine.saveEntry(entry('2026-05-04', { Read: true }));
+            await engine.pushPending();
+            expect(client.dump('entries').map(e => e._id)).toEqual(['2026-05-03']);
+            // No plaintext waits in the queue while locked
+            const queuedLocked = (await getSyncQueue()).find(i => i.docId === '2026-05-04');
+            expect(queuedLocked.data).toBeNull();
+
+            await expect(engine.unlockEncryption('wrong passphrase')).rejects.toThrow('Wrong passphrase');
+            await engine.unlockEncryption('correct horse battery');
+            const queuedUnlocked = (await getSyncQueue()).find(i => i.docId === '2026-05-04');
+            expect(queuedUnlocked.data.encrypted).toBeDefined();
+            expect(queuedUnlocked.data.dailyGoals).toBeUndefined();
+            expect((await decryptDoc(queuedUnlocked.data, key)).dailyGoals).toEqual({ Read: true });
+            await engine.fullSync(2026);
+
+            expect((await getEntry('2026-05-03')).dailyGoals).toEqual({ Run: true });
+            const pushed = client.dump('entries').find(e => e._id === '2026-05-04');
+            expect((await decryptDoc(pushed, key)).dailyGoals).toEqual({ Read: true });
+        });
+
+        it('should merge with an encrypted remote copy before pushing', async () => {
+            const { key } = await engine.enableEncryption('correct horse battery');
+            client.seed('entries', [await encryptDoc(entry('2026-05-05', { Read: true }, {
+                updatedAt: '2026-05-05T08:00:00.000Z',
+                fieldStamps: { dailyGoals: { Read: '2026-05-05T08:00:00.000Z' } },
+            }), key)]);
+
+            await engine.saveEntry(entry('2026-05-05', { Run: true, Read: false }));
+            await engine.pushPending();
+
+            const [remote] = client.dump('entries');
+            expect((await decryptDoc(remote, key)).dailyGoals).toEqual({ Run: true, Read: true });
+        });
+    });
+
+    describe('groups', () => {
+        const SERVER = { baseUrl: 'https://group.example', token: 'secret' };
+        const settings = (memberId, displayName) => ({ groupId: 'runners', memberId, displayName, goals: ['Run'] });
+        const summary = (memberId, displayName, year, entries = []) =>
+            buildGroupSummary(entries, SCHEMA, settings(memberId, displayName), year);
+        let groupServer;
+        let groupServerConfigs;
+        const member = (backend) => new SyncEngine(() => backend, (server) => {
+            groupServerConfigs.push(server);
+            return groupServer;
+        });
+
+        beforeEach(() => {
+            saveGroupServer(null);
+            groupServer = new MemoryClient();
+            groupServerConfigs = [];
+            engine = member(client);
+        });
+
+        it('should share summaries through the backend without a group server', async () => {
+            const teammate = member(client);
+            await teammate.publishGroupSummary(summary('m2', 'Sam', 2026, [entry('2026-05-01', { Run: true })]));
+            await engine.publishGroupSummary(summary('m1', 'Alex', 2026, [entry('2026-05-01', { Run: true, Read: true })]));
+
+            const summaries = await engine.fetchGroupSummaries('runners', 2026);
+            expect(summaries.map(s => s.displayName).sort()).toEqual(['Alex', 'Sam']);
+            expect(summaries.every(s => s.dailyGoals === undefined)).toBe(true);
+            expect(await engine.fetchGroupSummaries('runners', 2025)).toEqual([]);
+            expect(groupServer.calls).toEqual([]);
+        });
+
+        it('should reuse group settings saved from another device', async () => {
+            await member(client).saveGroupSettings(settings('m1', 'Alex'));
+            expect((await engine.fetchGroupSettings()).memberId).toBe('m1');
+        });
+
+        it('should keep group settings on the device without a backend', async () => {
+            const offline = Object.assign(new MemoryClient(), { isConfigured: () => false });
+            engine = member(offline);
+            await engine.saveGroupSettings(settings('m1', 'Alex'));
+            await engine.publishGroupSummary(summary('m1', 'Alex', 2026));
+
+            expect((await engine.fetchGroupSettings()).memberId).toBe('m1');
+            expect(offline.calls).toEqual([]);
+        });
+
+        it('should withdraw every published summary when leaving', async () => {
+            await engine.saveGroupSettings(settings('m1', 'Alex'));
+            for (const year of [2025, 2026]) {
+                await engine.publishGroupSummary(summary('m1', 'Alex', year));
+            }
+            await engine.publishGroupSummary(summary('m2', 'Sam', 2026));
+
+            await engine.leaveGroup();
+
+            expect(client.dump('groupSummaries').map(s => s.memberId)).toEqual(['m2']);
+            expect(await engine.fetchGroupSettings()).toBeNull();
+        });
+
+        describe('with a group server', () => {
+            beforeEach(() => {
+                saveGroupServer(SERVER);
+            });
+
+            it('should let teammates read each other\'s summaries from the group server', async () => {
+                const teammate = member(new MemoryClient());
+                await teammate.publishGroupSummary(summary('m2', 'Sam', 2026, [entry('2026-05-01', { Run: true })]));
+                await engine.publishGroupSummary(summary('m1', 'Alex', 2026));
+
+                const summaries = await engine.fetchGroupSummaries('runners', 2026);
+                expect(summaries.map(s => s.displayName).sort()).toEqual(['Alex', 'Sam']);
+                expect(client.dump('groupSummaries')).toEqual([]);
+                expect(groupServerConfigs).toEqual([SERVER, SERVER]); // One client per engine
+            });
+
+            it('should keep members\' settings and entries apart', async () => {
+                const samBackend = new MemoryClient();
+                const sam = member(samBackend);
+                await engine.saveGroupSettings(settings('m1', 'Alex'));
+                await sam.saveGroupSettings(settings('m2', 'Sam'));
+                await engine.saveEntry(entry('2026-05-02', { Run: true }));
+                await engine.pushPending();
+                await sam.saveEntry(entry('2026-05-02', { Read: true }));
+                await sam.pushPending();
+
+                expect((await engine.fetchGroupSettings()).memberId).toBe('m1');
+                expect((await sam.fetchGroupSettings()).memberId).toBe('m2');
+                expect(client.dump('entries').map(e => e.dailyGoals)).toEqual([{ Run: true }]);
+                expect(samBackend.dump('entries').map(e => e.dailyGoals)).toEqual([{ Read: true }]);
+
+                await sam.leaveGroup();
+                expect((await engine.fetchGroupSettings()).memberId).toBe('m1');
+                clearTimeout(sam.pushTimer);
+            });
+
+            it('should not sync the group server or its token', async () => {
+                await engine.saveGroupSettings(settings('m1', 'Alex'));
+                expect(JSON.stringify(client.dump('meta'))).not.toContain(SERVER.token);
+            });
+
+            it('should withdraw summaries from the group server when leaving', async () => {
+                await engine.saveGroupSettings(settings('m1', 'Alex'));
+                await engine.publishGroupSummary(summary('m1', 'Alex', 2026));
+                await engine.publishGroupSummary(summary('m2', 'Sam', 2026));
+
+                await engine.leaveGroup();
+
+                expect(groupServer.dump('groupSummaries').map(s => s.memberId)).toEqual(['m2']);
+            });
+        });
+    });
+
+    describe('offline transitions', () => {
+        it('should keep the queue while offline and push when back online', async () => {
+            setOnline(false);
+            expect(engine.status).toBe('offline');
+
+            await engine.saveEntry(entry('2026-03-07', { Run: true }));
+            await engine.pushPending();
+            expect(client.calls).toHaveLength(0);
+            expect(await getSyncQueue()).toHaveLength(1);
+
+            setOnline(true);
+            await vi.waitFor(async () => expect(await getSyncQueue()).toHaveLength(0));
+            expect(client.dump('entries')).toHaveLength(1);
+        });
+
+        it('should skip pulls while offline', async () => {
+            navigator.onLine = false;
+            await engine.pullAll(2026);
+            expect(client.calls).toHaveLength(0);
+        });
+    });
+
+    describe('queue recovery', () => {
+        it('should back off after a backend outage and recover on retry', async () => {
+            await engine.saveEntry(entry('2026-03-08', { Run: true }));
+            client.setOnline(false);
+
+            await engine.pushPending();
+
+            const [failed] = await getSyncQueue();
+            expect(failed.attempts).toBe(1);
+            expect(failed.lastError).toMatch(/unavailable/);
+            expect(failed.nextAttemptAt).toBeDefined();
+            expect(engine.status).toBe('error');
+
+            // Not due yet: a regular push leaves it alone
+            client.setOnline(true);
+            await engine.pushPending();
+            expect(await getSyncQueue()).toHaveLength(1);
+
+            await engine.pushPending(true);
+            expect(await getSyncQueue()).toHaveLength(0);
+            expect(engine.status).toBe('idle');
+        });
+
+        it('should park a poison doc without blocking the others', async () => {
+            await engine.saveEntry(entry('2026-03-09', { Run: true }));
+            const rejected = Object.assign(new Error('invalid data'), { code: 'invalid-argument' });
+
+            for (let i = 0; i < MAX_PUSH_ATTEMPTS; i++) {
+                client.failNext(rejected, 'setDoc');
+                await engine.pushPending(true);
+            }
+            const [parked] = await getSyncQueue();
+            expect(parked.parked).toBe(true);
+            expect(parked.attempts).toBe(MAX_PUSH_ATTEMPTS);
+
+            await engine.saveEntry(entry('2026-03-10', { Read: true }));
+            await engine.pushPending(true);
+
+            expect(client.dump('entries').map(e => e._id)).toEqual(['2026-03-10']);
+            expect((await getSyncQueue()).map(i => i.docId)).toEqual(['2026-03-09']);
+
+            // A manual retry clears the failures and pushes it
+            await engine.retryQueueItem(parked.key);
+            expect(await getSyncQueue()).toHaveLength(0);
+        });
+
+        it('should push a queue left over from a previous session', async () => {
+            navigator.onLine = false;
+            await engine.saveEntry(entry('2026-03-11', { Run: true }));
+
+            navigator.onLine = true;
+            const restarted = new SyncEngine(() => client);
+            await restarted.fullSync(2026);
+
+            expect(client.dump('entries').map(e => e._id)).toEqual(['2026-03-11']);
+            expect(await getSyncQueue()).toHaveLength(0);
+        });
+    });
+});